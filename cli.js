@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+// @ts-check
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const shaderExt = require("./index.js");
+
+/** @typedef {import("canvas").CanvasRenderingContext2D} NodeCanvasContext */
+
+/**
+ * node-canvas is an optional dependency of the library, so it's only loaded once a command needs it.
+ * @type {typeof import("canvas") | undefined}
+ */
+let Canvas = undefined;
+
+/**
+ * A single operation of a recipe. Which other properties are read depends on the op.
+ * @typedef {{ op: string, [option: string]: any }} RecipeStep
+ */
+
+/**
+ * @typedef {Object} Recipe
+ * @property {string | Array<string>} input Glob pattern(s) of the images to process, relative to the recipe file.
+ * @property {string} output Naming template of the processed images, relative to the recipe file.
+ * @property {Array<RecipeStep>} steps The operations applied to every image in order.
+ */
+
+const usage = `Usage: canvasshaderext <command> <input...> -o <output template> [options]
+       canvasshaderext run <recipe.json> [--dry-run]
+
+Commands:
+  tint        --color r,g,b [--intensity 1] [--tonemapper aces]
+  swizzle     --map R=B [--map B=R] ...                                    Like the library's swizzle, the key channel is copied into the value channel
+  expressions --map B=R [--map "G=1 - G"] ...                              Like pack, the key is the channel written and the value is what's written into it
+  bumpScale   --scale 2 [--renormalize]
+  pack        --map "R=src0.B" [--map "G=src1.R"] ... [--size 1024x1024]    Every input is one source image (src0, src1, ...)
+  unpack      Writes the R, G, B and A channels to separate images. The output template needs {channel}
+  mask        --mask <image> --channel R
+  tile        --tiles 2x2 --size 1024x1024 [--filter bilinear]
+  offset      --x 0.5 --y 0.5 [--filter bilinear]                          Fractions of the image size. A filter allows sub pixel shifts
+  resize      --size 512x512 [--filter bilinear] [--linear]               Leave out the height to keep the aspect ratio
+  flip        --direction horizontal|vertical
+  run         Applies a recipe file's steps to every image matching its input glob(s)
+
+Output templates can use {dir}, {name} and {ext} of the input image, and {channel} for unpack. For example: -o "out/{name}_tinted.{ext}"
+
+Options:
+  -o, --output   Output naming template
+  --dry-run      Lists what would be written without processing anything
+  -h, --help     Shows this message`;
+
+const commands = ["tint", "swizzle", "expressions", "bumpScale", "pack", "unpack", "mask", "tile", "offset", "resize", "flip"];
+
+/**
+ * @param {Array<string>} argv The arguments after the node and script paths.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+	const { values, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			output: { type: "string", short: "o" },
+			"dry-run": { type: "boolean" },
+			help: { type: "boolean", short: "h" },
+			color: { type: "string" },
+			intensity: { type: "string" },
+			tonemapper: { type: "string" },
+			map: { type: "string", multiple: true },
+			scale: { type: "string" },
+			renormalize: { type: "boolean" },
+			size: { type: "string" },
+			mask: { type: "string" },
+			channel: { type: "string" },
+			tiles: { type: "string" },
+			x: { type: "string" },
+			y: { type: "string" },
+			filter: { type: "string" },
+			linear: { type: "boolean" },
+			direction: { type: "string" }
+		}
+	});
+
+	const [command, ...inputs] = positionals;
+	if (values.help || !command) {
+		console.log(usage);
+		return values.help ? 0 : 1;
+	}
+
+	const dryRun = Boolean(values["dry-run"]);
+
+	if (command === "run") {
+		if (inputs.length !== 1) throw new Error("run takes exactly one recipe file");
+		const recipePath = path.resolve(inputs[0]);
+		/** @type {Recipe} */
+		const recipe = JSON.parse(fs.readFileSync(recipePath, "utf8"));
+		const baseDir = path.dirname(recipePath);
+		validateRecipe(recipe);
+		const patterns = Array.isArray(recipe.input) ? recipe.input : [recipe.input];
+		const files = [...new Set(patterns.flatMap(pattern => expandGlob(pattern, baseDir)))];
+		if (files.length === 0) throw new Error(`No files match ${patterns.join(", ")}`);
+		return processFiles(files, recipe.output, baseDir, recipe.steps, dryRun);
+	}
+
+	if (!commands.includes(command)) throw new Error(`Unknown command ${command}. Expected one of ${commands.join(", ")} or run`);
+	if (inputs.length === 0) throw new Error(`${command} needs at least one input image`);
+	if (!values.output) throw new Error(`${command} needs an output template (-o)`);
+
+	const step = stepFromArgs(command, values);
+	let files = inputs.map(input => path.resolve(input));
+	// Pack reads every input at once, where the first is processed and the rest are extra sources. The other commands process each input by itself
+	if (command === "pack") {
+		step.images = files.slice(1);
+		files = files.slice(0, 1);
+	}
+	validateRecipe({ input: files, output: values.output, steps: [step] });
+	return processFiles(files, values.output, process.cwd(), [step], dryRun);
+}
+
+/**
+ * Converts the options of a command into the recipe step it runs.
+ * @param {string} command
+ * @param {Record<string, any>} values
+ * @returns {RecipeStep}
+ */
+function stepFromArgs(command, values) {
+	switch (command) {
+		case "tint": {
+			if (!values.color) throw new Error("tint needs a --color");
+			const color = values.color.split(",").map(Number);
+			return {
+				op: "tint",
+				color,
+				intensity: values.intensity === undefined ? 1 : Number(values.intensity),
+				options: values.tonemapper ? { tonemapper: values.tonemapper } : undefined
+			};
+		}
+		case "swizzle": return { op: "swizzle", map: parseMap(values.map) };
+		case "expressions": return { op: "expressions", map: parseMap(values.map) };
+		case "bumpScale": return { op: "bumpScale", scale: Number(values.scale), renormalize: Boolean(values.renormalize) };
+		case "pack": {
+			const [width, height] = values.size ? parseSize(values.size) : [];
+			return { op: "pack", images: [], channels: parseMap(values.map), width, height };
+		}
+		case "unpack": return { op: "unpack" };
+		// Recipes resolve the mask against each input image, but on the command line it's a path like the inputs
+		case "mask": return { op: "mask", mask: values.mask === undefined ? undefined : path.resolve(values.mask), channel: values.channel };
+		case "tile": {
+			if (!values.tiles || !values.size) throw new Error("tile needs --tiles and --size");
+			const [tilesX, tilesY = tilesX] = parseSize(values.tiles);
+			const [width, height] = parseSize(values.size);
+			return { op: "tile", tilesX, tilesY, width, height, filter: values.filter };
+		}
+		case "offset": return { op: "offset", x: Number(values.x || 0), y: Number(values.y || 0), filter: values.filter };
+		case "resize": {
+			if (!values.size) throw new Error("resize needs a --size");
+			const [width, height] = parseSize(values.size);
+			return { op: "resize", width, height, filter: values.filter, linear: Boolean(values.linear) };
+		}
+		case "flip": return { op: "flip", direction: values.direction };
+		default: throw new Error(`Unknown command ${command}`);
+	}
+}
+
+/**
+ * Parses repeated --map KEY=VALUE options.
+ * @param {Array<string> | undefined} entries
+ * @returns {Record<string, string>}
+ */
+function parseMap(entries) {
+	if (!entries || entries.length === 0) throw new Error("At least one --map is needed");
+	/** @type {Record<string, string>} */
+	const map = {};
+	for (const entry of entries) {
+		const equals = entry.indexOf("=");
+		if (equals === -1) throw new Error(`--map ${entry} should look like R=B or "R=1 - A"`);
+		map[entry.slice(0, equals).trim()] = entry.slice(equals + 1).trim();
+	}
+	return map;
+}
+
+/**
+ * Parses sizes like 1024x512 or 1024.
+ * @param {string} size
+ * @returns {[number, number | undefined]}
+ */
+function parseSize(size) {
+	const match = /^(\d+)(?:x(\d+))?$/.exec(size);
+	if (!match) throw new Error(`${size} isn't a size. Expected something like 1024x1024 or 1024`);
+	return [Number(match[1]), match[2] === undefined ? undefined : Number(match[2])];
+}
+
+/**
+ * Throws if a recipe is missing anything or has unknown steps, before any images are processed.
+ * @param {Recipe} recipe
+ * @returns {void}
+ */
+function validateRecipe(recipe) {
+	if (!recipe || typeof recipe !== "object") throw new Error("The recipe must be an object");
+	if (typeof recipe.input !== "string" && !Array.isArray(recipe.input)) throw new Error("The recipe needs an input glob or an Array of them");
+	if (typeof recipe.output !== "string") throw new Error("The recipe needs an output naming template");
+	if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) throw new Error("The recipe needs at least one step");
+
+	recipe.steps.forEach((step, index) => {
+		const where = `Step ${index} (${step && step.op})`;
+		if (!step || !commands.includes(step.op)) throw new Error(`${where} isn't an operation. Expected one of ${commands.join(", ")}`);
+		switch (step.op) {
+			case "tint":
+				if (!Array.isArray(step.color) || step.color.length !== 3 || step.color.some(component => !Number.isFinite(component))) throw new Error(`${where} needs a color of [r, g, b]`);
+				break;
+			case "swizzle":
+				if (!step.map || typeof step.map !== "object") throw new Error(`${where} needs a map of channels`);
+				for (const [from, to] of Object.entries(step.map)) {
+					if (!shaderExt.isChannel(from) || !shaderExt.isChannel(to)) throw new Error(`${where} can only copy channels, but has ${from}=${to}. Use expressions for channel expressions`);
+				}
+				break;
+			case "expressions":
+				shaderExt.compileChannelExpressions(step.map); // Throws for invalid channels and expressions
+				break;
+			case "bumpScale":
+				if (!Number.isFinite(step.scale)) throw new Error(`${where} needs a scale`);
+				break;
+			case "pack":
+				if (!Array.isArray(step.images)) throw new Error(`${where} needs an Array of images (which can be empty)`);
+				shaderExt.compileChannelExpressions(step.channels, step.images.length + 1);
+				break;
+			case "unpack":
+				if (index !== recipe.steps.length - 1) throw new Error(`${where} has to be the last step`);
+				if (!recipe.output.includes("{channel}")) throw new Error(`${where} writes 4 images, so the output template needs {channel}`);
+				break;
+			case "mask":
+				if (typeof step.mask !== "string") throw new Error(`${where} needs a mask image`);
+				if (!shaderExt.isChannel(step.channel)) throw new Error(`${where} needs a channel of R, G, B or A`);
+				break;
+			case "tile":
+				if (!Number.isInteger(step.tilesX) || !Number.isInteger(step.tilesY) || !Number.isInteger(step.width)) throw new Error(`${where} needs whole numbers for tilesX, tilesY and width`);
+				break;
+			case "offset":
+				if (!Number.isFinite(step.x) || !Number.isFinite(step.y)) throw new Error(`${where} needs an x and y`);
+				break;
+			case "resize":
+				if (!Number.isInteger(step.width)) throw new Error(`${where} needs a whole number width`);
+				break;
+			case "flip":
+				if (step.direction !== "horizontal" && step.direction !== "vertical") throw new Error(`${where} needs a direction of horizontal or vertical`);
+				break;
+		}
+	});
+}
+
+/**
+ * Runs the steps over every file, reporting errors for each file without stopping the others.
+ * @param {Array<string>} files The absolute paths of the input images.
+ * @param {string} outputTemplate
+ * @param {string} baseDir What the output template is relative to once it's filled in. {dir} is absolute, so it isn't affected.
+ * @param {Array<RecipeStep>} steps
+ * @param {boolean} dryRun
+ * @returns {Promise<number>} The exit code.
+ */
+async function processFiles(files, outputTemplate, baseDir, steps, dryRun) {
+	// Loaded before the loop so that a missing canvas is reported once instead of for every file
+	if (!dryRun) loadCanvas();
+	const unpacks = steps[steps.length - 1].op === "unpack";
+	let failed = 0;
+
+	for (const input of files) {
+		try {
+			const outputs = (unpacks ? ["R", "G", "B", "A"] : [undefined]).map(channel => path.resolve(baseDir, formatTemplate(outputTemplate, input, channel)));
+			if (dryRun) {
+				console.log(`${input} -> ${outputs.join(", ")}`);
+				continue;
+			}
+
+			let ctx = await loadContext(input);
+			for (const step of steps) {
+				if (step.op === "unpack") break;
+				ctx = await applyStep(ctx, step, input);
+			}
+
+			const results = unpacks ? shaderExt.unpack(ctx) : [ctx];
+			results.forEach((result, index) => saveContext(result, outputs[index]));
+			console.log(`${input} -> ${outputs.join(", ")}`);
+		} catch (error) {
+			failed++;
+			console.error(`${input}: ${error instanceof Error ? error.message : error}`);
+		}
+	}
+
+	if (!dryRun) console.log(`Processed ${files.length - failed} of ${files.length} ${files.length === 1 ? "image" : "images"}${failed ? `, ${failed} failed` : ""}`);
+	return failed ? 1 : 0;
+}
+
+/**
+ * Applies a single step, returning the context the next step should use.
+ * @param {NodeCanvasContext} ctx
+ * @param {RecipeStep} step
+ * @param {string} input The path of the image being processed. Paths in the step are templates relative to it.
+ * @returns {Promise<NodeCanvasContext>}
+ */
+async function applyStep(ctx, step, input) {
+	const width = ctx.canvas.width;
+	const height = ctx.canvas.height;
+	switch (step.op) {
+		case "tint": {
+			const data = ctx.getImageData(0, 0, width, height);
+			shaderExt.tint(data, step.color[0], step.color[1], step.color[2], step.intensity ?? 1, step.options);
+			ctx.putImageData(data, 0, 0);
+			return ctx;
+		}
+		case "swizzle": {
+			const data = ctx.getImageData(0, 0, width, height);
+			shaderExt.swizzle(data, step.map);
+			ctx.putImageData(data, 0, 0);
+			return ctx;
+		}
+		case "expressions": {
+			const data = ctx.getImageData(0, 0, width, height);
+			shaderExt.swizzleExpressions(data, step.map);
+			ctx.putImageData(data, 0, 0);
+			return ctx;
+		}
+		case "bumpScale": {
+			const data = ctx.getImageData(0, 0, width, height);
+			shaderExt.bumpScale(data, step.scale, Boolean(step.renormalize));
+			ctx.putImageData(data, 0, 0);
+			return ctx;
+		}
+		case "pack": {
+			const sources = [ctx];
+			for (const image of step.images) sources.push(await loadContext(path.resolve(path.dirname(input), formatTemplate(image, input))));
+			return /** @type {NodeCanvasContext} */ (shaderExt.packExpressions(sources, step.channels, step.width ?? width, step.height ?? step.width ?? height));
+		}
+		case "mask": {
+			const maskCtx = await loadContext(path.resolve(path.dirname(input), formatTemplate(step.mask, input)));
+			shaderExt.mask(ctx, maskCtx, step.channel);
+			return ctx;
+		}
+		case "tile":
+			shaderExt.tile(ctx, step.tilesX, step.tilesY, step.width, step.height ?? step.width, step.filter ? { filter: step.filter } : {});
+			return ctx;
+		case "offset":
+			shaderExt.offset(ctx, step.x, step.y, step.filter ? { filter: step.filter } : undefined);
+			return ctx;
+		case "resize":
+			shaderExt.resize(ctx, step.width, step.height, { filter: step.filter, addressMode: step.addressMode, linear: Boolean(step.linear) });
+			return ctx;
+		case "flip":
+			shaderExt.flip(ctx, step.direction);
+			return ctx;
+		default: throw new Error(`Unknown step ${step.op}`);
+	}
+}
+
+/**
+ * Fills in {dir}, {name}, {ext} and {channel} of a naming template.
+ * @param {string} template
+ * @param {string} input
+ * @param {string} [channel]
+ * @returns {string}
+ */
+function formatTemplate(template, input, channel) {
+	const ext = path.extname(input);
+	/** @type {Record<string, string | undefined>} */
+	const variables = {
+		dir: path.dirname(input),
+		name: path.basename(input, ext),
+		ext: ext.slice(1),
+		channel
+	};
+	return template.replace(/\{(\w+)\}/g, (match, variable) => {
+		const value = variables[variable];
+		if (value === undefined) throw new Error(`Unknown template variable ${match}. Expected {dir}, {name}, {ext}${channel ? " or {channel}" : ""}`);
+		return value;
+	});
+}
+
+/**
+ * Lists the files matching a glob pattern. Supports *, ** and ? along with {a,b} alternatives.
+ * @param {string} pattern
+ * @param {string} baseDir What relative patterns are resolved against.
+ * @returns {Array<string>} Absolute paths sorted by name.
+ */
+function expandGlob(pattern, baseDir) {
+	const absolute = path.resolve(baseDir, pattern).split(path.sep).join("/");
+	const segments = absolute.split("/");
+	const firstWildcard = segments.findIndex(segment => /[*?{]/.test(segment));
+	if (firstWildcard === -1) return fs.existsSync(absolute) ? [path.resolve(absolute)] : [];
+
+	const root = segments.slice(0, firstWildcard).join("/") || "/";
+	const matcher = globToRegExp(absolute);
+	/** @type {Array<string>} */
+	const matches = [];
+
+	/** @param {string} dir */
+	const walk = dir => {
+		let entries;
+		try {
+			entries = fs.readdirSync(dir, { withFileTypes: true });
+		} catch {
+			return;
+		}
+		for (const entry of entries) {
+			const full = `${dir === "/" ? "" : dir}/${entry.name}`;
+			if (entry.isDirectory()) walk(full);
+			else if (matcher.test(full)) matches.push(path.resolve(full));
+		}
+	};
+	walk(root);
+
+	return matches.sort();
+}
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+	let source = "";
+	let braceDepth = 0;
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === "*" && pattern[i + 1] === "*") {
+			// **/ matches any amount of directories, including none
+			if (pattern[i + 2] === "/") {
+				source += "(?:.*/)?";
+				i += 2;
+			} else {
+				source += ".*";
+				i++;
+			}
+		} else if (char === "*") source += "[^/]*";
+		else if (char === "?") source += "[^/]";
+		else if (char === "{") {
+			source += "(?:";
+			braceDepth++;
+		} else if (char === "}" && braceDepth > 0) {
+			source += ")";
+			braceDepth--;
+		} else if (char === "," && braceDepth > 0) source += "|";
+		else source += char.replace(/[.+^$(){}|[\]\\]/, "\\$&");
+	}
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Loads node-canvas and makes the library use it, as images are loaded and saved with node-canvas.
+ * @returns {typeof import("canvas")}
+ */
+function loadCanvas() {
+	if (Canvas) return Canvas;
+	try {
+		Canvas = /** @type {typeof import("canvas")} */ (require("canvas"));
+	} catch (error) {
+		throw new Error(`The command line needs the canvas package to read and write images. Install it with npm install canvas (${error instanceof Error ? error.message.split("\n")[0] : error})`);
+	}
+	shaderExt.setBackend(shaderExt.createNodeCanvasBackend(Canvas));
+	return Canvas;
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<NodeCanvasContext>}
+ */
+async function loadContext(file) {
+	return loadCanvas().loadImage(file).then(image => /** @type {NodeCanvasContext} */ (shaderExt.image2Context(image)));
+}
+
+/**
+ * Writes a context as a PNG or JPEG based on the file extension, creating the directory if needed.
+ * @param {shaderExt.ImageContext} ctx A node-canvas context.
+ * @param {string} file
+ * @returns {void}
+ */
+function saveContext(ctx, file) {
+	const ext = path.extname(file).toLowerCase();
+	const canvas = /** @type {import("canvas").Canvas} */ (ctx.canvas);
+	/** @type {Buffer} */
+	let buffer;
+	if (ext === ".png") buffer = canvas.toBuffer("image/png");
+	else if (ext === ".jpg" || ext === ".jpeg") buffer = canvas.toBuffer("image/jpeg");
+	else throw new Error(`Can't write ${file}. Expected a .png, .jpg or .jpeg file`);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, buffer);
+}
+
+// Only runs as a command so that the tests can require the parts that don't touch files
+if (require.main === module) {
+	main(process.argv.slice(2)).then(code => {
+		process.exitCode = code;
+	}, error => {
+		console.error(error instanceof Error ? error.message : error);
+		console.error("Run canvasshaderext --help for usage");
+		process.exitCode = 1;
+	});
+}
+
+module.exports = {
+	main,
+	stepFromArgs,
+	validateRecipe,
+	applyStep,
+	formatTemplate,
+	expandGlob
+};
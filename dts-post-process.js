@@ -8,6 +8,7 @@ const pt = path.join(__dirname, fileToProcess)
 const dtsData = fs.readFileSync(pt, { encoding: "utf-8" });
 
 const singleLineAtTypeDefRegex = /\/\*\* @typedef \{.+? \*\/\n?/gu;
+const multiLineAtTypeDefRegex = /\/\*\*\n \* @typedef [^]+?\*\/\n?/gu;
 const singleLineAtTypeRegex = /\/\*\* @type \{.+? \*\/\n?/gu;
 const atParamRegex = /(@param )\{.+?\} ([\w\[])/gu;
 const atReturnsRegex = /(@returns )\{.+?\} ([\w\[])/gu;
@@ -17,6 +18,7 @@ const cleanupAtReturnsNoComment = / \* @returns \{.+?\}\n/gu;
 
 const newData = dtsData
 	.replace(singleLineAtTypeDefRegex, "")
+	.replace(multiLineAtTypeDefRegex, "")
 	.replace(singleLineAtTypeRegex, "")
 	.replace(atParamRegex, "$1$2")
 	.replace(atReturnsRegex, "$1$2")
@@ -1,3 +1,648 @@
+export type FrameFunction = (data: PixelData, i: number) => void;
+export type PipelineStep = {
+    op: "swizzle";
+    args: [RecordChannelsMapOptional];
+} | {
+    op: "swizzleExpressions";
+    args: [ChannelExpressions];
+} | {
+    op: "bumpScale";
+    args: [number, boolean];
+} | {
+    op: "normalizeNormals";
+    args: [];
+} | {
+    op: "flipNormalGreen";
+    args: [];
+} | {
+    op: "tint";
+    args: [number, number, number, number, TonemapOptions | undefined];
+} | {
+    op: "lut";
+    args: [LUT, LUTInterpolation];
+} | {
+    op: "hueShift";
+    args: [number];
+} | {
+    op: "adjustSaturation";
+    args: [number];
+} | {
+    op: "adjustLightness";
+    args: [number];
+} | {
+    op: "vibrance";
+    args: [number];
+} | {
+    op: "colorize";
+    args: [number, number, number, number];
+} | {
+    op: "levels";
+    args: [LevelsOptions];
+} | {
+    op: "curves";
+    args: [CurvesOptions];
+} | {
+    op: "gradientMap";
+    args: [Gradient, GradientMapSource];
+} | {
+    op: "frame";
+    args: [FrameFunction];
+};
+export type Pipeline = {
+    /**
+     * Adds a swizzleFrame pass.
+     */
+    swizzle: (options: RecordChannelsMapOptional) => Pipeline;
+    /**
+     * Adds a swizzleExpressionsFrame pass. Expressions are strings, which lets pipelines be described in JSON.
+     */
+    swizzleExpressions: (expressions: ChannelExpressions) => Pipeline;
+    /**
+     * Adds a bumpScaleFrame pass.
+     */
+    bumpScale: (scale: number, renormalize?: boolean) => Pipeline;
+    /**
+     * Adds a normalizeNormalsFrame pass.
+     */
+    normalizeNormals: () => Pipeline;
+    /**
+     * Adds a flipNormalGreenFrame pass.
+     */
+    flipNormalGreen: () => Pipeline;
+    /**
+     * Adds a tintFrame pass. autoExposure and error diffusion dithers aren't supported as they need the whole image.
+     */
+    tint: (r: number, g: number, b: number, int?: number, options?: TonemapOptions) => Pipeline;
+    /**
+     * Adds an applyLUTFrame pass.
+     */
+    lut: (lut: LUT, interpolation?: LUTInterpolation) => Pipeline;
+    /**
+     * Adds a hueShiftFrame pass.
+     */
+    hueShift: (degrees: number) => Pipeline;
+    /**
+     * Adds an adjustSaturationFrame pass.
+     */
+    adjustSaturation: (amount: number) => Pipeline;
+    /**
+     * Adds an adjustLightnessFrame pass.
+     */
+    adjustLightness: (amount: number) => Pipeline;
+    /**
+     * Adds a vibranceFrame pass.
+     */
+    vibrance: (amount: number) => Pipeline;
+    /**
+     * Adds a colorizeFrame pass.
+     */
+    colorize: (r: number, g: number, b: number, strength?: number) => Pipeline;
+    /**
+     * Adds a levelsFrame pass.
+     */
+    levels: (options: LevelsOptions) => Pipeline;
+    /**
+     * Adds a curvesFrame pass.
+     */
+    curves: (options: CurvesOptions) => Pipeline;
+    /**
+     * Adds a gradientMapFrame pass.
+     */
+    gradientMap: (gradient: Gradient, source?: GradientMapSource) => Pipeline;
+    /**
+     * Adds your own frame function. It is called with the image data and the index of the frame.
+     */
+    frame: (fn: FrameFunction) => Pipeline;
+    /**
+     * Runs every pass over the image data in a single loop. The image data is written to directly. A region limits the passes to a rectangle or mask.
+     */
+    run: (data: PixelData, region?: Region) => void;
+    /**
+     * Same as run, but the image data is split into bands of rows which are processed by worker threads. Custom frame passes and tone mappers registered with registerTonemapper can't be sent to workers.
+     */
+    runAsync: (data: PixelData, options?: ParallelOptions, region?: Region) => Promise<void>;
+};
+export type HDRImageData = {
+    width: number;
+    height: number;
+    data: Float32Array;
+};
+export type LUT = {
+    /**
+     * The TITLE of the LUT. Empty if there wasn't one.
+     */
+    title: string;
+    /**
+     * Whether the LUT maps each channel on its own (1D) or maps whole colors (3D).
+     */
+    type: "1D" | "3D";
+    /**
+     * The amount of entries for 1D LUTs or the amount of entries along each axis for 3D LUTs.
+     */
+    size: number;
+    /**
+     * The input value mapped to the first entry for each channel. Usually 0.
+     */
+    domainMin: [number, number, number];
+    /**
+     * The input value mapped to the last entry for each channel. Usually 1.
+     */
+    domainMax: [number, number, number];
+    /**
+     * RGB triplets. For 3D LUTs, R changes the fastest, then G, then B.
+     */
+    data: Float32Array;
+};
+export type LUTInterpolation = "trilinear" | "tetrahedral";
+export type BakeLUTOptions = TonemapOptions & {
+    intensity?: number;
+    size?: number;
+    title?: string;
+};
+export type NormalBlendMethod = "rnm" | "whiteout" | "udn";
+export type HeightToNormalOptions = {
+    /**
+     * How steep the slopes are. The height is treated as 0-1 per pixel before this is applied. Default of 1.0
+     */
+    strength?: number;
+    /**
+     * The kernel used to find the slope of the height map. Scharr is more accurate for diagonals. Default of "sobel"
+     */
+    kernel?: "sobel" | "scharr";
+    /**
+     * Which channel of the height map to read the height from. Default of "R"
+     */
+    channel?: Channel;
+    /**
+     * What happens to the pixels sampled past the edges. Use "repeat" for tiling textures. Default of "repeat"
+     */
+    addressMode?: AddressMode;
+    /**
+     * Whether green points up (OpenGL) or down (DirectX). Default of "opengl"
+     */
+    convention?: "opengl" | "directx";
+};
+export type AddressMode = "repeat" | "clamp" | "mirror";
+export type ResampleFilter = "nearest" | "bilinear" | "catmullRom" | "mitchell" | "lanczos3";
+export type ResampleOptions = {
+    /**
+     * The kernel used to filter the image. catmullRom and mitchell are bicubic. Default of "bilinear"
+     */
+    filter?: ResampleFilter;
+    /**
+     * What happens to the pixels sampled past the edges. Default of "clamp" (or "repeat" where the function wraps the image)
+     */
+    addressMode?: AddressMode;
+    /**
+     * Filters in linear space (see sRGBToLinear) instead of sRGB which keeps the brightness of downsampled images correct. Default of false
+     */
+    linear?: boolean;
+    /**
+     * Filters the RGB premultiplied by alpha so that transparent pixels don't bleed their color into the result.
+     * Turn it off for data where alpha isn't coverage, such as the smoothness in a mask map, as fully transparent pixels lose their RGB otherwise. Default of true
+     */
+    premultiply?: boolean;
+};
+export type ResampleKernel = {
+    support: number;
+    weight: (x: number) => number;
+};
+export type AtlasOptions = {
+    /**
+     * The max width of each page in pixels. Default of 2048
+     */
+    width?: number;
+    /**
+     * The max height of each page in pixels. Default of 2048
+     */
+    height?: number;
+    /**
+     * Keeps every page at the max size instead of shrinking them to fit their images. Default of false
+     */
+    fixedSize?: boolean;
+    /**
+     * Rounds shrunk pages up to a power of two. Default of true
+     */
+    powerOfTwo?: boolean;
+    /**
+     * int Empty pixels left between images. Default of 2
+     */
+    padding?: number;
+    /**
+     * int How many pixels the edges of each image are repeated outwards to stop filtering from bleeding in neighbours. Default of 0
+     */
+    extrude?: number;
+    /**
+     * Allows images to be rotated 90 degrees clockwise if they fit better. Default of false
+     */
+    allowRotation?: boolean;
+    /**
+     * maxRects packs tighter, skyline is faster for many images. Default of "maxRects"
+     */
+    algorithm?: "maxRects" | "skyline";
+};
+export type AtlasFrame = {
+    /**
+     * The name of the image.
+     */
+    name: string;
+    /**
+     * Index of the page the image is on.
+     */
+    page: number;
+    /**
+     * The left of the image on the page in pixels, not including extrusion.
+     */
+    x: number;
+    /**
+     * The top of the image on the page in pixels, not including extrusion.
+     */
+    y: number;
+    /**
+     * The width of the image before rotation.
+     */
+    width: number;
+    /**
+     * The height of the image before rotation.
+     */
+    height: number;
+    /**
+     * Whether the image was rotated 90 degrees clockwise, in which case it takes up height by width pixels on the page.
+     */
+    rotated: boolean;
+    /**
+     * The area of the page the image takes up in the range of 0-1 where v0 is the top.
+     */
+    uv: {
+        u0: number;
+        v0: number;
+        u1: number;
+        v1: number;
+    };
+};
+export type AtlasPage = {
+    ctx: ImageContext;
+    width: number;
+    height: number;
+    frames: Array<AtlasFrame>;
+};
+export type Atlas = {
+    pages: Array<AtlasPage>;
+};
+export type Rect = {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+};
+export type RectPacker = {
+    insert: (width: number, height: number, allowRotation: boolean) => {
+        x: number;
+        y: number;
+        rotated: boolean;
+    } | undefined;
+};
+export type MipmapOptions = {
+    /**
+     * What the RGB of the image holds. srgb is color which is filtered in linear light, linear is data such as roughness or height which is filtered as is,
+     * normal is a normal map which is renormalized after filtering. linear and normal aren't premultiplied by alpha, as the alpha of data maps is often data too such as smoothness. Default of "srgb"
+     */
+    colorSpace?: "srgb" | "linear" | "normal";
+    /**
+     * The kernel used to downsample each level. Default of "bilinear"
+     */
+    filter?: ResampleFilter;
+    /**
+     * What happens to the pixels sampled past the edges. Use repeat for tiling textures. Default of "clamp"
+     */
+    addressMode?: AddressMode;
+    /**
+     * int 0-255. For cutout textures, the Alpha of each level is scaled so that the same amount of pixels pass the alpha test as in the original image.
+     * Without this, cutouts such as foliage thin out and disappear in the distance. Default of undefined (Alpha is left as filtered)
+     */
+    alphaTestThreshold?: number;
+};
+/**
+ * Limits where an effect is applied. The rectangle and mask can be used together, in which case the mask is only used inside of the rectangle.
+ */
+export type Region = {
+    /**
+     * The left of the rectangle in pixels. Default of 0
+     */
+    x?: number;
+    /**
+     * The top of the rectangle in pixels. Default of 0
+     */
+    y?: number;
+    /**
+     * The width of the rectangle in pixels. Default of the rest of the image
+     */
+    width?: number;
+    /**
+     * The height of the rectangle in pixels. Default of the rest of the image
+     */
+    height?: number;
+    /**
+     * The context containing a mask which weights how much of the effect each pixel gets, from none (0) to all of it (255). Resized to fit if needed.
+     */
+    mask?: ImageContext;
+    /**
+     * The channel of the mask to read the weights from. Default of "R"
+     */
+    channel?: Channel;
+    /**
+     * int Blurs the edges of the rectangle and mask by this many pixels. Default of 0
+     */
+    feather?: number;
+    /**
+     * Applies the effect outside of the region instead. Default of false
+     */
+    invert?: boolean;
+};
+export type ChannelStats = {
+    /**
+     * 256 buckets of how many pixels have each value. When alpha weighted, pixels count as their alpha / 255.
+     */
+    histogram: Float64Array;
+    /**
+     * The lowest value used. 0 when there are no pixels.
+     */
+    min: number;
+    /**
+     * The highest value used. 0 when there are no pixels.
+     */
+    max: number;
+    mean: number;
+    median: number;
+    standardDeviation: number;
+};
+export type ImageStats = {
+    R: ChannelStats;
+    G: ChannelStats;
+    B: ChannelStats;
+    /**
+     * Never alpha weighted.
+     */
+    A: ChannelStats;
+    /**
+     * Rec. 709 luma of the sRGB values rounded to 0-255.
+     */
+    luma: ChannelStats;
+    /**
+     * The mean linear luminance in the range of 0-1.
+     */
+    averageLuminance: number;
+    /**
+     * The log-average linear luminance which auto exposure is based on.
+     */
+    logAverageLuminance: number;
+    /**
+     * The total weight of the pixels which were counted. The pixel count unless alpha weighted or limited to a soft region.
+     */
+    pixels: number;
+};
+export type AnalyzeOptions = {
+    /**
+     * Counts pixels by their alpha so that transparent pixels don't affect the color stats. Default of false
+     */
+    alphaWeighted?: boolean;
+    /**
+     * Only counts pixels in a rectangle or mask. Default of the whole image
+     */
+    region?: Region;
+};
+export type LevelsChannel = {
+    /**
+     * int 0-255 of the value which becomes outputBlack. Default of 0
+     */
+    inputBlack?: number;
+    /**
+     * int 0-255 of the value which becomes outputWhite. Default of 255
+     */
+    inputWhite?: number;
+    /**
+     * float above 0 where higher values brighten the midtones. Default of 1.0
+     */
+    gamma?: number;
+    /**
+     * int 0-255. Default of 0
+     */
+    outputBlack?: number;
+    /**
+     * int 0-255. Default of 255
+     */
+    outputWhite?: number;
+};
+/**
+ * Levels applied to the R, G and B channels. The R, G and B properties are applied to only that channel before the shared levels.
+ */
+export type LevelsOptions = LevelsChannel & {
+    R?: LevelsChannel;
+    G?: LevelsChannel;
+    B?: LevelsChannel;
+};
+export type AutoLevelsOptions = {
+    /**
+     * float 0-0.5 of the fraction of pixels allowed to be clipped at each end, so that a few outliers don't stop the stretch. Default of 0.001
+     */
+    clip?: number;
+    /**
+     * Stretches every channel on its own which also removes color casts (auto levels).
+     * Otherwise the channels are stretched together which keeps the colors (auto contrast). Default of false
+     */
+    perChannel?: boolean;
+    /**
+     * Default of false
+     */
+    alphaWeighted?: boolean;
+};
+/**
+ * An [input, output] pair in the range of 0-255.
+ */
+export type CurvePoint = [number, number];
+/**
+ * Control points of the curves which go through a monotone cubic spline, so the curve never overshoots between points.
+ * Values before the first or after the last point keep the value of that point. Channels without points are unchanged.
+ */
+export type CurvesOptions = {
+    /**
+     * Applied to the R, G and B channels after their own curves.
+     */
+    RGB?: Array<CurvePoint>;
+    R?: Array<CurvePoint>;
+    G?: Array<CurvePoint>;
+    B?: Array<CurvePoint>;
+    A?: Array<CurvePoint>;
+};
+/**
+ * Lookup tables for the R, G and B channels. See createLevelsTables.
+ */
+export type LevelsTables = [Uint8Array, Uint8Array, Uint8Array];
+/**
+ * Lookup tables for the R, G, B and A channels, undefined where the channel is unchanged. See createCurvesTables.
+ */
+export type CurvesTables = Array<Uint8Array | undefined>;
+export type GradientInterpolation = "srgb" | "linear" | "oklab";
+export type GradientStop = {
+    /**
+     * float 0-1 of where the color is along the gradient. Two stops at the same position make a hard edge.
+     */
+    position: number;
+    /**
+     * RGB or RGBA 0-255. Alpha defaults to 255.
+     */
+    color: [number, number, number] | [number, number, number, number];
+};
+/**
+ * A gradient made by createGradient. It's plain data, so it can be saved as JSON or sent to worker threads.
+ */
+export type Gradient = {
+    /**
+     * The stops sorted by position.
+     */
+    stops: Array<{
+        position: number;
+        color: [number, number, number, number];
+    }>;
+    interpolation: GradientInterpolation;
+};
+export type GradientOptions = {
+    /**
+     * The color space colors are blended in between stops. linear is physically correct and oklab keeps the lightness even between very different hues.
+     * Alpha is always blended linearly. Default of "srgb"
+     */
+    interpolation?: GradientInterpolation;
+};
+export type GradientMapSource = Channel | "luminance";
+export type RenderGradientOptions = {
+    /**
+     * Default of "linear"
+     */
+    type?: "linear" | "radial" | "angular" | "diamond";
+    /**
+     * Degrees clockwise of the direction of linear gradients and where angular gradients start. 0 goes from left to right. Default of 0
+     */
+    angle?: number;
+    /**
+     * float 0-1 of the center of radial, angular and diamond gradients across the width. Default of 0.5
+     */
+    centerX?: number;
+    /**
+     * float 0-1 of the center of radial, angular and diamond gradients across the height. Default of 0.5
+     */
+    centerY?: number;
+    /**
+     * float of the distance from the center where radial and diamond gradients end, where 1 is the width or height of the image. Default of 0.5
+     */
+    radius?: number;
+    /**
+     * What happens past the end of the gradient. Default of "clamp"
+     */
+    repeat?: "clamp" | "repeat" | "mirror";
+    /**
+     * Makes the result repeat seamlessly. Linear gradients go there and back again and snap to the nearest multiple of 45 degrees,
+     * radial and diamond gradients measure the distance around the edges, and angular gradients go around the center and the points half a tile away. Default of false
+     */
+    tileable?: boolean;
+    /**
+     * Default of "none"
+     */
+    dither?: DitherMethod;
+};
+export type GradientStops = {
+    positions: Array<number>;
+    colors: Array<[number, number, number, number]>;
+    interpolation: GradientInterpolation;
+};
+/**
+ * How a value moves from one keyframe to the next. An Array is a CSS style cubic bezier of [x1, y1, x2, y2].
+ */
+export type Easing = "linear" | "step" | "easeIn" | "easeOut" | "easeInOut" | [number, number, number, number];
+export type Keyframe = {
+    /**
+     * Which frame the value is reached at. Can be outside of the rendered frames, such as one past the last frame for loops which shouldn't repeat their first frame.
+     */
+    frame: number;
+    value: number;
+    /**
+     * How the value moves to the next keyframe. Default of "linear"
+     */
+    easing?: Easing;
+};
+/**
+ * A constant or keyframes. Values before the first keyframe and after the last stay at that keyframe's value.
+ */
+export type Track = number | Array<Keyframe>;
+export type FlipbookOptions = {
+    /**
+     * int of how many frames there are in each row. Default of the square root of the amount of frames rounded up
+     */
+    columns?: number;
+    /**
+     * int pixels of space between frames. Default of 0
+     */
+    padding?: number;
+};
+export type GIFOptions = {
+    /**
+     * int milliseconds between frames. GIFs store this in hundredths of a second, so it's rounded to that. Default of 100
+     */
+    delay?: number;
+    /**
+     * int of how many times the animation plays, where 0 is forever. Default of 0
+     */
+    loop?: number;
+    /**
+     * int 2-256 of how many colors every frame has. Default of 256
+     */
+    colors?: number;
+    /**
+     * How the palettes are picked. Default of "medianCut"
+     */
+    method?: "medianCut" | "kmeans";
+    /**
+     * Default of "none"
+     */
+    dither?: DitherMethod;
+    /**
+     * int 0-255. Pixels with less alpha than this are transparent, as GIFs can't be partially transparent. Default of 128
+     */
+    alphaThreshold?: number;
+};
+export type RotateOptions = {
+    /**
+     * How pixels are sampled for angles which aren't a multiple of 90. Multiples of 90 always move whole pixels. Default of "bilinear"
+     */
+    filter?: ResampleFilter;
+    /**
+     * Filters in linear space. Default of false
+     */
+    linear?: boolean;
+    /**
+     * Grows the image so that none of it is cut off. Otherwise the size stays the same and the corners are cut off. Default of true
+     */
+    expand?: boolean;
+    /**
+     * RGB or RGBA 0-255 of the uncovered corners. Alpha defaults to 255. Default of transparent
+     */
+    background?: [number, number, number] | [number, number, number, number];
+};
+export type Padding = number | {
+    top?: number;
+    right?: number;
+    bottom?: number;
+    left?: number;
+};
+export type PadOptions = {
+    /**
+     * color fills the new pixels with the color. clamp extends the edge pixels, repeat wraps the image around and mirror reflects it. Default of "color"
+     */
+    mode?: "color" | AddressMode;
+    /**
+     * RGB or RGBA 0-255 of the new pixels when mode is color. Alpha defaults to 255. Default of transparent
+     */
+    color?: [number, number, number] | [number, number, number, number];
+};
 export type Channel = "R" | "G" | "B" | "A";
 export type RecordChannelsMapOptional = {
     R?: Channel;
@@ -5,24 +650,418 @@ export type RecordChannelsMapOptional = {
     B?: Channel;
     A?: Channel;
 };
+export type ParallelOptions = {
+    threads?: number;
+};
+export type BumpScaleAsyncOptions = ParallelOptions & {
+    renormalize?: boolean;
+};
+export type TintAsyncOptions = TonemapOptions & ParallelOptions;
+export type WorkerJob = {
+    id: number;
+    buffer: SharedArrayBuffer;
+    width: number;
+    height: number;
+    startRow: number;
+    rows: number;
+    steps: Array<PipelineStep>;
+};
+export type WorkerResult = {
+    id: number;
+    error?: string;
+};
+export type TonemapOperator = (r: number, g: number, b: number, options: TonemapOptions) => [number, number, number];
+export type TonemapOptions = {
+    /**
+     * Name of the tone mapper in the tonemappers registry. Default of "aces"
+     */
+    tonemapper?: string;
+    /**
+     * How much exposure to apply. Default of 1.0
+     */
+    exposure?: number;
+    /**
+     * How much contrast to apply. Default of 1.0
+     */
+    contrast?: number;
+    /**
+     * How much saturation to apply. Default of 1.0
+     */
+    saturation?: number;
+    /**
+     * Multiplier of how much highlights affect the image. float typically in the range of 0-1. Default of 1.0
+     */
+    highlightCompression?: number;
+    /**
+     * Additive amount of color to apply to the image. float typically in the range of 0-1. Default of 0.0
+     */
+    shadowLifting?: number;
+    /**
+     * The smallest value that is mapped to pure white by the extended Reinhard tone mapper. Default of 4.0
+     */
+    whitePoint?: number;
+    /**
+     * Multiplies the exposure by one computed from the log-average luminance of the image. A number is used as the key (middle grey) instead of the default of 0.18. Only supported by functions which see the whole image.
+     */
+    autoExposure?: boolean | number;
+    /**
+     * How the result is rounded to 8 bits to hide banding in smooth gradients. hdrToSdr ignores it as it doesn't know where the pixel is.
+     * floydSteinberg and atkinson are only supported by functions which see the whole image. Default of "none"
+     */
+    dither?: DitherMethod;
+};
+export type BorderMode = "wrap" | "clamp" | "mirror" | "transparent";
+export type Kernel2D = {
+    width: number;
+    height: number;
+    weights: ArrayLike<number>;
+};
+export type SeparableKernel = {
+    x: ArrayLike<number>;
+    y: ArrayLike<number>;
+};
+export type ConvolutionKernel = Kernel2D | SeparableKernel;
+export type ConvolveOptions = {
+    /**
+     * Which channels are convolved. The rest are copied over as is. Default of all channels
+     */
+    channels?: Array<Channel>;
+    /**
+     * What is sampled past the edges. wrap matches offset, transparent samples fully transparent black. Default of "clamp"
+     */
+    border?: BorderMode;
+    /**
+     * What the weighted sum is divided by. Default of the sum of the weights (or 1 if they sum to 0)
+     */
+    divisor?: number;
+    /**
+     * int 0-255 added after dividing. Default of 0
+     */
+    bias?: number;
+    /**
+     * Takes the absolute value of the result before clamping. Useful for edge detection. Default of false
+     */
+    absolute?: boolean;
+    /**
+     * Convolves the RGB channels premultiplied by alpha so transparent pixels don't bleed their color. Can't be used with bias or absolute. Default of false
+     */
+    premultiply?: boolean;
+};
+export type BlendMode = "normal" | "multiply" | "screen" | "overlay" | "softLight" | "hardLight" | "colorDodge" | "colorBurn" | "linearDodge" | "subtract" | "difference" | "hue" | "saturation" | "color" | "luminosity";
+export type BlendOptions = {
+    /**
+     * float 0-1 of how much of the layer is applied. Default of 1.0
+     */
+    opacity?: number;
+    /**
+     * A context whose channel is multiplied into the layer's opacity per pixel. Resized to the base if it isn't the same size.
+     */
+    maskCtx?: ImageContext;
+    /**
+     * Which channel of the mask is used. Default of "R"
+     */
+    maskChannel?: Channel;
+    /**
+     * Blends in linear space (see sRGBToLinear) instead of sRGB. Default of false
+     */
+    linear?: boolean;
+    /**
+     * How the layer and mask are resized if they aren't the same size as the base.
+     */
+    resampleOptions?: ResampleOptions;
+};
+export type SeparableBlendFunction = (cb: number, cs: number) => number;
+export type SeamlessFalloff = "linear" | "smoothstep" | "cosine";
+export type SeamlessOptions = {
+    /**
+     * crossfade blends the image with itself offset by half. histogram does the same blend,
+     * but in a way that keeps the contrast and histogram of the image which suits stochastic textures like gravel or noise. Default of "crossfade"
+     */
+    mode?: "crossfade" | "histogram";
+    /**
+     * float 0-0.5 of how far from the edges (as a fraction of the image size) the blend reaches. Default of 0.15
+     */
+    blendWidth?: number;
+    /**
+     * The shape of the blend from the edges inwards. Default of "smoothstep"
+     */
+    falloff?: SeamlessFalloff;
+    /**
+     * Returns the image before and after, offset by half so that the seams are in the middle. Default of false
+     */
+    preview?: boolean;
+};
+export type SeamlessPreview = {
+    before: ImageContext;
+    after: ImageContext;
+};
+/**
+ * Expressions written into each channel (object keys). Values are normalized to 0-1 (HDR images are left as is).
+ *
+ * R, G, B and A read the first image. src0.R, src1.G and so on read the image at that index when there are multiple images.
+ * Expressions support numbers, + - * / and parentheses, along with the functions
+ * abs, ceil, clamp(x, min, max), floor, fract, lerp(a, b, t), max, min, pow(x, y), round, saturate, smoothstep(edge0, edge1, x), sqrt and step(edge, x).
+ */
+export type ChannelExpressions = {
+    R?: string;
+    G?: string;
+    B?: string;
+    A?: string;
+};
+/**
+ * Writes the channels of a pixel from the pixels at index i of the source data to index o of out.
+ * hdr skips converting from and to 0-255.
+ */
+export type CompiledChannelExpressions = (sources: Array<ArrayLike<number>>, i: number, out: Uint8ClampedArray | Float32Array, o: number, hdr: boolean) => void;
+/**
+ * How values are rounded when precision is reduced. bayer and blueNoise are ordered dithers which work on single pixels.
+ * floydSteinberg and atkinson diffuse the rounding error to neighbouring pixels, so they need the whole image.
+ */
+export type DitherMethod = "none" | "bayer" | "blueNoise" | "floydSteinberg" | "atkinson";
+export type QuantizeOptions = {
+    /**
+     * int 2-256 of how many colors the palette has. Ignored when a palette is passed. Default of 256
+     */
+    colors?: number;
+    /**
+     * How the palette is picked. Both work in OKLab so that colors are grouped the way they're seen.
+     * kmeans refines the median cut palette which is slower but closer to the image. Default of "medianCut"
+     */
+    method?: "medianCut" | "kmeans";
+    /**
+     * Up to 256 RGB 0-255 colors to reduce the image to instead of picking a palette.
+     */
+    palette?: Array<[number, number, number]>;
+    /**
+     * Default of "none"
+     */
+    dither?: DitherMethod;
+};
+export type QuantizeResult = {
+    data: PixelData;
+    palette: Array<[number, number, number]>;
+    indices: Uint8Array;
+};
+export type ErrorDiffusionKernel = {
+    divisor: number;
+    taps: Array<[number, number, number]>;
+};
+export type NoiseOptions = {
+    /**
+     * worley is the distance to the closest of randomly placed points (cellular noise). Default of "perlin"
+     */
+    type?: "perlin" | "simplex" | "value" | "worley";
+    /**
+     * int. The same seed gives the same noise on every machine. Default of 0
+     */
+    seed?: number;
+    /**
+     * How many noise cells there are across the width and height of the image. Default of 4
+     */
+    scale?: number;
+    /**
+     * int 1-16 of how many layers of finer noise are added together. Default of 1
+     */
+    octaves?: number;
+    /**
+     * How much finer every octave is than the one before it. Default of 2
+     */
+    lacunarity?: number;
+    /**
+     * How much every octave is multiplied by compared to the one before it. Default of 0.5
+     */
+    gain?: number;
+    /**
+     * How octaves are combined. fbm is the plain sum, turbulence sums the absolute values which makes billowy shapes
+     * and ridged inverts them into sharp ridges. Default of "fbm"
+     */
+    fractal?: "fbm" | "ridged" | "turbulence";
+    /**
+     * How far the noise is pushed around by another noise (domain warping) where 1 is the size of the image. Default of 0
+     */
+    warp?: number;
+    /**
+     * Makes the noise repeat seamlessly. scale and lacunarity must be whole numbers, and scale must be even for simplex noise. Default of false
+     */
+    tileable?: boolean;
+    /**
+     * The channels the noise is written to. Default of ["R", "G", "B"]
+     */
+    channels?: Array<Channel>;
+};
+export type NoiseSampler = (x: number, y: number) => number;
+/**
+ * The pixels of an image. ImageData from node-canvas or browsers works, as does any object of the same shape such as a decoded PNG from pngjs or a raw buffer from sharp.
+ */
+export type PixelData = {
+    data: Uint8ClampedArray;
+    width: number;
+    height: number;
+};
+/**
+ * The part of a 2D context every function works on. node-canvas and browser contexts already are one.
+ */
+export type ImageContext = {
+    /**
+     * Setting the size clears the image like with a canvas.
+     */
+    canvas: {
+        width: number;
+        height: number;
+    };
+    getImageData: (x: number, y: number, width: number, height: number) => PixelData;
+    putImageData: (data: PixelData, x: number, y: number) => void;
+};
+/**
+ * An image a backend can turn into a context. What's accepted depends on the backend.
+ */
+export type BackendImage = any;
+/**
+ * Creates the contexts and pixel data the library makes. Set with setBackend.
+ */
+export type Backend = {
+    name: string;
+    /**
+     * Creates a transparent context.
+     */
+    createContext: (width: number, height: number) => ImageContext;
+    /**
+     * Creates transparent pixel data.
+     */
+    createImageData: (width: number, height: number) => PixelData;
+    /**
+     * Draws a loaded image into a new context.
+     */
+    imageToContext: (image: BackendImage) => ImageContext;
+};
+/**
+ * The parts of the canvas module which the node-canvas backend uses.
+ */
+export type NodeCanvasModule = {
+    createCanvas: (width: number, height: number) => {
+        getContext(type: "2d"): ImageContext & {
+            drawImage(image: any, x: number, y: number): void;
+        };
+    };
+    createImageData: (width: number, height: number) => PixelData;
+};
+export type MaterialMapName = "metallic" | "roughness" | "smoothness" | "occlusion" | "detailMask";
+export type MaterialPreset = "hdrpMask" | "urpMetallic" | "unrealORM" | "gltfMetallicRoughness";
+/**
+ * Greyscale maps by name. Contexts are read from their R channel. A number 0-255 is used as the value of the whole map.
+ */
+export type MaterialMaps = Partial<Record<MaterialMapName, ImageContext | number>>;
+export type ChannelError = {
+    /**
+     * The largest absolute difference 0-255.
+     */
+    maxError: number;
+    /**
+     * The mean absolute difference 0-255.
+     */
+    meanError: number;
+    /**
+     * Root mean square error 0-255.
+     */
+    rmse: number;
+    /**
+     * Peak signal to noise ratio in decibels. Infinity when the images are the same.
+     */
+    psnr: number;
+    /**
+     * Structural similarity in the range of -1 to 1 where 1 is the same. Done with an 11x11 Gaussian window with a sigma of 1.5.
+     */
+    ssim: number;
+};
+export type CompareOptions = {
+    /**
+     * int 0-255 of how much a channel can differ before its pixel counts as different. Default of 0
+     */
+    tolerance?: number;
+    /**
+     * float 0-1 of the fraction of pixels which can be different for the comparison to still pass. Default of 0
+     */
+    maxDifferentPixels?: number;
+    /**
+     * Which channels are compared. Default of all channels
+     */
+    channels?: Array<Channel>;
+    /**
+     * The kind of diff image. heatmap colors different pixels from blue to red to yellow by their largest channel difference.
+     * channels shows the R, G and B differences in their own channels and Alpha differences as white. Both are scaled so the largest difference is at full brightness
+     * and pixels which aren't different are a dimmed greyscale of the first image. Default of "heatmap"
+     */
+    diff?: "heatmap" | "channels" | "none";
+};
+export type CompareResult = {
+    /**
+     * Whether no more than maxDifferentPixels of the pixels are different.
+     */
+    pass: boolean;
+    /**
+     * How many pixels have a channel which differs by more than the tolerance.
+     */
+    differentPixels: number;
+    /**
+     * Of the compared channels.
+     */
+    maxError: number;
+    /**
+     * Of the compared channels.
+     */
+    meanError: number;
+    /**
+     * Of the compared channels.
+     */
+    rmse: number;
+    /**
+     * Of the compared channels.
+     */
+    psnr: number;
+    /**
+     * The mean of the compared channels.
+     */
+    ssim: number;
+    /**
+     * The errors of each compared channel.
+     */
+    channels: Partial<Record<Channel, ChannelError>>;
+    /**
+     * undefined when the diff option is none.
+     */
+    diff: ImageContext | undefined;
+};
 export const normalDefaultRGB: [number, number, number];
 export const channelIndexes: Record<Channel, number>;
+/**
+ * Checks if a value is one of the channel names. Names inherited from Object.prototype such as toString are not channels.
+ * @param value The value to check.
+ * @returns If the value is R, G, B or A.
+ *
+ * @example
+ * isChannel("G"); // true
+ * isChannel("toString"); // false
+ */
+export function isChannel(value: unknown): value is Channel;
 /**
  * Copy channel data to other channels.
+ *
+ * The key channel is copied into the value channel. Use swizzleExpressions to compute channels from expressions instead.
  * @param data Image data.
  * @param options Swizzle options to swap channels.
+ * @param region Limits the swizzle to a rectangle or mask. Default of the whole image
  * @returns The image data is written to directly.
  *
  * @example
  * // Swaps the Red and Blue channel
  * swizzle(imageData, { R: "B", B: "R" });
  */
-export function swizzle(data: Canvas.ImageData, options: RecordChannelsMapOptional): void;
+export function swizzle(data: PixelData, options: RecordChannelsMapOptional, region?: Region): void;
 /**
  * Function that actually swizzles a frame of the image data (copy channel data to other channels).
  *
  * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
- * @param data Image data.
+ * @param data Image data. HDR images work too.
  * @param options Swizzle options to swap channels.
  * @param i Index of data to start swizzling at. Applies at i, i+1, i+2, and i+3.
  * @returns The image data is written to directly.
@@ -38,25 +1077,32 @@ export function swizzle(data: Canvas.ImageData, options: RecordChannelsMapOption
  * 	swizzleFrame(imageData, { R: "B", B: "R" }, i);
  * }
  */
-export function swizzleFrame(data: Canvas.ImageData, options: RecordChannelsMapOptional, i: number): void;
+export function swizzleFrame(data: PixelData | HDRImageData, options: RecordChannelsMapOptional, i: number): void;
 /**
  * Bakes a scale value into a normal map image.
  * @param data Image data.
  * @param scale float value to lerp between default normal value RGB(128, 128, 255) and the current RGB value. Default value of 1.0 for no transformation.
+ * @param renormalize Recomputes the Blue channel (Z) after scaling so that the normals are unit length again. Default of false
+ * @param region Limits the scaling to a rectangle or mask. Default of the whole image
  * @returns The image data is written to directly.
  *
  * @example
  * // Scales a normal map by 2
  * bumpScale(imageData, 2);
+ *
+ * @example
+ * // Scales a normal map by 2 and keeps the normals unit length
+ * bumpScale(imageData, 2, true);
  */
-export function bumpScale(data: Canvas.ImageData, scale: number): void;
+export function bumpScale(data: PixelData, scale: number, renormalize?: boolean, region?: Region): void;
 /**
  * Function that actually scales the normal map image.
  *
  * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
  * @param data Image data.
  * @param scale float value to lerp between default normal value RGB(128, 128, 255) and the current RGB value. Default value of 1.0 for no transformation.
- * @param i Index of data to start scaling at. Applies at i and i+1.
+ * @param i Index of data to start scaling at. Applies at i and i+1. Also applies at i+2 when renormalizing.
+ * @param renormalize Recomputes the Blue channel (Z) after scaling so that the normal is unit length again. Default of false
  * @returns The image data is written to directly.
  *
  * @example
@@ -70,7 +1116,7 @@ export function bumpScale(data: Canvas.ImageData, scale: number): void;
  * 	bumpScaleFrame(imageData, 2, i);
  * }
  */
-export function bumpScaleFrame(data: Canvas.ImageData, scale: number, i: number): void;
+export function bumpScaleFrame(data: PixelData, scale: number, i: number, renormalize?: boolean): void;
 /**
  * Takes an RGB value and multiplies the base image by that RGB value.
  *
@@ -81,13 +1127,27 @@ export function bumpScaleFrame(data: Canvas.ImageData, scale: number, i: number)
  * @param g int 0-255 to multiply the G channel by.
  * @param b int 0-255 to multiply the B channel by.
  * @param int float intensity. Default value should be 1 for no HDR transformation.
+ * @param options Options for the HDR transformation such as which tone mapper to use. Passing options applies the HDR transformation even if int is 1.
+ * @param region Limits the tint to a rectangle or mask. Auto exposure is computed from the part of the image around the region. Default of the whole image
  * @returns The image data is written to directly.
  *
  * @example
  * // Tints the image by half
  * tint(imageData, 128, 128, 128);
+ *
+ * @example
+ * // Tints the image orange with an intensity of 4 using the Hable filmic tone mapper and automatic exposure
+ * tint(imageData, 255, 128, 0, 4, { tonemapper: "hable", autoExposure: true });
+ *
+ * @example
+ * // Darkens a smooth gradient without banding
+ * tint(imageData, 255, 255, 255, 0.3, { dither: "blueNoise" });
+ *
+ * @example
+ * // Recolors only the cloth of a character texture, using the Red channel of an ID mask with softened edges
+ * tint(imageData, 40, 90, 255, 1, undefined, { mask: idMaskContext, channel: "R", feather: 2 });
  */
-export function tint(data: Canvas.ImageData, r: number, g: number, b: number, int?: number): void;
+export function tint(data: PixelData, r: number, g: number, b: number, int?: number, options?: TonemapOptions, region?: Region): void;
 /**
  * Function that actually tints the image
  *
@@ -98,6 +1158,8 @@ export function tint(data: Canvas.ImageData, r: number, g: number, b: number, in
  * @param b int 0-255 to multiply the B channel by.
  * @param int float intensity. Default value should be 1 for no HDR transformation.
  * @param i Index of data to start applying the tinting at. Applies at i, i+1, and i+2. Doesn't touch Alpha (i+3).
+ * @param options Options for the HDR transformation. autoExposure is ignored as it needs the whole image. Use computeAutoExposure and pass the exposure instead.
+ * Error diffusion dithers round normally for the same reason.
  * @returns The image data is written to directly.
  *
  * @example
@@ -111,45 +1173,59 @@ export function tint(data: Canvas.ImageData, r: number, g: number, b: number, in
  * 	tintFrame(imageData, 128, 128, 1, i);
  * }
  */
-export function tintFrame(data: Canvas.ImageData, r: number, g: number, b: number, int: number, i: number): void;
+export function tintFrame(data: PixelData, r: number, g: number, b: number, int: number, i: number, options?: TonemapOptions): void;
 /**
  * Repeat an image a certain number of times in the x and y directions. Can be done independently of each other. Allows setting a target final image size.
+ *
+ * The repeats are exact even when the size isn't divisible by the amount of tiles as the image is resampled with wrapping edges.
  * @param ctx The context containing the image data that will be tiled.
  * @param tileX How many times the image is repeated in the x direction.
  * @param tileY How many times the image is repeated in the y direction.
  * @param size The target size of the image in the x direction. Also applies to the y direction if one isn't supplied.
  * @param sizeY The target size of the image in the y direction.
+ * @param options How the tiles are resampled to fit the size. The edges always wrap.
  * @returns The ctx param is resized to the new size and the tiles are written directly to it.
  *
  * @example
  * // Makes an image repeat twice in the x direction, but leave the y alone. Make the image now twice the width.
  * tile(context, 2, 1, context.canvas.width * 2, context.canvas.height);
  */
-export function tile(ctx: Canvas.CanvasRenderingContext2D, tileX: number, tileY: number, size: number, sizeY?: number): void;
+export function tile(ctx: ImageContext, tileX: number, tileY: number, size: number, sizeY?: number, options?: Omit<ResampleOptions, "addressMode">): void;
 /**
  * Move the whole image in any direction where any parts that would spill over are moved to the other side of the image.
  * @param ctx The context containing the image data that will be offset.
- * @param offsetX The amount of pixels to shift the image right. Can be negative to shift left.
- * @param offsetY The amount of pixels to shift the image down. Can be negative to shift up.
+ * @param offsetX float fraction of the image width to shift the image right, where 0.5 is half of the width. Can be negative to shift left. Whole amounts wrap back to where they started.
+ * @param offsetY float fraction of the image height to shift the image down, where 0.5 is half of the height. Can be negative to shift up. Whole amounts wrap back to where they started.
+ * @param options Passing options resamples the image so that it can be shifted by fractions of a pixel. The edges always wrap.
+ * Otherwise the shift is rounded to whole pixels.
  * @returns The ctx param has the data written directly to it.
  *
  * @example
- * // Move an image to the right 50 pixels and up 50 pixels.
- * offset(context, 50, -50);
+ * // Move an image to the right by a quarter of its width and up by half of its height.
+ * offset(context, 0.25, -0.5);
+ *
+ * @example
+ * // Move an image a third of the way to the right, blending between pixels if that isn't a whole amount of pixels.
+ * offset(context, 1 / 3, 0, { filter: "bilinear" });
  */
-export function offset(ctx: Canvas.CanvasRenderingContext2D, offsetX: number, offsetY: number): void;
+export function offset(ctx: ImageContext, offsetX: number, offsetY: number, options?: Omit<ResampleOptions, "addressMode">): void;
 /**
  * Resizes an image without losing the image data.
  * @param ctx The context containing the image data that will be resized.
  * @param newX The new width in pixels the image will be resized to.
  * @param newY The new height in pixels the image will be resized to. Can be ommited to do automatic resizing based on aspect ratio.
+ * @param options Which filter to resize with, what happens at the edges and whether to filter in linear space. Defaults to bilinear with clamped edges.
  * @returns The ctx param data is copied, resized and then directly written back to it.
  *
  * @example
  * // Resizes an image to 1024 pixels in both directions.
  * resize(context, 1024, 1024);
+ *
+ * @example
+ * // Shrinks an image to 256 pixels wide, keeping the aspect ratio, with Lanczos3 in linear space.
+ * resize(context, 256, undefined, { filter: "lanczos3", linear: true });
  */
-export function resize(ctx: Canvas.CanvasRenderingContext2D, newX: number, newY?: number): void;
+export function resize(ctx: ImageContext, newX: number, newY?: number, options?: ResampleOptions): void;
 /**
  * Flips the image in either the horizontal or vertical planes.
  * @param ctx The context containing the image data that will be flipped.
@@ -160,7 +1236,7 @@ export function resize(ctx: Canvas.CanvasRenderingContext2D, newX: number, newY?
  * // Flips an image horizontally.
  * flip(context, "horizontal");
  */
-export function flip(ctx: Canvas.CanvasRenderingContext2D, direction: "horizontal" | "vertical"): void;
+export function flip(ctx: ImageContext, direction: "horizontal" | "vertical"): void;
 /**
  * Duplicates a context such that modify in place operations will not affect images on the user's end if it may be desireable.
  * @param ctx The context containing the image data that will be duplicated.
@@ -171,24 +1247,28 @@ export function flip(ctx: Canvas.CanvasRenderingContext2D, direction: "horizonta
  * const dupe = duplicate(context);
  * // Do stuff with your dupe like resizing without affecting the original image.
  */
-export function duplicate(ctx: Canvas.CanvasRenderingContext2D): Canvas.CanvasRenderingContext2D;
+export function duplicate(ctx: ImageContext): ImageContext;
 /**
  * Uses a masking image's channel to set the Alpha of a base image.
  * @param base The context containing the image data that will get masked.
  * @param imageMask The context containing the image data that will act as the mask.
  * @param channel The R, G, B or A channel that will be used from the imageMask parameter to mask the base image.
+ * @param resampleOptions How the mask is resized if it isn't the same size as the base image.
  * @returns The base param has the data written directly to it.
  *
  * @example
  * // Masks an image with another from the B channel of the mask.
  * mask(context, maskContext, "B");
  */
-export function mask(base: Canvas.CanvasRenderingContext2D, imageMask: Canvas.CanvasRenderingContext2D, channel: Channel): void;
+export function mask(base: ImageContext, imageMask: ImageContext, channel: Channel, resampleOptions?: ResampleOptions): void;
 /**
  * Takes data from multiple images and packs them into 1 image, allowing you to define what channels from each image go into the R, G, B and A channels of the packed image.
  * @param images An Array of images and which of their channels (object values) will go into the packed image's channels (object keys).
+ * Values can also be channel expressions (see ChannelExpressions) reading from that image. Use packExpressions to combine channels from multiple images.
  * @param sizeX The width of the new packed image.
  * @param sizeY The height of the new packed image.
+ * @param resampleOptions How images are resized if they aren't the same size as the packed image.
+ * premultiply defaults to false as the channels being packed are usually data rather than color.
  * @returns The packed image data as a context.
  *
  * @example
@@ -201,11 +1281,18 @@ export function mask(base: Canvas.CanvasRenderingContext2D, imageMask: Canvas.Ca
  * 	{ data: image2Context, channels: { B: "R", A: "G" } },
  * 	{ data: image3Context, channels: { G: "A" } }
  * ], 1024, 1024);
+ *
+ * @example
+ * // Converts the smoothness in the Alpha channel of the first image into roughness in the packed G channel
+ * const packed = pack([
+ * 	{ data: metallicContext, channels: { R: "R", G: "1 - A" } },
+ * 	{ data: aoContext, channels: { B: "R" } }
+ * ], 1024);
  */
 export function pack(images: Array<{
-    data: Canvas.CanvasRenderingContext2D;
-    channels: RecordChannelsMapOptional;
-}>, sizeX: number, sizeY?: number): Canvas.CanvasRenderingContext2D;
+    data: ImageContext;
+    channels: RecordChannelsMapOptional | ChannelExpressions;
+}>, sizeX: number, sizeY?: number, resampleOptions?: ResampleOptions): ImageContext;
 /**
  * Separates an image by its RGBA channels into 4 different contexts, setting the A value of each one to 255.
  *
@@ -219,15 +1306,15 @@ export function pack(images: Array<{
  * // Gets the R, G, B and A channels as their own contexts from an image
  * const [R, G, B, A] = unpack(context);
  */
-export function unpack(ctx: Canvas.CanvasRenderingContext2D): [Canvas.CanvasRenderingContext2D, Canvas.CanvasRenderingContext2D, Canvas.CanvasRenderingContext2D, Canvas.CanvasRenderingContext2D];
+export function unpack(ctx: ImageContext): [ImageContext, ImageContext, ImageContext, ImageContext];
 /**
- * Helper function that converts a Canvas Image to a context for quick editing.
- * @param img The image loaded by Canvas.
+ * Helper function that converts a loaded image to a context for quick editing.
+ * @param img An image the backend can draw. A Canvas Image for node-canvas, anything drawImage takes for OffscreenCanvas or pixel data for the buffer backend.
  *
  * @example
  * const ctx = await Canvas.loadImage(pathToImage).then(image2Context);
  */
-export function image2Context(img: Canvas.Image): Canvas.CanvasRenderingContext2D;
+export function image2Context(img: BackendImage): ImageContext;
 /**
  * Takes an RGB value in the range of 0-255 and converts it to 0-1 where 255 will output 1.
  * @param tint int color value in the range of 0-255.
@@ -259,7 +1346,7 @@ export function lerp(a: number, b: number, t: number): number;
  */
 export function clamp(min: number, max: number, val: number): number;
 /**
- * Quick way to draw a rect of a color. x, y, z, w is passed directly into CanvasRenderingContext2D.fillRect.
+ * Quick way to draw a rect of an opaque color. x, y, z, h work like CanvasRenderingContext2D.fillRect, rounded to whole pixels.
  * @param ctx The context containing the image data that will be filled.
  * @param r The R component of the color to fill with.
  * @param g The G component of the color to fill with.
@@ -270,7 +1357,7 @@ export function clamp(min: number, max: number, val: number): number;
  * @param h
  * @returns The context is written to directly.
  */
-export function fill(ctx: Canvas.CanvasRenderingContext2D, r: number, g: number, b: number, x?: number, y?: number, z?: number, h?: number): void;
+export function fill(ctx: ImageContext, r: number, g: number, b: number, x?: number, y?: number, z?: number, h?: number): void;
 /**
  * Converts an HDR R, G, or B component to standard RGB color space.
  * @param x Either the R, G, or B component.
@@ -283,17 +1370,1448 @@ export function linearToSRGB(x: number): number;
 export function sRGBToLinear(x: number): number;
 /**
  * Converts an sRGB Color + an intensity value to HDR, applies the intensity,
- * runs that Color through an ACES-inspired tone mapper, and then returns back the Color in sRGB space.
+ * runs that Color through a tone mapper (ACES-inspired by default), and then returns back the Color in sRGB space.
+ *
+ * The grading values can either be passed one by one or as an options object in place of exposure, which also allows picking the tone mapper.
+ * This grades a single color. To grade part of an image, pass a region to tint with the same options, or to applyLUT with a LUT from bakeLUT.
  * @param r sRGB R component.
  * @param g sRGB G component.
  * @param b sRGB B component.
  * @param intensity HDR intensity.
- * @param exposure How much exposure to apply. Default of 1.0
+ * @param exposure How much exposure to apply. Default of 1.0. Can also be an options object. null is the same as passing no options.
  * @param contrast How much contrast to apply. Default of 1.0
  * @param saturation How much saturation to apply. Default of 1.0
  * @param highlightCompression Multiplier of how much highlights affect the image. float typically in the range of 0-1. Default of 1.0
  * @param shadowLifting Additive amount of color to apply to the image. float typically in the range of 0-1. Default of 0.0
  * @returns The RGB color.
+ *
+ * @example
+ * // Same as the default, but with the extended Reinhard tone mapper where 6 is pure white
+ * const [r, g, b] = hdrToSdr(255, 128, 0, 3, { tonemapper: "reinhardExtended", whitePoint: 6 });
+ */
+export function hdrToSdr(r: number, g: number, b: number, intensity: number, exposure?: number | TonemapOptions | null, contrast?: number, saturation?: number, highlightCompression?: number, shadowLifting?: number): [number, number, number];
+/**
+ * Creates a pipeline which fuses multiple frame functions into a single loop over the image data.
+ *
+ * Options are validated when each pass is added, so mistakes are thrown before any image data is touched.
+ * Passes run in the order they were added. The same pipeline can be ran on as many images as you want.
+ *
+ * @example
+ * // Swaps the Red into the Blue channel, tints orange with an intensity of 2 and then scales the normals by 1.5
+ * const pipeline = createPipeline().swizzle({ R: "B" }).tint(255, 128, 0, 2).bumpScale(1.5);
+ * pipeline.run(imageData);
+ * pipeline.run(otherImageData);
+ *
+ * @example
+ * // Runs your own effect in the same loop
+ * createPipeline()
+ * 	.tint(128, 128, 128)
+ * 	.frame((data, i) => { data.data[i + 3] = 255; })
+ * 	.run(imageData);
+ */
+export function createPipeline(): Pipeline;
+/**
+ * Async version of swizzle where the image data is split into bands of rows and processed by worker threads.
+ *
+ * The result is byte identical to swizzle.
+ * @param data Image data.
+ * @param options Swizzle options to swap channels.
+ * @param parallelOptions How many worker threads to split the work between. Defaults to the amount of parallelism available.
+ * @param region Limits the effect to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly once the Promise resolves.
+ *
+ * @example
+ * // Swaps the Red and Blue channel
+ * await swizzleAsync(imageData, { R: "B", B: "R" });
+ */
+export function swizzleAsync(data: PixelData, options: RecordChannelsMapOptional, parallelOptions?: ParallelOptions, region?: Region): Promise<void>;
+/**
+ * Async version of bumpScale where the image data is split into bands of rows and processed by worker threads.
+ *
+ * The result is byte identical to bumpScale.
+ * @param data Image data.
+ * @param scale float value to lerp between default normal value RGB(128, 128, 255) and the current RGB value. Default value of 1.0 for no transformation.
+ * @param options How many worker threads to split the work between, which defaults to the amount of parallelism available.
+ * renormalize recomputes the Blue channel (Z) after scaling so that the normals are unit length again. Default of false
+ * @param region Limits the effect to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly once the Promise resolves.
+ *
+ * @example
+ * // Scales a normal map by 2
+ * await bumpScaleAsync(imageData, 2);
+ *
+ * @example
+ * // Scales a normal map by 2 on 4 threads and keeps the normals unit length
+ * await bumpScaleAsync(imageData, 2, { threads: 4, renormalize: true });
+ */
+export function bumpScaleAsync(data: PixelData, scale: number, options?: BumpScaleAsyncOptions, region?: Region): Promise<void>;
+/**
+ * Async version of tint where the image data is split into bands of rows and processed by worker threads.
+ * This is where the HDR path gets the most benefit as it is the most expensive per pixel.
+ *
+ * The result is byte identical to tint.
+ * @param data Image data.
+ * @param r int 0-255 to multiply the R channel by.
+ * @param g int 0-255 to multiply the G channel by.
+ * @param b int 0-255 to multiply the B channel by.
+ * @param int float intensity. Default value should be 1 for no HDR transformation.
+ * @param options How many worker threads to split the work between along with the options for the HDR transformation.
+ * threads defaults to the amount of parallelism available and doesn't apply the HDR transformation on its own.
+ * autoExposure and error diffusion dithers aren't supported. Use computeAutoExposure and pass the exposure instead.
+ * @param region Limits the effect to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly once the Promise resolves.
+ *
+ * @example
+ * // Tints the image orange with an HDR intensity of 3 using 4 threads
+ * await tintAsync(imageData, 255, 128, 0, 3, { threads: 4 });
+ *
+ * @example
+ * // Same, but with the Hable filmic tone mapper
+ * await tintAsync(imageData, 255, 128, 0, 3, { threads: 4, tonemapper: "hable" });
+ */
+export function tintAsync(data: PixelData, r: number, g: number, b: number, int?: number, options?: TintAsyncOptions, region?: Region): Promise<void>;
+/**
+ * Terminates the worker threads used by the async functions. They are created again the next time they're needed.
+ *
+ * Workers don't keep the process alive while idle, so this is only needed if you want the threads gone right away.
+ */
+export function terminateWorkers(): Promise<void>;
+/**
+ * Creates an empty HDR image. The data is laid out the same as PixelData (RGBA), but each component is a linear float instead of a 0-255 int.
+ * Alpha stays in the range of 0-1.
+ * @param width The width of the image in pixels.
+ * @param height The height of the image in pixels.
+ *
+ * @example
+ * const hdr = createHDRImageData(1024, 512);
+ */
+export function createHDRImageData(width: number, height: number): HDRImageData;
+/**
+ * Converts standard 8 bit image data to an HDR image by converting the RGB components into linear space.
+ * @param data Image data.
+ *
+ * @example
+ * const hdr = imageDataToHDR(context.getImageData(0, 0, context.canvas.width, context.canvas.height));
+ */
+export function imageDataToHDR(data: PixelData): HDRImageData;
+/**
+ * Copy channel data to other channels of an HDR image. Works exactly like swizzle.
+ * @param hdr HDR image.
+ * @param options Swizzle options to swap channels. swizzleExpressions works on HDR images too.
+ * @param region Limits the swizzle to a rectangle or mask. Default of the whole image
+ * @returns The HDR image is written to directly.
+ *
+ * @example
+ * // Swaps the Red and Blue channel
+ * swizzleHDR(hdr, { R: "B", B: "R" });
+ */
+export function swizzleHDR(hdr: HDRImageData, options: RecordChannelsMapOptional, region?: Region): void;
+/**
+ * Takes an RGB value and multiplies the HDR image by that RGB value and an intensity.
+ *
+ * Works like tint, except that the intensity is a plain multiplier as the values are already linear and don't need tone mapping.
+ * Negative RGB values invert the channel the same way tint does, where 1 is treated as white.
+ * @param hdr HDR image.
+ * @param r int 0-255 to multiply the R channel by.
+ * @param g int 0-255 to multiply the G channel by.
+ * @param b int 0-255 to multiply the B channel by.
+ * @param int float intensity. Default value of 1.
+ * @param region Limits the tint to a rectangle or mask. Default of the whole image
+ * @returns The HDR image is written to directly.
+ *
+ * @example
+ * // Tints the image orange and makes it 4 times as bright
+ * tintHDR(hdr, 255, 128, 0, 4);
+ */
+export function tintHDR(hdr: HDRImageData, r: number, g: number, b: number, int?: number, region?: Region): void;
+/**
+ * Function that actually tints the HDR image.
+ *
+ * This function is just for optimization when you are running your own passes on the HDR image and applying your own processing on top of this effect.
+ * @param hdr HDR image.
+ * @param r int 0-255 to multiply the R channel by.
+ * @param g int 0-255 to multiply the G channel by.
+ * @param b int 0-255 to multiply the B channel by.
+ * @param int float intensity. Default value should be 1.
+ * @param i Index of data to start applying the tinting at. Applies at i, i+1, and i+2. Doesn't touch Alpha (i+3).
+ * @returns The HDR image is written to directly.
+ *
+ * @example
+ * // Goes through the whole HDR image tinting it by half. This is how it should be used.
+ * // The tintHDR function does this for you.
+ * for (let i = 0; i < hdr.data.length; i += 4) {
+ * 	tintHDRFrame(hdr, 128, 128, 128, 1, i);
+ * }
+ */
+export function tintHDRFrame(hdr: HDRImageData, r: number, g: number, b: number, int: number, i: number): void;
+/**
+ * Runs linearToSRGB over the RGB components of every pixel of an HDR image. Values above 1 are left unclamped.
+ * @param hdr HDR image.
+ * @returns The HDR image is written to directly.
+ */
+export function linearToSRGBHDR(hdr: HDRImageData): void;
+/**
+ * Runs sRGBToLinear over the RGB components of every pixel of an HDR image.
+ * @param hdr HDR image.
+ * @returns The HDR image is written to directly.
+ */
+export function sRGBToLinearHDR(hdr: HDRImageData): void;
+/**
+ * Runs an HDR image through the same grading and tone mappers as hdrToSdr and returns standard 8 bit image data.
+ * @param hdr HDR image. Expected to be in linear space.
+ * @param options The same options hdrToSdr takes. autoExposure is supported and measures the whole image.
+ * @param region Limits the grading to a rectangle or mask. Pixels outside of it are only converted to sRGB and clamped. Default of the whole image
+ * @returns New image data in sRGB space.
+ *
+ * @example
+ * const imageData = tonemapHDR(hdr, { tonemapper: "agx", autoExposure: true });
+ * context.putImageData(imageData, 0, 0);
+ *
+ * @example
+ * // Only grades the sky marked in the Blue channel of a mask
+ * const imageData = tonemapHDR(hdr, { tonemapper: "hable", exposure: 0.5 }, { mask: skyMaskContext, channel: "B", feather: 4 });
+ */
+export function tonemapHDR(hdr: HDRImageData, options?: TonemapOptions, region?: Region): PixelData;
+/**
+ * Decodes a Radiance .hdr (RGBE) file into an HDR image. Both run length encoded and flat scanlines are supported.
+ *
+ * Only the 32-bit_rle_rgbe format with the standard -Y +X (or +Y +X) orientations is supported. The EXPOSURE header is not applied.
+ * @param buffer The contents of the file.
+ * @returns The decoded HDR image. Alpha is set to 1.
+ *
+ * @example
+ * const hdr = decodeHDR(fs.readFileSync("./environment.hdr"));
+ */
+export function decodeHDR(buffer: Uint8Array): HDRImageData;
+/**
+ * Encodes an HDR image into a run length encoded Radiance .hdr (RGBE) file. Alpha is discarded.
+ * @param hdr HDR image. Expected to be in linear space.
+ * @returns The contents of the file.
+ *
+ * @example
+ * fs.writeFileSync("./environment.hdr", encodeHDR(hdr));
+ */
+export function encodeHDR(hdr: HDRImageData): Uint8Array;
+/**
+ * The tone mappers that hdrToSdr, tint and tonemapHDR can pick from by name. Add your own with registerTonemapper.
+ *
+ * Every operator takes linear RGB and returns linear RGB which is expected to be in the range of 0-1.
+ * - aces: The curve this library has always used. It is the same as narkowicz.
+ * - narkowicz: Krzysztof Narkowicz's fit of the ACES filmic curve.
+ * - reinhard: x / (1 + x).
+ * - reinhardExtended: Reinhard where whitePoint is mapped to pure white.
+ * - hable: John Hable's Uncharted 2 filmic curve.
+ * - agx: The AgX base look with the default sigmoid.
+ * @type {Record<string, TonemapOperator>}
+ */
+export const tonemappers: Record<string, TonemapOperator>;
+/**
+ * Adds a tone mapper to the registry so that it can be picked by name.
+ * @param name The name to pick the tone mapper by. Can replace existing tone mappers.
+ * @param operator Takes linear RGB and returns linear RGB which is expected to be in the range of 0-1.
+ *
+ * @example
+ * registerTonemapper("clip", (r, g, b) => [Math.min(r, 1), Math.min(g, 1), Math.min(b, 1)]);
+ * tint(imageData, 255, 255, 255, 2, { tonemapper: "clip" });
+ */
+export function registerTonemapper(name: string, operator: TonemapOperator): void;
+/**
+ * Computes an exposure multiplier which brings the log-average luminance of an image to the key value.
+ * @param data Image data or an HDR image. Image data is converted to linear space first.
+ * @param key The luminance the average is mapped to. Default of 0.18 (middle grey)
+ * @param intensity A multiplier applied to the image before measuring, like the intensity passed to hdrToSdr. Default of 1.0
+ * @returns The exposure multiplier.
+ *
+ * @example
+ * const exposure = computeAutoExposure(hdr);
+ * const imageData = tonemapHDR(hdr, { exposure, tonemapper: "agx" });
+ */
+export function computeAutoExposure(data: PixelData | HDRImageData, key?: number, intensity?: number): number;
+/**
+ * Parses the contents of an Adobe/Resolve .cube file into a LUT. Both 1D and 3D LUTs are supported.
+ * @param text The contents of the file.
+ *
+ * @example
+ * const lut = decodeCube(fs.readFileSync("./grade.cube", "utf-8"));
+ */
+export function decodeCube(text: string): LUT;
+/**
+ * Writes a LUT as the contents of a .cube file.
+ * @param lut The LUT to write.
+ *
+ * @example
+ * fs.writeFileSync("./grade.cube", encodeCube(lut));
+ */
+export function encodeCube(lut: LUT): string;
+/**
+ * Applies a 1D or 3D LUT to the image. The image's 0-255 values are treated as 0-1 (in the LUT's domain) when looking up the LUT.
+ * @param data Image data.
+ * @param lut The LUT to apply. See decodeCube.
+ * @param interpolation How to interpolate between the entries of 3D LUTs. 1D LUTs are always interpolated linearly. Default of "trilinear"
+ * @param region Limits the LUT to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * applyLUT(imageData, decodeCube(fs.readFileSync("./grade.cube", "utf-8")), "tetrahedral");
+ *
+ * @example
+ * // Applies the grade hdrToSdr would to only the top half of the image
+ * applyLUT(imageData, bakeLUT({ intensity: 2, tonemapper: "agx" }), "trilinear", { height: imageData.height / 2 });
+ */
+export function applyLUT(data: PixelData, lut: LUT, interpolation?: LUTInterpolation, region?: Region): void;
+/**
+ * Function that actually applies the LUT to the image.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param lut The LUT to apply. See decodeCube.
+ * @param interpolation How to interpolate between the entries of 3D LUTs.
+ * @param i Index of data to start applying the LUT at. Applies at i, i+1, and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data applying the LUT. This is how it should be used.
+ * // The applyLUT function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	applyLUTFrame(imageData, lut, "trilinear", i);
+ * }
+ */
+export function applyLUTFrame(data: PixelData, lut: LUT, interpolation: LUTInterpolation, i: number): void;
+/**
+ * Bakes the grade hdrToSdr applies with the given options into a 3D LUT so that it can be previewed in other tools. See encodeCube.
+ * @param options The same options hdrToSdr takes (autoExposure isn't supported as there's no image) plus the intensity,
+ * how many entries along each axis the LUT has (default of 33) and the title of the LUT.
+ *
+ * @example
+ * const lut = bakeLUT({ intensity: 2, contrast: 1.2, saturation: 1.1, tonemapper: "hable" });
+ * fs.writeFileSync("./grade.cube", encodeCube(lut));
+ */
+export function bakeLUT(options?: BakeLUTOptions): LUT;
+/**
+ * Makes every normal in a normal map unit length again. Useful after edits which don't keep the length such as bumpScale without renormalizing.
+ * @param data Image data.
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * normalizeNormals(imageData);
+ */
+export function normalizeNormals(data: PixelData): void;
+/**
+ * Function that actually makes the normal unit length.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param i Index of data to start normalizing at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data normalizing the normals. This is how it should be used.
+ * // The normalizeNormals function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	normalizeNormalsFrame(imageData, i);
+ * }
+ */
+export function normalizeNormalsFrame(data: PixelData, i: number): void;
+/**
+ * Converts a normal map between the OpenGL (green up) and DirectX (green down) conventions by flipping the Green channel.
+ * The conversion is the same in both directions.
+ * @param data Image data.
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Converts a DirectX normal map to OpenGL
+ * flipNormalGreen(imageData);
+ */
+export function flipNormalGreen(data: PixelData): void;
+/**
+ * Function that actually flips the Green channel of the normal map.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param i Index of data to start flipping at. Applies at i+1.
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data flipping the Green channel. This is how it should be used.
+ * // The flipNormalGreen function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	flipNormalGreenFrame(imageData, i);
+ * }
+ */
+export function flipNormalGreenFrame(data: PixelData, i: number): void;
+/**
+ * Generates a normal map from a height map where brighter values are higher.
+ * @param data Image data of the height map.
+ * @param options
+ * @returns New image data of the normal map. Alpha is copied from the height map.
+ *
+ * @example
+ * // Generates a DirectX normal map from the Red channel of a tiling height map
+ * const normals = heightToNormal(heightData, { strength: 4, kernel: "scharr", convention: "directx" });
+ * context.putImageData(normals, 0, 0);
+ */
+export function heightToNormal(data: PixelData, options?: HeightToNormalOptions): PixelData;
+/**
+ * Blends a detail normal map on top of a base normal map. Both normal maps must use the same convention and be the same size.
+ *
+ * - rnm: Reoriented Normal Mapping. The detail is rotated to follow the base which keeps the most detail.
+ * - whiteout: Adds the slopes together and multiplies the Z. Cheaper, but flattens a little.
+ * - udn: Adds the slopes together and keeps the base's Z. The cheapest and the flattest.
+ * @param base Image data of the base normal map.
+ * @param detail Image data of the detail normal map.
+ * @param method How to blend the normals. Default of "rnm"
+ * @returns The base image data is written to directly. Alpha is left alone.
+ *
+ * @example
+ * blendNormals(baseData, detailData, "whiteout");
+ */
+export function blendNormals(base: PixelData, detail: PixelData, method?: NormalBlendMethod): void;
+/**
+ * Function that actually blends the normals.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param base Image data of the base normal map.
+ * @param detail Image data of the detail normal map.
+ * @param method How to blend the normals.
+ * @param i Index of data to start blending at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The base image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data blending the normals. This is how it should be used.
+ * // The blendNormals function does this for you.
+ * for (let i = 0; i < baseData.data.length; i += 4) {
+ * 	blendNormalsFrame(baseData, detailData, "rnm", i);
+ * }
+ */
+export function blendNormalsFrame(base: PixelData, detail: PixelData, method: NormalBlendMethod, i: number): void;
+/**
+ * Resamples an image to a new size.
+ *
+ * Filtering is done with premultiplied alpha so that transparent pixels don't bleed their color into the result, unless premultiply is false.
+ * When shrinking an image, the filter is widened to cover all of the source pixels which prevents aliasing.
+ * @param data Image data.
+ * @param width The new width in pixels.
+ * @param height The new height in pixels.
+ * @param options
+ * @returns New image data of the resampled image.
+ *
+ * @example
+ * // Halves an image with Lanczos3 in linear space
+ * const half = resample(imageData, imageData.width / 2, imageData.height / 2, { filter: "lanczos3", linear: true });
+ */
+export function resample(data: PixelData, width: number, height: number, options?: ResampleOptions): PixelData;
+/**
+ * Kernels for common effects. Use them with convolve.
+ * @type {{ sobelX: Kernel2D, sobelY: Kernel2D, laplacian: Kernel2D, emboss: Kernel2D, sharpen: Kernel2D }}
+ */
+export const convolutionKernels: {
+    sobelX: Kernel2D;
+    sobelY: Kernel2D;
+    laplacian: Kernel2D;
+    emboss: Kernel2D;
+    sharpen: Kernel2D;
+};
+/**
+ * Creates a separable Gaussian blur kernel.
+ * @param radius int How many pixels out from the center the kernel reaches.
+ * @param sigma float The standard deviation of the Gaussian. Default of a third of the radius, so the kernel covers 3 standard deviations.
+ *
+ * @example
+ * const blurred = convolve(imageData, gaussianKernel(5));
+ */
+export function gaussianKernel(radius: number, sigma?: number): SeparableKernel;
+/**
+ * Creates a separable box blur kernel where every pixel within the radius is weighted equally.
+ * @param radius int How many pixels out from the center the kernel reaches.
+ */
+export function boxKernel(radius: number): SeparableKernel;
+/**
+ * Convolves an image with a kernel. Separable kernels ({ x, y }) are done as two passes which is much faster for large kernels.
+ *
+ * The center of the kernel is at floor(width / 2), floor(height / 2), so kernels should have odd sizes.
+ * @param data Image data.
+ * @param kernel The weights to apply. 2D weights are in rows from top to bottom.
+ * @param options
+ * @returns New image data of the convolved image.
+ *
+ * @example
+ * // Sharpens only the RGB channels with wrapping edges
+ * const sharpened = convolve(imageData, convolutionKernels.sharpen, { channels: ["R", "G", "B"], border: "wrap" });
+ */
+export function convolve(data: PixelData, kernel: ConvolutionKernel, options?: ConvolveOptions): PixelData;
+/**
+ * Blurs an image with a Gaussian kernel. Alpha is respected so transparent pixels don't bleed their color.
+ * @param data Image data.
+ * @param radius int How many pixels out from each pixel are blurred together.
+ * @param options The sigma defaults to a third of the radius.
+ * @returns New image data of the blurred image.
+ *
+ * @example
+ * const blurred = gaussianBlur(imageData, 8);
+ */
+export function gaussianBlur(data: PixelData, radius: number, options?: Omit<ConvolveOptions, "divisor" | "bias" | "absolute"> & {
+    sigma?: number;
+}): PixelData;
+/**
+ * Blurs an image where every pixel within the radius is weighted equally. Alpha is respected so transparent pixels don't bleed their color.
+ * @param data Image data.
+ * @param radius int How many pixels out from each pixel are blurred together.
+ * @param options
+ * @returns New image data of the blurred image.
+ */
+export function boxBlur(data: PixelData, radius: number, options?: Omit<ConvolveOptions, "divisor" | "bias" | "absolute">): PixelData;
+/**
+ * Sharpens an image by adding the difference between it and a Gaussian blurred copy of it. Alpha is left alone.
+ * @param data Image data.
+ * @param options amount is how much of the difference is added (default of 1.0),
+ * radius is the radius of the blur (default of 2) and threshold is the int 0-255 difference a channel needs before it is sharpened (default of 0).
+ * @returns New image data of the sharpened image.
+ *
+ * @example
+ * const sharpened = unsharpMask(imageData, { amount: 0.8, radius: 3, threshold: 4 });
+ */
+export function unsharpMask(data: PixelData, options?: {
+    amount?: number;
+    radius?: number;
+    threshold?: number;
+    border?: BorderMode;
+}): PixelData;
+/**
+ * Detects edges with the Sobel operator. Each channel becomes the strength of the edges in that channel.
+ * @param data Image data.
+ * @param options channels defaults to R, G and B. Alpha is copied over as is by default.
+ * @returns New image data of the edges.
+ *
+ * @example
+ * const edges = sobel(imageData);
+ */
+export function sobel(data: PixelData, options?: {
+    channels?: Array<Channel>;
+    border?: BorderMode;
+}): PixelData;
+/**
+ * Detects edges with the Laplacian operator. Each channel becomes the strength of the edges in that channel.
+ * @param data Image data.
+ * @param options channels defaults to R, G and B. Alpha is copied over as is by default.
+ * @returns New image data of the edges.
+ */
+export function laplacian(data: PixelData, options?: {
+    channels?: Array<Channel>;
+    border?: BorderMode;
+}): PixelData;
+/**
+ * Makes an image look raised where it gets brighter towards the bottom right. Flat areas become grey.
+ * @param data Image data.
+ * @param options channels defaults to R, G and B. Alpha is copied over as is by default.
+ * @returns New image data of the embossed image.
+ */
+export function emboss(data: PixelData, options?: {
+    channels?: Array<Channel>;
+    border?: BorderMode;
+}): PixelData;
+/**
+ * Composites a layer on top of a base image with a blend mode, the way image editors do.
+ *
+ * The blend modes and compositing follow the W3C Compositing and Blending spec with source-over compositing,
+ * which means the layer's alpha (times the opacity and mask) decides how much of the blended color is used.
+ * The layer and mask are resized like mask and pack do if they aren't the same size as the base.
+ * @param base The context that gets blended onto.
+ * @param layer The context that is blended on top of the base.
+ * @param mode How the colors of the layer and base are combined. Default of "normal"
+ * @param options
+ * @returns The base param has the data written directly to it.
+ *
+ * @example
+ * // Multiplies a dirt layer onto a texture at half strength where the mask's Red channel is bright
+ * blend(texture, dirt, "multiply", { opacity: 0.5, maskCtx: dirtMask, maskChannel: "R" });
+ */
+export function blend(base: ImageContext, layer: ImageContext, mode?: BlendMode, options?: BlendOptions): void;
+/**
+ * Removes the visible edges of an image when it repeats so that it can be used as a tiling texture.
+ *
+ * Near the edges, the image is blended with a copy of itself offset by half (which repeats cleanly at the edges).
+ * This is done horizontally and then vertically so that the corners are seamless as well.
+ * @param ctx The context containing the image data that will be made seamless.
+ * @param options
+ * @returns The before and after previews if options.preview is true. The ctx param has the data written directly to it.
+ *
+ * @example
+ * // Makes a gravel texture tile and compares the seams before and after
+ * const { before, after } = makeSeamless(context, { mode: "histogram", blendWidth: 0.25, preview: true });
+ */
+export function makeSeamless(ctx: ImageContext, options?: SeamlessOptions): SeamlessPreview | undefined;
+/**
+ * Lays out many images into one or more atlas pages (sprite sheets).
+ *
+ * Images are sorted from largest to smallest and each page is filled as much as possible before moving on to the next.
+ * @param images The images and the names they are referred to by in the frames.
+ * @param options
+ * @returns The pages with the images drawn to them and where each image is.
+ *
+ * @example
+ * const atlas = packAtlas([
+ * 	{ name: "button.png", ctx: buttonContext },
+ * 	{ name: "icon.png", ctx: iconContext }
+ * ], { width: 1024, height: 1024, padding: 2, extrude: 1, allowRotation: true });
+ * const json = atlasToJSON(atlas, { format: "hash", imageNames: ["ui.png"] });
+ */
+export function packAtlas(images: Array<{
+    name: string;
+    ctx: ImageContext;
+}>, options?: AtlasOptions): Atlas;
+/**
+ * Exports where each image is in an atlas as TexturePacker compatible JSON. One object is returned per page as each JSON file describes one image.
+ * @param atlas The atlas from packAtlas.
+ * @param options format is whether frames are an object keyed by name (hash) or an array (array). Default of "hash".
+ * imageNames are the file names the pages will be saved as. Default of atlas-0.png, atlas-1.png and so on.
+ * @returns The JSON for each page. Pass each one to JSON.stringify.
+ *
+ * @example
+ * const [json] = atlasToJSON(atlas, { format: "array", imageNames: ["ui.png"] });
+ * fs.writeFileSync("./ui.json", JSON.stringify(json, null, 2));
+ */
+export function atlasToJSON(atlas: Atlas, options?: {
+    format?: "hash" | "array";
+    imageNames?: Array<string>;
+}): Array<Record<string, any>>;
+/**
+ * Generates a full mipmap chain where each level is half the size of the last (rounded down, never smaller than 1) until the level is 1x1.
+ *
+ * Every level is filtered from the full precision of the level before it, so alpha test coverage scaling doesn't build up through the chain.
+ * @param ctx The context containing the image data of the base level.
+ * @param options
+ * @returns New contexts for every level. Index 0 is a copy of the base level.
+ *
+ * @example
+ * const mips = generateMipmaps(ctx, { colorSpace: "srgb", filter: "mitchell", alphaTestThreshold: 128 });
+ * mips.forEach((mip, level) => fs.writeFileSync(`./leaves_mip${level}.png`, mip.canvas.toBuffer("image/png")));
+ */
+export function generateMipmaps(ctx: ImageContext, options?: MipmapOptions): Array<ImageContext>;
+/**
+ * Parses, validates and compiles channel expressions into a single function which can be ran for every pixel.
+ * @param expressions The expression for each channel which should be written.
+ * @param sourceCount How many images the expressions can read from with src0, src1 and so on. Default of 1
+ *
+ * @example
+ * // Converts smoothness in the Alpha channel into roughness
+ * const toRoughness = compileChannelExpressions({ R: "1 - A", G: "1 - A", B: "1 - A", A: "1" });
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	toRoughness([imageData.data], i, imageData.data, i, false);
+ * }
+ */
+export function compileChannelExpressions(expressions: ChannelExpressions, sourceCount?: number): CompiledChannelExpressions;
+/**
+ * Packs channels from multiple images into one image where each channel is computed from an expression which can read any of the images.
+ *
+ * Channels without an expression are left at 0, so you'll usually want A: "1".
+ * @param images The images the expressions read from as src0, src1 and so on.
+ * @param expressions The expression for each channel of the packed image.
+ * @param sizeX The width of the packed image.
+ * @param sizeY The height of the packed image. Default of sizeX
+ * @param resampleOptions How images are resized if they aren't the same size as the packed image.
+ * premultiply defaults to false as the channels being packed are usually data rather than color.
+ * @returns A new context containing the packed image.
+ *
+ * @example
+ * // Roughness from the smoothness of a metallic map and AO averaged from two bakes
+ * const packed = packExpressions([metallicSmoothness, aoA, aoB], {
+ * 	R: "1 - src0.A",
+ * 	G: "src1.R * 0.5 + src2.R * 0.5",
+ * 	B: "src0.R",
+ * 	A: "1"
+ * }, 1024);
+ */
+export function packExpressions(images: Array<ImageContext>, expressions: ChannelExpressions, sizeX: number, sizeY?: number, resampleOptions?: ResampleOptions): ImageContext;
+/**
+ * Writes channel expressions into the channels of an image. Unlike swizzle, the keys are always the channels which are written, like pack,
+ * so { B: "R" } copies Red into Blue. Every expression reads the pixel from before any channel was written.
+ * @param data Image data. HDR images work too, where expressions work on the linear values as they are rather than 0-1.
+ * @param expressions The expression for each channel which should be written.
+ * @param region Limits the expressions to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Inverts the Green channel and averages Red and Blue into Alpha
+ * swizzleExpressions(imageData, { G: "1 - G", A: "(R + B) / 2" });
+ */
+export function swizzleExpressions(data: PixelData | HDRImageData, expressions: ChannelExpressions, region?: Region): void;
+/**
+ * Function that actually writes the channel expressions into a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data. HDR images work too.
+ * @param expressions Expressions are compiled once for each expressions object, so reuse the same object for every frame.
+ * @param i Index of data to start writing at. Applies at i, i+1, i+2, and i+3 depending on the channels.
+ * @returns The image data is written to directly.
+ */
+export function swizzleExpressionsFrame(data: PixelData | HDRImageData, expressions: ChannelExpressions, i: number): void;
+/**
+ * Limits where an effect is applied. The rectangle and mask can be used together, in which case the mask is only used inside of the rectangle.
+ * @typedef {Object} Region
+ * @property {number} [x] The left of the rectangle in pixels. Default of 0
+ * @property {number} [y] The top of the rectangle in pixels. Default of 0
+ * @property {number} [width] The width of the rectangle in pixels. Default of the rest of the image
+ * @property {number} [height] The height of the rectangle in pixels. Default of the rest of the image
+ * @property {ImageContext} [mask] The context containing a mask which weights how much of the effect each pixel gets, from none (0) to all of it (255). Resized to fit if needed.
+ * @property {Channel} [channel] The channel of the mask to read the weights from. Default of "R"
+ * @property {number} [feather] int Blurs the edges of the rectangle and mask by this many pixels. Default of 0
+ * @property {boolean} [invert] Applies the effect outside of the region instead. Default of false
+ */
+/**
+ * Computes how much of an effect each pixel of an image gets from a region. Useful for limiting your own frame passes, where you can lerp between the original and processed values by the weights.
+ * @param region
+ * @param width The width of the image in pixels.
+ * @param height The height of the image in pixels.
+ * @returns A 0-1 weight for every pixel (not every channel) in the image.
+ *
+ * @example
+ * // Only recolors the pixels marked in the Red channel of an ID mask with softened edges
+ * const weights = createRegionWeights({ mask: idMaskContext, channel: "R", feather: 2 }, imageData.width, imageData.height);
+ */
+export function createRegionWeights(region: Region, width: number, height: number): Float32Array;
+/**
+ * Converts an sRGB color to HSV.
+ * @param r int 0-255.
+ * @param g int 0-255.
+ * @param b int 0-255.
+ * @returns Hue in degrees 0-360, saturation 0-1 and value 0-1.
+ *
+ * @example
+ * const [h, s, v] = rgbToHsv(255, 128, 0);
+ */
+export function rgbToHsv(r: number, g: number, b: number): [number, number, number];
+/**
+ * Converts an HSV color to sRGB.
+ * @param h Hue in degrees. Wraps around.
+ * @param s Saturation 0-1.
+ * @param v Value 0-1.
+ * @returns R, G and B 0-255. Not rounded.
+ */
+export function hsvToRgb(h: number, s: number, v: number): [number, number, number];
+/**
+ * Converts an sRGB color to HSL.
+ * @param r int 0-255.
+ * @param g int 0-255.
+ * @param b int 0-255.
+ * @returns Hue in degrees 0-360, saturation 0-1 and lightness 0-1.
+ */
+export function rgbToHsl(r: number, g: number, b: number): [number, number, number];
+/**
+ * Converts an HSL color to sRGB.
+ * @param h Hue in degrees. Wraps around.
+ * @param s Saturation 0-1.
+ * @param l Lightness 0-1.
+ * @returns R, G and B 0-255. Not rounded.
+ */
+export function hslToRgb(h: number, s: number, l: number): [number, number, number];
+/**
+ * Converts an sRGB color to CIE Lab using the D65 white point.
+ * @param r int 0-255.
+ * @param g int 0-255.
+ * @param b int 0-255.
+ * @returns L 0-100 and a and b which are roughly -128 to 128.
+ */
+export function rgbToLab(r: number, g: number, b: number): [number, number, number];
+/**
+ * Converts a CIE Lab color using the D65 white point to sRGB.
+ * @param l L 0-100.
+ * @param a
+ * @param b
+ * @returns R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+export function labToRgb(l: number, a: number, b: number): [number, number, number];
+/**
+ * Converts an sRGB color to CIE LCh, the polar form of Lab.
+ * @param r int 0-255.
+ * @param g int 0-255.
+ * @param b int 0-255.
+ * @returns L 0-100, chroma and hue in degrees 0-360.
+ */
+export function rgbToLch(r: number, g: number, b: number): [number, number, number];
+/**
+ * Converts a CIE LCh color to sRGB.
+ * @param l L 0-100.
+ * @param c Chroma.
+ * @param h Hue in degrees.
+ * @returns R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+export function lchToRgb(l: number, c: number, h: number): [number, number, number];
+/**
+ * Converts an sRGB color to OKLab, which is more perceptually uniform than CIE Lab especially for blues.
+ * @param r int 0-255.
+ * @param g int 0-255.
+ * @param b int 0-255.
+ * @returns L 0-1 and a and b which are roughly -0.4 to 0.4.
+ *
+ * @example
+ * const [l, a, b] = rgbToOklab(255, 128, 0);
+ */
+export function rgbToOklab(r: number, g: number, b: number): [number, number, number];
+/**
+ * Converts an OKLab color to sRGB.
+ * @param l L 0-1.
+ * @param a
+ * @param b
+ * @returns R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+export function oklabToRgb(l: number, a: number, b: number): [number, number, number];
+/**
+ * Converts an sRGB color to OKLCh, the polar form of OKLab.
+ * @param r int 0-255.
+ * @param g int 0-255.
+ * @param b int 0-255.
+ * @returns L 0-1, chroma (up to around 0.32 for sRGB colors) and hue in degrees 0-360.
+ */
+export function rgbToOklch(r: number, g: number, b: number): [number, number, number];
+/**
+ * Converts an OKLCh color to sRGB.
+ * @param l L 0-1.
+ * @param c Chroma.
+ * @param h Hue in degrees.
+ * @returns R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+export function oklchToRgb(l: number, c: number, h: number): [number, number, number];
+/**
+ * Rotates the hue of an image in OKLCh, which keeps the lightness of colors the same unlike rotating in HSV or HSL.
+ * @param data Image data.
+ * @param degrees How far to rotate the hue. Can be negative.
+ * @param region Limits the shift to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Turns reds into greens
+ * hueShift(imageData, 120);
+ */
+export function hueShift(data: PixelData, degrees: number, region?: Region): void;
+/**
+ * Function that actually rotates the hue of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param degrees How far to rotate the hue. Can be negative.
+ * @param i Index of data to start shifting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data rotating the hue by 120 degrees. This is how it should be used.
+ * // The hueShift function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	hueShiftFrame(imageData, 120, i);
+ * }
+ */
+export function hueShiftFrame(data: PixelData, degrees: number, i: number): void;
+/**
+ * Scales the chroma of an image in OKLCh. Unlike hdrToSdr's saturation, hues don't drift and colors don't get lighter or darker.
+ * @param data Image data.
+ * @param amount float multiplier of the chroma where 0 is greyscale and 1 is no change.
+ * @param region Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Makes an image 50% more saturated
+ * adjustSaturation(imageData, 1.5);
+ */
+export function adjustSaturation(data: PixelData, amount: number, region?: Region): void;
+/**
+ * Function that actually scales the chroma of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param amount float multiplier of the chroma where 0 is greyscale and 1 is no change.
+ * @param i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ */
+export function adjustSaturationFrame(data: PixelData, amount: number, i: number): void;
+/**
+ * Raises or lowers the lightness of an image in OKLCh, keeping the hue and chroma.
+ * @param data Image data.
+ * @param amount float added to the lightness, which is 0-1. Can be negative.
+ * @param region Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Darkens an image slightly
+ * adjustLightness(imageData, -0.1);
+ */
+export function adjustLightness(data: PixelData, amount: number, region?: Region): void;
+/**
+ * Function that actually adjusts the lightness of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param amount float added to the lightness, which is 0-1. Can be negative.
+ * @param i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ */
+export function adjustLightnessFrame(data: PixelData, amount: number, i: number): void;
+/**
+ * Saturates muted colors more than colors which are already saturated, which avoids oversaturating skin and bright colors.
+ * @param data Image data.
+ * @param amount float where 0 is no change, 1 doubles the chroma of grey-ish colors and negative values mute them.
+ * @param region Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * vibrance(imageData, 0.5);
+ */
+export function vibrance(data: PixelData, amount: number, region?: Region): void;
+/**
+ * Function that actually applies vibrance to a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param amount float where 0 is no change, 1 doubles the chroma of grey-ish colors and negative values mute them.
+ * @param i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ */
+export function vibranceFrame(data: PixelData, amount: number, i: number): void;
+/**
+ * Tints an image by giving it the hue and chroma of a color while keeping the lightness of every pixel.
+ *
+ * Unlike the multiplicative tint, colors don't get darker or muddier. Colors which can't be shown in sRGB have their chroma reduced instead of being clipped, so the hue stays the same.
+ * @param data Image data.
+ * @param r int 0-255 of the color.
+ * @param g int 0-255 of the color.
+ * @param b int 0-255 of the color.
+ * @param strength float 0-1 of how much of the color's hue and chroma replaces the original. Default of 1
+ * @param region Limits the tint to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Recolors an image orange
+ * colorize(imageData, 255, 128, 0);
+ */
+export function colorize(data: PixelData, r: number, g: number, b: number, strength?: number, region?: Region): void;
+/**
+ * Function that actually colorizes a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param r int 0-255 of the color.
+ * @param g int 0-255 of the color.
+ * @param b int 0-255 of the color.
+ * @param strength float 0-1 of how much of the color's hue and chroma replaces the original.
+ * @param i Index of data to start colorizing at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ */
+export function colorizeFrame(data: PixelData, r: number, g: number, b: number, strength: number, i: number): void;
+/**
+ * Reduces an image to a palette of colors, either picked from the image or passed in.
+ * @param data Image data.
+ * @param options
+ * @returns New image data using only the palette, the palette and the palette index of every pixel. Alpha is left as is.
+ *
+ * @example
+ * // Reduces an image to 16 colors with Floyd-Steinberg dithering
+ * const { data, palette } = quantize(imageData, { colors: 16, method: "kmeans", dither: "floydSteinberg" });
+ *
+ * @example
+ * // Reduces an image to black and white
+ * const { data } = quantize(imageData, { palette: [[0, 0, 0], [255, 255, 255]], dither: "blueNoise" });
+ */
+export function quantize(data: PixelData, options?: QuantizeOptions): QuantizeResult;
+/**
+ * Levels applied to the R, G and B channels. The R, G and B properties are applied to only that channel before the shared levels.
+ * @typedef {LevelsChannel & { R?: LevelsChannel, G?: LevelsChannel, B?: LevelsChannel }} LevelsOptions
+ */
+/**
+ * Control points of the curves which go through a monotone cubic spline, so the curve never overshoots between points.
+ * Values before the first or after the last point keep the value of that point. Channels without points are unchanged.
+ * @typedef {Object} CurvesOptions
+ * @property {Array<CurvePoint>} [RGB] Applied to the R, G and B channels after their own curves.
+ * @property {Array<CurvePoint>} [R]
+ * @property {Array<CurvePoint>} [G]
+ * @property {Array<CurvePoint>} [B]
+ * @property {Array<CurvePoint>} [A]
+ */
+/**
+ * Gets histograms and stats of every channel of an image.
+ * @param data Image data.
+ * @param options
+ *
+ * @example
+ * const stats = analyze(imageData, { alphaWeighted: true });
+ * console.log(stats.R.mean, stats.luma.median, stats.averageLuminance);
+ */
+export function analyze(data: PixelData, options?: AnalyzeOptions): ImageStats;
+/**
+ * Stretches the tones of an image so that the darkest pixels become black and the brightest become white.
+ * @param data Image data.
+ * @param options
+ * @param region Limits both the measuring and the stretch to a rectangle or mask. Default of the whole image
+ * @returns The levels which were applied so that they can be reused on other images.
+ *
+ * @example
+ * // Auto contrast
+ * autoLevels(imageData);
+ *
+ * @example
+ * // Auto levels which also removes a color cast, ignoring the 1% darkest and brightest pixels
+ * const applied = autoLevels(imageData, { perChannel: true, clip: 0.01 });
+ */
+export function autoLevels(data: PixelData, options?: AutoLevelsOptions, region?: Region): LevelsOptions;
+/**
+ * Remaps the tones of an image with black points, white points and gamma like the levels dialog of image editors.
+ * @param data Image data.
+ * @param options
+ * @param region Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Brightens the midtones and crushes the blacks a little
+ * levels(imageData, { inputBlack: 10, gamma: 1.4 });
+ *
+ * @example
+ * // Removes a blue cast by lowering the blue white point
+ * levels(imageData, { B: { outputWhite: 220 } });
+ */
+export function levels(data: PixelData, options: LevelsOptions, region?: Region): void;
+/**
+ * Function that actually applies levels to a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param tables The lookup tables from createLevelsTables. Build them once before the loop.
+ * @param i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * const tables = createLevelsTables({ gamma: 0.8 });
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	levelsFrame(imageData, tables, i);
+ * }
+ */
+export function levelsFrame(data: PixelData, tables: LevelsTables, i: number): void;
+/**
+ * Builds the lookup tables levelsFrame uses. Throws for invalid options.
+ * @param options
+ *
+ * @example
+ * const tables = createLevelsTables({ inputBlack: 10, gamma: 1.4 });
+ */
+export function createLevelsTables(options: LevelsOptions): LevelsTables;
+/**
+ * Adjusts the tones of an image with curves through control points like the curves dialog of image editors.
+ * @param data Image data.
+ * @param options
+ * @param region Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // A gentle S curve for more contrast
+ * curves(imageData, { RGB: [[0, 0], [64, 52], [192, 204], [255, 255]] });
+ *
+ * @example
+ * // Lifts the blacks of only the Red channel
+ * curves(imageData, { R: [[0, 30], [255, 255]] });
+ */
+export function curves(data: PixelData, options: CurvesOptions, region?: Region): void;
+/**
+ * Function that actually applies curves to a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param tables The lookup tables from createCurvesTables. Build them once before the loop.
+ * @param i Index of data to start adjusting at. Applies at i, i+1 and i+2, and at Alpha (i+3) if there's an A curve.
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * const tables = createCurvesTables({ RGB: [[0, 0], [128, 160], [255, 255]] });
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	curvesFrame(imageData, tables, i);
+ * }
+ */
+export function curvesFrame(data: PixelData, tables: CurvesTables, i: number): void;
+/**
+ * Builds the lookup tables curvesFrame uses. Throws for invalid options.
+ * @param options
+ *
+ * @example
+ * const tables = createCurvesTables({ RGB: [[0, 0], [64, 52], [192, 204], [255, 255]] });
+ */
+export function createCurvesTables(options: CurvesOptions): CurvesTables;
+/**
+ * A gradient made by createGradient. It's plain data, so it can be saved as JSON or sent to worker threads.
+ * @typedef {Object} Gradient
+ * @property {Array<{ position: number, color: [number, number, number, number] }>} stops The stops sorted by position.
+ * @property {GradientInterpolation} interpolation
+ */
+/**
+ * Makes a gradient from color stops which can be used with gradientMap and renderGradient.
+ * @param stops At least one stop.
+ * @param options
+ *
+ * @example
+ * // A fire ramp for a greyscale VFX mask
+ * const fire = createGradient([
+ * 	{ position: 0, color: [0, 0, 0, 0] },
+ * 	{ position: 0.4, color: [200, 30, 0] },
+ * 	{ position: 0.8, color: [255, 200, 40] },
+ * 	{ position: 1, color: [255, 255, 220] }
+ * ], { interpolation: "oklab" });
+ */
+export function createGradient(stops: Array<GradientStop>, options?: GradientOptions): Gradient;
+/**
+ * Gets the color of a gradient at a position.
+ * @param gradient
+ * @param t float 0-1. Clamped.
+ * @returns RGBA 0-255 which isn't rounded.
+ *
+ * @example
+ * const [r, g, b, a] = sampleGradient(fire, 0.5);
+ */
+export function sampleGradient(gradient: Gradient, t: number): [number, number, number, number];
+/**
+ * Remaps an image through a gradient, so that black becomes the start of the gradient and white becomes the end.
+ * @param data Image data.
+ * @param gradient
+ * @param source What's remapped. luminance is the Rec. 709 luma of the RGB channels. Default of "luminance"
+ * @param region Limits the remap to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly. The alpha of the gradient is multiplied into the Alpha channel.
+ *
+ * @example
+ * // Turns an alpha mask which was unpacked into a greyscale image into a fire texture
+ * gradientMap(maskData, fire, "R");
+ */
+export function gradientMap(data: PixelData, gradient: Gradient, source?: GradientMapSource, region?: Region): void;
+/**
+ * Function that actually remaps a frame through a gradient.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param table The lookup table from createGradientTable. Build it once before the loop.
+ * @param source
+ * @param i Index of data to start remapping at. Applies at i, i+1, i+2 and i+3.
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * const table = createGradientTable(fire);
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	gradientMapFrame(imageData, table, "R", i);
+ * }
+ */
+export function gradientMapFrame(data: PixelData, table: Uint8ClampedArray, source: GradientMapSource, i: number): void;
+/**
+ * Samples a gradient into the lookup table gradientMapFrame uses. Throws for invalid gradients.
+ * @param gradient
+ * @returns The gradient sampled at 256 positions as RGBA.
+ *
+ * @example
+ * const table = createGradientTable(fire);
+ */
+export function createGradientTable(gradient: Gradient): Uint8ClampedArray;
+/**
+ * Draws a gradient into a new context.
+ * @param gradient
+ * @param width
+ * @param height
+ * @param options
+ *
+ * @example
+ * // A 45 degree linear gradient
+ * const ctx = renderGradient(fire, 512, 512, { angle: 45 });
+ *
+ * @example
+ * // A soft radial glow which tiles
+ * const glow = renderGradient(createGradient([{ position: 0, color: [255, 255, 255] }, { position: 1, color: [0, 0, 0] }]), 256, 256, { type: "radial", tileable: true, dither: "blueNoise" });
+ */
+export function renderGradient(gradient: Gradient, width: number, height: number, options?: RenderGradientOptions): ImageContext;
+/**
+ * Writes seeded noise into channels of an image. Only arithmetic which gives exactly the same result everywhere is used, so the same options always give the same bytes.
+ * @param data Image data.
+ * @param options
+ * @param region Limits the noise to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Puts tileable cloudy noise into the Green channel and cells into the Blue channel of a mask map
+ * noise(maskData, { type: "simplex", octaves: 5, tileable: true, channels: ["G"] });
+ * noise(maskData, { type: "worley", scale: 8, seed: 2, tileable: true, channels: ["B"] });
+ */
+export function noise(data: PixelData, options?: NoiseOptions, region?: Region): void;
+/**
+ * Renders seeded noise into a new context. Channels which the noise isn't written to are black with an opaque Alpha channel.
+ * @param width
+ * @param height
+ * @param options
+ *
+ * @example
+ * // Ridged noise for cracks which can be packed straight into a mask map
+ * const cracks = renderNoise(512, 512, { fractal: "ridged", octaves: 6, warp: 0.1, seed: 1337, tileable: true, channels: ["R"] });
+ * const packed = pack([{ data: cracks, channels: { R: "R" } }, { data: roughnessContext, channels: { G: "R" } }], 512);
+ */
+export function renderNoise(width: number, height: number, options?: NoiseOptions): ImageContext;
+/**
+ * How a value moves from one keyframe to the next. An Array is a CSS style cubic bezier of [x1, y1, x2, y2].
+ * @typedef {"linear" | "step" | "easeIn" | "easeOut" | "easeInOut" | [number, number, number, number]} Easing
+ */
+/**
+ * A constant or keyframes. Values before the first keyframe and after the last stay at that keyframe's value.
+ * @typedef {number | Array<Keyframe>} Track
+ */
+/**
+ * Renders an animation by running your effects on a duplicate of the image for every frame with the values of keyframed tracks at that frame.
+ * @template {Record<string, Track>} T
+ * @param ctx The context containing the image every frame starts from.
+ * @param frameCount int of how many frames are rendered.
+ * @param tracks Named values which are passed to render at every frame.
+ * @param render Applies effects to the frame, written to directly.
+ * @returns The frames.
+ *
+ * @example
+ * // A scrolling texture which loops seamlessly, as the offset after the last frame is the whole width
+ * const frames = renderTimeline(context, 32, {
+ * 	x: [{ frame: 0, value: 0 }, { frame: 32, value: 1 }]
+ * }, (frame, { x }) => offset(frame, x, 0, { filter: "bilinear" }));
+ *
+ * @example
+ * // A button which pulses brighter and back
+ * const frames = renderTimeline(context, 20, {
+ * 	intensity: [{ frame: 0, value: 1, easing: "easeInOut" }, { frame: 10, value: 3, easing: "easeInOut" }, { frame: 20, value: 1 }]
+ * }, (frame, { intensity }) => {
+ * 	const data = frame.getImageData(0, 0, frame.canvas.width, frame.canvas.height);
+ * 	tint(data, 255, 255, 255, intensity, { tonemapper: "agx" });
+ * 	frame.putImageData(data, 0, 0);
+ * });
+ */
+export function renderTimeline<T extends Record<string, Track>>(ctx: ImageContext, frameCount: number, tracks: T, render: (frame: ImageContext, values: Record<keyof T, number>, index: number) => void): Array<ImageContext>;
+/**
+ * Gets the value of a track at a frame.
+ * @param track
+ * @param frame Can be a fraction of a frame.
+ *
+ * @example
+ * // 0.5
+ * sampleTrack([{ frame: 0, value: 0 }, { frame: 10, value: 1 }], 5);
+ */
+export function sampleTrack(track: Track, frame: number): number;
+/**
+ * Lays frames out in a grid for flipbook shaders, left to right and then top to bottom.
+ * @param frames Frames which are all the same size.
+ * @param options
+ * @returns The sprite sheet. Unused cells are transparent.
+ *
+ * @example
+ * const sheet = createFlipbook(frames, { columns: 8 });
+ * fs.writeFileSync("./scroll_flipbook.png", sheet.canvas.toBuffer("image/png"));
+ */
+export function createFlipbook(frames: Array<ImageContext>, options?: FlipbookOptions): ImageContext;
+/**
+ * Encodes frames into an animated GIF. Every frame gets its own palette from quantize.
+ * @param frames Frames which are all the same size.
+ * @param options
+ * @returns The contents of the file.
+ *
+ * @example
+ * fs.writeFileSync("./scroll.gif", encodeGIF(frames, { delay: 50, dither: "floydSteinberg" }));
+ */
+export function encodeGIF(frames: Array<ImageContext>, options?: GIFOptions): Uint8Array;
+/**
+ * Changes what creates contexts and pixel data for every function. Only contexts and pixel data from the same backend should be mixed.
+ * @param backend
+ *
+ * @example
+ * // Works on plain pixel buffers without any canvas
+ * setBackend(createBufferBackend());
+ *
+ * @example
+ * // In a browser or a web worker
+ * setBackend(createOffscreenCanvasBackend());
+ */
+export function setBackend(backend: Backend): void;
+/**
+ * Gets the backend in use. If none was set, the first time it's needed it's node-canvas if it's installed, then OffscreenCanvas if it's available and otherwise the buffer backend.
+ */
+export function getBackend(): Backend;
+/**
+ * Makes a backend which uses node-canvas.
+ * @param canvas The canvas module. Default of require("canvas")
+ *
+ * @example
+ * setBackend(createNodeCanvasBackend(require("canvas")));
+ */
+export function createNodeCanvasBackend(canvas?: NodeCanvasModule): Backend;
+/**
+ * Makes a backend which uses OffscreenCanvas, for browsers, web workers and Deno.
+ */
+export function createOffscreenCanvasBackend(): Backend;
+/**
+ * Makes a backend which keeps images as plain pixel buffers in JS, so it works anywhere. Contexts only have canvas, getImageData and putImageData.
+ * imageToContext takes pixel data and copies it.
+ *
+ * @example
+ * // Processes a PNG decoded by pngjs
+ * setBackend(createBufferBackend());
+ * const png = PNG.sync.read(fs.readFileSync("./albedo.png"));
+ * const ctx = image2Context({ width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) });
+ */
+export function createBufferBackend(): Backend;
+/**
+ * Rotates the image clockwise. Multiples of 90 degrees move the pixels exactly and swap the width and height for 90 and 270.
+ * Other angles are resampled around the center of the image.
+ * @param ctx The context containing the image data that will be rotated.
+ * @param degrees Degrees clockwise. Can be negative to rotate counter clockwise.
+ * @param options
+ * @returns The ctx param is resized to fit the rotated image and it's written directly to it.
+ *
+ * @example
+ * // Turns a portrait image into a landscape one
+ * rotate(context, 90);
+ *
+ * @example
+ * // Straightens a scan by 2.5 degrees without changing its size, filling the corners with white
+ * rotate(context, -2.5, { filter: "lanczos3", expand: false, background: [255, 255, 255] });
+ */
+export function rotate(ctx: ImageContext, degrees: number, options?: RotateOptions): void;
+/**
+ * Swaps the x and y axes of the image, flipping it over the diagonal from the top left to the bottom right.
+ * @param ctx The context containing the image data that will be transposed.
+ * @returns The ctx param is resized to the swapped width and height and it's written directly to it.
+ *
+ * @example
+ * transpose(context);
+ */
+export function transpose(ctx: ImageContext): void;
+/**
+ * Cuts the image down to a rectangle of it.
+ * @param ctx The context containing the image data that will be cropped.
+ * @param x The left of the rectangle in pixels.
+ * @param y The top of the rectangle in pixels.
+ * @param width The width of the rectangle in pixels.
+ * @param height The height of the rectangle in pixels.
+ * @returns The ctx param is resized to the rectangle and it's written directly to it.
+ *
+ * @example
+ * // Keeps the top right 256x256 of an image
+ * crop(context, context.canvas.width - 256, 0, 256, 256);
+ */
+export function crop(ctx: ImageContext, x: number, y: number, width: number, height: number): void;
+/**
+ * Adds pixels around the edges of the image, either of a color or extended from the image.
+ * @param ctx The context containing the image data that will be padded.
+ * @param padding Pixels added to every side, or to each side separately.
+ * @param options
+ * @returns The ctx param is resized to fit the padding and it's written directly to it.
+ *
+ * @example
+ * // Adds a 16 pixel transparent border
+ * pad(context, 16);
+ *
+ * @example
+ * // Extends the edges of a texture by 8 pixels so that filtering doesn't bleed in other colors
+ * pad(context, 8, { mode: "clamp" });
+ *
+ * @example
+ * // Makes room for a caption below the image
+ * pad(context, { bottom: 64 }, { color: [255, 255, 255] });
+ */
+export function pad(ctx: ImageContext, padding: Padding, options?: PadOptions): void;
+/**
+ * Packs greyscale material maps into the texture an engine expects. Built on pack.
+ *
+ * Roughness and smoothness are inverted from each other when the preset wants the one that wasn't given. Any other missing maps are filled with defaults:
+ * 0 metallic, 255 occlusion, 255 detail mask and a roughness of 128.
+ * @param maps
+ * @param preset
+ * @param sizeX The width of the packed texture.
+ * @param sizeY The height of the packed texture.
+ * @param resampleOptions How maps are resized if they aren't the same size as the packed texture.
+ *
+ * @example
+ * // Makes an HDRP mask map from Unreal style maps. The roughness is inverted into smoothness and the detail mask is white
+ * const maskMap = packMaterial({ metallic: metallicContext, occlusion: aoContext, roughness: roughnessContext }, "hdrpMask", 2048);
+ *
+ * @example
+ * // A glTF texture for a fully metallic material
+ * const metallicRoughness = packMaterial({ roughness: roughnessContext, metallic: 255 }, "gltfMetallicRoughness", 1024);
+ */
+export function packMaterial(maps: MaterialMaps, preset: MaterialPreset, sizeX: number, sizeY?: number, resampleOptions?: ResampleOptions): ImageContext;
+/**
+ * Separates a texture packed with a preset back into greyscale maps. Both roughness and smoothness are returned, one inverted from the other.
+ * @param ctx The packed texture.
+ * @param preset
+ * @returns Opaque greyscale contexts of the maps in the preset.
+ *
+ * @example
+ * // Gets the maps out of an HDRP mask map and packs them for Unreal
+ * const maps = unpackMaterial(maskMapContext, "hdrpMask");
+ * const orm = packMaterial(maps, "unrealORM", maskMapContext.canvas.width);
+ */
+export function unpackMaterial(ctx: ImageContext, preset: MaterialPreset): Partial<Record<MaterialMapName, ImageContext>>;
+/**
+ * Converts between roughness and smoothness (also called glossiness) by inverting a channel. Both are perceptual, so the conversion is the same in both directions.
+ * @param data Image data.
+ * @param channel The channel holding the roughness or smoothness. Default of "A" which is where Unity keeps smoothness
+ * @param region Limits the conversion to a rectangle or mask. Default of the whole image
+ * @returns The image data is written to directly.
+ *
+ * @example
+ * // Turns the smoothness in the Alpha of a Unity metallic map into roughness
+ * invertSmoothness(imageData);
+ *
+ * @example
+ * // Turns an Unreal ORM roughness into smoothness
+ * invertSmoothness(imageData, "G");
+ */
+export function invertSmoothness(data: PixelData, channel?: Channel, region?: Region): void;
+/**
+ * Function that actually inverts the roughness or smoothness of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param data Image data.
+ * @param channel The channel holding the roughness or smoothness.
+ * @param i Index of data to start inverting at. Applies at i plus the index of the channel.
+ * @returns The image data is written to directly.
+ */
+export function invertSmoothnessFrame(data: PixelData, channel: Channel, i: number): void;
+/**
+ * Converts a specular/glossiness material to metallic/roughness. Done in linear space with the same approach as the glTF specular/glossiness converters,
+ * which solves for how metallic each pixel is from how bright its diffuse and specular are. Partly metallic pixels can only be approximated.
+ * @param diffuse The diffuse color. Its Alpha is kept in the base color.
+ * @param specular The specular color, or a greyscale specular 0-255 for the whole material.
+ * @param glossiness Greyscale glossiness read from R, or a glossiness 0-255 for the whole material. Default of the Alpha of the specular map, or 255 for a number specular
+ * @param resampleOptions How maps are resized if they aren't the same size as the diffuse.
+ * @returns New contexts the size of the diffuse. metallic and roughness are opaque greyscale.
+ *
+ * @example
+ * const { baseColor, metallic, roughness } = specGlossToMetalRough(diffuseContext, specularContext);
+ * const orm = packMaterial({ metallic, roughness, occlusion: aoContext }, "unrealORM", baseColor.canvas.width);
+ */
+export function specGlossToMetalRough(diffuse: ImageContext, specular: ImageContext | number, glossiness?: ImageContext | number, resampleOptions?: ResampleOptions): {
+    baseColor: ImageContext;
+    metallic: ImageContext;
+    roughness: ImageContext;
+};
+/**
+ * Converts a metallic/roughness material to specular/glossiness using the glTF definitions, where non metals reflect 4% and metals are tinted by their base color.
+ * Metals have no diffuse, so the diffuse is the base color darkened by how metallic it is. specGlossToMetalRough converts fully metallic and non metallic pixels back exactly.
+ * @param baseColor The base color. Its Alpha is kept in the diffuse.
+ * @param metallic Greyscale metallic read from R, or a metallic 0-255 for the whole material.
+ * @param roughness Greyscale roughness read from R, or a roughness 0-255 for the whole material.
+ * @param resampleOptions How maps are resized if they aren't the same size as the base color.
+ * @returns New contexts the size of the base color. specular has the glossiness in its Alpha like Unity's specular setup.
+ *
+ * @example
+ * const { diffuse, specular } = metalRoughToSpecGloss(baseColorContext, metallicContext, roughnessContext);
+ */
+export function metalRoughToSpecGloss(baseColor: ImageContext, metallic: ImageContext | number, roughness: ImageContext | number, resampleOptions?: ResampleOptions): {
+    diffuse: ImageContext;
+    specular: ImageContext;
+    glossiness: ImageContext;
+};
+/**
+ * Compares two images of the same size, such as a golden image and the output of a change to your texture pipeline.
+ * @param a The context of the expected image. The diff is drawn over this one.
+ * @param b The context of the image to check.
+ * @param options
+ *
+ * @example
+ * // Fails if any channel of any pixel is off by more than 2
+ * const result = compare(goldenContext, outputContext, { tolerance: 2 });
+ * if (!result.pass) fs.writeFileSync("./diff.png", result.diff.canvas.toBuffer("image/png"));
+ *
+ * @example
+ * // Only checks the color and allows 0.1% of the pixels to be different
+ * const { pass, psnr, ssim } = compare(goldenContext, outputContext, { channels: ["R", "G", "B"], tolerance: 1, maxDifferentPixels: 0.001, diff: "none" });
  */
-export function hdrToSdr(r: number, g: number, b: number, intensity: number, exposure?: number, contrast?: number, saturation?: number, highlightCompression?: number, shadowLifting?: number): [number, number, number];
-import Canvas = require("canvas");
+export function compare(a: ImageContext, b: ImageContext, options?: CompareOptions): CompareResult;
@@ -1,7 +1,5 @@
 // @ts-check
 
-const Canvas = require("canvas");
-
 /** @type {[number, number, number]} */
 const normalDefaultRGB = [128, 128, 255];
 
@@ -12,17 +10,34 @@ const normalDefaultRGB = [128, 128, 255];
 /** @type {Record<Channel, number>} */
 const channelIndexes = { R: 0, G: 1, B: 2, A: 3 }
 
+/**
+ * Checks if a value is one of the channel names. Names inherited from Object.prototype such as toString are not channels.
+ * @param {unknown} value The value to check.
+ * @returns {value is Channel} If the value is R, G, B or A.
+ *
+ * @example
+ * isChannel("G"); // true
+ * isChannel("toString"); // false
+ */
+function isChannel(value) {
+	return typeof value === "string" && Object.prototype.hasOwnProperty.call(channelIndexes, value);
+}
+
 /**
  * Copy channel data to other channels.
- * @param {Canvas.ImageData} data Image data.
+ *
+ * The key channel is copied into the value channel. Use swizzleExpressions to compute channels from expressions instead.
+ * @param {PixelData} data Image data.
  * @param {RecordChannelsMapOptional} options Swizzle options to swap channels.
+ * @param {Region} [region] Limits the swizzle to a rectangle or mask. Default of the whole image
  * @returns {void} The image data is written to directly.
  *
  * @example
  * // Swaps the Red and Blue channel
  * swizzle(imageData, { R: "B", B: "R" });
  */
-function swizzle(data, options) {
+function swizzle(data, options, region) {
+	if (region) return applyInRegion(data, region, crop => swizzle(crop, options));
 	for (let i = 0; i < data.data.length; i += 4) swizzleFrame(data, options, i);
 }
 
@@ -30,7 +45,7 @@ function swizzle(data, options) {
  * Function that actually swizzles a frame of the image data (copy channel data to other channels).
  *
  * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
- * @param {Canvas.ImageData} data Image data.
+ * @param {PixelData | HDRImageData} data Image data. HDR images work too.
  * @param {RecordChannelsMapOptional} options Swizzle options to swap channels.
  * @param {number} i Index of data to start swizzling at. Applies at i, i+1, i+2, and i+3.
  * @returns {void} The image data is written to directly.
@@ -59,32 +74,40 @@ function swizzleFrame(data, options, i) {
 			case "G": data.data[i + 1] = swizzleMap[source]; break;
 			case "B": data.data[i + 2] = swizzleMap[source]; break;
 			case "A": data.data[i + 3] = swizzleMap[source]; break;
-			default: throw new Error("Oh, so we're doing other data channels now");
+			default: throw new Error(`${dest} (from ${source}) is not a channel. Use swizzleExpressions for channel expressions`);
 		}
 	}
 }
 
 /**
  * Bakes a scale value into a normal map image.
- * @param {Canvas.ImageData} data Image data.
+ * @param {PixelData} data Image data.
  * @param {number} scale float value to lerp between default normal value RGB(128, 128, 255) and the current RGB value. Default value of 1.0 for no transformation.
+ * @param {boolean} [renormalize] Recomputes the Blue channel (Z) after scaling so that the normals are unit length again. Default of false
+ * @param {Region} [region] Limits the scaling to a rectangle or mask. Default of the whole image
  * @returns {void} The image data is written to directly.
  *
  * @example
  * // Scales a normal map by 2
  * bumpScale(imageData, 2);
+ *
+ * @example
+ * // Scales a normal map by 2 and keeps the normals unit length
+ * bumpScale(imageData, 2, true);
  */
-function bumpScale(data, scale) {
-	for (let i = 0; i < data.data.length; i += 4) bumpScaleFrame(data, scale, i);
+function bumpScale(data, scale, renormalize = false, region) {
+	if (region) return applyInRegion(data, region, crop => bumpScale(crop, scale, renormalize));
+	for (let i = 0; i < data.data.length; i += 4) bumpScaleFrame(data, scale, i, renormalize);
 }
 
 /**
  * Function that actually scales the normal map image.
  *
  * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
- * @param {Canvas.ImageData} data Image data.
+ * @param {PixelData} data Image data.
  * @param {number} scale float value to lerp between default normal value RGB(128, 128, 255) and the current RGB value. Default value of 1.0 for no transformation.
- * @param {number} i Index of data to start scaling at. Applies at i and i+1.
+ * @param {number} i Index of data to start scaling at. Applies at i and i+1. Also applies at i+2 when renormalizing.
+ * @param {boolean} [renormalize] Recomputes the Blue channel (Z) after scaling so that the normal is unit length again. Default of false
  * @returns {void} The image data is written to directly.
  *
  * @example
@@ -98,10 +121,11 @@ function bumpScale(data, scale) {
  * 	bumpScaleFrame(imageData, 2, i);
  * }
  */
-function bumpScaleFrame(data, scale, i) {
+function bumpScaleFrame(data, scale, i, renormalize = false) {
 	data.data[i] = clamp(0, 255, lerp(normalDefaultRGB[0], data.data[i], scale));
 	data.data[i + 1] = clamp(0, 255, lerp(normalDefaultRGB[1], data.data[i + 1], scale));
-	// leave the Blue and Alpha channel alone for _BumpScale
+	// leave the Blue and Alpha channel alone for _BumpScale unless the normal should stay unit length
+	if (renormalize) reconstructNormalZ(data, i);
 }
 
 /**
@@ -109,31 +133,67 @@ function bumpScaleFrame(data, scale, i) {
  *
  * RGB provided should be in the range of 0-255. Internally, the RGB's channel values are converted into the range of 0-1 where 255 equals 1
  * and then the image's channels are directly multiplied by that channel's respective multiplier float.
- * @param {Canvas.ImageData} data Image data.
+ * @param {PixelData} data Image data.
  * @param {number} r int 0-255 to multiply the R channel by.
  * @param {number} g int 0-255 to multiply the G channel by.
  * @param {number} b int 0-255 to multiply the B channel by.
  * @param {number} [int] float intensity. Default value should be 1 for no HDR transformation.
+ * @param {TonemapOptions} [options] Options for the HDR transformation such as which tone mapper to use. Passing options applies the HDR transformation even if int is 1.
+ * @param {Region} [region] Limits the tint to a rectangle or mask. Auto exposure is computed from the part of the image around the region. Default of the whole image
  * @returns {void} The image data is written to directly.
  *
  * @example
  * // Tints the image by half
  * tint(imageData, 128, 128, 128);
+ *
+ * @example
+ * // Tints the image orange with an intensity of 4 using the Hable filmic tone mapper and automatic exposure
+ * tint(imageData, 255, 128, 0, 4, { tonemapper: "hable", autoExposure: true });
+ *
+ * @example
+ * // Darkens a smooth gradient without banding
+ * tint(imageData, 255, 255, 255, 0.3, { dither: "blueNoise" });
+ *
+ * @example
+ * // Recolors only the cloth of a character texture, using the Red channel of an ID mask with softened edges
+ * tint(imageData, 40, 90, 255, 1, undefined, { mask: idMaskContext, channel: "R", feather: 2 });
  */
-function tint(data, r, g, b, int = 1) {
-	for (let i = 0; i < data.data.length; i += 4) tintFrame(data, r, g, b, int, i);
+function tint(data, r, g, b, int = 1, options, region) {
+	if (region) return applyInRegion(data, region, crop => tint(crop, r, g, b, int, options));
+	validateDitherMethod(options?.dither);
+	if (options && (options.autoExposure || options.dither === "floydSteinberg" || options.dither === "atkinson")) {
+		// The exposure and error diffusion depend on the tinted image, so the tint has to be applied before the HDR transformation
+		for (let i = 0; i < data.data.length; i += 4) tintFrame(data, r, g, b, 1, i);
+		const key = typeof options.autoExposure === "number" ? options.autoExposure : autoExposureKeyDefault;
+		/** @type {TonemapOptions} */
+		const resolved = options.autoExposure ? { ...options, autoExposure: false, exposure: (options.exposure ?? exposureDefault) * computeAutoExposure(data, key, int) } : options;
+		const values = new Float32Array(data.data.length);
+		for (let i = 0; i < data.data.length; i += 4) {
+			const hdrColor = gradeToSRGB(data.data[i], data.data[i + 1], data.data[i + 2], int, resolved);
+			values[i] = hdrColor[0];
+			values[i + 1] = hdrColor[1];
+			values[i + 2] = hdrColor[2];
+			values[i + 3] = data.data[i + 3];
+		}
+		ditherToImageData(values, data, options.dither);
+		return;
+	}
+
+	for (let i = 0; i < data.data.length; i += 4) tintFrame(data, r, g, b, int, i, options);
 }
 
 /**
  * Function that actually tints the image
  *
  * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
- * @param {Canvas.ImageData} data Image data.
+ * @param {PixelData} data Image data.
  * @param {number} r int 0-255 to multiply the R channel by.
  * @param {number} g int 0-255 to multiply the G channel by.
  * @param {number} b int 0-255 to multiply the B channel by.
  * @param {number} int float intensity. Default value should be 1 for no HDR transformation.
  * @param {number} i Index of data to start applying the tinting at. Applies at i, i+1, and i+2. Doesn't touch Alpha (i+3).
+ * @param {TonemapOptions} [options] Options for the HDR transformation. autoExposure is ignored as it needs the whole image. Use computeAutoExposure and pass the exposure instead.
+ * Error diffusion dithers round normally for the same reason.
  * @returns {void} The image data is written to directly.
  *
  * @example
@@ -147,7 +207,7 @@ function tint(data, r, g, b, int = 1) {
  * 	tintFrame(imageData, 128, 128, 1, i);
  * }
  */
-function tintFrame(data, r, g, b, int, i) {
+function tintFrame(data, r, g, b, int, i, options) {
 	if (r < 0) data.data[i] = clamp(0, 255, lerp(data.data[i], 255 - data.data[i], tint2Mult(-r)));
 	else data.data[i] = clamp(0, 255, Math.round(data.data[i] * tint2Mult(r)));
 
@@ -158,61 +218,102 @@ function tintFrame(data, r, g, b, int, i) {
 	else data.data[i + 2] = clamp(0, 255, Math.round(data.data[i + 2] * tint2Mult(b)));
 
 	// HDR color
-	if (int !== 1) {
-		const hdrColor = hdrToSdr(data.data[i], data.data[i + 1], data.data[i + 2], int);
-		data.data[i] = hdrColor[0];
-		data.data[i + 1] = hdrColor[1];
-		data.data[i + 2] = hdrColor[2];
-	}
+	if (int !== 1 || options) writeDitheredFrame(data, i, gradeToSRGB(data.data[i], data.data[i + 1], data.data[i + 2], int, options ?? tonemapOptionsDefault), options?.dither);
 }
 
 /**
  * Repeat an image a certain number of times in the x and y directions. Can be done independently of each other. Allows setting a target final image size.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will be tiled.
+ *
+ * The repeats are exact even when the size isn't divisible by the amount of tiles as the image is resampled with wrapping edges.
+ * @param {ImageContext} ctx The context containing the image data that will be tiled.
  * @param {number} tileX How many times the image is repeated in the x direction.
  * @param {number} tileY How many times the image is repeated in the y direction.
  * @param {number} size The target size of the image in the x direction. Also applies to the y direction if one isn't supplied.
  * @param {number} [sizeY] The target size of the image in the y direction.
+ * @param {Omit<ResampleOptions, "addressMode">} [options] How the tiles are resampled to fit the size. The edges always wrap.
  * @returns {void} The ctx param is resized to the new size and the tiles are written directly to it.
  *
  * @example
  * // Makes an image repeat twice in the x direction, but leave the y alone. Make the image now twice the width.
  * tile(context, 2, 1, context.canvas.width * 2, context.canvas.height);
  */
-function tile(ctx, tileX, tileY, size, sizeY = size) {
-	const sectionSizeX = Math.floor(size / tileX); // How many times the x and y can fit into the size in pixels
-	const sectionSizeY = Math.floor(sizeY / tileY); // Will be either on point or a little under. Resize after to fit
-
-	resize(ctx, sectionSizeX, sectionSizeY);
-	const part = Canvas.createCanvas(sectionSizeX * tileX, sectionSizeY * tileY).getContext("2d"); // this is to resize to size later
-	const data2 = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height); // get the data to put into the part
-	for (let y = 0; y < tileY; y++) {
-		for (let x = 0; x < tileX; x++) {
-			part.putImageData(data2, x * sectionSizeX, y * sectionSizeY);
-		}
-	}
+function tile(ctx, tileX, tileY, size, sizeY = size, options = {}) {
+	const { filter = "bilinear", linear = false, premultiply = true } = options;
+	const data = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+	const grid = layoutGrid(tileX, tileY, size, sizeY);
+	const tiled = resampleMapped(
+		data, size, sizeY,
+		{ ratio: data.width * grid.columns / grid.width, offset: 0 }, // How many source pixels one output pixel covers when the image fits in one cell
+		{ ratio: data.height * grid.rows / grid.height, offset: 0 },
+		filter, "repeat", linear, premultiply
+	);
 
 	ctx.canvas.width = size;
 	ctx.canvas.height = sizeY;
-	ctx.drawImage(part.canvas, 0, 0, size, sizeY);
+	ctx.putImageData(tiled, 0, 0);
+}
+
+/**
+ * Splits an area into a grid of equally sized cells. Shared by tile and createFlipbook.
+ * @param {number} columns
+ * @param {number} rows
+ * @param {number} width The width of the whole grid.
+ * @param {number} height The height of the whole grid.
+ * @param {number} [gap] Space between cells. Default of 0
+ * @returns {{ columns: number, rows: number, width: number, height: number, cellWidth: number, cellHeight: number, cell: (index: number) => { x: number, y: number } }} Cells can be fractions of a pixel.
+ * cell gets the top left corner of a cell going left to right and then top to bottom.
+ */
+function layoutGrid(columns, rows, width, height, gap = 0) {
+	const cellWidth = (width - gap * (columns - 1)) / columns;
+	const cellHeight = (height - gap * (rows - 1)) / rows;
+	return {
+		columns,
+		rows,
+		width,
+		height,
+		cellWidth,
+		cellHeight,
+		cell: index => ({ x: (index % columns) * (cellWidth + gap), y: Math.floor(index / columns) * (cellHeight + gap) })
+	};
 }
 
 /**
  * Move the whole image in any direction where any parts that would spill over are moved to the other side of the image.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will be offset.
- * @param {number} offsetX The amount of pixels to shift the image right. Can be negative to shift left.
- * @param {number} offsetY The amount of pixels to shift the image down. Can be negative to shift up.
+ * @param {ImageContext} ctx The context containing the image data that will be offset.
+ * @param {number} offsetX float fraction of the image width to shift the image right, where 0.5 is half of the width. Can be negative to shift left. Whole amounts wrap back to where they started.
+ * @param {number} offsetY float fraction of the image height to shift the image down, where 0.5 is half of the height. Can be negative to shift up. Whole amounts wrap back to where they started.
+ * @param {Omit<ResampleOptions, "addressMode">} [options] Passing options resamples the image so that it can be shifted by fractions of a pixel. The edges always wrap.
+ * Otherwise the shift is rounded to whole pixels.
  * @returns {void} The ctx param has the data written directly to it.
  *
  * @example
- * // Move an image to the right 50 pixels and up 50 pixels.
- * offset(context, 50, -50);
+ * // Move an image to the right by a quarter of its width and up by half of its height.
+ * offset(context, 0.25, -0.5);
+ *
+ * @example
+ * // Move an image a third of the way to the right, blending between pixels if that isn't a whole amount of pixels.
+ * offset(context, 1 / 3, 0, { filter: "bilinear" });
  */
-function offset(ctx, offsetX, offsetY) {
+function offset(ctx, offsetX, offsetY, options) {
 	const sizeX = ctx.canvas.width;
 	const sizeY = ctx.canvas.height;
 	const normalizedX = offsetX % 1;
 	const normalizedY = offsetY % 1;
+
+	if (options) {
+		const { filter = "bilinear", linear = false, premultiply = true } = options;
+		const data = ctx.getImageData(0, 0, sizeX, sizeY);
+		// Each output pixel samples from the pixel the shift came from
+		const shifted = resampleMapped(
+			data, sizeX, sizeY,
+			{ ratio: 1, offset: -sizeX * normalizedX },
+			{ ratio: 1, offset: -sizeY * normalizedY },
+			filter, "repeat", linear, premultiply
+		);
+		ctx.putImageData(shifted, 0, 0);
+		return;
+	}
+
 	const xIsNeg = normalizedX < 0;
 	const yIsNeg = normalizedY < 0;
 	const shiftAmountX = normalizedX ? Math.round(sizeX * ((xIsNeg ? 1 + normalizedX : normalizedX))) : 0;
@@ -245,16 +346,21 @@ function offset(ctx, offsetX, offsetY) {
 
 /**
  * Resizes an image without losing the image data.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will be resized.
+ * @param {ImageContext} ctx The context containing the image data that will be resized.
  * @param {number} newX The new width in pixels the image will be resized to.
  * @param {number} [newY] The new height in pixels the image will be resized to. Can be ommited to do automatic resizing based on aspect ratio.
+ * @param {ResampleOptions} [options] Which filter to resize with, what happens at the edges and whether to filter in linear space. Defaults to bilinear with clamped edges.
  * @returns {void} The ctx param data is copied, resized and then directly written back to it.
  *
  * @example
  * // Resizes an image to 1024 pixels in both directions.
  * resize(context, 1024, 1024);
+ *
+ * @example
+ * // Shrinks an image to 256 pixels wide, keeping the aspect ratio, with Lanczos3 in linear space.
+ * resize(context, 256, undefined, { filter: "lanczos3", linear: true });
  */
-function resize(ctx, newX, newY) {
+function resize(ctx, newX, newY, options) {
 	if (!newY) {
 		const difference = newX / ctx.canvas.width;
 		newY = Math.round(ctx.canvas.height * difference);
@@ -267,16 +373,15 @@ function resize(ctx, newX, newY) {
 	const absX = Math.abs(newX);
 	const absY = Math.abs(newY);
 
-	const newCanvas = Canvas.createCanvas(oldX, oldY).getContext("2d");
-	newCanvas.putImageData(data, 0, 0);
+	const resized = resample(data, absX, absY, options);
 	ctx.canvas.width = absX;
 	ctx.canvas.height = absY;
-	ctx.drawImage(newCanvas.canvas, 0, 0, absX, absY);
+	ctx.putImageData(resized, 0, 0);
 }
 
 /**
  * Flips the image in either the horizontal or vertical planes.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will be flipped.
+ * @param {ImageContext} ctx The context containing the image data that will be flipped.
  * @param {"horizontal" | "vertical"} direction What plane the image will be flipped over.
  * @returns {void} The ctx param has the data written directly to it.
  *
@@ -285,16 +390,17 @@ function resize(ctx, newX, newY) {
  * flip(context, "horizontal");
  */
 function flip(ctx, direction) {
-	const x = direction === "horizontal" ? -1 : 1;
-	const y = direction === "vertical" ? -1 : 1;
-	ctx.translate(direction === "horizontal" ? ctx.canvas.width : 0, direction === "vertical" ? ctx.canvas.height : 0);
-	ctx.scale(x, y);
+	if (direction !== "horizontal" && direction !== "vertical") throw new Error(`Unknown direction ${direction}. Expected horizontal or vertical`);
+	const width = ctx.canvas.width;
+	const height = ctx.canvas.height;
+	if (direction === "horizontal") remapPixels(ctx, width, height, (x, y) => y * width + (width - 1 - x));
+	else remapPixels(ctx, width, height, (x, y) => (height - 1 - y) * width + x);
 }
 
 /**
  * Duplicates a context such that modify in place operations will not affect images on the user's end if it may be desireable.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will be duplicated.
- * @returns {Canvas.CanvasRenderingContext2D} A duplicate of the ctx param
+ * @param {ImageContext} ctx The context containing the image data that will be duplicated.
+ * @returns {ImageContext} A duplicate of the ctx param
  *
  * @example
  * // Simply duplicates an image.
@@ -303,25 +409,26 @@ function flip(ctx, direction) {
  */
 function duplicate(ctx) {
 	const data = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
-	const newCanvas = new Canvas.Canvas(ctx.canvas.width, ctx.canvas.height).getContext("2d");
+	const newCanvas = getBackend().createContext(ctx.canvas.width, ctx.canvas.height);
 	newCanvas.putImageData(data, 0, 0);
 	return newCanvas;
 }
 
 /**
  * Uses a masking image's channel to set the Alpha of a base image.
- * @param {Canvas.CanvasRenderingContext2D} base The context containing the image data that will get masked.
- * @param {Canvas.CanvasRenderingContext2D} imageMask The context containing the image data that will act as the mask.
+ * @param {ImageContext} base The context containing the image data that will get masked.
+ * @param {ImageContext} imageMask The context containing the image data that will act as the mask.
  * @param {Channel} channel The R, G, B or A channel that will be used from the imageMask parameter to mask the base image.
+ * @param {ResampleOptions} [resampleOptions] How the mask is resized if it isn't the same size as the base image.
  * @returns {void} The base param has the data written directly to it.
  *
  * @example
  * // Masks an image with another from the B channel of the mask.
  * mask(context, maskContext, "B");
  */
-function mask(base, imageMask, channel) {
+function mask(base, imageMask, channel, resampleOptions) {
 	const maskDupe = duplicate(imageMask);
-	if (base.canvas.width !== imageMask.canvas.width || base.canvas.height !== imageMask.canvas.height) resize(maskDupe, base.canvas.width, base.canvas.height);
+	if (base.canvas.width !== imageMask.canvas.width || base.canvas.height !== imageMask.canvas.height) resize(maskDupe, base.canvas.width, base.canvas.height, resampleOptions);
 	const baseData = base.getImageData(0, 0, base.canvas.width, base.canvas.height);
 	const maskData = maskDupe.getImageData(0, 0, maskDupe.canvas.width, maskDupe.canvas.height);
 	const channelIndex = channelIndexes[channel];
@@ -335,10 +442,13 @@ function mask(base, imageMask, channel) {
 
 /**
  * Takes data from multiple images and packs them into 1 image, allowing you to define what channels from each image go into the R, G, B and A channels of the packed image.
- * @param {Array<{ data: Canvas.CanvasRenderingContext2D, channels: RecordChannelsMapOptional }>} images An Array of images and which of their channels (object values) will go into the packed image's channels (object keys).
+ * @param {Array<{ data: ImageContext, channels: RecordChannelsMapOptional | ChannelExpressions }>} images An Array of images and which of their channels (object values) will go into the packed image's channels (object keys).
+ * Values can also be channel expressions (see ChannelExpressions) reading from that image. Use packExpressions to combine channels from multiple images.
  * @param {number} sizeX The width of the new packed image.
  * @param {number} [sizeY] The height of the new packed image.
- * @returns {Canvas.CanvasRenderingContext2D} The packed image data as a context.
+ * @param {ResampleOptions} [resampleOptions] How images are resized if they aren't the same size as the packed image.
+ * premultiply defaults to false as the channels being packed are usually data rather than color.
+ * @returns {ImageContext} The packed image data as a context.
  *
  * @example
  * // Packs 3 images together where the first image puts its B channel into the packed R channel
@@ -350,9 +460,16 @@ function mask(base, imageMask, channel) {
  * 	{ data: image2Context, channels: { B: "R", A: "G" } },
  * 	{ data: image3Context, channels: { G: "A" } }
  * ], 1024, 1024);
+ *
+ * @example
+ * // Converts the smoothness in the Alpha channel of the first image into roughness in the packed G channel
+ * const packed = pack([
+ * 	{ data: metallicContext, channels: { R: "R", G: "1 - A" } },
+ * 	{ data: aoContext, channels: { B: "R" } }
+ * ], 1024);
  */
-function pack(images, sizeX, sizeY = sizeX) {
-	const packed = new Canvas.Canvas(sizeX, sizeY).getContext("2d");
+function pack(images, sizeX, sizeY = sizeX, resampleOptions) {
+	const packed = getBackend().createContext(sizeX, sizeY);
 	const packedData = packed.getImageData(0, 0, sizeX, sizeY);
 	/** @type {Array<string>} */
 	const packedChannels = [];
@@ -371,19 +488,27 @@ function pack(images, sizeX, sizeY = sizeX) {
 
 		if (images[i].data.canvas.width !== sizeX || images[i].data.canvas.height !== sizeY) {
 			images[i].data = duplicate(images[i].data);
-			resize(images[i].data, sizeX, sizeY);
+			resize(images[i].data, sizeX, sizeY, { premultiply: false, ...resampleOptions });
 		}
 	}
 
 	const imagesDatas = images.map(img => img.data.getImageData(0, 0, sizeX, sizeY));
+	// Channels which aren't a single channel are expressions reading from that image
+	const imagesExpressions = images.map(img => {
+		const expressions = Object.fromEntries(Object.entries(img.channels).filter(([, from]) => !isChannel(from)));
+		return Object.keys(expressions).length ? compileChannelExpressions(expressions) : undefined;
+	});
 
 	for (let i = 0; i < packedData.data.length; i += 4) {
 		for (let i2 = 0; i2 < images.length; i2++) {
 			for (const [to, from] of Object.entries(images[i2].channels)) {
-				const channelIndexFrom = channelIndexes[from];
-				const channelIndexTo = channelIndexes[to];
+				if (!isChannel(from)) continue;
+				const channelIndexFrom = channelIndexes[/** @type {Channel} */ (from)];
+				const channelIndexTo = channelIndexes[/** @type {Channel} */ (to)];
 				packedData.data[i + channelIndexTo] = imagesDatas[i2].data[i + channelIndexFrom];
 			}
+			const expressions = imagesExpressions[i2];
+			if (expressions) expressions([imagesDatas[i2].data], i, packedData.data, i, false);
 		}
 	}
 
@@ -397,8 +522,8 @@ function pack(images, sizeX, sizeY = sizeX) {
  * NOTE:
  * For the A channel's separate context, its RGB channels are written with the A value and its A is a full 255. The result will be an image ranging from black to white.
  * If you wish to write this context back as an Alpha value to another image, use the mask function and you can use either the R, G, or B channels as they'll be the same value.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will get unpacked into separate channels.
- * @returns {[Canvas.CanvasRenderingContext2D, Canvas.CanvasRenderingContext2D, Canvas.CanvasRenderingContext2D, Canvas.CanvasRenderingContext2D]} The R, G, B and A channels respectively separated into their own contexts.
+ * @param {ImageContext} ctx The context containing the image data that will get unpacked into separate channels.
+ * @returns {[ImageContext, ImageContext, ImageContext, ImageContext]} The R, G, B and A channels respectively separated into their own contexts.
  *
  * @example
  * // Gets the R, G, B and A channels as their own contexts from an image
@@ -411,10 +536,10 @@ function unpack(ctx) {
 	const bImageData = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
 	const aImageData = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
 
-	const rCanvas = new Canvas.Canvas(ctx.canvas.width, ctx.canvas.height).getContext("2d");
-	const gCanvas = new Canvas.Canvas(ctx.canvas.width, ctx.canvas.height).getContext("2d");
-	const bCanvas = new Canvas.Canvas(ctx.canvas.width, ctx.canvas.height).getContext("2d");
-	const aCanvas = new Canvas.Canvas(ctx.canvas.width, ctx.canvas.height).getContext("2d");
+	const rCanvas = getBackend().createContext(ctx.canvas.width, ctx.canvas.height);
+	const gCanvas = getBackend().createContext(ctx.canvas.width, ctx.canvas.height);
+	const bCanvas = getBackend().createContext(ctx.canvas.width, ctx.canvas.height);
+	const aCanvas = getBackend().createContext(ctx.canvas.width, ctx.canvas.height);
 
 	for (let i = 0; i < imageData.data.length; i += 4) {
 		rImageData.data[i + 1] = 0;
@@ -445,17 +570,15 @@ function unpack(ctx) {
 
 
 /**
- * Helper function that converts a Canvas Image to a context for quick editing.
- * @param {Canvas.Image} img The image loaded by Canvas.
- * @returns {Canvas.CanvasRenderingContext2D}
+ * Helper function that converts a loaded image to a context for quick editing.
+ * @param {BackendImage} img An image the backend can draw. A Canvas Image for node-canvas, anything drawImage takes for OffscreenCanvas or pixel data for the buffer backend.
+ * @returns {ImageContext}
  *
  * @example
  * const ctx = await Canvas.loadImage(pathToImage).then(image2Context);
  */
 function image2Context(img) {
-	const ctx = Canvas.createCanvas(img.width, img.height).getContext("2d");
-	ctx.drawImage(img, 0, 0);
-	return ctx;
+	return getBackend().imageToContext(img);
 }
 
 /**
@@ -503,8 +626,8 @@ function clamp(min, max, val) {
 }
 
 /**
- * Quick way to draw a rect of a color. x, y, z, w is passed directly into CanvasRenderingContext2D.fillRect.
- * @param {Canvas.CanvasRenderingContext2D} ctx The context containing the image data that will be filled.
+ * Quick way to draw a rect of an opaque color. x, y, z, h work like CanvasRenderingContext2D.fillRect, rounded to whole pixels.
+ * @param {ImageContext} ctx The context containing the image data that will be filled.
  * @param {number} r The R component of the color to fill with.
  * @param {number} g The G component of the color to fill with.
  * @param {number} b The B component of the color to fill with.
@@ -515,10 +638,520 @@ function clamp(min, max, val) {
  * @returns {void} The context is written to directly.
  */
 function fill(ctx, r, g, b, x = 0, y = 0, z = ctx.canvas.width, h = ctx.canvas.height) {
-	const oldFillStyle = ctx.fillStyle;
-	ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-	ctx.fillRect(x, y, z, h);
-	ctx.fillStyle = oldFillStyle;
+	// Written to the pixels instead of using fillRect so that it works with every backend. Negative sizes go left or up like fillRect
+	const left = clamp(0, ctx.canvas.width, Math.round(Math.min(x, x + z)));
+	const right = clamp(0, ctx.canvas.width, Math.round(Math.max(x, x + z)));
+	const top = clamp(0, ctx.canvas.height, Math.round(Math.min(y, y + h)));
+	const bottom = clamp(0, ctx.canvas.height, Math.round(Math.max(y, y + h)));
+	if (right <= left || bottom <= top) return;
+
+	const data = ctx.getImageData(left, top, right - left, bottom - top);
+	for (let i = 0; i < data.data.length; i += 4) {
+		data.data[i] = r;
+		data.data[i + 1] = g;
+		data.data[i + 2] = b;
+		data.data[i + 3] = 255;
+	}
+	ctx.putImageData(data, left, top);
+}
+
+
+// Pipeline
+
+
+/** @typedef {(data: PixelData, i: number) => void} FrameFunction */
+
+/**
+ * @typedef {{ op: "swizzle", args: [RecordChannelsMapOptional] }
+ * 	| { op: "swizzleExpressions", args: [ChannelExpressions] }
+ * 	| { op: "bumpScale", args: [number, boolean] }
+ * 	| { op: "normalizeNormals", args: [] }
+ * 	| { op: "flipNormalGreen", args: [] }
+ * 	| { op: "tint", args: [number, number, number, number, TonemapOptions | undefined] }
+ * 	| { op: "lut", args: [LUT, LUTInterpolation] }
+ * 	| { op: "hueShift", args: [number] }
+ * 	| { op: "adjustSaturation", args: [number] }
+ * 	| { op: "adjustLightness", args: [number] }
+ * 	| { op: "vibrance", args: [number] }
+ * 	| { op: "colorize", args: [number, number, number, number] }
+ * 	| { op: "levels", args: [LevelsOptions] }
+ * 	| { op: "curves", args: [CurvesOptions] }
+ * 	| { op: "gradientMap", args: [Gradient, GradientMapSource] }
+ * 	| { op: "frame", args: [FrameFunction] }} PipelineStep
+ */
+
+/**
+ * @typedef {Object} Pipeline
+ * @property {(options: RecordChannelsMapOptional) => Pipeline} swizzle Adds a swizzleFrame pass.
+ * @property {(expressions: ChannelExpressions) => Pipeline} swizzleExpressions Adds a swizzleExpressionsFrame pass. Expressions are strings, which lets pipelines be described in JSON.
+ * @property {(scale: number, renormalize?: boolean) => Pipeline} bumpScale Adds a bumpScaleFrame pass.
+ * @property {() => Pipeline} normalizeNormals Adds a normalizeNormalsFrame pass.
+ * @property {() => Pipeline} flipNormalGreen Adds a flipNormalGreenFrame pass.
+ * @property {(r: number, g: number, b: number, int?: number, options?: TonemapOptions) => Pipeline} tint Adds a tintFrame pass. autoExposure and error diffusion dithers aren't supported as they need the whole image.
+ * @property {(lut: LUT, interpolation?: LUTInterpolation) => Pipeline} lut Adds an applyLUTFrame pass.
+ * @property {(degrees: number) => Pipeline} hueShift Adds a hueShiftFrame pass.
+ * @property {(amount: number) => Pipeline} adjustSaturation Adds an adjustSaturationFrame pass.
+ * @property {(amount: number) => Pipeline} adjustLightness Adds an adjustLightnessFrame pass.
+ * @property {(amount: number) => Pipeline} vibrance Adds a vibranceFrame pass.
+ * @property {(r: number, g: number, b: number, strength?: number) => Pipeline} colorize Adds a colorizeFrame pass.
+ * @property {(options: LevelsOptions) => Pipeline} levels Adds a levelsFrame pass.
+ * @property {(options: CurvesOptions) => Pipeline} curves Adds a curvesFrame pass.
+ * @property {(gradient: Gradient, source?: GradientMapSource) => Pipeline} gradientMap Adds a gradientMapFrame pass.
+ * @property {(fn: FrameFunction) => Pipeline} frame Adds your own frame function. It is called with the image data and the index of the frame.
+ * @property {(data: PixelData, region?: Region) => void} run Runs every pass over the image data in a single loop. The image data is written to directly. A region limits the passes to a rectangle or mask.
+ * @property {(data: PixelData, options?: ParallelOptions, region?: Region) => Promise<void>} runAsync Same as run, but the image data is split into bands of rows which are processed by worker threads. Custom frame passes and tone mappers registered with registerTonemapper can't be sent to workers.
+ */
+
+/**
+ * Creates a pipeline which fuses multiple frame functions into a single loop over the image data.
+ *
+ * Options are validated when each pass is added, so mistakes are thrown before any image data is touched.
+ * Passes run in the order they were added. The same pipeline can be ran on as many images as you want.
+ * @returns {Pipeline}
+ *
+ * @example
+ * // Swaps the Red into the Blue channel, tints orange with an intensity of 2 and then scales the normals by 1.5
+ * const pipeline = createPipeline().swizzle({ R: "B" }).tint(255, 128, 0, 2).bumpScale(1.5);
+ * pipeline.run(imageData);
+ * pipeline.run(otherImageData);
+ *
+ * @example
+ * // Runs your own effect in the same loop
+ * createPipeline()
+ * 	.tint(128, 128, 128)
+ * 	.frame((data, i) => { data.data[i + 3] = 255; })
+ * 	.run(imageData);
+ */
+function createPipeline() {
+	/** @type {Array<PipelineStep>} */
+	const steps = [];
+
+	/** @type {Pipeline} */
+	const pipeline = {
+		swizzle(options) {
+			validateChannelsMap(options);
+			steps.push({ op: "swizzle", args: [{ ...options }] });
+			return pipeline;
+		},
+		swizzleExpressions(expressions) {
+			compileChannelExpressions(expressions); // Throws for invalid channels and expressions
+			steps.push({ op: "swizzleExpressions", args: [{ ...expressions }] });
+			return pipeline;
+		},
+		bumpScale(scale, renormalize = false) {
+			validateNumber("scale", scale);
+			steps.push({ op: "bumpScale", args: [scale, Boolean(renormalize)] });
+			return pipeline;
+		},
+		normalizeNormals() {
+			steps.push({ op: "normalizeNormals", args: [] });
+			return pipeline;
+		},
+		flipNormalGreen() {
+			steps.push({ op: "flipNormalGreen", args: [] });
+			return pipeline;
+		},
+		tint(r, g, b, int = 1, options) {
+			validateNumber("r", r);
+			validateNumber("g", g);
+			validateNumber("b", b);
+			validateNumber("int", int);
+			if (options) {
+				getTonemapper(options.tonemapper);
+				if (options.autoExposure) throw new Error("autoExposure needs the whole image so it can't be used in a pipeline. Use computeAutoExposure and pass the exposure instead");
+				validateDitherMethod(options.dither);
+				if (options.dither === "floydSteinberg" || options.dither === "atkinson") throw new Error(`${options.dither} dithering needs the whole image so it can't be used in a pipeline. Use bayer or blueNoise instead`);
+			}
+			steps.push({ op: "tint", args: [r, g, b, int, options && { ...options }] });
+			return pipeline;
+		},
+		lut(lut, interpolation = "trilinear") {
+			validateLUT(lut);
+			if (interpolation !== "trilinear" && interpolation !== "tetrahedral") throw new Error(`Unknown LUT interpolation ${interpolation}. Expected trilinear or tetrahedral`);
+			steps.push({ op: "lut", args: [lut, interpolation] });
+			return pipeline;
+		},
+		hueShift(degrees) {
+			validateNumber("degrees", degrees);
+			steps.push({ op: "hueShift", args: [degrees] });
+			return pipeline;
+		},
+		adjustSaturation(amount) {
+			validateNumber("amount", amount);
+			steps.push({ op: "adjustSaturation", args: [amount] });
+			return pipeline;
+		},
+		adjustLightness(amount) {
+			validateNumber("amount", amount);
+			steps.push({ op: "adjustLightness", args: [amount] });
+			return pipeline;
+		},
+		vibrance(amount) {
+			validateNumber("amount", amount);
+			steps.push({ op: "vibrance", args: [amount] });
+			return pipeline;
+		},
+		colorize(r, g, b, strength = 1) {
+			validateNumber("r", r);
+			validateNumber("g", g);
+			validateNumber("b", b);
+			validateNumber("strength", strength);
+			steps.push({ op: "colorize", args: [r, g, b, strength] });
+			return pipeline;
+		},
+		levels(options) {
+			createLevelsTables(options);
+			steps.push({ op: "levels", args: [copyLevelsOptions(options)] });
+			return pipeline;
+		},
+		curves(options) {
+			createCurvesTables(options);
+			steps.push({ op: "curves", args: [copyCurvesOptions(options)] });
+			return pipeline;
+		},
+		gradientMap(gradient, source = "luminance") {
+			const copy = copyGradient(gradient);
+			if (source !== "luminance" && !isChannel(source)) throw new Error(`Unknown gradient map source ${source}. Expected luminance or one of R, G, B or A`);
+			steps.push({ op: "gradientMap", args: [copy, source] });
+			return pipeline;
+		},
+		frame(fn) {
+			if (typeof fn !== "function") throw new Error(`Pipeline frame passes must be functions. Got ${typeof fn}`);
+			steps.push({ op: "frame", args: [fn] });
+			return pipeline;
+		},
+		run(data, region) {
+			if (region) return applyInRegion(data, region, crop => pipeline.run(crop));
+			runFrames(data, steps.map(compilePipelineStep), 0, data.data.length);
+		},
+		async runAsync(data, options, region) {
+			if (steps.some(step => step.op === "frame")) throw new Error("Pipelines with custom frame passes can't be ran on worker threads as functions can't be sent to them");
+			if (!region) return runInWorkers(data, steps.slice(), options);
+			const weights = createRegionWeights(region, data.width, data.height);
+			const cropped = cropToRegion(data, weights);
+			if (!cropped) return;
+			await runInWorkers(cropped.crop, steps.slice(), options);
+			blendRegion(data, cropped.crop, cropped.bounds, weights);
+		}
+	};
+
+	return pipeline;
+}
+
+/**
+ * Runs the steps a worker thread was sent over its band of rows of the image data.
+ *
+ * This is only for worker.js and isn't part of the public API.
+ * @param {PixelData} data The whole image data, so that dithering uses the same positions as running on one thread.
+ * @param {Array<PipelineStep>} steps The steps of the pipeline. Already validated by the pipeline they came from and must not contain custom frame steps.
+ * @param {number} startRow The first row of the band.
+ * @param {number} rows How many rows the band has.
+ * @returns {void} The image data is written to directly.
+ */
+function runPipelineSteps(data, steps, startRow, rows) {
+	runFrames(data, steps.map(compilePipelineStep), startRow * data.width * 4, (startRow + rows) * data.width * 4);
+}
+
+/**
+ * Calls every frame function for every frame in part of the image data, in a single loop.
+ * @param {PixelData} data Image data.
+ * @param {Array<FrameFunction>} frames
+ * @param {number} start Index of data of the first frame.
+ * @param {number} end Index of data after the last frame.
+ * @returns {void} The image data is written to directly.
+ */
+function runFrames(data, frames, start, end) {
+	const frameCount = frames.length;
+	for (let i = start; i < end; i += 4) {
+		for (let f = 0; f < frameCount; f++) frames[f](data, i);
+	}
+}
+
+/**
+ * Turns a pipeline step into a frame function with its arguments already applied.
+ * @param {PipelineStep} step
+ * @returns {FrameFunction}
+ */
+function compilePipelineStep(step) {
+	switch (step.op) {
+		case "swizzle": {
+			const [options] = step.args;
+			return (data, i) => swizzleFrame(data, options, i);
+		}
+		case "swizzleExpressions": {
+			const [expressions] = step.args;
+			return (data, i) => swizzleExpressionsFrame(data, expressions, i);
+		}
+		case "bumpScale": {
+			const [scale, renormalize] = step.args;
+			return (data, i) => bumpScaleFrame(data, scale, i, renormalize);
+		}
+		case "normalizeNormals": return normalizeNormalsFrame;
+		case "flipNormalGreen": return flipNormalGreenFrame;
+		case "tint": {
+			const [r, g, b, int, options] = step.args;
+			return (data, i) => tintFrame(data, r, g, b, int, i, options);
+		}
+		case "lut": {
+			const [lut, interpolation] = step.args;
+			return (data, i) => applyLUTFrame(data, lut, interpolation, i);
+		}
+		case "hueShift": {
+			const [degrees] = step.args;
+			return (data, i) => hueShiftFrame(data, degrees, i);
+		}
+		case "adjustSaturation": {
+			const [amount] = step.args;
+			return (data, i) => adjustSaturationFrame(data, amount, i);
+		}
+		case "adjustLightness": {
+			const [amount] = step.args;
+			return (data, i) => adjustLightnessFrame(data, amount, i);
+		}
+		case "vibrance": {
+			const [amount] = step.args;
+			return (data, i) => vibranceFrame(data, amount, i);
+		}
+		case "colorize": {
+			const [r, g, b, strength] = step.args;
+			const [, targetA, targetB] = rgbToOklab(r, g, b);
+			return (data, i) => colorizeOklabFrame(data, targetA, targetB, strength, i);
+		}
+		case "levels": {
+			const tables = createLevelsTables(step.args[0]);
+			return (data, i) => levelsFrame(data, tables, i);
+		}
+		case "curves": {
+			const tables = createCurvesTables(step.args[0]);
+			return (data, i) => curvesFrame(data, tables, i);
+		}
+		case "gradientMap": {
+			const [gradient, source] = step.args;
+			const table = createGradientTable(gradient);
+			return (data, i) => gradientMapFrame(data, table, source, i);
+		}
+		case "frame": return step.args[0];
+		default: throw new Error(`Unknown pipeline step ${/** @type {{ op: string }} */ (step).op}`);
+	}
+}
+
+/**
+ * Throws if the swizzle options contain anything other than channels.
+ * @param {RecordChannelsMapOptional} options
+ * @returns {void}
+ */
+function validateChannelsMap(options) {
+	if (!options || typeof options !== "object") throw new Error("Channel options must be an object");
+	for (const [key, value] of Object.entries(options)) {
+		if (!isChannel(key)) throw new Error(`${key} is not a channel. Expected one of R, G, B or A`);
+		if (!isChannel(value)) throw new Error(`${value} (from ${key}) is not a channel. Expected one of R, G, B or A. Use swizzleExpressions for channel expressions`);
+	}
+}
+
+/**
+ * Throws if the value isn't a finite number.
+ * @param {string} name The name of the option for the error message.
+ * @param {unknown} value
+ * @returns {void}
+ */
+function validateNumber(name, value) {
+	if (typeof value !== "number" || !Number.isFinite(value)) throw new Error(`${name} must be a finite number. Got ${value}`);
+}
+
+
+// Worker threads
+
+
+/** @typedef {{ threads?: number }} ParallelOptions */
+
+/** @typedef {ParallelOptions & { renormalize?: boolean }} BumpScaleAsyncOptions */
+
+/** @typedef {TonemapOptions & ParallelOptions} TintAsyncOptions */
+
+/** @typedef {{ id: number, buffer: SharedArrayBuffer, width: number, height: number, startRow: number, rows: number, steps: Array<PipelineStep> }} WorkerJob */
+
+/** @typedef {{ id: number, error?: string }} WorkerResult */
+
+/** @type {Array<import("worker_threads").Worker>} */
+const workerPool = [];
+/** @type {Map<import("worker_threads").Worker, Map<number, { resolve: () => void, reject: (error: Error) => void }>>} */
+const workerJobs = new Map();
+let nextJobId = 0;
+// worker.js finds runPipelineSteps under this key. A symbol keeps it out of the public exports
+const workerEntryKey = Symbol.for("canvasshaderext.runPipelineSteps");
+
+/**
+ * Async version of swizzle where the image data is split into bands of rows and processed by worker threads.
+ *
+ * The result is byte identical to swizzle.
+ * @param {PixelData} data Image data.
+ * @param {RecordChannelsMapOptional} options Swizzle options to swap channels.
+ * @param {ParallelOptions} [parallelOptions] How many worker threads to split the work between. Defaults to the amount of parallelism available.
+ * @param {Region} [region] Limits the effect to a rectangle or mask. Default of the whole image
+ * @returns {Promise<void>} The image data is written to directly once the Promise resolves.
+ *
+ * @example
+ * // Swaps the Red and Blue channel
+ * await swizzleAsync(imageData, { R: "B", B: "R" });
+ */
+async function swizzleAsync(data, options, parallelOptions, region) {
+	return createPipeline().swizzle(options).runAsync(data, parallelOptions, region);
+}
+
+/**
+ * Async version of bumpScale where the image data is split into bands of rows and processed by worker threads.
+ *
+ * The result is byte identical to bumpScale.
+ * @param {PixelData} data Image data.
+ * @param {number} scale float value to lerp between default normal value RGB(128, 128, 255) and the current RGB value. Default value of 1.0 for no transformation.
+ * @param {BumpScaleAsyncOptions} [options] How many worker threads to split the work between, which defaults to the amount of parallelism available.
+ * renormalize recomputes the Blue channel (Z) after scaling so that the normals are unit length again. Default of false
+ * @param {Region} [region] Limits the effect to a rectangle or mask. Default of the whole image
+ * @returns {Promise<void>} The image data is written to directly once the Promise resolves.
+ *
+ * @example
+ * // Scales a normal map by 2
+ * await bumpScaleAsync(imageData, 2);
+ *
+ * @example
+ * // Scales a normal map by 2 on 4 threads and keeps the normals unit length
+ * await bumpScaleAsync(imageData, 2, { threads: 4, renormalize: true });
+ */
+async function bumpScaleAsync(data, scale, options = {}, region) {
+	return createPipeline().bumpScale(scale, options.renormalize ?? false).runAsync(data, { threads: options.threads }, region);
+}
+
+/**
+ * Async version of tint where the image data is split into bands of rows and processed by worker threads.
+ * This is where the HDR path gets the most benefit as it is the most expensive per pixel.
+ *
+ * The result is byte identical to tint.
+ * @param {PixelData} data Image data.
+ * @param {number} r int 0-255 to multiply the R channel by.
+ * @param {number} g int 0-255 to multiply the G channel by.
+ * @param {number} b int 0-255 to multiply the B channel by.
+ * @param {number} [int] float intensity. Default value should be 1 for no HDR transformation.
+ * @param {TintAsyncOptions} [options] How many worker threads to split the work between along with the options for the HDR transformation.
+ * threads defaults to the amount of parallelism available and doesn't apply the HDR transformation on its own.
+ * autoExposure and error diffusion dithers aren't supported. Use computeAutoExposure and pass the exposure instead.
+ * @param {Region} [region] Limits the effect to a rectangle or mask. Default of the whole image
+ * @returns {Promise<void>} The image data is written to directly once the Promise resolves.
+ *
+ * @example
+ * // Tints the image orange with an HDR intensity of 3 using 4 threads
+ * await tintAsync(imageData, 255, 128, 0, 3, { threads: 4 });
+ *
+ * @example
+ * // Same, but with the Hable filmic tone mapper
+ * await tintAsync(imageData, 255, 128, 0, 3, { threads: 4, tonemapper: "hable" });
+ */
+async function tintAsync(data, r, g, b, int = 1, options, region) {
+	const { threads, ...tonemapOptions } = options ?? {};
+	const hasTonemapOptions = Object.keys(tonemapOptions).length > 0;
+	return createPipeline().tint(r, g, b, int, hasTonemapOptions ? tonemapOptions : undefined).runAsync(data, { threads }, region);
+}
+
+/**
+ * Terminates the worker threads used by the async functions. They are created again the next time they're needed.
+ *
+ * Workers don't keep the process alive while idle, so this is only needed if you want the threads gone right away.
+ * @returns {Promise<void>}
+ */
+async function terminateWorkers() {
+	const workers = workerPool.splice(0, workerPool.length);
+	await Promise.all(workers.map(worker => worker.terminate()));
+}
+
+/**
+ * Copies the image data into shared memory, splits it into bands of rows and has the worker pool run the steps over each band.
+ * @param {PixelData} data Image data.
+ * @param {Array<PipelineStep>} steps The steps to run. Must not contain custom frame steps.
+ * @param {ParallelOptions} [options]
+ * @returns {Promise<void>}
+ */
+async function runInWorkers(data, steps, options = {}) {
+	const threads = Math.max(1, Math.min(options.threads ?? defaultThreadCount(), data.height));
+	const rowsPerBand = Math.ceil(data.height / threads);
+
+	const buffer = new SharedArrayBuffer(data.data.length);
+	const shared = new Uint8ClampedArray(buffer);
+	shared.set(data.data);
+
+	/** @type {Array<Promise<void>>} */
+	const jobs = [];
+	const workers = getWorkers(threads);
+	for (let band = 0; band < threads; band++) {
+		const startRow = band * rowsPerBand;
+		const rows = Math.min(rowsPerBand, data.height - startRow);
+		if (rows <= 0) break;
+		jobs.push(postJob(workers[band], { id: nextJobId++, buffer, width: data.width, height: data.height, startRow, rows, steps }));
+	}
+
+	await Promise.all(jobs);
+	data.data.set(shared);
+}
+
+/**
+ * @returns {number}
+ */
+function defaultThreadCount() {
+	// Required here so that the rest of the library works where there are no worker threads
+	const os = require("os");
+	return typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Gets workers from the pool, spawning more if there aren't enough.
+ * @param {number} count
+ * @returns {Array<import("worker_threads").Worker>}
+ */
+function getWorkers(count) {
+	while (workerPool.length < count) {
+		const { Worker } = require("worker_threads");
+		const worker = new Worker(require("path").join(__dirname, "worker.js"));
+		/** @type {Map<number, { resolve: () => void, reject: (error: Error) => void }>} */
+		const jobs = new Map();
+		workerJobs.set(worker, jobs);
+
+		worker.on("message", (/** @type {WorkerResult} */ result) => {
+			const job = jobs.get(result.id);
+			if (!job) return;
+			jobs.delete(result.id);
+			if (jobs.size === 0) worker.unref();
+			if (result.error) job.reject(new Error(result.error));
+			else job.resolve();
+		});
+		worker.on("error", error => {
+			jobs.forEach(job => job.reject(error));
+			jobs.clear();
+		});
+		worker.on("exit", () => {
+			const index = workerPool.indexOf(worker);
+			if (index !== -1) workerPool.splice(index, 1);
+			jobs.forEach(job => job.reject(new Error("Worker thread exited before it finished processing")));
+			workerJobs.delete(worker);
+		});
+
+		worker.unref();
+		workerPool.push(worker);
+	}
+	return workerPool.slice(0, count);
+}
+
+/**
+ * Sends a job to a worker. The worker is kept referenced while it has jobs so the process doesn't exit under it.
+ * @param {import("worker_threads").Worker} worker
+ * @param {WorkerJob} job
+ * @returns {Promise<void>}
+ */
+function postJob(worker, job) {
+	return new Promise((resolve, reject) => {
+		const jobs = workerJobs.get(worker);
+		if (!jobs) return reject(new Error("Worker thread is no longer in the pool"));
+		jobs.set(job.id, { resolve, reject });
+		worker.ref();
+		worker.postMessage(job);
+	});
 }
 
 
@@ -550,20 +1183,29 @@ const contrastDefault = 1.0;
 const saturationDefault = 1.0;
 const highlightCompressionDefault = 1.0;
 const shadowLiftingDefault = 0.0;
+/** @type {TonemapOptions} */
+const tonemapOptionsDefault = Object.freeze({});
 
 /**
  * Converts an sRGB Color + an intensity value to HDR, applies the intensity,
- * runs that Color through an ACES-inspired tone mapper, and then returns back the Color in sRGB space.
+ * runs that Color through a tone mapper (ACES-inspired by default), and then returns back the Color in sRGB space.
+ *
+ * The grading values can either be passed one by one or as an options object in place of exposure, which also allows picking the tone mapper.
+ * This grades a single color. To grade part of an image, pass a region to tint with the same options, or to applyLUT with a LUT from bakeLUT.
  * @param {number} r sRGB R component.
  * @param {number} g sRGB G component.
  * @param {number} b sRGB B component.
  * @param {number} intensity HDR intensity.
- * @param {number} [exposure] How much exposure to apply. Default of 1.0
+ * @param {number | TonemapOptions | null} [exposure] How much exposure to apply. Default of 1.0. Can also be an options object. null is the same as passing no options.
  * @param {number} [contrast] How much contrast to apply. Default of 1.0
  * @param {number} [saturation] How much saturation to apply. Default of 1.0
  * @param {number} [highlightCompression] Multiplier of how much highlights affect the image. float typically in the range of 0-1. Default of 1.0
  * @param {number} [shadowLifting] Additive amount of color to apply to the image. float typically in the range of 0-1. Default of 0.0
  * @returns {[number, number, number]} The RGB color.
+ *
+ * @example
+ * // Same as the default, but with the extended Reinhard tone mapper where 6 is pure white
+ * const [r, g, b] = hdrToSdr(255, 128, 0, 3, { tonemapper: "reinhardExtended", whitePoint: 6 });
  */
 function hdrToSdr(
 	r, g, b,
@@ -574,25 +1216,93 @@ function hdrToSdr(
 	highlightCompression = highlightCompressionDefault,
 	shadowLifting = shadowLiftingDefault
 ) {
+	const color = typeof exposure === "number"
+		? gradeValuesToSRGB(r, g, b, intensity * exposure, contrast, saturation, highlightCompression, shadowLifting, defaultTonemapper, tonemapOptionsDefault)
+		: gradeToSRGB(r, g, b, intensity, exposure ?? tonemapOptionsDefault);
+
+	// Round to the 0-255 range
+	return [Math.round(color[0]), Math.round(color[1]), Math.round(color[2])];
+}
+
+/**
+ * hdrToSdr without the rounding at the end so that the result can be dithered.
+ * @param {number} r sRGB R component.
+ * @param {number} g sRGB G component.
+ * @param {number} b sRGB B component.
+ * @param {number} intensity HDR intensity.
+ * @param {TonemapOptions} options
+ * @returns {[number, number, number]} The sRGB color as floats in the range of 0-255.
+ */
+function gradeToSRGB(r, g, b, intensity, options) {
+	return gradeValuesToSRGB(
+		r, g, b,
+		intensity * (options.exposure ?? exposureDefault),
+		options.contrast ?? contrastDefault,
+		options.saturation ?? saturationDefault,
+		options.highlightCompression ?? highlightCompressionDefault,
+		options.shadowLifting ?? shadowLiftingDefault,
+		getTonemapper(options.tonemapper),
+		options
+	);
+}
+
+/**
+ * gradeToSRGB with the options already resolved, so that hdrToSdr doesn't need an options object for the grading values.
+ * @param {number} r sRGB R component.
+ * @param {number} g sRGB G component.
+ * @param {number} b sRGB B component.
+ * @param {number} multiplier The intensity and exposure multiplied together.
+ * @param {number} contrast
+ * @param {number} saturation
+ * @param {number} highlightCompression
+ * @param {number} shadowLifting
+ * @param {TonemapOperator} operator
+ * @param {TonemapOptions} options Passed along to the operator.
+ * @returns {[number, number, number]} The sRGB color as floats in the range of 0-255.
+ */
+function gradeValuesToSRGB(r, g, b, multiplier, contrast, saturation, highlightCompression, shadowLifting, operator, options) {
 	// Convert to linear space
 	r = sRGBToLinear(r / 255);
 	g = sRGBToLinear(g / 255);
 	b = sRGBToLinear(b / 255);
 
-	// Apply intensity and exposure
-	r *= intensity * exposure;
-	g *= intensity * exposure;
-	b *= intensity * exposure;
+	// Apply intensity, exposure, contrast, tone mapping and saturation
+	[r, g, b] = gradeLinear(r, g, b, multiplier, contrast, saturation, highlightCompression, shadowLifting, operator, options);
+
+	// Convert back to sRGB space in the 0-255 range
+	return [linearToSRGB(r) * 255, linearToSRGB(g) * 255, linearToSRGB(b) * 255];
+}
+
+/**
+ * The part of hdrToSdr which works on linear colors. Shared with tonemapHDR which already has linear colors.
+ * @param {number} r Linear R component.
+ * @param {number} g Linear G component.
+ * @param {number} b Linear B component.
+ * @param {number} multiplier The intensity and exposure multiplied together.
+ * @param {number} contrast
+ * @param {number} saturation
+ * @param {number} highlightCompression
+ * @param {number} shadowLifting
+ * @param {TonemapOperator} operator
+ * @param {TonemapOptions} options Passed along to the operator.
+ * @returns {[number, number, number]} The linear RGB color clamped to 0-1.
+ */
+function gradeLinear(r, g, b, multiplier, contrast, saturation, highlightCompression, shadowLifting, operator, options) {
+	// Apply exposure
+	r *= multiplier;
+	g *= multiplier;
+	b *= multiplier;
 
 	// Apply contrast
 	r = Math.pow(r, contrast);
 	g = Math.pow(g, contrast);
 	b = Math.pow(b, contrast);
 
-	// Apply ACES-inspired tone mapping
-	r = tonemap(r * highlightCompression) + shadowLifting;
-	g = tonemap(g * highlightCompression) + shadowLifting;
-	b = tonemap(b * highlightCompression) + shadowLifting;
+	// Apply tone mapping
+	[r, g, b] = operator(r * highlightCompression, g * highlightCompression, b * highlightCompression, options);
+	r += shadowLifting;
+	g += shadowLifting;
+	b += shadowLifting;
 
 	// Apply saturation
 	const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
@@ -605,16 +1315,6 @@ function hdrToSdr(
 	g = clamp(0, 1, g);
 	b = clamp(0, 1, b);
 
-	// Convert back to sRGB space
-	r = linearToSRGB(r);
-	g = linearToSRGB(g);
-	b = linearToSRGB(b);
-
-	// Convert to 0-255 range
-	r = Math.round(r * 255);
-	g = Math.round(g * 255);
-	b = Math.round(b * 255);
-
 	return [r, g, b];
 }
 
@@ -633,29 +1333,6642 @@ function tonemap(x) {
 	return (x * (toneA * x + toneB)) / (x * (toneC * x + toneD) + toneE);
 }
 
-module.exports = {
-	normalDefaultRGB,
-	channelIndexes,
-	swizzle,
-	swizzleFrame,
-	bumpScale,
-	bumpScaleFrame,
-	tint,
-	tintFrame,
-	tile,
-	offset,
-	resize,
-	flip,
-	duplicate,
-	mask,
-	pack,
-	unpack,
-	image2Context,
-	tint2Mult,
-	lerp,
-	clamp,
-	fill,
-	linearToSRGB,
-	sRGBToLinear,
-	hdrToSdr
+
+// Tone mappers
+
+
+/** @typedef {(r: number, g: number, b: number, options: TonemapOptions) => [number, number, number]} TonemapOperator */
+
+/**
+ * @typedef {Object} TonemapOptions
+ * @property {string} [tonemapper] Name of the tone mapper in the tonemappers registry. Default of "aces"
+ * @property {number} [exposure] How much exposure to apply. Default of 1.0
+ * @property {number} [contrast] How much contrast to apply. Default of 1.0
+ * @property {number} [saturation] How much saturation to apply. Default of 1.0
+ * @property {number} [highlightCompression] Multiplier of how much highlights affect the image. float typically in the range of 0-1. Default of 1.0
+ * @property {number} [shadowLifting] Additive amount of color to apply to the image. float typically in the range of 0-1. Default of 0.0
+ * @property {number} [whitePoint] The smallest value that is mapped to pure white by the extended Reinhard tone mapper. Default of 4.0
+ * @property {boolean | number} [autoExposure] Multiplies the exposure by one computed from the log-average luminance of the image. A number is used as the key (middle grey) instead of the default of 0.18. Only supported by functions which see the whole image.
+ * @property {DitherMethod} [dither] How the result is rounded to 8 bits to hide banding in smooth gradients. hdrToSdr ignores it as it doesn't know where the pixel is.
+ * floydSteinberg and atkinson are only supported by functions which see the whole image. Default of "none"
+ */
+
+const whitePointDefault = 4.0;
+const autoExposureKeyDefault = 0.18;
+
+const hableA = 0.15;
+const hableB = 0.50;
+const hableC = 0.10;
+const hableD = 0.20;
+const hableE = 0.02;
+const hableF = 0.30;
+const hableExposureBias = 2.0;
+const hableWhite = 11.2;
+
+/**
+ * @param {number} x
+ * @returns {number}
+ */
+function hableCurve(x) {
+	return ((x * (hableA * x + hableC * hableB) + hableD * hableE) / (x * (hableA * x + hableB) + hableD * hableF)) - hableE / hableF;
+}
+
+const hableWhiteScale = 1 / hableCurve(hableWhite);
+
+const agxMinEV = -12.47393;
+const agxMaxEV = 4.026069;
+
+/**
+ * AgX's default contrast curve. A polynomial fit of the sigmoid in log space.
+ * @param {number} x
+ * @returns {number}
+ */
+function agxContrast(x) {
+	const x2 = x * x;
+	const x4 = x2 * x2;
+	return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
 }
+
+/**
+ * The tone mappers that hdrToSdr, tint and tonemapHDR can pick from by name. Add your own with registerTonemapper.
+ *
+ * Every operator takes linear RGB and returns linear RGB which is expected to be in the range of 0-1.
+ * - aces: The curve this library has always used. It is the same as narkowicz.
+ * - narkowicz: Krzysztof Narkowicz's fit of the ACES filmic curve.
+ * - reinhard: x / (1 + x).
+ * - reinhardExtended: Reinhard where whitePoint is mapped to pure white.
+ * - hable: John Hable's Uncharted 2 filmic curve.
+ * - agx: The AgX base look with the default sigmoid.
+ * @type {Record<string, TonemapOperator>}
+ */
+const tonemappers = {
+	aces: (r, g, b) => [tonemap(r), tonemap(g), tonemap(b)],
+	narkowicz: (r, g, b) => [tonemap(r), tonemap(g), tonemap(b)],
+	reinhard: (r, g, b) => [r / (1 + r), g / (1 + g), b / (1 + b)],
+	reinhardExtended: (r, g, b, options) => {
+		const white2 = Math.pow(options.whitePoint ?? whitePointDefault, 2);
+		return [
+			(r * (1 + r / white2)) / (1 + r),
+			(g * (1 + g / white2)) / (1 + g),
+			(b * (1 + b / white2)) / (1 + b)
+		];
+	},
+	hable: (r, g, b) => [
+		hableCurve(r * hableExposureBias) * hableWhiteScale,
+		hableCurve(g * hableExposureBias) * hableWhiteScale,
+		hableCurve(b * hableExposureBias) * hableWhiteScale
+	],
+	agx: (r, g, b) => {
+		// Inset into the AgX working space
+		const ir = 0.842479062253094 * r + 0.0784335999999992 * g + 0.0792237451477643 * b;
+		const ig = 0.0423282422610123 * r + 0.878468636469772 * g + 0.0791661274605434 * b;
+		const ib = 0.0423756549057051 * r + 0.0784336 * g + 0.879142973793104 * b;
+
+		// Log2 encoding and the contrast sigmoid
+		const encode = (/** @type {number} */ x) => agxContrast((clamp(agxMinEV, agxMaxEV, Math.log2(Math.max(x, 1e-10))) - agxMinEV) / (agxMaxEV - agxMinEV));
+		const er = encode(ir);
+		const eg = encode(ig);
+		const eb = encode(ib);
+
+		// Outset back and undo the display encoding the sigmoid bakes in
+		const or = 1.19687900512017 * er - 0.0980208811401368 * eg - 0.0990297440797205 * eb;
+		const og = -0.0528968517574562 * er + 1.15190312990417 * eg - 0.0989611768448433 * eb;
+		const ob = -0.0529716355144438 * er - 0.0980434501171241 * eg + 1.15107367264116 * eb;
+		return [Math.pow(Math.max(0, or), 2.2), Math.pow(Math.max(0, og), 2.2), Math.pow(Math.max(0, ob), 2.2)];
+	}
+};
+
+/** The operator used when no tone mapper is picked. registerTonemapper keeps it in sync with tonemappers.aces so that the default doesn't need a registry lookup. */
+let defaultTonemapper = tonemappers.aces;
+
+/**
+ * Adds a tone mapper to the registry so that it can be picked by name.
+ * @param {string} name The name to pick the tone mapper by. Can replace existing tone mappers.
+ * @param {TonemapOperator} operator Takes linear RGB and returns linear RGB which is expected to be in the range of 0-1.
+ * @returns {void}
+ *
+ * @example
+ * registerTonemapper("clip", (r, g, b) => [Math.min(r, 1), Math.min(g, 1), Math.min(b, 1)]);
+ * tint(imageData, 255, 255, 255, 2, { tonemapper: "clip" });
+ */
+function registerTonemapper(name, operator) {
+	if (typeof operator !== "function") throw new Error(`Tone mapper ${name} must be a function`);
+	tonemappers[name] = operator;
+	if (name === "aces") defaultTonemapper = operator;
+}
+
+/**
+ * @param {string | null} [name] null or undefined picks the default of aces.
+ * @returns {TonemapOperator}
+ */
+function getTonemapper(name) {
+	if (name === undefined || name === null) return defaultTonemapper;
+	if (!Object.prototype.hasOwnProperty.call(tonemappers, name)) throw new Error(`Unknown tone mapper ${name}. Expected one of ${Object.keys(tonemappers).join(", ")}`);
+	return tonemappers[name];
+}
+
+/**
+ * Computes an exposure multiplier which brings the log-average luminance of an image to the key value.
+ * @param {PixelData | HDRImageData} data Image data or an HDR image. Image data is converted to linear space first.
+ * @param {number} [key] The luminance the average is mapped to. Default of 0.18 (middle grey)
+ * @param {number} [intensity] A multiplier applied to the image before measuring, like the intensity passed to hdrToSdr. Default of 1.0
+ * @returns {number} The exposure multiplier.
+ *
+ * @example
+ * const exposure = computeAutoExposure(hdr);
+ * const imageData = tonemapHDR(hdr, { exposure, tonemapper: "agx" });
+ */
+function computeAutoExposure(data, key = autoExposureKeyDefault, intensity = 1) {
+	const isHDR = data.data instanceof Float32Array;
+	const delta = 1e-4;
+	let sum = 0;
+	let count = 0;
+	for (let i = 0; i < data.data.length; i += 4) {
+		let r = data.data[i];
+		let g = data.data[i + 1];
+		let b = data.data[i + 2];
+		if (!isHDR) {
+			r = sRGBToLinear(r / 255);
+			g = sRGBToLinear(g / 255);
+			b = sRGBToLinear(b / 255);
+		}
+		const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) * intensity;
+		sum += Math.log(delta + Math.max(0, luminance));
+		count++;
+	}
+	if (count === 0) return 1;
+	return key / Math.exp(sum / count);
+}
+
+
+// HDR images
+
+
+/** @typedef {{ width: number, height: number, data: Float32Array }} HDRImageData */
+
+/**
+ * Creates an empty HDR image. The data is laid out the same as PixelData (RGBA), but each component is a linear float instead of a 0-255 int.
+ * Alpha stays in the range of 0-1.
+ * @param {number} width The width of the image in pixels.
+ * @param {number} height The height of the image in pixels.
+ * @returns {HDRImageData}
+ *
+ * @example
+ * const hdr = createHDRImageData(1024, 512);
+ */
+function createHDRImageData(width, height) {
+	return { width, height, data: new Float32Array(width * height * 4) };
+}
+
+/**
+ * Converts standard 8 bit image data to an HDR image by converting the RGB components into linear space.
+ * @param {PixelData} data Image data.
+ * @returns {HDRImageData}
+ *
+ * @example
+ * const hdr = imageDataToHDR(context.getImageData(0, 0, context.canvas.width, context.canvas.height));
+ */
+function imageDataToHDR(data) {
+	const hdr = createHDRImageData(data.width, data.height);
+	for (let i = 0; i < data.data.length; i += 4) {
+		hdr.data[i] = sRGBToLinear(data.data[i] / 255);
+		hdr.data[i + 1] = sRGBToLinear(data.data[i + 1] / 255);
+		hdr.data[i + 2] = sRGBToLinear(data.data[i + 2] / 255);
+		hdr.data[i + 3] = data.data[i + 3] / 255;
+	}
+	return hdr;
+}
+
+/**
+ * Copy channel data to other channels of an HDR image. Works exactly like swizzle.
+ * @param {HDRImageData} hdr HDR image.
+ * @param {RecordChannelsMapOptional} options Swizzle options to swap channels. swizzleExpressions works on HDR images too.
+ * @param {Region} [region] Limits the swizzle to a rectangle or mask. Default of the whole image
+ * @returns {void} The HDR image is written to directly.
+ *
+ * @example
+ * // Swaps the Red and Blue channel
+ * swizzleHDR(hdr, { R: "B", B: "R" });
+ */
+function swizzleHDR(hdr, options, region) {
+	if (region) return applyInRegion(hdr, region, crop => swizzleHDR(crop, options));
+	for (let i = 0; i < hdr.data.length; i += 4) swizzleFrame(hdr, options, i);
+}
+
+/**
+ * Takes an RGB value and multiplies the HDR image by that RGB value and an intensity.
+ *
+ * Works like tint, except that the intensity is a plain multiplier as the values are already linear and don't need tone mapping.
+ * Negative RGB values invert the channel the same way tint does, where 1 is treated as white.
+ * @param {HDRImageData} hdr HDR image.
+ * @param {number} r int 0-255 to multiply the R channel by.
+ * @param {number} g int 0-255 to multiply the G channel by.
+ * @param {number} b int 0-255 to multiply the B channel by.
+ * @param {number} [int] float intensity. Default value of 1.
+ * @param {Region} [region] Limits the tint to a rectangle or mask. Default of the whole image
+ * @returns {void} The HDR image is written to directly.
+ *
+ * @example
+ * // Tints the image orange and makes it 4 times as bright
+ * tintHDR(hdr, 255, 128, 0, 4);
+ */
+function tintHDR(hdr, r, g, b, int = 1, region) {
+	if (region) return applyInRegion(hdr, region, crop => tintHDR(crop, r, g, b, int));
+	for (let i = 0; i < hdr.data.length; i += 4) tintHDRFrame(hdr, r, g, b, int, i);
+}
+
+/**
+ * Function that actually tints the HDR image.
+ *
+ * This function is just for optimization when you are running your own passes on the HDR image and applying your own processing on top of this effect.
+ * @param {HDRImageData} hdr HDR image.
+ * @param {number} r int 0-255 to multiply the R channel by.
+ * @param {number} g int 0-255 to multiply the G channel by.
+ * @param {number} b int 0-255 to multiply the B channel by.
+ * @param {number} int float intensity. Default value should be 1.
+ * @param {number} i Index of data to start applying the tinting at. Applies at i, i+1, and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The HDR image is written to directly.
+ *
+ * @example
+ * // Goes through the whole HDR image tinting it by half. This is how it should be used.
+ * // The tintHDR function does this for you.
+ * for (let i = 0; i < hdr.data.length; i += 4) {
+ * 	tintHDRFrame(hdr, 128, 128, 128, 1, i);
+ * }
+ */
+function tintHDRFrame(hdr, r, g, b, int, i) {
+	if (r < 0) hdr.data[i] = Math.max(0, lerp(hdr.data[i], 1 - hdr.data[i], tint2Mult(-r))) * int;
+	else hdr.data[i] = hdr.data[i] * tint2Mult(r) * int;
+
+	if (g < 0) hdr.data[i + 1] = Math.max(0, lerp(hdr.data[i + 1], 1 - hdr.data[i + 1], tint2Mult(-g))) * int;
+	else hdr.data[i + 1] = hdr.data[i + 1] * tint2Mult(g) * int;
+
+	if (b < 0) hdr.data[i + 2] = Math.max(0, lerp(hdr.data[i + 2], 1 - hdr.data[i + 2], tint2Mult(-b))) * int;
+	else hdr.data[i + 2] = hdr.data[i + 2] * tint2Mult(b) * int;
+}
+
+/**
+ * Runs linearToSRGB over the RGB components of every pixel of an HDR image. Values above 1 are left unclamped.
+ * @param {HDRImageData} hdr HDR image.
+ * @returns {void} The HDR image is written to directly.
+ */
+function linearToSRGBHDR(hdr) {
+	for (let i = 0; i < hdr.data.length; i += 4) {
+		hdr.data[i] = linearToSRGB(hdr.data[i]);
+		hdr.data[i + 1] = linearToSRGB(hdr.data[i + 1]);
+		hdr.data[i + 2] = linearToSRGB(hdr.data[i + 2]);
+	}
+}
+
+/**
+ * Runs sRGBToLinear over the RGB components of every pixel of an HDR image.
+ * @param {HDRImageData} hdr HDR image.
+ * @returns {void} The HDR image is written to directly.
+ */
+function sRGBToLinearHDR(hdr) {
+	for (let i = 0; i < hdr.data.length; i += 4) {
+		hdr.data[i] = sRGBToLinear(hdr.data[i]);
+		hdr.data[i + 1] = sRGBToLinear(hdr.data[i + 1]);
+		hdr.data[i + 2] = sRGBToLinear(hdr.data[i + 2]);
+	}
+}
+
+/**
+ * Runs an HDR image through the same grading and tone mappers as hdrToSdr and returns standard 8 bit image data.
+ * @param {HDRImageData} hdr HDR image. Expected to be in linear space.
+ * @param {TonemapOptions} [options] The same options hdrToSdr takes. autoExposure is supported and measures the whole image.
+ * @param {Region} [region] Limits the grading to a rectangle or mask. Pixels outside of it are only converted to sRGB and clamped. Default of the whole image
+ * @returns {PixelData} New image data in sRGB space.
+ *
+ * @example
+ * const imageData = tonemapHDR(hdr, { tonemapper: "agx", autoExposure: true });
+ * context.putImageData(imageData, 0, 0);
+ *
+ * @example
+ * // Only grades the sky marked in the Blue channel of a mask
+ * const imageData = tonemapHDR(hdr, { tonemapper: "hable", exposure: 0.5 }, { mask: skyMaskContext, channel: "B", feather: 4 });
+ */
+function tonemapHDR(hdr, options = {}, region) {
+	const {
+		contrast = contrastDefault,
+		saturation = saturationDefault,
+		highlightCompression = highlightCompressionDefault,
+		shadowLifting = shadowLiftingDefault
+	} = options;
+	let exposure = options.exposure ?? exposureDefault;
+	if (options.autoExposure) exposure *= computeAutoExposure(hdr, typeof options.autoExposure === "number" ? options.autoExposure : autoExposureKeyDefault);
+	const operator = getTonemapper(options.tonemapper);
+	validateDitherMethod(options.dither);
+	const weights = region ? createRegionWeights(region, hdr.width, hdr.height) : undefined;
+
+	const values = new Float32Array(hdr.data.length);
+	for (let i = 0; i < hdr.data.length; i += 4) {
+		const weight = weights ? weights[i / 4] : 1;
+		values[i + 3] = clamp(0, 1, hdr.data[i + 3]) * 255;
+		for (let c = 0; c < 3; c++) values[i + c] = linearToSRGB(clamp(0, 1, hdr.data[i + c])) * 255;
+		if (weight === 0) continue;
+
+		const color = gradeLinear(hdr.data[i], hdr.data[i + 1], hdr.data[i + 2], exposure, contrast, saturation, highlightCompression, shadowLifting, operator, options);
+		for (let c = 0; c < 3; c++) values[i + c] = lerp(values[i + c], linearToSRGB(color[c]) * 255, weight);
+	}
+	const out = getBackend().createImageData(hdr.width, hdr.height);
+	ditherToImageData(values, out, options.dither);
+	return out;
+}
+
+/**
+ * Reads bytes as latin1 text. Used instead of Buffer so that the file formats work outside of Node.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function latin1ToString(bytes) {
+	let text = "";
+	for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+	return text;
+}
+
+/**
+ * Writes text as latin1 bytes. Characters past 255 can't be written and throw.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function stringToLatin1(text) {
+	const bytes = new Uint8Array(text.length);
+	for (let i = 0; i < text.length; i++) {
+		const code = text.charCodeAt(i);
+		if (code > 0xFF) throw new Error(`${text[i]} can't be written as latin1`);
+		bytes[i] = code;
+	}
+	return bytes;
+}
+
+/**
+ * Decodes a Radiance .hdr (RGBE) file into an HDR image. Both run length encoded and flat scanlines are supported.
+ *
+ * Only the 32-bit_rle_rgbe format with the standard -Y +X (or +Y +X) orientations is supported. The EXPOSURE header is not applied.
+ * @param {Uint8Array} buffer The contents of the file.
+ * @returns {HDRImageData} The decoded HDR image. Alpha is set to 1.
+ *
+ * @example
+ * const hdr = decodeHDR(fs.readFileSync("./environment.hdr"));
+ */
+function decodeHDR(buffer) {
+	let pos = 0;
+	const readLine = () => {
+		const start = pos;
+		while (pos < buffer.length && buffer[pos] !== 0x0A) pos++;
+		if (pos >= buffer.length) throw new Error("Unexpected end of .hdr file while reading the header");
+		const line = latin1ToString(buffer.subarray(start, pos));
+		pos++;
+		return line;
+	};
+
+	const magic = readLine();
+	if (!magic.startsWith("#?")) throw new Error("Not a Radiance .hdr file. Missing the #? magic");
+
+	for (let line = readLine(); line !== ""; line = readLine()) {
+		if (line.startsWith("FORMAT=") && line !== "FORMAT=32-bit_rle_rgbe") throw new Error(`Unsupported .hdr format ${line.slice(7)}. Only 32-bit_rle_rgbe is supported`);
+	}
+
+	const resolution = /^([-+])Y (\d+) \+X (\d+)$/.exec(readLine().trim());
+	if (!resolution) throw new Error("Unsupported .hdr resolution line. Only -Y +X and +Y +X orientations are supported");
+	const height = Number(resolution[2]);
+	const width = Number(resolution[3]);
+	const bottomUp = resolution[1] === "+";
+
+	const hdr = createHDRImageData(width, height);
+	const scanline = new Uint8Array(width * 4);
+
+	for (let y = 0; y < height; y++) {
+		pos = readHDRScanline(buffer, pos, scanline, width);
+		const row = bottomUp ? height - 1 - y : y;
+		for (let x = 0; x < width; x++) {
+			const s = x * 4;
+			const i = (row * width + x) * 4;
+			const e = scanline[s + 3];
+			if (e === 0) {
+				hdr.data[i] = hdr.data[i + 1] = hdr.data[i + 2] = 0;
+			} else {
+				const f = Math.pow(2, e - 136); // 2^(e - 128) / 256
+				hdr.data[i] = (scanline[s] + 0.5) * f;
+				hdr.data[i + 1] = (scanline[s + 1] + 0.5) * f;
+				hdr.data[i + 2] = (scanline[s + 2] + 0.5) * f;
+			}
+			hdr.data[i + 3] = 1;
+		}
+	}
+
+	return hdr;
+}
+
+/**
+ * Reads one scanline of RGBE pixels into the scanline buffer.
+ * @param {Uint8Array} buffer
+ * @param {number} pos Where in the buffer the scanline starts.
+ * @param {Uint8Array} scanline Receives width * 4 RGBE bytes.
+ * @param {number} width
+ * @returns {number} Where in the buffer the next scanline starts.
+ */
+function readHDRScanline(buffer, pos, scanline, width) {
+	if (pos + 4 > buffer.length) throw new Error("Unexpected end of .hdr file while reading pixels");
+
+	const isNewRLE = width >= 8 && width < 0x8000 && buffer[pos] === 2 && buffer[pos + 1] === 2 && (buffer[pos + 2] & 0x80) === 0;
+	if (isNewRLE) {
+		if (((buffer[pos + 2] << 8) | buffer[pos + 3]) !== width) throw new Error("Scanline width in .hdr file doesn't match the image width");
+		pos += 4;
+		for (let c = 0; c < 4; c++) {
+			let x = 0;
+			while (x < width) {
+				if (pos >= buffer.length) throw new Error("Unexpected end of .hdr file while reading pixels");
+				let count = buffer[pos++];
+				if (count > 128) {
+					count -= 128;
+					if (x + count > width) throw new Error("Bad run length in .hdr file");
+					const value = buffer[pos++];
+					for (let n = 0; n < count; n++) scanline[(x++) * 4 + c] = value;
+				} else {
+					if (count === 0 || x + count > width) throw new Error("Bad run length in .hdr file");
+					for (let n = 0; n < count; n++) scanline[(x++) * 4 + c] = buffer[pos++];
+				}
+			}
+		}
+		return pos;
+	}
+
+	// Flat pixels which may contain old style runs where 1, 1, 1 repeats the previous pixel
+	let x = 0;
+	let shift = 0;
+	while (x < width) {
+		if (pos + 4 > buffer.length) throw new Error("Unexpected end of .hdr file while reading pixels");
+		if (buffer[pos] === 1 && buffer[pos + 1] === 1 && buffer[pos + 2] === 1) {
+			if (x === 0) throw new Error("Bad run length in .hdr file");
+			const count = buffer[pos + 3] << shift;
+			if (x + count > width) throw new Error("Bad run length in .hdr file");
+			for (let n = 0; n < count; n++, x++) scanline.copyWithin(x * 4, (x - 1) * 4, x * 4);
+			shift += 8;
+		} else {
+			scanline.set(buffer.subarray(pos, pos + 4), x * 4);
+			x++;
+			shift = 0;
+		}
+		pos += 4;
+	}
+	return pos;
+}
+
+/**
+ * Encodes an HDR image into a run length encoded Radiance .hdr (RGBE) file. Alpha is discarded.
+ * @param {HDRImageData} hdr HDR image. Expected to be in linear space.
+ * @returns {Uint8Array} The contents of the file.
+ *
+ * @example
+ * fs.writeFileSync("./environment.hdr", encodeHDR(hdr));
+ */
+function encodeHDR(hdr) {
+	const { width, height } = hdr;
+	const header = stringToLatin1(`#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${height} +X ${width}\n`);
+	/** @type {Array<Uint8Array>} */
+	const chunks = [header];
+	const scanline = new Uint8Array(width * 4);
+	const useRLE = width >= 8 && width < 0x8000;
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 4;
+			floatToRGBE(hdr.data[i], hdr.data[i + 1], hdr.data[i + 2], scanline, x * 4);
+		}
+
+		if (!useRLE) {
+			chunks.push(scanline.slice());
+			continue;
+		}
+
+		/** @type {Array<number>} */
+		const bytes = [2, 2, width >> 8, width & 0xFF];
+		for (let c = 0; c < 4; c++) {
+			let x = 0;
+			while (x < width) {
+				// Look for a run of at least 3 of the same value
+				let runLength = 1;
+				while (x + runLength < width && runLength < 127 && scanline[(x + runLength) * 4 + c] === scanline[x * 4 + c]) runLength++;
+				if (runLength >= 3) {
+					bytes.push(128 + runLength, scanline[x * 4 + c]);
+					x += runLength;
+					continue;
+				}
+
+				// Otherwise write literal values up until the next run
+				let literalLength = 0;
+				while (x + literalLength < width && literalLength < 128) {
+					const l = x + literalLength;
+					if (l + 2 < width && scanline[l * 4 + c] === scanline[(l + 1) * 4 + c] && scanline[l * 4 + c] === scanline[(l + 2) * 4 + c]) break;
+					literalLength++;
+				}
+				bytes.push(literalLength);
+				for (let n = 0; n < literalLength; n++) bytes.push(scanline[(x + n) * 4 + c]);
+				x += literalLength;
+			}
+		}
+		chunks.push(Uint8Array.from(bytes));
+	}
+
+	const file = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+	let offset = 0;
+	for (const chunk of chunks) {
+		file.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return file;
+}
+
+/**
+ * Writes a linear color as the shared exponent RGBE format used by Radiance .hdr files.
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {Uint8Array} out
+ * @param {number} offset Where in out to write the 4 bytes.
+ * @returns {void}
+ */
+function floatToRGBE(r, g, b, out, offset) {
+	r = Math.max(0, r);
+	g = Math.max(0, g);
+	b = Math.max(0, b);
+	const max = Math.max(r, g, b);
+	if (max < 1e-32) {
+		out[offset] = out[offset + 1] = out[offset + 2] = out[offset + 3] = 0;
+		return;
+	}
+
+	// frexp: max = mantissa * 2^exponent where mantissa is in the range of 0.5-1
+	let exponent = Math.ceil(Math.log2(max));
+	let mantissa = max / Math.pow(2, exponent);
+	if (mantissa >= 1) {
+		mantissa /= 2;
+		exponent++;
+	} else if (mantissa < 0.5) {
+		mantissa *= 2;
+		exponent--;
+	}
+	if (exponent > 127) exponent = 127;
+
+	const scale = mantissa * 256 / max;
+	out[offset] = Math.min(255, Math.floor(r * scale));
+	out[offset + 1] = Math.min(255, Math.floor(g * scale));
+	out[offset + 2] = Math.min(255, Math.floor(b * scale));
+	out[offset + 3] = exponent + 128;
+}
+
+// LUTs
+
+
+/**
+ * @typedef {Object} LUT
+ * @property {string} title The TITLE of the LUT. Empty if there wasn't one.
+ * @property {"1D" | "3D"} type Whether the LUT maps each channel on its own (1D) or maps whole colors (3D).
+ * @property {number} size The amount of entries for 1D LUTs or the amount of entries along each axis for 3D LUTs.
+ * @property {[number, number, number]} domainMin The input value mapped to the first entry for each channel. Usually 0.
+ * @property {[number, number, number]} domainMax The input value mapped to the last entry for each channel. Usually 1.
+ * @property {Float32Array} data RGB triplets. For 3D LUTs, R changes the fastest, then G, then B.
+ */
+
+/** @typedef {"trilinear" | "tetrahedral"} LUTInterpolation */
+
+/** @typedef {TonemapOptions & { intensity?: number, size?: number, title?: string }} BakeLUTOptions */
+
+/**
+ * Parses the contents of an Adobe/Resolve .cube file into a LUT. Both 1D and 3D LUTs are supported.
+ * @param {string} text The contents of the file.
+ * @returns {LUT}
+ *
+ * @example
+ * const lut = decodeCube(fs.readFileSync("./grade.cube", "utf-8"));
+ */
+function decodeCube(text) {
+	let title = "";
+	/** @type {"1D" | "3D" | undefined} */
+	let type = undefined;
+	let size = 0;
+	/** @type {[number, number, number]} */
+	let domainMin = [0, 0, 0];
+	/** @type {[number, number, number]} */
+	let domainMax = [1, 1, 1];
+	/** @type {Array<number>} */
+	const values = [];
+
+	const lines = text.split(/\r?\n/);
+	for (let l = 0; l < lines.length; l++) {
+		const line = lines[l].trim();
+		if (!line || line.startsWith("#")) continue;
+
+		const [keyword, ...rest] = line.split(/\s+/);
+		switch (keyword) {
+			case "TITLE": {
+				const match = /^TITLE\s+"?(.*?)"?$/.exec(line);
+				title = match ? match[1] : "";
+				break;
+			}
+			case "LUT_1D_SIZE":
+			case "LUT_3D_SIZE": {
+				const newType = keyword === "LUT_1D_SIZE" ? "1D" : "3D";
+				if (type && type !== newType) throw new Error(".cube files with both a 1D and 3D LUT aren't supported");
+				type = newType;
+				size = Number(rest[0]);
+				if (!Number.isInteger(size) || size < 2) throw new Error(`Invalid ${keyword} ${rest[0]} on line ${l + 1}`);
+				break;
+			}
+			case "DOMAIN_MIN":
+			case "DOMAIN_MAX": {
+				const domain = parseCubeTriplet(rest, l);
+				if (keyword === "DOMAIN_MIN") domainMin = domain;
+				else domainMax = domain;
+				break;
+			}
+			case "LUT_1D_INPUT_RANGE":
+			case "LUT_3D_INPUT_RANGE": {
+				// Resolve's way of writing the domain, as min max for all channels
+				const min = Number(rest[0]);
+				const max = Number(rest[1]);
+				if (!Number.isFinite(min) || !Number.isFinite(max)) throw new Error(`Invalid ${keyword} on line ${l + 1}`);
+				domainMin = [min, min, min];
+				domainMax = [max, max, max];
+				break;
+			}
+			default: {
+				if (!/^[-+.\d]/.test(keyword)) throw new Error(`Unknown .cube keyword ${keyword} on line ${l + 1}`);
+				values.push(...parseCubeTriplet([keyword, ...rest], l));
+			}
+		}
+	}
+
+	if (!type) throw new Error(".cube file is missing LUT_1D_SIZE or LUT_3D_SIZE");
+	const expected = (type === "1D" ? size : size * size * size) * 3;
+	if (values.length !== expected) throw new Error(`.cube file has ${values.length / 3} entries but its size of ${size} needs ${expected / 3}`);
+	for (let c = 0; c < 3; c++) {
+		if (domainMax[c] <= domainMin[c]) throw new Error(".cube file has a DOMAIN_MAX which isn't greater than its DOMAIN_MIN");
+	}
+
+	return { title, type, size, domainMin, domainMax, data: Float32Array.from(values) };
+}
+
+/**
+ * @param {Array<string>} parts
+ * @param {number} line Zero based line index for the error message.
+ * @returns {[number, number, number]}
+ */
+function parseCubeTriplet(parts, line) {
+	if (parts.length !== 3) throw new Error(`Expected 3 values on line ${line + 1} of .cube file`);
+	const triplet = parts.map(Number);
+	if (triplet.some(value => !Number.isFinite(value))) throw new Error(`Invalid number on line ${line + 1} of .cube file`);
+	return /** @type {[number, number, number]} */ (triplet);
+}
+
+/**
+ * Writes a LUT as the contents of a .cube file.
+ * @param {LUT} lut The LUT to write.
+ * @returns {string}
+ *
+ * @example
+ * fs.writeFileSync("./grade.cube", encodeCube(lut));
+ */
+function encodeCube(lut) {
+	validateLUT(lut);
+	/** @type {Array<string>} */
+	const lines = [];
+	if (lut.title) lines.push(`TITLE "${lut.title.replace(/"/g, "'")}"`);
+	lines.push(`LUT_${lut.type}_SIZE ${lut.size}`);
+	lines.push(`DOMAIN_MIN ${lut.domainMin.join(" ")}`);
+	lines.push(`DOMAIN_MAX ${lut.domainMax.join(" ")}`);
+	for (let i = 0; i < lut.data.length; i += 3) {
+		lines.push(`${formatCubeNumber(lut.data[i])} ${formatCubeNumber(lut.data[i + 1])} ${formatCubeNumber(lut.data[i + 2])}`);
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCubeNumber(value) {
+	return Number(value.toFixed(6)).toString();
+}
+
+/**
+ * Throws if the LUT is missing data or its data doesn't match its size.
+ * @param {LUT} lut
+ * @returns {void}
+ */
+function validateLUT(lut) {
+	if (!lut || (lut.type !== "1D" && lut.type !== "3D")) throw new Error("LUT type must be 1D or 3D");
+	if (!Number.isInteger(lut.size) || lut.size < 2) throw new Error(`Invalid LUT size ${lut.size}`);
+	const expected = (lut.type === "1D" ? lut.size : lut.size * lut.size * lut.size) * 3;
+	if (!lut.data || lut.data.length !== expected) throw new Error(`LUT has ${lut.data?.length} values but its size of ${lut.size} needs ${expected}`);
+}
+
+/**
+ * Applies a 1D or 3D LUT to the image. The image's 0-255 values are treated as 0-1 (in the LUT's domain) when looking up the LUT.
+ * @param {PixelData} data Image data.
+ * @param {LUT} lut The LUT to apply. See decodeCube.
+ * @param {LUTInterpolation} [interpolation] How to interpolate between the entries of 3D LUTs. 1D LUTs are always interpolated linearly. Default of "trilinear"
+ * @param {Region} [region] Limits the LUT to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * applyLUT(imageData, decodeCube(fs.readFileSync("./grade.cube", "utf-8")), "tetrahedral");
+ *
+ * @example
+ * // Applies the grade hdrToSdr would to only the top half of the image
+ * applyLUT(imageData, bakeLUT({ intensity: 2, tonemapper: "agx" }), "trilinear", { height: imageData.height / 2 });
+ */
+function applyLUT(data, lut, interpolation = "trilinear", region) {
+	validateLUT(lut);
+	if (region) return applyInRegion(data, region, crop => applyLUT(crop, lut, interpolation));
+	for (let i = 0; i < data.data.length; i += 4) applyLUTFrame(data, lut, interpolation, i);
+}
+
+/**
+ * Function that actually applies the LUT to the image.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {LUT} lut The LUT to apply. See decodeCube.
+ * @param {LUTInterpolation} interpolation How to interpolate between the entries of 3D LUTs.
+ * @param {number} i Index of data to start applying the LUT at. Applies at i, i+1, and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data applying the LUT. This is how it should be used.
+ * // The applyLUT function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	applyLUTFrame(imageData, lut, "trilinear", i);
+ * }
+ */
+function applyLUTFrame(data, lut, interpolation, i) {
+	const color = sampleLUT(lut, data.data[i] / 255, data.data[i + 1] / 255, data.data[i + 2] / 255, interpolation);
+	data.data[i] = clamp(0, 255, Math.round(color[0] * 255));
+	data.data[i + 1] = clamp(0, 255, Math.round(color[1] * 255));
+	data.data[i + 2] = clamp(0, 255, Math.round(color[2] * 255));
+}
+
+/**
+ * Looks up a color in a LUT.
+ * @param {LUT} lut
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {LUTInterpolation} interpolation
+ * @returns {[number, number, number]}
+ */
+function sampleLUT(lut, r, g, b, interpolation) {
+	const last = lut.size - 1;
+	// Position of the color in LUT entries
+	const pr = clamp(0, last, (r - lut.domainMin[0]) / (lut.domainMax[0] - lut.domainMin[0]) * last);
+	const pg = clamp(0, last, (g - lut.domainMin[1]) / (lut.domainMax[1] - lut.domainMin[1]) * last);
+	const pb = clamp(0, last, (b - lut.domainMin[2]) / (lut.domainMax[2] - lut.domainMin[2]) * last);
+	const d = lut.data;
+
+	if (lut.type === "1D") {
+		const lerp1D = (/** @type {number} */ p, /** @type {number} */ c) => {
+			const p0 = Math.min(Math.floor(p), last - 1);
+			return lerp(d[p0 * 3 + c], d[(p0 + 1) * 3 + c], p - p0);
+		};
+		return [lerp1D(pr, 0), lerp1D(pg, 1), lerp1D(pb, 2)];
+	}
+
+	const r0 = Math.min(Math.floor(pr), last - 1);
+	const g0 = Math.min(Math.floor(pg), last - 1);
+	const b0 = Math.min(Math.floor(pb), last - 1);
+	const fr = pr - r0;
+	const fg = pg - g0;
+	const fb = pb - b0;
+	const size = lut.size;
+	// Offsets of the 8 corners of the cube the color is in. Named by which of r, g and b are 1.
+	const c000 = ((b0 * size + g0) * size + r0) * 3;
+	const c100 = c000 + 3;
+	const c010 = c000 + size * 3;
+	const c110 = c010 + 3;
+	const c001 = c000 + size * size * 3;
+	const c101 = c001 + 3;
+	const c011 = c001 + size * 3;
+	const c111 = c011 + 3;
+
+	/** @type {[number, number, number]} */
+	const out = [0, 0, 0];
+	if (interpolation === "tetrahedral") {
+		// Splits the cube into 6 tetrahedrons and interpolates between the 4 corners of the one the color is in
+		for (let c = 0; c < 3; c++) {
+			if (fr > fg) {
+				if (fg > fb) out[c] = (1 - fr) * d[c000 + c] + (fr - fg) * d[c100 + c] + (fg - fb) * d[c110 + c] + fb * d[c111 + c];
+				else if (fr > fb) out[c] = (1 - fr) * d[c000 + c] + (fr - fb) * d[c100 + c] + (fb - fg) * d[c101 + c] + fg * d[c111 + c];
+				else out[c] = (1 - fb) * d[c000 + c] + (fb - fr) * d[c001 + c] + (fr - fg) * d[c101 + c] + fg * d[c111 + c];
+			} else {
+				if (fb > fg) out[c] = (1 - fb) * d[c000 + c] + (fb - fg) * d[c001 + c] + (fg - fr) * d[c011 + c] + fr * d[c111 + c];
+				else if (fb > fr) out[c] = (1 - fg) * d[c000 + c] + (fg - fb) * d[c010 + c] + (fb - fr) * d[c011 + c] + fr * d[c111 + c];
+				else out[c] = (1 - fg) * d[c000 + c] + (fg - fr) * d[c010 + c] + (fr - fb) * d[c110 + c] + fb * d[c111 + c];
+			}
+		}
+	} else {
+		for (let c = 0; c < 3; c++) {
+			const x00 = lerp(d[c000 + c], d[c100 + c], fr);
+			const x10 = lerp(d[c010 + c], d[c110 + c], fr);
+			const x01 = lerp(d[c001 + c], d[c101 + c], fr);
+			const x11 = lerp(d[c011 + c], d[c111 + c], fr);
+			out[c] = lerp(lerp(x00, x10, fg), lerp(x01, x11, fg), fb);
+		}
+	}
+	return out;
+}
+
+/**
+ * Bakes the grade hdrToSdr applies with the given options into a 3D LUT so that it can be previewed in other tools. See encodeCube.
+ * @param {BakeLUTOptions} [options] The same options hdrToSdr takes (autoExposure isn't supported as there's no image) plus the intensity,
+ * how many entries along each axis the LUT has (default of 33) and the title of the LUT.
+ * @returns {LUT}
+ *
+ * @example
+ * const lut = bakeLUT({ intensity: 2, contrast: 1.2, saturation: 1.1, tonemapper: "hable" });
+ * fs.writeFileSync("./grade.cube", encodeCube(lut));
+ */
+function bakeLUT(options = {}) {
+	const {
+		intensity = 1,
+		size = 33,
+		title = "CanvasShaderExt grade",
+		exposure = exposureDefault,
+		contrast = contrastDefault,
+		saturation = saturationDefault,
+		highlightCompression = highlightCompressionDefault,
+		shadowLifting = shadowLiftingDefault
+	} = options;
+	if (options.autoExposure) throw new Error("autoExposure needs an image so it can't be baked into a LUT. Use computeAutoExposure and pass the exposure instead");
+	if (!Number.isInteger(size) || size < 2) throw new Error(`Invalid LUT size ${size}`);
+	const operator = getTonemapper(options.tonemapper);
+
+	const data = new Float32Array(size * size * size * 3);
+	const last = size - 1;
+	let o = 0;
+	for (let b = 0; b < size; b++) {
+		for (let g = 0; g < size; g++) {
+			for (let r = 0; r < size; r++) {
+				const color = gradeLinear(
+					sRGBToLinear(r / last), sRGBToLinear(g / last), sRGBToLinear(b / last),
+					intensity * exposure, contrast, saturation, highlightCompression, shadowLifting,
+					operator, options
+				);
+				data[o++] = linearToSRGB(color[0]);
+				data[o++] = linearToSRGB(color[1]);
+				data[o++] = linearToSRGB(color[2]);
+			}
+		}
+	}
+
+	return { title, type: "3D", size, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data };
+}
+
+
+// Normal maps
+
+
+/** @typedef {"rnm" | "whiteout" | "udn"} NormalBlendMethod */
+
+/**
+ * @typedef {Object} HeightToNormalOptions
+ * @property {number} [strength] How steep the slopes are. The height is treated as 0-1 per pixel before this is applied. Default of 1.0
+ * @property {"sobel" | "scharr"} [kernel] The kernel used to find the slope of the height map. Scharr is more accurate for diagonals. Default of "sobel"
+ * @property {Channel} [channel] Which channel of the height map to read the height from. Default of "R"
+ * @property {AddressMode} [addressMode] What happens to the pixels sampled past the edges. Use "repeat" for tiling textures. Default of "repeat"
+ * @property {"opengl" | "directx"} [convention] Whether green points up (OpenGL) or down (DirectX). Default of "opengl"
+ */
+
+/**
+ * Converts a 0-255 normal map component into the range of -1 to 1.
+ * @param {number} value
+ * @returns {number}
+ */
+function decodeNormalComponent(value) {
+	return value / 255 * 2 - 1;
+}
+
+/**
+ * Converts a -1 to 1 normal component into the range of 0-255.
+ * @param {number} value
+ * @returns {number}
+ */
+function encodeNormalComponent(value) {
+	return clamp(0, 255, Math.round((value * 0.5 + 0.5) * 255));
+}
+
+/**
+ * Makes every normal in a normal map unit length again. Useful after edits which don't keep the length such as bumpScale without renormalizing.
+ * @param {PixelData} data Image data.
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * normalizeNormals(imageData);
+ */
+function normalizeNormals(data) {
+	for (let i = 0; i < data.data.length; i += 4) normalizeNormalsFrame(data, i);
+}
+
+/**
+ * Function that actually makes the normal unit length.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} i Index of data to start normalizing at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data normalizing the normals. This is how it should be used.
+ * // The normalizeNormals function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	normalizeNormalsFrame(imageData, i);
+ * }
+ */
+function normalizeNormalsFrame(data, i) {
+	const x = decodeNormalComponent(data.data[i]);
+	const y = decodeNormalComponent(data.data[i + 1]);
+	const z = decodeNormalComponent(data.data[i + 2]);
+	const length = Math.hypot(x, y, z);
+	if (length === 0) {
+		data.data[i] = normalDefaultRGB[0];
+		data.data[i + 1] = normalDefaultRGB[1];
+		data.data[i + 2] = normalDefaultRGB[2];
+		return;
+	}
+	data.data[i] = encodeNormalComponent(x / length);
+	data.data[i + 1] = encodeNormalComponent(y / length);
+	data.data[i + 2] = encodeNormalComponent(z / length);
+}
+
+/**
+ * Recomputes the Z (Blue) of a normal from its X and Y so that the normal is unit length.
+ * @param {PixelData} data
+ * @param {number} i
+ * @returns {void}
+ */
+function reconstructNormalZ(data, i) {
+	let x = decodeNormalComponent(data.data[i]);
+	let y = decodeNormalComponent(data.data[i + 1]);
+	const lengthXY = x * x + y * y;
+	if (lengthXY > 1) {
+		// The normal is lying flat, so X and Y have to be shortened
+		const length = Math.sqrt(lengthXY);
+		x /= length;
+		y /= length;
+		data.data[i] = encodeNormalComponent(x);
+		data.data[i + 1] = encodeNormalComponent(y);
+	}
+	data.data[i + 2] = encodeNormalComponent(Math.sqrt(Math.max(0, 1 - x * x - y * y)));
+}
+
+/**
+ * Converts a normal map between the OpenGL (green up) and DirectX (green down) conventions by flipping the Green channel.
+ * The conversion is the same in both directions.
+ * @param {PixelData} data Image data.
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Converts a DirectX normal map to OpenGL
+ * flipNormalGreen(imageData);
+ */
+function flipNormalGreen(data) {
+	for (let i = 0; i < data.data.length; i += 4) flipNormalGreenFrame(data, i);
+}
+
+/**
+ * Function that actually flips the Green channel of the normal map.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} i Index of data to start flipping at. Applies at i+1.
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data flipping the Green channel. This is how it should be used.
+ * // The flipNormalGreen function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	flipNormalGreenFrame(imageData, i);
+ * }
+ */
+function flipNormalGreenFrame(data, i) {
+	data.data[i + 1] = 255 - data.data[i + 1];
+}
+
+/**
+ * Generates a normal map from a height map where brighter values are higher.
+ * @param {PixelData} data Image data of the height map.
+ * @param {HeightToNormalOptions} [options]
+ * @returns {PixelData} New image data of the normal map. Alpha is copied from the height map.
+ *
+ * @example
+ * // Generates a DirectX normal map from the Red channel of a tiling height map
+ * const normals = heightToNormal(heightData, { strength: 4, kernel: "scharr", convention: "directx" });
+ * context.putImageData(normals, 0, 0);
+ */
+function heightToNormal(data, options = {}) {
+	const {
+		strength = 1,
+		kernel = "sobel",
+		channel = "R",
+		addressMode = "repeat",
+		convention = "opengl"
+	} = options;
+	validateNumber("strength", strength);
+	if (!isChannel(channel)) throw new Error(`${channel} is not a channel. Expected one of R, G, B or A`);
+
+	let corner;
+	let middle;
+	if (kernel === "sobel") {
+		corner = 1;
+		middle = 2;
+	} else if (kernel === "scharr") {
+		corner = 3;
+		middle = 10;
+	} else throw new Error(`Unknown kernel ${kernel}. Expected sobel or scharr`);
+	// Each side of the kernel sums to this and the sides are 2 pixels apart
+	const normalizer = (corner * 2 + middle) * 2 * 255;
+	const greenSign = convention === "directx" ? -1 : 1;
+
+	const { width, height } = data;
+	const channelIndex = channelIndexes[channel];
+	const out = getBackend().createImageData(width, height);
+	const heightAt = (/** @type {number} */ x, /** @type {number} */ y) => data.data[(addressCoord(y, height, addressMode) * width + addressCoord(x, width, addressMode)) * 4 + channelIndex];
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const tl = heightAt(x - 1, y - 1);
+			const t = heightAt(x, y - 1);
+			const tr = heightAt(x + 1, y - 1);
+			const l = heightAt(x - 1, y);
+			const r = heightAt(x + 1, y);
+			const bl = heightAt(x - 1, y + 1);
+			const b = heightAt(x, y + 1);
+			const br = heightAt(x + 1, y + 1);
+
+			const dx = (corner * (tr + br - tl - bl) + middle * (r - l)) / normalizer;
+			const dy = (corner * (bl + br - tl - tr) + middle * (b - t)) / normalizer;
+
+			// Image rows go down while OpenGL's Y goes up, which is why dy isn't negated for OpenGL
+			const nx = -dx * strength;
+			const ny = dy * strength * greenSign;
+			const length = Math.hypot(nx, ny, 1);
+
+			const i = (y * width + x) * 4;
+			out.data[i] = encodeNormalComponent(nx / length);
+			out.data[i + 1] = encodeNormalComponent(ny / length);
+			out.data[i + 2] = encodeNormalComponent(1 / length);
+			out.data[i + 3] = data.data[i + 3];
+		}
+	}
+
+	return out;
+}
+
+/**
+ * Blends a detail normal map on top of a base normal map. Both normal maps must use the same convention and be the same size.
+ *
+ * - rnm: Reoriented Normal Mapping. The detail is rotated to follow the base which keeps the most detail.
+ * - whiteout: Adds the slopes together and multiplies the Z. Cheaper, but flattens a little.
+ * - udn: Adds the slopes together and keeps the base's Z. The cheapest and the flattest.
+ * @param {PixelData} base Image data of the base normal map.
+ * @param {PixelData} detail Image data of the detail normal map.
+ * @param {NormalBlendMethod} [method] How to blend the normals. Default of "rnm"
+ * @returns {void} The base image data is written to directly. Alpha is left alone.
+ *
+ * @example
+ * blendNormals(baseData, detailData, "whiteout");
+ */
+function blendNormals(base, detail, method = "rnm") {
+	if (base.width !== detail.width || base.height !== detail.height) throw new Error("The base and detail normal maps must be the same size");
+	if (method !== "rnm" && method !== "whiteout" && method !== "udn") throw new Error(`Unknown normal blend method ${method}. Expected one of rnm, whiteout or udn`);
+	for (let i = 0; i < base.data.length; i += 4) blendNormalsFrame(base, detail, method, i);
+}
+
+/**
+ * Function that actually blends the normals.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} base Image data of the base normal map.
+ * @param {PixelData} detail Image data of the detail normal map.
+ * @param {NormalBlendMethod} method How to blend the normals.
+ * @param {number} i Index of data to start blending at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The base image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data blending the normals. This is how it should be used.
+ * // The blendNormals function does this for you.
+ * for (let i = 0; i < baseData.data.length; i += 4) {
+ * 	blendNormalsFrame(baseData, detailData, "rnm", i);
+ * }
+ */
+function blendNormalsFrame(base, detail, method, i) {
+	const bx = decodeNormalComponent(base.data[i]);
+	const by = decodeNormalComponent(base.data[i + 1]);
+	const bz = decodeNormalComponent(base.data[i + 2]);
+	const dx = decodeNormalComponent(detail.data[i]);
+	const dy = decodeNormalComponent(detail.data[i + 1]);
+	const dz = decodeNormalComponent(detail.data[i + 2]);
+
+	let x;
+	let y;
+	let z;
+	if (method === "rnm") {
+		// t = base + (0, 0, 1), u = detail * (-1, -1, 1), result = t * dot(t, u) / t.z - u
+		const tz = bz + 1;
+		const dot = bx * -dx + by * -dy + tz * dz;
+		x = bx * dot / tz + dx;
+		y = by * dot / tz + dy;
+		z = tz * dot / tz - dz;
+	} else if (method === "whiteout") {
+		x = bx + dx;
+		y = by + dy;
+		z = bz * dz;
+	} else {
+		x = bx + dx;
+		y = by + dy;
+		z = bz;
+	}
+
+	const length = Math.hypot(x, y, z) || 1;
+	base.data[i] = encodeNormalComponent(x / length);
+	base.data[i + 1] = encodeNormalComponent(y / length);
+	base.data[i + 2] = encodeNormalComponent(z / length);
+}
+
+
+// Resampling
+
+
+/** @typedef {"repeat" | "clamp" | "mirror"} AddressMode */
+
+/** @typedef {"nearest" | "bilinear" | "catmullRom" | "mitchell" | "lanczos3"} ResampleFilter */
+
+/**
+ * @typedef {Object} ResampleOptions
+ * @property {ResampleFilter} [filter] The kernel used to filter the image. catmullRom and mitchell are bicubic. Default of "bilinear"
+ * @property {AddressMode} [addressMode] What happens to the pixels sampled past the edges. Default of "clamp" (or "repeat" where the function wraps the image)
+ * @property {boolean} [linear] Filters in linear space (see sRGBToLinear) instead of sRGB which keeps the brightness of downsampled images correct. Default of false
+ * @property {boolean} [premultiply] Filters the RGB premultiplied by alpha so that transparent pixels don't bleed their color into the result.
+ * Turn it off for data where alpha isn't coverage, such as the smoothness in a mask map, as fully transparent pixels lose their RGB otherwise. Default of true
+ */
+
+/** @typedef {{ support: number, weight: (x: number) => number }} ResampleKernel */
+
+/**
+ * Mitchell-Netravali cubic filters.
+ * @param {number} B
+ * @param {number} C
+ * @returns {(x: number) => number}
+ */
+function cubicKernel(B, C) {
+	return x => {
+		x = Math.abs(x);
+		if (x < 1) return ((12 - 9 * B - 6 * C) * x * x * x + (-18 + 12 * B + 6 * C) * x * x + (6 - 2 * B)) / 6;
+		if (x < 2) return ((-B - 6 * C) * x * x * x + (6 * B + 30 * C) * x * x + (-12 * B - 48 * C) * x + (8 * B + 24 * C)) / 6;
+		return 0;
+	};
+}
+
+/**
+ * @param {number} x
+ * @returns {number}
+ */
+function sinc(x) {
+	if (x === 0) return 1;
+	x *= Math.PI;
+	return Math.sin(x) / x;
+}
+
+/** @type {Record<ResampleFilter, ResampleKernel>} */
+const resampleKernels = {
+	nearest: { support: 0.5, weight: x => (Math.abs(x) <= 0.5 ? 1 : 0) },
+	bilinear: { support: 1, weight: x => Math.max(0, 1 - Math.abs(x)) },
+	catmullRom: { support: 2, weight: cubicKernel(0, 0.5) },
+	mitchell: { support: 2, weight: cubicKernel(1 / 3, 1 / 3) },
+	lanczos3: { support: 3, weight: x => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0) }
+};
+
+/** @type {Float32Array | undefined} */
+let sRGBToLinearTable = undefined;
+
+/**
+ * Maps a pixel coordinate that may be outside of the image back into it.
+ * @param {number} coord
+ * @param {number} size
+ * @param {AddressMode} mode
+ * @returns {number}
+ */
+function addressCoord(coord, size, mode) {
+	if (coord >= 0 && coord < size) return coord;
+	switch (mode) {
+		case "repeat": return ((coord % size) + size) % size;
+		case "clamp": return coord < 0 ? 0 : size - 1;
+		case "mirror": {
+			const period = size * 2;
+			const wrapped = ((coord % period) + period) % period;
+			return wrapped < size ? wrapped : period - 1 - wrapped;
+		}
+		default: throw new Error(`Unknown address mode ${mode}. Expected one of repeat, clamp or mirror`);
+	}
+}
+
+/**
+ * Resamples an image to a new size.
+ *
+ * Filtering is done with premultiplied alpha so that transparent pixels don't bleed their color into the result, unless premultiply is false.
+ * When shrinking an image, the filter is widened to cover all of the source pixels which prevents aliasing.
+ * @param {PixelData} data Image data.
+ * @param {number} width The new width in pixels.
+ * @param {number} height The new height in pixels.
+ * @param {ResampleOptions} [options]
+ * @returns {PixelData} New image data of the resampled image.
+ *
+ * @example
+ * // Halves an image with Lanczos3 in linear space
+ * const half = resample(imageData, imageData.width / 2, imageData.height / 2, { filter: "lanczos3", linear: true });
+ */
+function resample(data, width, height, options = {}) {
+	const { filter = "bilinear", addressMode = "clamp", linear = false, premultiply = true } = options;
+	return resampleMapped(
+		data, width, height,
+		{ ratio: data.width / width, offset: 0 },
+		{ ratio: data.height / height, offset: 0 },
+		filter, addressMode, linear, premultiply
+	);
+}
+
+/**
+ * Resamples an image where each output pixel maps to the source pixel (o + 0.5) * ratio - 0.5 + offset.
+ * @param {PixelData} data
+ * @param {number} width
+ * @param {number} height
+ * @param {{ ratio: number, offset: number }} mapX
+ * @param {{ ratio: number, offset: number }} mapY
+ * @param {ResampleFilter} filter
+ * @param {AddressMode} addressMode
+ * @param {boolean} linear
+ * @param {boolean} premultiply
+ * @returns {PixelData}
+ */
+function resampleMapped(data, width, height, mapX, mapY, filter, addressMode, linear, premultiply) {
+	if (!(filter in resampleKernels)) throw new Error(`Unknown filter ${filter}. Expected one of ${Object.keys(resampleKernels).join(", ")}`);
+	if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) throw new Error(`Can't resample to a size of ${width}x${height}`);
+	addressCoord(-1, 1, addressMode); // Throws for unknown address modes before doing any work
+
+	const srcWidth = data.width;
+	const srcHeight = data.height;
+	const weightsX = createResampleWeights(srcWidth, width, mapX.ratio, mapX.offset, filter, addressMode);
+	const weightsY = createResampleWeights(srcHeight, height, mapY.ratio, mapY.offset, filter, addressMode);
+
+	// Floats where alpha is 0-1, with the RGB premultiplied by it if premultiply is on
+	const toFloat = linear ? getSRGBToLinearTable() : undefined;
+	const source = new Float32Array(srcWidth * srcHeight * 4);
+	for (let i = 0; i < data.data.length; i += 4) {
+		const a = data.data[i + 3] / 255;
+		const m = premultiply ? a : 1;
+		source[i] = (toFloat ? toFloat[data.data[i]] : data.data[i] / 255) * m;
+		source[i + 1] = (toFloat ? toFloat[data.data[i + 1]] : data.data[i + 1] / 255) * m;
+		source[i + 2] = (toFloat ? toFloat[data.data[i + 2]] : data.data[i + 2] / 255) * m;
+		source[i + 3] = a;
+	}
+
+	// Horizontal pass
+	const horizontal = new Float32Array(width * srcHeight * 4);
+	for (let y = 0; y < srcHeight; y++) {
+		for (let x = 0; x < width; x++) {
+			const o = (y * width + x) * 4;
+			const tapStart = x * weightsX.maxTaps;
+			for (let t = 0; t < weightsX.counts[x]; t++) {
+				const s = (y * srcWidth + weightsX.indices[tapStart + t]) * 4;
+				const w = weightsX.weights[tapStart + t];
+				horizontal[o] += source[s] * w;
+				horizontal[o + 1] += source[s + 1] * w;
+				horizontal[o + 2] += source[s + 2] * w;
+				horizontal[o + 3] += source[s + 3] * w;
+			}
+		}
+	}
+
+	// Vertical pass, straight into the output
+	const out = getBackend().createImageData(width, height);
+	for (let y = 0; y < height; y++) {
+		const tapStart = y * weightsY.maxTaps;
+		for (let x = 0; x < width; x++) {
+			let r = 0;
+			let g = 0;
+			let b = 0;
+			let a = 0;
+			for (let t = 0; t < weightsY.counts[y]; t++) {
+				const s = (weightsY.indices[tapStart + t] * width + x) * 4;
+				const w = weightsY.weights[tapStart + t];
+				r += horizontal[s] * w;
+				g += horizontal[s + 1] * w;
+				b += horizontal[s + 2] * w;
+				a += horizontal[s + 3] * w;
+			}
+
+			const o = (y * width + x) * 4;
+			a = clamp(0, 1, a);
+			out.data[o + 3] = Math.round(a * 255);
+			if (premultiply) {
+				if (a === 0) continue;
+				r /= a;
+				g /= a;
+				b /= a;
+			}
+			r = clamp(0, 1, r);
+			g = clamp(0, 1, g);
+			b = clamp(0, 1, b);
+			if (linear) {
+				r = linearToSRGB(r);
+				g = linearToSRGB(g);
+				b = linearToSRGB(b);
+			}
+			out.data[o] = Math.round(r * 255);
+			out.data[o + 1] = Math.round(g * 255);
+			out.data[o + 2] = Math.round(b * 255);
+		}
+	}
+
+	return out;
+}
+
+/**
+ * Precomputes which source pixels and how much of each go into every output pixel along one axis.
+ * @param {number} srcSize
+ * @param {number} dstSize
+ * @param {number} ratio How many source pixels one output pixel covers.
+ * @param {number} offset How many source pixels to shift the sampling by.
+ * @param {ResampleFilter} filter
+ * @param {AddressMode} addressMode
+ * @returns {{ maxTaps: number, counts: Int32Array, indices: Int32Array, weights: Float32Array }}
+ */
+function createResampleWeights(srcSize, dstSize, ratio, offset, filter, addressMode) {
+	const kernel = resampleKernels[filter];
+	const nearest = filter === "nearest";
+	// Widen the kernel when shrinking so every source pixel contributes
+	const scale = nearest ? 1 : Math.max(1, ratio);
+	const radius = kernel.support * scale;
+	const maxTaps = nearest ? 1 : Math.floor(radius * 2) + 1;
+	const counts = new Int32Array(dstSize);
+	const indices = new Int32Array(dstSize * maxTaps);
+	const weights = new Float32Array(dstSize * maxTaps);
+
+	for (let o = 0; o < dstSize; o++) {
+		const center = (o + 0.5) * ratio - 0.5 + offset;
+		const tapStart = o * maxTaps;
+
+		if (nearest) {
+			indices[tapStart] = addressCoord(Math.floor(center + 0.5), srcSize, addressMode);
+			weights[tapStart] = 1;
+			counts[o] = 1;
+			continue;
+		}
+
+		const first = Math.ceil(center - radius);
+		const last = Math.min(Math.floor(center + radius), first + maxTaps - 1);
+		let total = 0;
+		let count = 0;
+		for (let t = first; t <= last; t++) {
+			const w = kernel.weight((t - center) / scale);
+			if (w === 0) continue;
+			indices[tapStart + count] = addressCoord(t, srcSize, addressMode);
+			weights[tapStart + count] = w;
+			total += w;
+			count++;
+		}
+		if (total !== 0) {
+			for (let t = 0; t < count; t++) weights[tapStart + t] /= total;
+		}
+		counts[o] = count;
+	}
+
+	return { maxTaps, counts, indices, weights };
+}
+
+/**
+ * @returns {Float32Array} sRGBToLinear for every 0-255 value.
+ */
+function getSRGBToLinearTable() {
+	if (!sRGBToLinearTable) {
+		sRGBToLinearTable = new Float32Array(256);
+		for (let i = 0; i < 256; i++) sRGBToLinearTable[i] = sRGBToLinear(i / 255);
+	}
+	return sRGBToLinearTable;
+}
+
+
+// Convolution
+
+
+/** @typedef {"wrap" | "clamp" | "mirror" | "transparent"} BorderMode */
+
+/** @typedef {{ width: number, height: number, weights: ArrayLike<number> }} Kernel2D */
+
+/** @typedef {{ x: ArrayLike<number>, y: ArrayLike<number> }} SeparableKernel */
+
+/** @typedef {Kernel2D | SeparableKernel} ConvolutionKernel */
+
+/**
+ * @typedef {Object} ConvolveOptions
+ * @property {Array<Channel>} [channels] Which channels are convolved. The rest are copied over as is. Default of all channels
+ * @property {BorderMode} [border] What is sampled past the edges. wrap matches offset, transparent samples fully transparent black. Default of "clamp"
+ * @property {number} [divisor] What the weighted sum is divided by. Default of the sum of the weights (or 1 if they sum to 0)
+ * @property {number} [bias] int 0-255 added after dividing. Default of 0
+ * @property {boolean} [absolute] Takes the absolute value of the result before clamping. Useful for edge detection. Default of false
+ * @property {boolean} [premultiply] Convolves the RGB channels premultiplied by alpha so transparent pixels don't bleed their color. Can't be used with bias or absolute. Default of false
+ */
+
+/**
+ * Kernels for common effects. Use them with convolve.
+ * @type {{ sobelX: Kernel2D, sobelY: Kernel2D, laplacian: Kernel2D, emboss: Kernel2D, sharpen: Kernel2D }}
+ */
+const convolutionKernels = {
+	sobelX: { width: 3, height: 3, weights: [-1, 0, 1, -2, 0, 2, -1, 0, 1] },
+	sobelY: { width: 3, height: 3, weights: [-1, -2, -1, 0, 0, 0, 1, 2, 1] },
+	laplacian: { width: 3, height: 3, weights: [0, 1, 0, 1, -4, 1, 0, 1, 0] },
+	emboss: { width: 3, height: 3, weights: [-2, -1, 0, -1, 0, 1, 0, 1, 2] },
+	sharpen: { width: 3, height: 3, weights: [0, -1, 0, -1, 5, -1, 0, -1, 0] }
+};
+
+/**
+ * Creates a separable Gaussian blur kernel.
+ * @param {number} radius int How many pixels out from the center the kernel reaches.
+ * @param {number} [sigma] float The standard deviation of the Gaussian. Default of a third of the radius, so the kernel covers 3 standard deviations.
+ * @returns {SeparableKernel}
+ *
+ * @example
+ * const blurred = convolve(imageData, gaussianKernel(5));
+ */
+function gaussianKernel(radius, sigma = Math.max(radius / 3, 0.5)) {
+	if (!Number.isInteger(radius) || radius < 0) throw new Error(`Kernel radius must be a whole number of at least 0. Got ${radius}`);
+	validateNumber("sigma", sigma);
+	const weights = new Float32Array(radius * 2 + 1);
+	for (let i = -radius; i <= radius; i++) weights[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+	return { x: weights, y: weights };
+}
+
+/**
+ * Creates a separable box blur kernel where every pixel within the radius is weighted equally.
+ * @param {number} radius int How many pixels out from the center the kernel reaches.
+ * @returns {SeparableKernel}
+ */
+function boxKernel(radius) {
+	if (!Number.isInteger(radius) || radius < 0) throw new Error(`Kernel radius must be a whole number of at least 0. Got ${radius}`);
+	const weights = new Float32Array(radius * 2 + 1).fill(1);
+	return { x: weights, y: weights };
+}
+
+/**
+ * Convolves an image with a kernel. Separable kernels ({ x, y }) are done as two passes which is much faster for large kernels.
+ *
+ * The center of the kernel is at floor(width / 2), floor(height / 2), so kernels should have odd sizes.
+ * @param {PixelData} data Image data.
+ * @param {ConvolutionKernel} kernel The weights to apply. 2D weights are in rows from top to bottom.
+ * @param {ConvolveOptions} [options]
+ * @returns {PixelData} New image data of the convolved image.
+ *
+ * @example
+ * // Sharpens only the RGB channels with wrapping edges
+ * const sharpened = convolve(imageData, convolutionKernels.sharpen, { channels: ["R", "G", "B"], border: "wrap" });
+ */
+function convolve(data, kernel, options = {}) {
+	const {
+		channels = /** @type {Array<Channel>} */ (["R", "G", "B", "A"]),
+		border = "clamp",
+		bias = 0,
+		absolute = false,
+		premultiply = false
+	} = options;
+	validateKernel(kernel);
+	validateBorderMode(border);
+	for (const channel of channels) {
+		if (!isChannel(channel)) throw new Error(`${channel} is not a channel. Expected one of R, G, B or A`);
+	}
+
+	if (premultiply && (bias !== 0 || absolute)) throw new Error("premultiply can't be used together with bias or absolute");
+
+	const source = imageDataToFloat(data, premultiply);
+	const result = convolveFloat(source, data.width, data.height, kernel, border);
+	const divisor = options.divisor ?? kernelSum(kernel);
+	if (divisor === 0) throw new Error("Convolution divisor can't be 0");
+	for (let i = 0; i < result.length; i++) {
+		result[i] = result[i] / divisor + bias;
+		if (absolute) result[i] = Math.abs(result[i]);
+	}
+
+	return floatToImageData(result, data, channels, premultiply);
+}
+
+/**
+ * Blurs an image with a Gaussian kernel. Alpha is respected so transparent pixels don't bleed their color.
+ * @param {PixelData} data Image data.
+ * @param {number} radius int How many pixels out from each pixel are blurred together.
+ * @param {Omit<ConvolveOptions, "divisor" | "bias" | "absolute"> & { sigma?: number }} [options] The sigma defaults to a third of the radius.
+ * @returns {PixelData} New image data of the blurred image.
+ *
+ * @example
+ * const blurred = gaussianBlur(imageData, 8);
+ */
+function gaussianBlur(data, radius, options = {}) {
+	return convolve(data, gaussianKernel(radius, options.sigma), { premultiply: true, ...options });
+}
+
+/**
+ * Blurs an image where every pixel within the radius is weighted equally. Alpha is respected so transparent pixels don't bleed their color.
+ * @param {PixelData} data Image data.
+ * @param {number} radius int How many pixels out from each pixel are blurred together.
+ * @param {Omit<ConvolveOptions, "divisor" | "bias" | "absolute">} [options]
+ * @returns {PixelData} New image data of the blurred image.
+ */
+function boxBlur(data, radius, options = {}) {
+	return convolve(data, boxKernel(radius), { premultiply: true, ...options });
+}
+
+/**
+ * Sharpens an image by adding the difference between it and a Gaussian blurred copy of it. Alpha is left alone.
+ * @param {PixelData} data Image data.
+ * @param {{ amount?: number, radius?: number, threshold?: number, border?: BorderMode }} [options] amount is how much of the difference is added (default of 1.0),
+ * radius is the radius of the blur (default of 2) and threshold is the int 0-255 difference a channel needs before it is sharpened (default of 0).
+ * @returns {PixelData} New image data of the sharpened image.
+ *
+ * @example
+ * const sharpened = unsharpMask(imageData, { amount: 0.8, radius: 3, threshold: 4 });
+ */
+function unsharpMask(data, options = {}) {
+	const { amount = 1, radius = 2, threshold = 0, border = "clamp" } = options;
+	validateNumber("amount", amount);
+	const blurred = gaussianBlur(data, radius, { channels: ["R", "G", "B"], border });
+	const out = getBackend().createImageData(data.width, data.height);
+	for (let i = 0; i < data.data.length; i += 4) {
+		for (let c = 0; c < 3; c++) {
+			const difference = data.data[i + c] - blurred.data[i + c];
+			out.data[i + c] = Math.abs(difference) < threshold ? data.data[i + c] : clamp(0, 255, Math.round(data.data[i + c] + difference * amount));
+		}
+		out.data[i + 3] = data.data[i + 3];
+	}
+	return out;
+}
+
+/**
+ * Detects edges with the Sobel operator. Each channel becomes the strength of the edges in that channel.
+ * @param {PixelData} data Image data.
+ * @param {{ channels?: Array<Channel>, border?: BorderMode }} [options] channels defaults to R, G and B. Alpha is copied over as is by default.
+ * @returns {PixelData} New image data of the edges.
+ *
+ * @example
+ * const edges = sobel(imageData);
+ */
+function sobel(data, options = {}) {
+	const { channels = /** @type {Array<Channel>} */ (["R", "G", "B"]), border = "clamp" } = options;
+	validateBorderMode(border);
+	const source = imageDataToFloat(data, false);
+	const gx = convolveFloat(source, data.width, data.height, convolutionKernels.sobelX, border);
+	const gy = convolveFloat(source, data.width, data.height, convolutionKernels.sobelY, border);
+	// Each side of the Sobel kernel sums to 4, so this keeps a full black to white edge at 255
+	for (let i = 0; i < gx.length; i++) gx[i] = Math.hypot(gx[i], gy[i]) / 4;
+	return floatToImageData(gx, data, channels, false);
+}
+
+/**
+ * Detects edges with the Laplacian operator. Each channel becomes the strength of the edges in that channel.
+ * @param {PixelData} data Image data.
+ * @param {{ channels?: Array<Channel>, border?: BorderMode }} [options] channels defaults to R, G and B. Alpha is copied over as is by default.
+ * @returns {PixelData} New image data of the edges.
+ */
+function laplacian(data, options = {}) {
+	return convolve(data, convolutionKernels.laplacian, { channels: ["R", "G", "B"], ...options, divisor: 1, absolute: true });
+}
+
+/**
+ * Makes an image look raised where it gets brighter towards the bottom right. Flat areas become grey.
+ * @param {PixelData} data Image data.
+ * @param {{ channels?: Array<Channel>, border?: BorderMode }} [options] channels defaults to R, G and B. Alpha is copied over as is by default.
+ * @returns {PixelData} New image data of the embossed image.
+ */
+function emboss(data, options = {}) {
+	return convolve(data, convolutionKernels.emboss, { channels: ["R", "G", "B"], ...options, divisor: 1, bias: 128 });
+}
+
+/**
+ * @param {ConvolutionKernel} kernel
+ * @returns {void}
+ */
+function validateKernel(kernel) {
+	if ("x" in kernel) {
+		if (!kernel.x?.length || !kernel.y?.length) throw new Error("Separable kernels need at least 1 weight in both x and y");
+		return;
+	}
+	if (!Number.isInteger(kernel.width) || !Number.isInteger(kernel.height) || kernel.width < 1 || kernel.height < 1) throw new Error(`Invalid kernel size ${kernel.width}x${kernel.height}`);
+	if (kernel.weights?.length !== kernel.width * kernel.height) throw new Error(`Kernel of size ${kernel.width}x${kernel.height} needs ${kernel.width * kernel.height} weights. Got ${kernel.weights?.length}`);
+}
+
+/**
+ * @param {BorderMode} border
+ * @returns {void}
+ */
+function validateBorderMode(border) {
+	if (border !== "wrap" && border !== "clamp" && border !== "mirror" && border !== "transparent") throw new Error(`Unknown border mode ${border}. Expected one of wrap, clamp, mirror or transparent`);
+}
+
+/**
+ * @param {ConvolutionKernel} kernel
+ * @returns {number} The sum of the weights, or 1 if they sum to 0.
+ */
+function kernelSum(kernel) {
+	const sum = (/** @type {ArrayLike<number>} */ weights) => {
+		let total = 0;
+		for (let i = 0; i < weights.length; i++) total += weights[i];
+		return total;
+	};
+	const total = "x" in kernel ? sum(kernel.x) * sum(kernel.y) : sum(kernel.weights);
+	return total === 0 ? 1 : total;
+}
+
+/**
+ * Maps a coordinate past the edge with a border mode. -1 means the pixel is transparent.
+ * @param {number} coord
+ * @param {number} size
+ * @param {BorderMode} border
+ * @returns {number}
+ */
+function borderCoord(coord, size, border) {
+	if (coord >= 0 && coord < size) return coord;
+	if (border === "transparent") return -1;
+	return addressCoord(coord, size, border === "wrap" ? "repeat" : border);
+}
+
+/**
+ * Converts image data to floats in the range of 0-255, optionally premultiplying the RGB channels by alpha.
+ * @param {PixelData} data
+ * @param {boolean} premultiply
+ * @returns {Float32Array}
+ */
+function imageDataToFloat(data, premultiply) {
+	const out = new Float32Array(data.data.length);
+	for (let i = 0; i < data.data.length; i += 4) {
+		const a = premultiply ? data.data[i + 3] / 255 : 1;
+		out[i] = data.data[i] * a;
+		out[i + 1] = data.data[i + 1] * a;
+		out[i + 2] = data.data[i + 2] * a;
+		out[i + 3] = data.data[i + 3];
+	}
+	return out;
+}
+
+/**
+ * Writes float results back to new image data. Channels which aren't selected are copied from the original.
+ * @param {Float32Array} result Floats in the range of 0-255.
+ * @param {PixelData} original
+ * @param {Array<Channel>} channels
+ * @param {boolean} premultiplied Whether the RGB in result are premultiplied by the alpha in result.
+ * @returns {PixelData}
+ */
+function floatToImageData(result, original, channels, premultiplied) {
+	const out = getBackend().createImageData(original.width, original.height);
+	out.data.set(original.data);
+	const indexes = channels.map(channel => channelIndexes[channel]);
+	for (let i = 0; i < result.length; i += 4) {
+		// Alpha is always convolved along with the RGB, so the RGB are divided by the convolved alpha even when the original alpha is kept
+		const a = premultiplied ? clamp(0, 255, result[i + 3]) / 255 : 1;
+		for (const c of indexes) {
+			if (c === 3) out.data[i + 3] = clamp(0, 255, Math.round(result[i + 3]));
+			else out.data[i + c] = a === 0 ? 0 : clamp(0, 255, Math.round(result[i + c] / a));
+		}
+	}
+	return out;
+}
+
+/**
+ * Runs the weighted sum of a kernel over every pixel of float RGBA data. Doesn't divide.
+ * @param {Float32Array} source
+ * @param {number} width
+ * @param {number} height
+ * @param {ConvolutionKernel} kernel
+ * @param {BorderMode} border
+ * @returns {Float32Array}
+ */
+function convolveFloat(source, width, height, kernel, border) {
+	if ("x" in kernel) {
+		const horizontal = convolvePass(source, width, height, kernel.x, kernel.x.length, 1, border);
+		return convolvePass(horizontal, width, height, kernel.y, 1, kernel.y.length, border);
+	}
+	return convolvePass(source, width, height, kernel.weights, kernel.width, kernel.height, border);
+}
+
+/**
+ * @param {Float32Array} source
+ * @param {number} width
+ * @param {number} height
+ * @param {ArrayLike<number>} weights
+ * @param {number} kernelWidth
+ * @param {number} kernelHeight
+ * @param {BorderMode} border
+ * @returns {Float32Array}
+ */
+function convolvePass(source, width, height, weights, kernelWidth, kernelHeight, border) {
+	const out = new Float32Array(source.length);
+	const centerX = Math.floor(kernelWidth / 2);
+	const centerY = Math.floor(kernelHeight / 2);
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			let r = 0;
+			let g = 0;
+			let b = 0;
+			let a = 0;
+			for (let ky = 0; ky < kernelHeight; ky++) {
+				const sy = borderCoord(y + ky - centerY, height, border);
+				if (sy === -1) continue;
+				for (let kx = 0; kx < kernelWidth; kx++) {
+					const w = weights[ky * kernelWidth + kx];
+					if (w === 0) continue;
+					const sx = borderCoord(x + kx - centerX, width, border);
+					if (sx === -1) continue;
+					const s = (sy * width + sx) * 4;
+					r += source[s] * w;
+					g += source[s + 1] * w;
+					b += source[s + 2] * w;
+					a += source[s + 3] * w;
+				}
+			}
+			const o = (y * width + x) * 4;
+			out[o] = r;
+			out[o + 1] = g;
+			out[o + 2] = b;
+			out[o + 3] = a;
+		}
+	}
+
+	return out;
+}
+
+
+// Blending
+
+
+/**
+ * @typedef {"normal" | "multiply" | "screen" | "overlay" | "softLight" | "hardLight" | "colorDodge" | "colorBurn" | "linearDodge" | "subtract" | "difference"
+ * 	| "hue" | "saturation" | "color" | "luminosity"} BlendMode
+ */
+
+/**
+ * @typedef {Object} BlendOptions
+ * @property {number} [opacity] float 0-1 of how much of the layer is applied. Default of 1.0
+ * @property {ImageContext} [maskCtx] A context whose channel is multiplied into the layer's opacity per pixel. Resized to the base if it isn't the same size.
+ * @property {Channel} [maskChannel] Which channel of the mask is used. Default of "R"
+ * @property {boolean} [linear] Blends in linear space (see sRGBToLinear) instead of sRGB. Default of false
+ * @property {ResampleOptions} [resampleOptions] How the layer and mask are resized if they aren't the same size as the base.
+ */
+
+/** @typedef {(cb: number, cs: number) => number} SeparableBlendFunction */
+
+/** @type {Record<Exclude<BlendMode, "hue" | "saturation" | "color" | "luminosity">, SeparableBlendFunction>} */
+const separableBlendFunctions = {
+	normal: (cb, cs) => cs,
+	multiply: (cb, cs) => cb * cs,
+	screen: (cb, cs) => cb + cs - cb * cs,
+	overlay: (cb, cs) => hardLightBlend(cs, cb),
+	softLight: (cb, cs) => {
+		if (cs <= 0.5) return cb - (1 - 2 * cs) * cb * (1 - cb);
+		const d = cb <= 0.25 ? ((16 * cb - 12) * cb + 4) * cb : Math.sqrt(cb);
+		return cb + (2 * cs - 1) * (d - cb);
+	},
+	hardLight: hardLightBlend,
+	colorDodge: (cb, cs) => {
+		if (cb === 0) return 0;
+		if (cs === 1) return 1;
+		return Math.min(1, cb / (1 - cs));
+	},
+	colorBurn: (cb, cs) => {
+		if (cb === 1) return 1;
+		if (cs === 0) return 0;
+		return 1 - Math.min(1, (1 - cb) / cs);
+	},
+	linearDodge: (cb, cs) => Math.min(1, cb + cs),
+	subtract: (cb, cs) => Math.max(0, cb - cs),
+	difference: (cb, cs) => Math.abs(cb - cs)
+};
+
+/**
+ * @param {number} cb
+ * @param {number} cs
+ * @returns {number}
+ */
+function hardLightBlend(cb, cs) {
+	if (cs <= 0.5) return cb * 2 * cs;
+	const s = 2 * cs - 1;
+	return cb + s - cb * s;
+}
+
+/**
+ * Composites a layer on top of a base image with a blend mode, the way image editors do.
+ *
+ * The blend modes and compositing follow the W3C Compositing and Blending spec with source-over compositing,
+ * which means the layer's alpha (times the opacity and mask) decides how much of the blended color is used.
+ * The layer and mask are resized like mask and pack do if they aren't the same size as the base.
+ * @param {ImageContext} base The context that gets blended onto.
+ * @param {ImageContext} layer The context that is blended on top of the base.
+ * @param {BlendMode} [mode] How the colors of the layer and base are combined. Default of "normal"
+ * @param {BlendOptions} [options]
+ * @returns {void} The base param has the data written directly to it.
+ *
+ * @example
+ * // Multiplies a dirt layer onto a texture at half strength where the mask's Red channel is bright
+ * blend(texture, dirt, "multiply", { opacity: 0.5, maskCtx: dirtMask, maskChannel: "R" });
+ */
+function blend(base, layer, mode = "normal", options = {}) {
+	const { opacity = 1, maskCtx, maskChannel = "R", linear = false, resampleOptions } = options;
+	const nonSeparable = mode === "hue" || mode === "saturation" || mode === "color" || mode === "luminosity";
+	if (!nonSeparable && !(mode in separableBlendFunctions)) throw new Error(`Unknown blend mode ${mode}`);
+	validateNumber("opacity", opacity);
+	if (!isChannel(maskChannel)) throw new Error(`${maskChannel} is not a channel. Expected one of R, G, B or A`);
+
+	const width = base.canvas.width;
+	const height = base.canvas.height;
+	const baseData = base.getImageData(0, 0, width, height);
+	const layerData = getImageDataAtSize(layer, width, height, resampleOptions);
+	const maskData = maskCtx ? getImageDataAtSize(maskCtx, width, height, resampleOptions) : undefined;
+	const maskIndex = channelIndexes[maskChannel];
+	const separable = nonSeparable ? undefined : separableBlendFunctions[/** @type {keyof typeof separableBlendFunctions} */ (mode)];
+	const toFloat = linear ? getSRGBToLinearTable() : undefined;
+	const decode = (/** @type {number} */ value) => (toFloat ? toFloat[value] : value / 255);
+
+	for (let i = 0; i < baseData.data.length; i += 4) {
+		const as = layerData.data[i + 3] / 255 * opacity * (maskData ? maskData.data[i + maskIndex] / 255 : 1);
+		if (as <= 0) continue;
+		const ab = baseData.data[i + 3] / 255;
+
+		/** @type {[number, number, number]} */
+		const cb = [decode(baseData.data[i]), decode(baseData.data[i + 1]), decode(baseData.data[i + 2])];
+		/** @type {[number, number, number]} */
+		const cs = [decode(layerData.data[i]), decode(layerData.data[i + 1]), decode(layerData.data[i + 2])];
+		const blended = separable
+			? /** @type {[number, number, number]} */ ([separable(cb[0], cs[0]), separable(cb[1], cs[1]), separable(cb[2], cs[2])])
+			: nonSeparableBlend(/** @type {"hue" | "saturation" | "color" | "luminosity"} */ (mode), cb, cs);
+
+		// Source-over with the blended color where the base is opaque
+		const ao = as + ab * (1 - as);
+		for (let c = 0; c < 3; c++) {
+			const mixed = (1 - ab) * cs[c] + ab * blended[c];
+			let co = (as * mixed + (1 - as) * ab * cb[c]) / ao;
+			co = clamp(0, 1, co);
+			if (linear) co = linearToSRGB(co);
+			baseData.data[i + c] = Math.round(co * 255);
+		}
+		baseData.data[i + 3] = Math.round(ao * 255);
+	}
+
+	base.putImageData(baseData, 0, 0);
+}
+
+/**
+ * @param {"hue" | "saturation" | "color" | "luminosity"} mode
+ * @param {[number, number, number]} cb
+ * @param {[number, number, number]} cs
+ * @returns {[number, number, number]}
+ */
+function nonSeparableBlend(mode, cb, cs) {
+	switch (mode) {
+		case "hue": return setLum(setSat(cs, blendSat(cb)), blendLum(cb));
+		case "saturation": return setLum(setSat(cb, blendSat(cs)), blendLum(cb));
+		case "color": return setLum(cs, blendLum(cb));
+		case "luminosity": return setLum(cb, blendLum(cs));
+	}
+}
+
+/**
+ * @param {[number, number, number]} c
+ * @returns {number}
+ */
+function blendLum(c) {
+	return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+}
+
+/**
+ * @param {[number, number, number]} c
+ * @returns {number}
+ */
+function blendSat(c) {
+	return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+}
+
+/**
+ * @param {[number, number, number]} c
+ * @param {number} l
+ * @returns {[number, number, number]}
+ */
+function setLum(c, l) {
+	const d = l - blendLum(c);
+	/** @type {[number, number, number]} */
+	const out = [c[0] + d, c[1] + d, c[2] + d];
+	// Clip the color back into 0-1 while keeping its luminosity
+	const lum = blendLum(out);
+	const min = Math.min(out[0], out[1], out[2]);
+	const max = Math.max(out[0], out[1], out[2]);
+	for (let i = 0; i < 3; i++) {
+		if (min < 0) out[i] = lum + (out[i] - lum) * lum / (lum - min);
+		if (max > 1) out[i] = lum + (out[i] - lum) * (1 - lum) / (max - lum);
+	}
+	return out;
+}
+
+/**
+ * @param {[number, number, number]} c
+ * @param {number} s
+ * @returns {[number, number, number]}
+ */
+function setSat(c, s) {
+	const max = Math.max(c[0], c[1], c[2]);
+	const min = Math.min(c[0], c[1], c[2]);
+	if (max === min) return [0, 0, 0];
+	return [(c[0] - min) * s / (max - min), (c[1] - min) * s / (max - min), (c[2] - min) * s / (max - min)];
+}
+
+/**
+ * Gets the image data of a context, resampled to the size if it isn't already that size. The context itself is left alone.
+ * @param {ImageContext} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {ResampleOptions} [resampleOptions]
+ * @returns {PixelData}
+ */
+function getImageDataAtSize(ctx, width, height, resampleOptions) {
+	const data = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+	if (data.width === width && data.height === height) return data;
+	return resample(data, width, height, resampleOptions);
+}
+
+
+// Seamless textures
+
+
+/** @typedef {"linear" | "smoothstep" | "cosine"} SeamlessFalloff */
+
+/**
+ * @typedef {Object} SeamlessOptions
+ * @property {"crossfade" | "histogram"} [mode] crossfade blends the image with itself offset by half. histogram does the same blend,
+ * but in a way that keeps the contrast and histogram of the image which suits stochastic textures like gravel or noise. Default of "crossfade"
+ * @property {number} [blendWidth] float 0-0.5 of how far from the edges (as a fraction of the image size) the blend reaches. Default of 0.15
+ * @property {SeamlessFalloff} [falloff] The shape of the blend from the edges inwards. Default of "smoothstep"
+ * @property {boolean} [preview] Returns the image before and after, offset by half so that the seams are in the middle. Default of false
+ */
+
+/** @typedef {{ before: ImageContext, after: ImageContext }} SeamlessPreview */
+
+/** @type {Record<SeamlessFalloff, (t: number) => number>} */
+const seamlessFalloffs = {
+	linear: t => t,
+	smoothstep: t => t * t * (3 - 2 * t),
+	cosine: t => 0.5 - 0.5 * Math.cos(Math.PI * t)
+};
+
+/**
+ * Removes the visible edges of an image when it repeats so that it can be used as a tiling texture.
+ *
+ * Near the edges, the image is blended with a copy of itself offset by half (which repeats cleanly at the edges).
+ * This is done horizontally and then vertically so that the corners are seamless as well.
+ * @param {ImageContext} ctx The context containing the image data that will be made seamless.
+ * @param {SeamlessOptions} [options]
+ * @returns {SeamlessPreview | undefined} The before and after previews if options.preview is true. The ctx param has the data written directly to it.
+ *
+ * @example
+ * // Makes a gravel texture tile and compares the seams before and after
+ * const { before, after } = makeSeamless(context, { mode: "histogram", blendWidth: 0.25, preview: true });
+ */
+function makeSeamless(ctx, options = {}) {
+	const { mode = "crossfade", blendWidth = 0.15, falloff = "smoothstep", preview = false } = options;
+	if (mode !== "crossfade" && mode !== "histogram") throw new Error(`Unknown seamless mode ${mode}. Expected crossfade or histogram`);
+	if (!(falloff in seamlessFalloffs)) throw new Error(`Unknown falloff ${falloff}. Expected one of ${Object.keys(seamlessFalloffs).join(", ")}`);
+	validateNumber("blendWidth", blendWidth);
+	if (blendWidth <= 0 || blendWidth > 0.5) throw new Error(`blendWidth must be above 0 and at most 0.5. Got ${blendWidth}`);
+
+	const before = preview ? duplicate(ctx) : undefined;
+
+	let data = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+	data = seamlessPass(data, true, mode, blendWidth, seamlessFalloffs[falloff]);
+	data = seamlessPass(data, false, mode, blendWidth, seamlessFalloffs[falloff]);
+	ctx.putImageData(data, 0, 0);
+
+	if (!before) return undefined;
+	const after = duplicate(ctx);
+	offset(before, 0.5, 0.5);
+	offset(after, 0.5, 0.5);
+	return { before, after };
+}
+
+/**
+ * Makes the image seamless along one axis.
+ * @param {PixelData} data
+ * @param {boolean} horizontal
+ * @param {"crossfade" | "histogram"} mode
+ * @param {number} blendWidth
+ * @param {(t: number) => number} falloff
+ * @returns {PixelData}
+ */
+function seamlessPass(data, horizontal, mode, blendWidth, falloff) {
+	const { width, height } = data;
+	const size = horizontal ? width : height;
+	const shifted = wrapShiftImageData(data, horizontal ? Math.floor(width / 2) : 0, horizontal ? 0 : Math.floor(height / 2));
+	const band = Math.max(1, blendWidth * size);
+
+	// How much of the original is kept along the axis. 0 at the edges where only the shifted copy is used
+	const weights = new Float32Array(size);
+	for (let p = 0; p < size; p++) {
+		const distance = Math.min(p + 0.5, size - p - 0.5);
+		weights[p] = falloff(clamp(0, 1, distance / band));
+	}
+
+	const out = getBackend().createImageData(width, height);
+	const gaussianize = mode === "histogram" ? createHistogramGaussianizer(data) : undefined;
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 4;
+			const w = weights[horizontal ? x : y];
+			for (let c = 0; c < 4; c++) {
+				if (!gaussianize) {
+					out.data[i + c] = Math.round(lerp(shifted.data[i + c], data.data[i + c], w));
+					continue;
+				}
+				// Variance preserving blend of the Gaussianized values keeps the contrast from washing out where both are mixed
+				const g = ((1 - w) * gaussianize.toGaussian[c][shifted.data[i + c]] + w * gaussianize.toGaussian[c][data.data[i + c]]) / Math.hypot(1 - w, w);
+				out.data[i + c] = gaussianize.fromGaussian(c, g);
+			}
+		}
+	}
+
+	return out;
+}
+
+/**
+ * Moves the image by a whole amount of pixels where any parts that would spill over are moved to the other side.
+ * @param {PixelData} data
+ * @param {number} shiftX
+ * @param {number} shiftY
+ * @returns {PixelData}
+ */
+function wrapShiftImageData(data, shiftX, shiftY) {
+	const { width, height } = data;
+	const out = getBackend().createImageData(width, height);
+	for (let y = 0; y < height; y++) {
+		const sy = addressCoord(y - shiftY, height, "repeat");
+		for (let x = 0; x < width; x++) {
+			const sx = addressCoord(x - shiftX, width, "repeat");
+			const s = (sy * width + sx) * 4;
+			const o = (y * width + x) * 4;
+			out.data[o] = data.data[s];
+			out.data[o + 1] = data.data[s + 1];
+			out.data[o + 2] = data.data[s + 2];
+			out.data[o + 3] = data.data[s + 3];
+		}
+	}
+	return out;
+}
+
+/**
+ * Builds per channel lookups which turn 0-255 values into a standard normal distribution matching the image's histogram, and back.
+ * @param {PixelData} data
+ * @returns {{ toGaussian: Array<Float32Array>, fromGaussian: (channel: number, g: number) => number }}
+ */
+function createHistogramGaussianizer(data) {
+	const pixels = data.width * data.height;
+	/** @type {Array<Float32Array>} */
+	const toGaussian = [];
+	/** @type {Array<Float64Array>} */
+	const cumulative = [];
+
+	for (let c = 0; c < 4; c++) {
+		const histogram = new Float64Array(256);
+		for (let i = c; i < data.data.length; i += 4) histogram[data.data[i]]++;
+
+		const lookup = new Float32Array(256);
+		const sums = new Float64Array(256);
+		let below = 0;
+		for (let v = 0; v < 256; v++) {
+			// Middle of the value's range in the CDF
+			lookup[v] = inverseNormalCDF(clamp(1e-6, 1 - 1e-6, (below + histogram[v] / 2) / pixels));
+			below += histogram[v];
+			sums[v] = below / pixels;
+		}
+		toGaussian.push(lookup);
+		cumulative.push(sums);
+	}
+
+	return {
+		toGaussian,
+		fromGaussian(channel, g) {
+			const u = normalCDF(g);
+			const sums = cumulative[channel];
+			// The smallest value whose cumulative share reaches u
+			let low = 0;
+			let high = 255;
+			while (low < high) {
+				const mid = (low + high) >> 1;
+				if (sums[mid] < u) low = mid + 1;
+				else high = mid;
+			}
+			return low;
+		}
+	};
+}
+
+/**
+ * The cumulative distribution function of the standard normal distribution.
+ * @param {number} x
+ * @returns {number}
+ */
+function normalCDF(x) {
+	// Abramowitz and Stegun 7.1.26 approximation of erf
+	const z = Math.abs(x) / Math.SQRT2;
+	const t = 1 / (1 + 0.3275911 * z);
+	const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z);
+	return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * The inverse of normalCDF using Peter Acklam's rational approximation.
+ * @param {number} p float in the range of 0-1, exclusive.
+ * @returns {number}
+ */
+function inverseNormalCDF(p) {
+	const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+	const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+	const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+	const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+	const low = 0.02425;
+
+	if (p < low) {
+		const q = Math.sqrt(-2 * Math.log(p));
+		return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+	}
+	if (p > 1 - low) {
+		const q = Math.sqrt(-2 * Math.log(1 - p));
+		return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+	}
+	const q = p - 0.5;
+	const r = q * q;
+	return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+
+// Atlases
+
+
+/**
+ * @typedef {Object} AtlasOptions
+ * @property {number} [width] The max width of each page in pixels. Default of 2048
+ * @property {number} [height] The max height of each page in pixels. Default of 2048
+ * @property {boolean} [fixedSize] Keeps every page at the max size instead of shrinking them to fit their images. Default of false
+ * @property {boolean} [powerOfTwo] Rounds shrunk pages up to a power of two. Default of true
+ * @property {number} [padding] int Empty pixels left between images. Default of 2
+ * @property {number} [extrude] int How many pixels the edges of each image are repeated outwards to stop filtering from bleeding in neighbours. Default of 0
+ * @property {boolean} [allowRotation] Allows images to be rotated 90 degrees clockwise if they fit better. Default of false
+ * @property {"maxRects" | "skyline"} [algorithm] maxRects packs tighter, skyline is faster for many images. Default of "maxRects"
+ */
+
+/**
+ * @typedef {Object} AtlasFrame
+ * @property {string} name The name of the image.
+ * @property {number} page Index of the page the image is on.
+ * @property {number} x The left of the image on the page in pixels, not including extrusion.
+ * @property {number} y The top of the image on the page in pixels, not including extrusion.
+ * @property {number} width The width of the image before rotation.
+ * @property {number} height The height of the image before rotation.
+ * @property {boolean} rotated Whether the image was rotated 90 degrees clockwise, in which case it takes up height by width pixels on the page.
+ * @property {{ u0: number, v0: number, u1: number, v1: number }} uv The area of the page the image takes up in the range of 0-1 where v0 is the top.
+ */
+
+/** @typedef {{ ctx: ImageContext, width: number, height: number, frames: Array<AtlasFrame> }} AtlasPage */
+
+/** @typedef {{ pages: Array<AtlasPage> }} Atlas */
+
+/** @typedef {{ x: number, y: number, width: number, height: number }} Rect */
+
+/** @typedef {{ insert: (width: number, height: number, allowRotation: boolean) => { x: number, y: number, rotated: boolean } | undefined }} RectPacker */
+
+/**
+ * Lays out many images into one or more atlas pages (sprite sheets).
+ *
+ * Images are sorted from largest to smallest and each page is filled as much as possible before moving on to the next.
+ * @param {Array<{ name: string, ctx: ImageContext }>} images The images and the names they are referred to by in the frames.
+ * @param {AtlasOptions} [options]
+ * @returns {Atlas} The pages with the images drawn to them and where each image is.
+ *
+ * @example
+ * const atlas = packAtlas([
+ * 	{ name: "button.png", ctx: buttonContext },
+ * 	{ name: "icon.png", ctx: iconContext }
+ * ], { width: 1024, height: 1024, padding: 2, extrude: 1, allowRotation: true });
+ * const json = atlasToJSON(atlas, { format: "hash", imageNames: ["ui.png"] });
+ */
+function packAtlas(images, options = {}) {
+	const {
+		width = 2048,
+		height = 2048,
+		fixedSize = false,
+		powerOfTwo = true,
+		padding = 2,
+		extrude = 0,
+		allowRotation = false,
+		algorithm = "maxRects"
+	} = options;
+	if (algorithm !== "maxRects" && algorithm !== "skyline") throw new Error(`Unknown atlas algorithm ${algorithm}. Expected maxRects or skyline`);
+	if (!Number.isInteger(padding) || padding < 0) throw new Error(`padding must be a whole number of at least 0. Got ${padding}`);
+	if (!Number.isInteger(extrude) || extrude < 0) throw new Error(`extrude must be a whole number of at least 0. Got ${extrude}`);
+
+	const names = new Set();
+	for (const image of images) {
+		if (names.has(image.name)) throw new Error(`There is more than one image named ${image.name} in the atlas`);
+		names.add(image.name);
+	}
+
+	// Every image takes up its size plus the extrusion on both sides and the padding after it
+	let remaining = images.map(image => ({
+		name: image.name,
+		ctx: image.ctx,
+		width: image.ctx.canvas.width,
+		height: image.ctx.canvas.height,
+		packedWidth: image.ctx.canvas.width + extrude * 2 + padding,
+		packedHeight: image.ctx.canvas.height + extrude * 2 + padding
+	}));
+	for (const image of remaining) {
+		const fits = (image.packedWidth - padding <= width && image.packedHeight - padding <= height)
+			|| (allowRotation && image.packedHeight - padding <= width && image.packedWidth - padding <= height);
+		if (!fits) throw new Error(`Image ${image.name} (${image.width}x${image.height}) doesn't fit in an atlas page of ${width}x${height}`);
+	}
+	remaining.sort((a, b) => Math.max(b.packedWidth, b.packedHeight) - Math.max(a.packedWidth, a.packedHeight) || b.packedWidth * b.packedHeight - a.packedWidth * a.packedHeight);
+
+	/** @type {Array<AtlasPage>} */
+	const pages = [];
+	while (remaining.length) {
+		// The padding after the last image on each side can spill past the page
+		const packer = algorithm === "maxRects" ? createMaxRectsPacker(width + padding, height + padding) : createSkylinePacker(width + padding, height + padding);
+		/** @type {Array<{ image: typeof remaining[number], x: number, y: number, rotated: boolean }>} */
+		const placed = [];
+		/** @type {typeof remaining} */
+		const leftOver = [];
+		for (const image of remaining) {
+			const spot = packer.insert(image.packedWidth, image.packedHeight, allowRotation);
+			if (spot) placed.push({ image, ...spot });
+			else leftOver.push(image);
+		}
+		remaining = leftOver;
+
+		let pageWidth = width;
+		let pageHeight = height;
+		if (!fixedSize) {
+			pageWidth = Math.max(1, ...placed.map(p => p.x + (p.rotated ? p.image.packedHeight : p.image.packedWidth) - padding));
+			pageHeight = Math.max(1, ...placed.map(p => p.y + (p.rotated ? p.image.packedWidth : p.image.packedHeight) - padding));
+			if (powerOfTwo) {
+				pageWidth = Math.min(width, nextPowerOfTwo(pageWidth));
+				pageHeight = Math.min(height, nextPowerOfTwo(pageHeight));
+			}
+		}
+
+		const pageData = getBackend().createImageData(pageWidth, pageHeight);
+		/** @type {Array<AtlasFrame>} */
+		const frames = [];
+		for (const { image, x, y, rotated } of placed) {
+			blitAtlasImage(pageData, image.ctx.getImageData(0, 0, image.width, image.height), x, y, rotated, extrude);
+			const occupiedWidth = rotated ? image.height : image.width;
+			const occupiedHeight = rotated ? image.width : image.height;
+			frames.push({
+				name: image.name,
+				page: pages.length,
+				x: x + extrude,
+				y: y + extrude,
+				width: image.width,
+				height: image.height,
+				rotated,
+				uv: {
+					u0: (x + extrude) / pageWidth,
+					v0: (y + extrude) / pageHeight,
+					u1: (x + extrude + occupiedWidth) / pageWidth,
+					v1: (y + extrude + occupiedHeight) / pageHeight
+				}
+			});
+		}
+
+		const ctx = getBackend().createContext(pageWidth, pageHeight);
+		ctx.putImageData(pageData, 0, 0);
+		pages.push({ ctx, width: pageWidth, height: pageHeight, frames });
+	}
+
+	return { pages };
+}
+
+/**
+ * Exports where each image is in an atlas as TexturePacker compatible JSON. One object is returned per page as each JSON file describes one image.
+ * @param {Atlas} atlas The atlas from packAtlas.
+ * @param {{ format?: "hash" | "array", imageNames?: Array<string> }} [options] format is whether frames are an object keyed by name (hash) or an array (array). Default of "hash".
+ * imageNames are the file names the pages will be saved as. Default of atlas-0.png, atlas-1.png and so on.
+ * @returns {Array<Record<string, any>>} The JSON for each page. Pass each one to JSON.stringify.
+ *
+ * @example
+ * const [json] = atlasToJSON(atlas, { format: "array", imageNames: ["ui.png"] });
+ * fs.writeFileSync("./ui.json", JSON.stringify(json, null, 2));
+ */
+function atlasToJSON(atlas, options = {}) {
+	const { format = "hash", imageNames = atlas.pages.map((_, index) => `atlas-${index}.png`) } = options;
+	if (format !== "hash" && format !== "array") throw new Error(`Unknown atlas JSON format ${format}. Expected hash or array`);
+
+	return atlas.pages.map((page, index) => {
+		const frames = page.frames.map(frame => ({
+			filename: frame.name,
+			frame: { x: frame.x, y: frame.y, w: frame.width, h: frame.height },
+			rotated: frame.rotated,
+			trimmed: false,
+			spriteSourceSize: { x: 0, y: 0, w: frame.width, h: frame.height },
+			sourceSize: { w: frame.width, h: frame.height },
+			pivot: { x: 0.5, y: 0.5 }
+		}));
+
+		return {
+			frames: format === "array" ? frames : Object.fromEntries(frames.map(({ filename, ...frame }) => [filename, frame])),
+			meta: {
+				app: "canvasshaderext",
+				version: "1.0",
+				image: imageNames[index],
+				format: "RGBA8888",
+				size: { w: page.width, h: page.height },
+				scale: "1"
+			}
+		};
+	});
+}
+
+/**
+ * Copies an image onto the page data at x, y plus the extrusion, rotating it and extruding its edges if needed.
+ * @param {PixelData} page
+ * @param {PixelData} image
+ * @param {number} x
+ * @param {number} y
+ * @param {boolean} rotated
+ * @param {number} extrude
+ * @returns {void}
+ */
+function blitAtlasImage(page, image, x, y, rotated, extrude) {
+	const occupiedWidth = rotated ? image.height : image.width;
+	const occupiedHeight = rotated ? image.width : image.height;
+	for (let dy = -extrude; dy < occupiedHeight + extrude; dy++) {
+		const py = y + extrude + dy;
+		if (py < 0 || py >= page.height) continue;
+		for (let dx = -extrude; dx < occupiedWidth + extrude; dx++) {
+			const px = x + extrude + dx;
+			if (px < 0 || px >= page.width) continue;
+			// Extruded pixels repeat the closest edge pixel
+			const ox = clamp(0, occupiedWidth - 1, dx);
+			const oy = clamp(0, occupiedHeight - 1, dy);
+			// Rotated 90 degrees clockwise: the left column of the image becomes the top row
+			const sx = rotated ? oy : ox;
+			const sy = rotated ? image.height - 1 - ox : oy;
+			const s = (sy * image.width + sx) * 4;
+			const o = (py * page.width + px) * 4;
+			page.data[o] = image.data[s];
+			page.data[o + 1] = image.data[s + 1];
+			page.data[o + 2] = image.data[s + 2];
+			page.data[o + 3] = image.data[s + 3];
+		}
+	}
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function nextPowerOfTwo(value) {
+	let power = 1;
+	while (power < value) power *= 2;
+	return power;
+}
+
+/**
+ * MaxRects packer using the best short side fit heuristic.
+ * @param {number} width
+ * @param {number} height
+ * @returns {RectPacker}
+ */
+function createMaxRectsPacker(width, height) {
+	/** @type {Array<Rect>} */
+	let free = [{ x: 0, y: 0, width, height }];
+
+	return {
+		insert(rectWidth, rectHeight, allowRotation) {
+			/** @type {{ x: number, y: number, rotated: boolean } | undefined} */
+			let best = undefined;
+			let bestShort = Infinity;
+			let bestLong = Infinity;
+			for (const rect of free) {
+				for (const rotated of allowRotation ? [false, true] : [false]) {
+					const w = rotated ? rectHeight : rectWidth;
+					const h = rotated ? rectWidth : rectHeight;
+					if (w > rect.width || h > rect.height) continue;
+					const leftOverX = rect.width - w;
+					const leftOverY = rect.height - h;
+					const short = Math.min(leftOverX, leftOverY);
+					const long = Math.max(leftOverX, leftOverY);
+					if (short < bestShort || (short === bestShort && long < bestLong)) {
+						best = { x: rect.x, y: rect.y, rotated };
+						bestShort = short;
+						bestLong = long;
+					}
+				}
+			}
+			if (!best) return undefined;
+
+			const used = { x: best.x, y: best.y, width: best.rotated ? rectHeight : rectWidth, height: best.rotated ? rectWidth : rectHeight };
+			/** @type {Array<Rect>} */
+			const next = [];
+			for (const rect of free) {
+				const overlaps = used.x < rect.x + rect.width && used.x + used.width > rect.x && used.y < rect.y + rect.height && used.y + used.height > rect.y;
+				if (!overlaps) {
+					next.push(rect);
+					continue;
+				}
+				// Split what's left of the free rect around the used rect
+				if (used.x > rect.x) next.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+				if (used.x + used.width < rect.x + rect.width) next.push({ x: used.x + used.width, y: rect.y, width: rect.x + rect.width - used.x - used.width, height: rect.height });
+				if (used.y > rect.y) next.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+				if (used.y + used.height < rect.y + rect.height) next.push({ x: rect.x, y: used.y + used.height, width: rect.width, height: rect.y + rect.height - used.y - used.height });
+			}
+			// Free rects inside of other free rects are redundant
+			free = next.filter((rect, index) => !next.some((other, otherIndex) => otherIndex !== index
+				&& rect.x >= other.x && rect.y >= other.y
+				&& rect.x + rect.width <= other.x + other.width && rect.y + rect.height <= other.y + other.height
+				&& (otherIndex < index || rect.x !== other.x || rect.y !== other.y || rect.width !== other.width || rect.height !== other.height)));
+			return best;
+		}
+	};
+}
+
+/**
+ * Skyline packer using the bottom left heuristic (lowest top edge in image coordinates).
+ * @param {number} width
+ * @param {number} height
+ * @returns {RectPacker}
+ */
+function createSkylinePacker(width, height) {
+	/** @type {Array<{ x: number, y: number, width: number }>} */
+	const skyline = [{ x: 0, y: 0, width }];
+
+	/**
+	 * @param {number} index
+	 * @param {number} w
+	 * @param {number} h
+	 * @returns {number} The y the rect would be placed at starting at the segment, or -1 if it doesn't fit.
+	 */
+	const fit = (index, w, h) => {
+		const x = skyline[index].x;
+		if (x + w > width) return -1;
+		let y = 0;
+		let widthLeft = w;
+		for (let i = index; widthLeft > 0; i++) {
+			y = Math.max(y, skyline[i].y);
+			if (y + h > height) return -1;
+			widthLeft -= skyline[i].width;
+		}
+		return y;
+	};
+
+	return {
+		insert(rectWidth, rectHeight, allowRotation) {
+			let bestIndex = -1;
+			let bestY = Infinity;
+			let bestRotated = false;
+			for (let i = 0; i < skyline.length; i++) {
+				for (const rotated of allowRotation ? [false, true] : [false]) {
+					const y = fit(i, rotated ? rectHeight : rectWidth, rotated ? rectWidth : rectHeight);
+					if (y !== -1 && y < bestY) {
+						bestIndex = i;
+						bestY = y;
+						bestRotated = rotated;
+					}
+				}
+			}
+			if (bestIndex === -1) return undefined;
+
+			const w = bestRotated ? rectHeight : rectWidth;
+			const h = bestRotated ? rectWidth : rectHeight;
+			const x = skyline[bestIndex].x;
+			skyline.splice(bestIndex, 0, { x, y: bestY + h, width: w });
+			// Shrink or remove the segments now under the new one
+			for (let i = bestIndex + 1; i < skyline.length; i++) {
+				const previousEnd = skyline[i - 1].x + skyline[i - 1].width;
+				if (skyline[i].x >= previousEnd) break;
+				const shrink = previousEnd - skyline[i].x;
+				skyline[i].x += shrink;
+				skyline[i].width -= shrink;
+				if (skyline[i].width > 0) break;
+				skyline.splice(i, 1);
+				i--;
+			}
+			// Merge neighbours at the same height
+			for (let i = 0; i < skyline.length - 1; i++) {
+				if (skyline[i].y === skyline[i + 1].y) {
+					skyline[i].width += skyline[i + 1].width;
+					skyline.splice(i + 1, 1);
+					i--;
+				}
+			}
+			return { x, y: bestY, rotated: bestRotated };
+		}
+	};
+}
+
+
+// Mipmaps
+
+
+/**
+ * @typedef {Object} MipmapOptions
+ * @property {"srgb" | "linear" | "normal"} [colorSpace] What the RGB of the image holds. srgb is color which is filtered in linear light, linear is data such as roughness or height which is filtered as is,
+ * normal is a normal map which is renormalized after filtering. linear and normal aren't premultiplied by alpha, as the alpha of data maps is often data too such as smoothness. Default of "srgb"
+ * @property {ResampleFilter} [filter] The kernel used to downsample each level. Default of "bilinear"
+ * @property {AddressMode} [addressMode] What happens to the pixels sampled past the edges. Use repeat for tiling textures. Default of "clamp"
+ * @property {number} [alphaTestThreshold] int 0-255. For cutout textures, the Alpha of each level is scaled so that the same amount of pixels pass the alpha test as in the original image.
+ * Without this, cutouts such as foliage thin out and disappear in the distance. Default of undefined (Alpha is left as filtered)
+ */
+
+/**
+ * Generates a full mipmap chain where each level is half the size of the last (rounded down, never smaller than 1) until the level is 1x1.
+ *
+ * Every level is filtered from the full precision of the level before it, so alpha test coverage scaling doesn't build up through the chain.
+ * @param {ImageContext} ctx The context containing the image data of the base level.
+ * @param {MipmapOptions} [options]
+ * @returns {Array<ImageContext>} New contexts for every level. Index 0 is a copy of the base level.
+ *
+ * @example
+ * const mips = generateMipmaps(ctx, { colorSpace: "srgb", filter: "mitchell", alphaTestThreshold: 128 });
+ * mips.forEach((mip, level) => fs.writeFileSync(`./leaves_mip${level}.png`, mip.canvas.toBuffer("image/png")));
+ */
+function generateMipmaps(ctx, options = {}) {
+	const { colorSpace = "srgb", filter = "bilinear", addressMode = "clamp", alphaTestThreshold = undefined } = options;
+	if (colorSpace !== "srgb" && colorSpace !== "linear" && colorSpace !== "normal") throw new Error(`Unknown color space ${colorSpace}. Expected srgb, linear or normal`);
+	if (alphaTestThreshold !== undefined && (typeof alphaTestThreshold !== "number" || alphaTestThreshold < 0 || alphaTestThreshold > 255)) throw new Error(`alphaTestThreshold must be a number from 0 to 255. Got ${alphaTestThreshold}`);
+
+	let level = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+	const coverage = alphaTestThreshold === undefined ? 0 : alphaTestCoverage(level, alphaTestThreshold, 1);
+	const chain = [duplicate(ctx)];
+
+	while (level.width > 1 || level.height > 1) {
+		level = resample(level, Math.max(1, Math.floor(level.width / 2)), Math.max(1, Math.floor(level.height / 2)), { filter, addressMode, linear: colorSpace === "srgb", premultiply: colorSpace === "srgb" });
+		if (colorSpace === "normal") normalizeNormals(level);
+
+		const out = getBackend().createImageData(level.width, level.height);
+		out.data.set(level.data);
+		if (alphaTestThreshold !== undefined) {
+			const scale = findAlphaTestScale(level, alphaTestThreshold, coverage);
+			for (let i = 3; i < out.data.length; i += 4) out.data[i] = clamp(0, 255, Math.round(out.data[i] * scale));
+		}
+
+		const mip = getBackend().createContext(level.width, level.height);
+		mip.putImageData(out, 0, 0);
+		chain.push(mip);
+	}
+
+	return chain;
+}
+
+/**
+ * @param {PixelData} data
+ * @param {number} threshold
+ * @param {number} scale What the Alpha is multiplied by before testing it.
+ * @returns {number} The fraction of pixels which pass the alpha test.
+ */
+function alphaTestCoverage(data, threshold, scale) {
+	let passed = 0;
+	for (let i = 3; i < data.data.length; i += 4) {
+		if (Math.min(255, data.data[i] * scale) > threshold) passed++;
+	}
+	return passed / (data.width * data.height);
+}
+
+/**
+ * Binary searches for the Alpha scale which gets the coverage of a level closest to the target coverage.
+ * @param {PixelData} data
+ * @param {number} threshold
+ * @param {number} targetCoverage
+ * @returns {number}
+ */
+function findAlphaTestScale(data, threshold, targetCoverage) {
+	let low = 0;
+	// Any pixel which isn't fully transparent can be scaled past the threshold
+	let high = 256;
+	let best = 1;
+	let bestError = Math.abs(alphaTestCoverage(data, threshold, 1) - targetCoverage);
+	for (let step = 0; step < 16; step++) {
+		const middle = (low + high) / 2;
+		const coverage = alphaTestCoverage(data, threshold, middle);
+		const error = Math.abs(coverage - targetCoverage);
+		if (error < bestError) {
+			best = middle;
+			bestError = error;
+		}
+		if (coverage < targetCoverage) low = middle;
+		else if (coverage > targetCoverage) high = middle;
+		else break;
+	}
+	return best;
+}
+
+
+// Channel expressions
+
+
+/**
+ * Expressions written into each channel (object keys). Values are normalized to 0-1 (HDR images are left as is).
+ *
+ * R, G, B and A read the first image. src0.R, src1.G and so on read the image at that index when there are multiple images.
+ * Expressions support numbers, + - * / and parentheses, along with the functions
+ * abs, ceil, clamp(x, min, max), floor, fract, lerp(a, b, t), max, min, pow(x, y), round, saturate, smoothstep(edge0, edge1, x), sqrt and step(edge, x).
+ * @typedef {{ R?: string, G?: string, B?: string, A?: string }} ChannelExpressions
+ */
+
+/**
+ * Writes the channels of a pixel from the pixels at index i of the source data to index o of out.
+ * hdr skips converting from and to 0-255.
+ * @typedef {(sources: Array<ArrayLike<number>>, i: number, out: Uint8ClampedArray | Float32Array, o: number, hdr: boolean) => void} CompiledChannelExpressions
+ */
+
+/** @type {Record<string, { minArgs: number, maxArgs: number, fn: (...args: Array<number>) => number }>} */
+const channelExpressionFunctions = {
+	abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+	ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+	clamp: { minArgs: 3, maxArgs: 3, fn: (x, min, max) => Math.min(max, Math.max(min, x)) },
+	floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+	fract: { minArgs: 1, maxArgs: 1, fn: x => x - Math.floor(x) },
+	lerp: { minArgs: 3, maxArgs: 3, fn: (a, b, t) => a + (b - a) * t },
+	max: { minArgs: 2, maxArgs: Infinity, fn: Math.max },
+	min: { minArgs: 2, maxArgs: Infinity, fn: Math.min },
+	pow: { minArgs: 2, maxArgs: 2, fn: Math.pow },
+	round: { minArgs: 1, maxArgs: 1, fn: Math.round },
+	saturate: { minArgs: 1, maxArgs: 1, fn: x => Math.min(1, Math.max(0, x)) },
+	smoothstep: { minArgs: 3, maxArgs: 3, fn: (edge0, edge1, x) => {
+		const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+		return t * t * (3 - 2 * t);
+	} },
+	sqrt: { minArgs: 1, maxArgs: 1, fn: Math.sqrt },
+	step: { minArgs: 2, maxArgs: 2, fn: (edge, x) => (x < edge ? 0 : 1) }
+};
+
+/** @type {Record<string, (...args: Array<number>) => number>} */
+const channelExpressionFunctionsByName = Object.fromEntries(Object.entries(channelExpressionFunctions).map(([name, { fn }]) => [name, fn]));
+
+/** @type {WeakMap<ChannelExpressions, CompiledChannelExpressions>} */
+const swizzleExpressionCache = new WeakMap();
+
+/**
+ * Parses, validates and compiles channel expressions into a single function which can be ran for every pixel.
+ * @param {ChannelExpressions} expressions The expression for each channel which should be written.
+ * @param {number} [sourceCount] How many images the expressions can read from with src0, src1 and so on. Default of 1
+ * @returns {CompiledChannelExpressions}
+ *
+ * @example
+ * // Converts smoothness in the Alpha channel into roughness
+ * const toRoughness = compileChannelExpressions({ R: "1 - A", G: "1 - A", B: "1 - A", A: "1" });
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	toRoughness([imageData.data], i, imageData.data, i, false);
+ * }
+ */
+function compileChannelExpressions(expressions, sourceCount = 1) {
+	if (!expressions || typeof expressions !== "object") throw new Error("Channel expressions must be an object");
+	const lines = [];
+	const writes = [];
+	for (const [channel, expression] of Object.entries(expressions)) {
+		if (!isChannel(channel)) throw new Error(`Can't write a channel expression to ${channel}. Expected one of R, G, B or A`);
+		if (typeof expression !== "string") throw new Error(`The channel expression for ${channel} must be a string. Got ${expression}`);
+		lines.push(`const v${channel} = ${parseChannelExpression(expression, channel, sourceCount)};`);
+		const o = `o + ${channelIndexes[channel]}`;
+		writes.push(`out[${o}] = hdr ? v${channel} : Math.round(Math.min(1, Math.max(0, v${channel})) * 255);`);
+	}
+	const body = [
+		"const d = hdr ? 1 : 255;",
+		...lines,
+		...writes
+	].join("\n");
+	const run = new Function("f", "sources", "i", "out", "o", "hdr", body);
+	return (sources, i, out, o, hdr) => run(channelExpressionFunctionsByName, sources, i, out, o, hdr);
+}
+
+/**
+ * Writes channel expressions into the channels of an image. Unlike swizzle, the keys are always the channels which are written, like pack,
+ * so { B: "R" } copies Red into Blue. Every expression reads the pixel from before any channel was written.
+ * @param {PixelData | HDRImageData} data Image data. HDR images work too, where expressions work on the linear values as they are rather than 0-1.
+ * @param {ChannelExpressions} expressions The expression for each channel which should be written.
+ * @param {Region} [region] Limits the expressions to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Inverts the Green channel and averages Red and Blue into Alpha
+ * swizzleExpressions(imageData, { G: "1 - G", A: "(R + B) / 2" });
+ */
+function swizzleExpressions(data, expressions, region) {
+	if (region) return applyInRegion(data, region, crop => swizzleExpressions(crop, expressions));
+	const compiled = getSwizzleExpressions(expressions);
+	const hdr = data.data instanceof Float32Array;
+	for (let i = 0; i < data.data.length; i += 4) compiled([data.data], i, data.data, i, hdr);
+}
+
+/**
+ * Function that actually writes the channel expressions into a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData | HDRImageData} data Image data. HDR images work too.
+ * @param {ChannelExpressions} expressions Expressions are compiled once for each expressions object, so reuse the same object for every frame.
+ * @param {number} i Index of data to start writing at. Applies at i, i+1, i+2, and i+3 depending on the channels.
+ * @returns {void} The image data is written to directly.
+ */
+function swizzleExpressionsFrame(data, expressions, i) {
+	getSwizzleExpressions(expressions)([data.data], i, data.data, i, data.data instanceof Float32Array);
+}
+
+/**
+ * Compiles swizzle expressions once for every expressions object.
+ * @param {ChannelExpressions} expressions
+ * @returns {CompiledChannelExpressions}
+ */
+function getSwizzleExpressions(expressions) {
+	let compiled = swizzleExpressionCache.get(expressions);
+	if (!compiled) {
+		compiled = compileChannelExpressions(expressions);
+		swizzleExpressionCache.set(expressions, compiled);
+	}
+	return compiled;
+}
+
+/**
+ * Turns a channel expression into JavaScript source. Only numbers, known variables and known functions can make it through, so the source is safe to compile.
+ * @param {string} expression
+ * @param {string} channel The channel the expression is for, for error messages.
+ * @param {number} sourceCount
+ * @returns {string}
+ */
+function parseChannelExpression(expression, channel, sourceCount) {
+	const tokens = tokenizeChannelExpression(expression, channel);
+	let position = 0;
+
+	/**
+	 * @param {string} message
+	 * @param {number} [column]
+	 * @returns {Error}
+	 */
+	const fail = (message, column = position < tokens.length ? tokens[position].column : expression.length + 1) => new Error(`Invalid channel expression for ${channel} "${expression}" at column ${column}: ${message}`);
+	const peek = () => (position < tokens.length ? tokens[position].value : undefined);
+	/** @param {string} value */
+	const expect = value => {
+		if (peek() !== value) throw fail(peek() === undefined ? `Expected ${value} but the expression ended` : `Expected ${value} but found ${peek()}`);
+		position++;
+	};
+
+	/** @returns {string} */
+	const parseSum = () => {
+		let code = parseProduct();
+		while (peek() === "+" || peek() === "-") {
+			const operator = tokens[position++].value;
+			code = `(${code} ${operator} ${parseProduct()})`;
+		}
+		return code;
+	};
+
+	/** @returns {string} */
+	const parseProduct = () => {
+		let code = parseUnary();
+		while (peek() === "*" || peek() === "/") {
+			const operator = tokens[position++].value;
+			code = `(${code} ${operator} ${parseUnary()})`;
+		}
+		return code;
+	};
+
+	/** @returns {string} */
+	const parseUnary = () => {
+		if (peek() === "-" || peek() === "+") {
+			const operator = tokens[position++].value;
+			return `(${operator}${parseUnary()})`;
+		}
+		return parsePrimary();
+	};
+
+	/** @returns {string} */
+	const parsePrimary = () => {
+		const token = tokens[position];
+		if (!token) throw fail("Expected a number, channel or function but the expression ended");
+
+		if (token.type === "number") {
+			position++;
+			return String(Number(token.value));
+		}
+
+		if (token.value === "(") {
+			position++;
+			const code = parseSum();
+			expect(")");
+			return `(${code})`;
+		}
+
+		if (token.type !== "identifier") throw fail(`Expected a number, channel or function but found ${token.value}`);
+		position++;
+
+		if (peek() === "(") {
+			if (!Object.prototype.hasOwnProperty.call(channelExpressionFunctions, token.value)) throw fail(`Unknown function ${token.value}. Expected one of ${Object.keys(channelExpressionFunctions).join(", ")}`, token.column);
+			const fn = channelExpressionFunctions[token.value];
+			position++;
+			const args = [];
+			if (peek() !== ")") {
+				args.push(parseSum());
+				while (peek() === ",") {
+					position++;
+					args.push(parseSum());
+				}
+			}
+			expect(")");
+			if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+				const expected = fn.maxArgs === Infinity ? `at least ${fn.minArgs}` : fn.minArgs === fn.maxArgs ? String(fn.minArgs) : `${fn.minArgs} to ${fn.maxArgs}`;
+				throw fail(`${token.value} takes ${expected} arguments but was given ${args.length}`, token.column);
+			}
+			return `f.${token.value}(${args.join(", ")})`;
+		}
+
+		let source = 0;
+		let channelName = token.value;
+		const sourceMatch = /^src(\d+)$/.exec(token.value);
+		if (sourceMatch) {
+			source = Number(sourceMatch[1]);
+			if (source >= sourceCount) throw fail(`There is no ${token.value}. ${sourceCount === 1 ? "Only src0 can be used" : `Expected src0 to src${sourceCount - 1}`}`, token.column);
+			expect(".");
+			const channelToken = tokens[position];
+			if (!channelToken || channelToken.type !== "identifier") throw fail(`Expected a channel after ${token.value}.`);
+			position++;
+			channelName = channelToken.value;
+			if (!isChannel(channelName)) throw fail(`Unknown channel ${channelName}. Expected one of R, G, B or A`, channelToken.column);
+		} else if (!isChannel(channelName)) {
+			if (Object.prototype.hasOwnProperty.call(channelExpressionFunctions, token.value)) throw fail(`${token.value} is a function and needs to be called like ${token.value}(...)`, token.column);
+			throw fail(`Unknown channel ${token.value}. Expected one of R, G, B or A, or src0.R and so on`, token.column);
+		}
+
+		return `(sources[${source}][i + ${channelIndexes[channelName]}] / d)`;
+	};
+
+	const code = parseSum();
+	if (position < tokens.length) throw fail(`Unexpected ${peek()}`);
+	return code;
+}
+
+/**
+ * @param {string} expression
+ * @param {string} channel The channel the expression is for, for error messages.
+ * @returns {Array<{ type: "number" | "identifier" | "symbol", value: string, column: number }>}
+ */
+function tokenizeChannelExpression(expression, channel) {
+	/** @type {Array<{ type: "number" | "identifier" | "symbol", value: string, column: number }>} */
+	const tokens = [];
+	const pattern = /^(\s*)(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|([-+*/(),.]))/;
+	let index = 0;
+	while (index < expression.length) {
+		const rest = expression.slice(index);
+		if (/^\s*$/.test(rest)) break;
+		const match = pattern.exec(rest);
+		if (!match) {
+			const column = index + rest.search(/\S/) + 1;
+			throw new Error(`Invalid channel expression for ${channel} "${expression}" at column ${column}: Unexpected character ${expression[column - 1]}`);
+		}
+		const column = index + match[1].length + 1;
+		if (match[2]) tokens.push({ type: "number", value: match[2], column });
+		else if (match[3]) tokens.push({ type: "identifier", value: match[3], column });
+		else tokens.push({ type: "symbol", value: match[4], column });
+		index += match[0].length;
+	}
+	if (tokens.length === 0) throw new Error(`Invalid channel expression for ${channel}: The expression is empty`);
+	return tokens;
+}
+
+/**
+ * Packs channels from multiple images into one image where each channel is computed from an expression which can read any of the images.
+ *
+ * Channels without an expression are left at 0, so you'll usually want A: "1".
+ * @param {Array<ImageContext>} images The images the expressions read from as src0, src1 and so on.
+ * @param {ChannelExpressions} expressions The expression for each channel of the packed image.
+ * @param {number} sizeX The width of the packed image.
+ * @param {number} [sizeY] The height of the packed image. Default of sizeX
+ * @param {ResampleOptions} [resampleOptions] How images are resized if they aren't the same size as the packed image.
+ * premultiply defaults to false as the channels being packed are usually data rather than color.
+ * @returns {ImageContext} A new context containing the packed image.
+ *
+ * @example
+ * // Roughness from the smoothness of a metallic map and AO averaged from two bakes
+ * const packed = packExpressions([metallicSmoothness, aoA, aoB], {
+ * 	R: "1 - src0.A",
+ * 	G: "src1.R * 0.5 + src2.R * 0.5",
+ * 	B: "src0.R",
+ * 	A: "1"
+ * }, 1024);
+ */
+function packExpressions(images, expressions, sizeX, sizeY = sizeX, resampleOptions) {
+	const compiled = compileChannelExpressions(expressions, images.length);
+	const imagesDatas = images.map(image => {
+		if (image.canvas.width === sizeX && image.canvas.height === sizeY) return image.getImageData(0, 0, sizeX, sizeY).data;
+		const resized = duplicate(image);
+		resize(resized, sizeX, sizeY, { premultiply: false, ...resampleOptions });
+		return resized.getImageData(0, 0, sizeX, sizeY).data;
+	});
+
+	const packed = getBackend().createContext(sizeX, sizeY);
+	const packedData = packed.getImageData(0, 0, sizeX, sizeY);
+	for (let i = 0; i < packedData.data.length; i += 4) compiled(imagesDatas, i, packedData.data, i, false);
+
+	packed.putImageData(packedData, 0, 0);
+	return packed;
+}
+
+
+// Regions
+
+
+/**
+ * Limits where an effect is applied. The rectangle and mask can be used together, in which case the mask is only used inside of the rectangle.
+ * @typedef {Object} Region
+ * @property {number} [x] The left of the rectangle in pixels. Default of 0
+ * @property {number} [y] The top of the rectangle in pixels. Default of 0
+ * @property {number} [width] The width of the rectangle in pixels. Default of the rest of the image
+ * @property {number} [height] The height of the rectangle in pixels. Default of the rest of the image
+ * @property {ImageContext} [mask] The context containing a mask which weights how much of the effect each pixel gets, from none (0) to all of it (255). Resized to fit if needed.
+ * @property {Channel} [channel] The channel of the mask to read the weights from. Default of "R"
+ * @property {number} [feather] int Blurs the edges of the rectangle and mask by this many pixels. Default of 0
+ * @property {boolean} [invert] Applies the effect outside of the region instead. Default of false
+ */
+
+/**
+ * Computes how much of an effect each pixel of an image gets from a region. Useful for limiting your own frame passes, where you can lerp between the original and processed values by the weights.
+ * @param {Region} region
+ * @param {number} width The width of the image in pixels.
+ * @param {number} height The height of the image in pixels.
+ * @returns {Float32Array} A 0-1 weight for every pixel (not every channel) in the image.
+ *
+ * @example
+ * // Only recolors the pixels marked in the Red channel of an ID mask with softened edges
+ * const weights = createRegionWeights({ mask: idMaskContext, channel: "R", feather: 2 }, imageData.width, imageData.height);
+ */
+function createRegionWeights(region, width, height) {
+	const { x = 0, y = 0, mask = undefined, channel = "R", feather = 0, invert = false } = region;
+	if (!isChannel(channel)) throw new Error(`${channel} is not a channel. Expected one of R, G, B or A`);
+	if (!Number.isInteger(feather) || feather < 0) throw new Error(`feather must be a whole number of at least 0. Got ${feather}`);
+
+	const left = clamp(0, width, Math.round(x));
+	const top = clamp(0, height, Math.round(y));
+	const right = clamp(0, width, Math.round(x + (region.width ?? width - x)));
+	const bottom = clamp(0, height, Math.round(y + (region.height ?? height - y)));
+
+	let maskData = undefined;
+	if (mask) {
+		maskData = mask.getImageData(0, 0, mask.canvas.width, mask.canvas.height);
+		if (maskData.width !== width || maskData.height !== height) maskData = resample(maskData, width, height);
+	}
+	const channelIndex = channelIndexes[channel];
+
+	let weights = new Float32Array(width * height);
+	for (let py = top; py < bottom; py++) {
+		for (let px = left; px < right; px++) {
+			const p = py * width + px;
+			weights[p] = maskData ? maskData.data[p * 4 + channelIndex] / 255 : 1;
+		}
+	}
+
+	if (feather > 0) {
+		// Alpha is kept at 255 so that the blur doesn't treat any of the weights as transparent
+		const weightData = getBackend().createImageData(width, height);
+		for (let p = 0; p < weights.length; p++) {
+			weightData.data[p * 4] = Math.round(weights[p] * 255);
+			weightData.data[p * 4 + 3] = 255;
+		}
+		const blurred = gaussianBlur(weightData, feather, { channels: ["R"], border: "clamp" });
+		weights = new Float32Array(width * height);
+		for (let p = 0; p < weights.length; p++) weights[p] = blurred.data[p * 4] / 255;
+	}
+
+	if (invert) {
+		for (let p = 0; p < weights.length; p++) weights[p] = 1 - weights[p];
+	}
+
+	return weights;
+}
+
+/**
+ * Runs an effect over only the part of an image inside of a region and lerps between the original and processed values by the region's weights.
+ * @template {PixelData | HDRImageData} T
+ * @param {T} data
+ * @param {Region} region
+ * @param {(crop: T, bounds: { x: number, y: number, width: number, height: number }) => void} process Processes the smallest part of the image which contains the region, written to directly.
+ * The bounds are where the crop is in the image.
+ * @returns {void}
+ */
+function applyInRegion(data, region, process) {
+	const weights = createRegionWeights(region, data.width, data.height);
+	const cropped = cropToRegion(data, weights);
+	if (!cropped) return;
+	process(cropped.crop, cropped.bounds);
+	blendRegion(data, cropped.crop, cropped.bounds, weights);
+}
+
+/**
+ * Copies the smallest part of the image which contains every pixel with a weight above 0.
+ * @template {PixelData | HDRImageData} T
+ * @param {T} data
+ * @param {Float32Array} weights
+ * @returns {{ crop: T, bounds: { x: number, y: number, width: number, height: number } } | undefined} undefined if no pixel has a weight.
+ */
+function cropToRegion(data, weights) {
+	let left = data.width;
+	let top = data.height;
+	let right = -1;
+	let bottom = -1;
+	for (let py = 0; py < data.height; py++) {
+		for (let px = 0; px < data.width; px++) {
+			if (weights[py * data.width + px] === 0) continue;
+			if (px < left) left = px;
+			if (px > right) right = px;
+			if (py < top) top = py;
+			if (py > bottom) bottom = py;
+		}
+	}
+	if (right === -1) return undefined;
+
+	const bounds = { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+	const crop = /** @type {T} */ (data.data instanceof Float32Array ? createHDRImageData(bounds.width, bounds.height) : getBackend().createImageData(bounds.width, bounds.height));
+	for (let row = 0; row < bounds.height; row++) {
+		const start = ((bounds.y + row) * data.width + bounds.x) * 4;
+		crop.data.set(data.data.subarray(start, start + bounds.width * 4), row * bounds.width * 4);
+	}
+	return { crop, bounds };
+}
+
+/**
+ * Writes a processed crop back into the image, lerping between the original and processed values by the weights.
+ * @param {PixelData | HDRImageData} data
+ * @param {PixelData | HDRImageData} crop
+ * @param {{ x: number, y: number, width: number, height: number }} bounds
+ * @param {Float32Array} weights
+ * @returns {void}
+ */
+function blendRegion(data, crop, bounds, weights) {
+	const hdr = data.data instanceof Float32Array;
+	for (let row = 0; row < bounds.height; row++) {
+		for (let column = 0; column < bounds.width; column++) {
+			const weight = weights[(bounds.y + row) * data.width + bounds.x + column];
+			if (weight === 0) continue;
+			const o = ((bounds.y + row) * data.width + bounds.x + column) * 4;
+			const c = (row * bounds.width + column) * 4;
+			for (let channel = 0; channel < 4; channel++) {
+				const value = lerp(data.data[o + channel], crop.data[c + channel], weight);
+				data.data[o + channel] = hdr ? value : Math.round(value);
+			}
+		}
+	}
+}
+
+
+// Color spaces
+
+
+// CIE XYZ of the D65 white point which sRGB uses
+const labWhiteX = 0.95047;
+const labWhiteY = 1;
+const labWhiteZ = 1.08883;
+const labEpsilon = 6 / 29;
+// The most chroma an sRGB color has in OKLCh, roughly
+const oklchMaxChroma = 0.32;
+
+/**
+ * Converts an sRGB color to HSV.
+ * @param {number} r int 0-255.
+ * @param {number} g int 0-255.
+ * @param {number} b int 0-255.
+ * @returns {[number, number, number]} Hue in degrees 0-360, saturation 0-1 and value 0-1.
+ *
+ * @example
+ * const [h, s, v] = rgbToHsv(255, 128, 0);
+ */
+function rgbToHsv(r, g, b) {
+	r /= 255;
+	g /= 255;
+	b /= 255;
+	const max = Math.max(r, g, b);
+	const range = max - Math.min(r, g, b);
+	return [rgbHue(r, g, b, max, range), max === 0 ? 0 : range / max, max];
+}
+
+/**
+ * Converts an HSV color to sRGB.
+ * @param {number} h Hue in degrees. Wraps around.
+ * @param {number} s Saturation 0-1.
+ * @param {number} v Value 0-1.
+ * @returns {[number, number, number]} R, G and B 0-255. Not rounded.
+ */
+function hsvToRgb(h, s, v) {
+	const chroma = v * s;
+	return hueToRgb(h, chroma, v - chroma);
+}
+
+/**
+ * Converts an sRGB color to HSL.
+ * @param {number} r int 0-255.
+ * @param {number} g int 0-255.
+ * @param {number} b int 0-255.
+ * @returns {[number, number, number]} Hue in degrees 0-360, saturation 0-1 and lightness 0-1.
+ */
+function rgbToHsl(r, g, b) {
+	r /= 255;
+	g /= 255;
+	b /= 255;
+	const max = Math.max(r, g, b);
+	const min = Math.min(r, g, b);
+	const range = max - min;
+	const lightness = (max + min) / 2;
+	const saturation = range === 0 ? 0 : range / (1 - Math.abs(2 * lightness - 1));
+	return [rgbHue(r, g, b, max, range), saturation, lightness];
+}
+
+/**
+ * Converts an HSL color to sRGB.
+ * @param {number} h Hue in degrees. Wraps around.
+ * @param {number} s Saturation 0-1.
+ * @param {number} l Lightness 0-1.
+ * @returns {[number, number, number]} R, G and B 0-255. Not rounded.
+ */
+function hslToRgb(h, s, l) {
+	const chroma = (1 - Math.abs(2 * l - 1)) * s;
+	return hueToRgb(h, chroma, l - chroma / 2);
+}
+
+/**
+ * Converts an sRGB color to CIE Lab using the D65 white point.
+ * @param {number} r int 0-255.
+ * @param {number} g int 0-255.
+ * @param {number} b int 0-255.
+ * @returns {[number, number, number]} L 0-100 and a and b which are roughly -128 to 128.
+ */
+function rgbToLab(r, g, b) {
+	const lr = sRGBToLinear(r / 255);
+	const lg = sRGBToLinear(g / 255);
+	const lb = sRGBToLinear(b / 255);
+	const fx = labCompand((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / labWhiteX);
+	const fy = labCompand((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / labWhiteY);
+	const fz = labCompand((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / labWhiteZ);
+	return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Converts a CIE Lab color using the D65 white point to sRGB.
+ * @param {number} l L 0-100.
+ * @param {number} a
+ * @param {number} b
+ * @returns {[number, number, number]} R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+function labToRgb(l, a, b) {
+	const fy = (l + 16) / 116;
+	const x = labWhiteX * labDecompand(fy + a / 500);
+	const y = labWhiteY * labDecompand(fy);
+	const z = labWhiteZ * labDecompand(fy - b / 200);
+	return linearToRgb(
+		3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+		-0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+		0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+	);
+}
+
+/**
+ * Converts an sRGB color to CIE LCh, the polar form of Lab.
+ * @param {number} r int 0-255.
+ * @param {number} g int 0-255.
+ * @param {number} b int 0-255.
+ * @returns {[number, number, number]} L 0-100, chroma and hue in degrees 0-360.
+ */
+function rgbToLch(r, g, b) {
+	return toPolar(...rgbToLab(r, g, b));
+}
+
+/**
+ * Converts a CIE LCh color to sRGB.
+ * @param {number} l L 0-100.
+ * @param {number} c Chroma.
+ * @param {number} h Hue in degrees.
+ * @returns {[number, number, number]} R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+function lchToRgb(l, c, h) {
+	return labToRgb(...fromPolar(l, c, h));
+}
+
+/**
+ * Converts an sRGB color to OKLab, which is more perceptually uniform than CIE Lab especially for blues.
+ * @param {number} r int 0-255.
+ * @param {number} g int 0-255.
+ * @param {number} b int 0-255.
+ * @returns {[number, number, number]} L 0-1 and a and b which are roughly -0.4 to 0.4.
+ *
+ * @example
+ * const [l, a, b] = rgbToOklab(255, 128, 0);
+ */
+function rgbToOklab(r, g, b) {
+	const lr = sRGBToLinear(r / 255);
+	const lg = sRGBToLinear(g / 255);
+	const lb = sRGBToLinear(b / 255);
+	const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+	const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+	const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+	return [
+		0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+		1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+		0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+	];
+}
+
+/**
+ * Converts an OKLab color to sRGB.
+ * @param {number} l L 0-1.
+ * @param {number} a
+ * @param {number} b
+ * @returns {[number, number, number]} R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+function oklabToRgb(l, a, b) {
+	return linearToRgb(...oklabToLinear(l, a, b));
+}
+
+/**
+ * Converts an sRGB color to OKLCh, the polar form of OKLab.
+ * @param {number} r int 0-255.
+ * @param {number} g int 0-255.
+ * @param {number} b int 0-255.
+ * @returns {[number, number, number]} L 0-1, chroma (up to around 0.32 for sRGB colors) and hue in degrees 0-360.
+ */
+function rgbToOklch(r, g, b) {
+	return toPolar(...rgbToOklab(r, g, b));
+}
+
+/**
+ * Converts an OKLCh color to sRGB.
+ * @param {number} l L 0-1.
+ * @param {number} c Chroma.
+ * @param {number} h Hue in degrees.
+ * @returns {[number, number, number]} R, G and B 0-255. Not rounded or clamped, so colors outside of sRGB go past 0-255.
+ */
+function oklchToRgb(l, c, h) {
+	return oklabToRgb(...fromPolar(l, c, h));
+}
+
+/**
+ * Rotates the hue of an image in OKLCh, which keeps the lightness of colors the same unlike rotating in HSV or HSL.
+ * @param {PixelData} data Image data.
+ * @param {number} degrees How far to rotate the hue. Can be negative.
+ * @param {Region} [region] Limits the shift to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Turns reds into greens
+ * hueShift(imageData, 120);
+ */
+function hueShift(data, degrees, region) {
+	if (region) return applyInRegion(data, region, crop => hueShift(crop, degrees));
+	for (let i = 0; i < data.data.length; i += 4) hueShiftFrame(data, degrees, i);
+}
+
+/**
+ * Function that actually rotates the hue of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} degrees How far to rotate the hue. Can be negative.
+ * @param {number} i Index of data to start shifting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Goes through the whole image data rotating the hue by 120 degrees. This is how it should be used.
+ * // The hueShift function does this for you.
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	hueShiftFrame(imageData, 120, i);
+ * }
+ */
+function hueShiftFrame(data, degrees, i) {
+	const [l, c, h] = rgbToOklch(data.data[i], data.data[i + 1], data.data[i + 2]);
+	writeOklch(data, i, l, c, h + degrees);
+}
+
+/**
+ * Scales the chroma of an image in OKLCh. Unlike hdrToSdr's saturation, hues don't drift and colors don't get lighter or darker.
+ * @param {PixelData} data Image data.
+ * @param {number} amount float multiplier of the chroma where 0 is greyscale and 1 is no change.
+ * @param {Region} [region] Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Makes an image 50% more saturated
+ * adjustSaturation(imageData, 1.5);
+ */
+function adjustSaturation(data, amount, region) {
+	if (region) return applyInRegion(data, region, crop => adjustSaturation(crop, amount));
+	for (let i = 0; i < data.data.length; i += 4) adjustSaturationFrame(data, amount, i);
+}
+
+/**
+ * Function that actually scales the chroma of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} amount float multiplier of the chroma where 0 is greyscale and 1 is no change.
+ * @param {number} i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ */
+function adjustSaturationFrame(data, amount, i) {
+	const [l, c, h] = rgbToOklch(data.data[i], data.data[i + 1], data.data[i + 2]);
+	writeOklch(data, i, l, c * Math.max(0, amount), h);
+}
+
+/**
+ * Raises or lowers the lightness of an image in OKLCh, keeping the hue and chroma.
+ * @param {PixelData} data Image data.
+ * @param {number} amount float added to the lightness, which is 0-1. Can be negative.
+ * @param {Region} [region] Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Darkens an image slightly
+ * adjustLightness(imageData, -0.1);
+ */
+function adjustLightness(data, amount, region) {
+	if (region) return applyInRegion(data, region, crop => adjustLightness(crop, amount));
+	for (let i = 0; i < data.data.length; i += 4) adjustLightnessFrame(data, amount, i);
+}
+
+/**
+ * Function that actually adjusts the lightness of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} amount float added to the lightness, which is 0-1. Can be negative.
+ * @param {number} i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ */
+function adjustLightnessFrame(data, amount, i) {
+	const [l, c, h] = rgbToOklch(data.data[i], data.data[i + 1], data.data[i + 2]);
+	writeOklch(data, i, l + amount, c, h);
+}
+
+/**
+ * Saturates muted colors more than colors which are already saturated, which avoids oversaturating skin and bright colors.
+ * @param {PixelData} data Image data.
+ * @param {number} amount float where 0 is no change, 1 doubles the chroma of grey-ish colors and negative values mute them.
+ * @param {Region} [region] Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * vibrance(imageData, 0.5);
+ */
+function vibrance(data, amount, region) {
+	if (region) return applyInRegion(data, region, crop => vibrance(crop, amount));
+	for (let i = 0; i < data.data.length; i += 4) vibranceFrame(data, amount, i);
+}
+
+/**
+ * Function that actually applies vibrance to a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} amount float where 0 is no change, 1 doubles the chroma of grey-ish colors and negative values mute them.
+ * @param {number} i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ */
+function vibranceFrame(data, amount, i) {
+	const [l, c, h] = rgbToOklch(data.data[i], data.data[i + 1], data.data[i + 2]);
+	const mutedness = 1 - Math.min(1, c / oklchMaxChroma);
+	writeOklch(data, i, l, c * Math.max(0, 1 + amount * mutedness), h);
+}
+
+/**
+ * Tints an image by giving it the hue and chroma of a color while keeping the lightness of every pixel.
+ *
+ * Unlike the multiplicative tint, colors don't get darker or muddier. Colors which can't be shown in sRGB have their chroma reduced instead of being clipped, so the hue stays the same.
+ * @param {PixelData} data Image data.
+ * @param {number} r int 0-255 of the color.
+ * @param {number} g int 0-255 of the color.
+ * @param {number} b int 0-255 of the color.
+ * @param {number} [strength] float 0-1 of how much of the color's hue and chroma replaces the original. Default of 1
+ * @param {Region} [region] Limits the tint to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Recolors an image orange
+ * colorize(imageData, 255, 128, 0);
+ */
+function colorize(data, r, g, b, strength = 1, region) {
+	if (region) return applyInRegion(data, region, crop => colorize(crop, r, g, b, strength));
+	const [, targetA, targetB] = rgbToOklab(r, g, b);
+	for (let i = 0; i < data.data.length; i += 4) colorizeOklabFrame(data, targetA, targetB, strength, i);
+}
+
+/**
+ * Function that actually colorizes a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {number} r int 0-255 of the color.
+ * @param {number} g int 0-255 of the color.
+ * @param {number} b int 0-255 of the color.
+ * @param {number} strength float 0-1 of how much of the color's hue and chroma replaces the original.
+ * @param {number} i Index of data to start colorizing at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ */
+function colorizeFrame(data, r, g, b, strength, i) {
+	const [, targetA, targetB] = rgbToOklab(r, g, b);
+	colorizeOklabFrame(data, targetA, targetB, strength, i);
+}
+
+/**
+ * colorizeFrame with the color already converted to OKLab, so that colorize and pipelines only convert it once.
+ * @param {PixelData} data Image data.
+ * @param {number} targetA The OKLab a of the color.
+ * @param {number} targetB The OKLab b of the color.
+ * @param {number} strength float 0-1 of how much of the color's hue and chroma replaces the original.
+ * @param {number} i Index of data to start colorizing at.
+ * @returns {void}
+ */
+function colorizeOklabFrame(data, targetA, targetB, strength, i) {
+	const [l, a, pixelB] = rgbToOklab(data.data[i], data.data[i + 1], data.data[i + 2]);
+	const [, c, h] = toPolar(l, lerp(a, targetA, strength), lerp(pixelB, targetB, strength));
+	writeOklch(data, i, l, c, h);
+}
+
+/**
+ * @param {number} r 0-1.
+ * @param {number} g 0-1.
+ * @param {number} b 0-1.
+ * @param {number} max
+ * @param {number} range
+ * @returns {number} Hue in degrees 0-360.
+ */
+function rgbHue(r, g, b, max, range) {
+	if (range === 0) return 0;
+	let hue;
+	if (max === r) hue = ((g - b) / range) % 6;
+	else if (max === g) hue = (b - r) / range + 2;
+	else hue = (r - g) / range + 4;
+	return ((hue * 60) + 360) % 360;
+}
+
+/**
+ * Shared end of hsvToRgb and hslToRgb.
+ * @param {number} h Hue in degrees.
+ * @param {number} chroma 0-1.
+ * @param {number} min 0-1 added to every channel.
+ * @returns {[number, number, number]} R, G and B 0-255.
+ */
+function hueToRgb(h, chroma, min) {
+	const sector = (((h % 360) + 360) % 360) / 60;
+	const x = chroma * (1 - Math.abs((sector % 2) - 1));
+	let rgb;
+	if (sector < 1) rgb = [chroma, x, 0];
+	else if (sector < 2) rgb = [x, chroma, 0];
+	else if (sector < 3) rgb = [0, chroma, x];
+	else if (sector < 4) rgb = [0, x, chroma];
+	else if (sector < 5) rgb = [x, 0, chroma];
+	else rgb = [chroma, 0, x];
+	return [(rgb[0] + min) * 255, (rgb[1] + min) * 255, (rgb[2] + min) * 255];
+}
+
+/**
+ * @param {number} t
+ * @returns {number}
+ */
+function labCompand(t) {
+	return t > labEpsilon * labEpsilon * labEpsilon ? Math.cbrt(t) : t / (3 * labEpsilon * labEpsilon) + 4 / 29;
+}
+
+/**
+ * @param {number} t
+ * @returns {number}
+ */
+function labDecompand(t) {
+	return t > labEpsilon ? t * t * t : 3 * labEpsilon * labEpsilon * (t - 4 / 29);
+}
+
+/**
+ * Converts the a and b of Lab or OKLab to chroma and hue.
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {[number, number, number]} L, chroma and hue in degrees 0-360.
+ */
+function toPolar(l, a, b) {
+	const hue = Math.atan2(b, a) * 180 / Math.PI;
+	return [l, Math.hypot(a, b), hue < 0 ? hue + 360 : hue];
+}
+
+/**
+ * Converts the chroma and hue of LCh or OKLCh to a and b.
+ * @param {number} l
+ * @param {number} c
+ * @param {number} h Hue in degrees.
+ * @returns {[number, number, number]} L, a and b.
+ */
+function fromPolar(l, c, h) {
+	const radians = h * Math.PI / 180;
+	return [l, c * Math.cos(radians), c * Math.sin(radians)];
+}
+
+/**
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {[number, number, number]} Linear R, G and B 0-1.
+ */
+function oklabToLinear(l, a, b) {
+	const lCone = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+	const mCone = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+	const sCone = Math.pow(l - 0.0894841775 * a - 1.2914855480 * b, 3);
+	return [
+		4.0767416621 * lCone - 3.3077115913 * mCone + 0.2309699292 * sCone,
+		-1.2684380046 * lCone + 2.6097574011 * mCone - 0.3413193965 * sCone,
+		-0.0041960863 * lCone - 0.7034186147 * mCone + 1.7076147010 * sCone
+	];
+}
+
+/**
+ * @param {number} r Linear 0-1.
+ * @param {number} g Linear 0-1.
+ * @param {number} b Linear 0-1.
+ * @returns {[number, number, number]} sRGB 0-255. Values outside of 0-1 keep their sign.
+ */
+function linearToRgb(r, g, b) {
+	return [
+		Math.sign(r) * linearToSRGB(Math.abs(r)) * 255,
+		Math.sign(g) * linearToSRGB(Math.abs(g)) * 255,
+		Math.sign(b) * linearToSRGB(Math.abs(b)) * 255
+	];
+}
+
+/**
+ * Writes an OKLCh color to a frame. Colors outside of sRGB have their chroma reduced until they fit so the hue and lightness stay the same.
+ * @param {PixelData} data
+ * @param {number} i
+ * @param {number} l
+ * @param {number} c
+ * @param {number} h Hue in degrees.
+ * @returns {void}
+ */
+function writeOklch(data, i, l, c, h) {
+	l = clamp(0, 1, l);
+	const radians = h * Math.PI / 180;
+	const cos = Math.cos(radians);
+	const sin = Math.sin(radians);
+
+	let linear = oklchToLinearInGamut(l, c, cos, sin);
+	if (!linear) {
+		// Binary search for the most chroma which fits. Chroma 0 is grey which always fits
+		let low = 0;
+		let high = c;
+		for (let step = 0; step < 12; step++) {
+			const middle = (low + high) / 2;
+			if (oklchToLinearInGamut(l, middle, cos, sin)) low = middle;
+			else high = middle;
+		}
+		linear = oklchToLinearInGamut(l, low, cos, sin) || oklabToLinear(l, 0, 0);
+	}
+
+	data.data[i] = Math.round(clamp(0, 1, linearToSRGB(clamp(0, 1, linear[0]))) * 255);
+	data.data[i + 1] = Math.round(clamp(0, 1, linearToSRGB(clamp(0, 1, linear[1]))) * 255);
+	data.data[i + 2] = Math.round(clamp(0, 1, linearToSRGB(clamp(0, 1, linear[2]))) * 255);
+}
+
+/**
+ * Converts an OKLCh color to linear RGB if it can be shown in sRGB.
+ * @param {number} l
+ * @param {number} c
+ * @param {number} cos The cosine of the hue.
+ * @param {number} sin The sine of the hue.
+ * @returns {[number, number, number] | undefined} Linear R, G and B 0-1, or undefined if the color is outside of sRGB.
+ */
+function oklchToLinearInGamut(l, c, cos, sin) {
+	const linear = oklabToLinear(l, c * cos, c * sin);
+	for (let channel = 0; channel < 3; channel++) {
+		if (linear[channel] < -1e-4 || linear[channel] > 1 + 1e-4) return undefined;
+	}
+	return linear;
+}
+
+
+// Dithering and quantization
+
+
+/**
+ * How values are rounded when precision is reduced. bayer and blueNoise are ordered dithers which work on single pixels.
+ * floydSteinberg and atkinson diffuse the rounding error to neighbouring pixels, so they need the whole image.
+ * @typedef {"none" | "bayer" | "blueNoise" | "floydSteinberg" | "atkinson"} DitherMethod
+ */
+
+/**
+ * @typedef {Object} QuantizeOptions
+ * @property {number} [colors] int 2-256 of how many colors the palette has. Ignored when a palette is passed. Default of 256
+ * @property {"medianCut" | "kmeans"} [method] How the palette is picked. Both work in OKLab so that colors are grouped the way they're seen.
+ * kmeans refines the median cut palette which is slower but closer to the image. Default of "medianCut"
+ * @property {Array<[number, number, number]>} [palette] Up to 256 RGB 0-255 colors to reduce the image to instead of picking a palette.
+ * @property {DitherMethod} [dither] Default of "none"
+ */
+
+/** @typedef {{ data: PixelData, palette: Array<[number, number, number]>, indices: Uint8Array }} QuantizeResult */
+
+/** @typedef {{ divisor: number, taps: Array<[number, number, number]> }} ErrorDiffusionKernel */
+
+// Both ordered dither patterns repeat every 64 pixels as the 8x8 Bayer matrix fits into 64 evenly
+const ditherPatternSize = 64;
+
+/** @type {Record<"floydSteinberg" | "atkinson", ErrorDiffusionKernel>} */
+const errorDiffusionKernels = {
+	floydSteinberg: { divisor: 16, taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+	// Only 6/8 of the error is diffused which keeps more contrast
+	atkinson: { divisor: 8, taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] }
+};
+
+/** @type {Float32Array | undefined} */
+let bayerThresholds = undefined;
+/** @type {Float32Array | undefined} */
+let blueNoiseThresholds = undefined;
+
+/**
+ * Reduces an image to a palette of colors, either picked from the image or passed in.
+ * @param {PixelData} data Image data.
+ * @param {QuantizeOptions} [options]
+ * @returns {QuantizeResult} New image data using only the palette, the palette and the palette index of every pixel. Alpha is left as is.
+ *
+ * @example
+ * // Reduces an image to 16 colors with Floyd-Steinberg dithering
+ * const { data, palette } = quantize(imageData, { colors: 16, method: "kmeans", dither: "floydSteinberg" });
+ *
+ * @example
+ * // Reduces an image to black and white
+ * const { data } = quantize(imageData, { palette: [[0, 0, 0], [255, 255, 255]], dither: "blueNoise" });
+ */
+function quantize(data, options = {}) {
+	const { colors = 256, method = "medianCut", dither = "none" } = options;
+	validateDitherMethod(dither);
+
+	let palette = options.palette;
+	if (palette) {
+		if (!Array.isArray(palette) || palette.length === 0 || palette.length > 256) throw new Error("The palette must be an Array of 1 to 256 colors");
+		for (const color of palette) {
+			if (!Array.isArray(color) || color.length !== 3 || color.some(component => typeof component !== "number" || component < 0 || component > 255)) throw new Error(`Palette colors must be [r, g, b] in the range of 0-255. Got ${JSON.stringify(color)}`);
+		}
+		palette = palette.map(color => [Math.round(color[0]), Math.round(color[1]), Math.round(color[2])]);
+	} else {
+		if (!Number.isInteger(colors) || colors < 2 || colors > 256) throw new Error(`colors must be a whole number from 2 to 256. Got ${colors}`);
+		if (method !== "medianCut" && method !== "kmeans") throw new Error(`Unknown quantize method ${method}. Expected medianCut or kmeans`);
+		palette = createPalette(data, colors, method);
+	}
+
+	const paletteLab = palette.map(color => rgbToOklab(color[0], color[1], color[2]));
+	/** @type {Map<number, number>} */
+	const nearestCache = new Map();
+	/**
+	 * @param {number} r
+	 * @param {number} g
+	 * @param {number} b
+	 * @returns {number} The index of the closest palette color in OKLab.
+	 */
+	const nearest = (r, g, b) => {
+		r = clamp(0, 255, Math.round(r));
+		g = clamp(0, 255, Math.round(g));
+		b = clamp(0, 255, Math.round(b));
+		const key = (r << 16) | (g << 8) | b;
+		let index = nearestCache.get(key);
+		if (index === undefined) {
+			const [l, la, lb] = rgbToOklab(r, g, b);
+			let best = Infinity;
+			index = 0;
+			for (let p = 0; p < paletteLab.length; p++) {
+				const distance = (paletteLab[p][0] - l) ** 2 + (paletteLab[p][1] - la) ** 2 + (paletteLab[p][2] - lb) ** 2;
+				if (distance < best) {
+					best = distance;
+					index = p;
+				}
+			}
+			nearestCache.set(key, index);
+		}
+		return index;
+	};
+
+	const out = getBackend().createImageData(data.width, data.height);
+	const indices = new Uint8Array(data.width * data.height);
+	const finalPalette = /** @type {Array<[number, number, number]>} */ (palette);
+
+	if (dither === "floydSteinberg" || dither === "atkinson") {
+		const values = Float32Array.from(data.data);
+		diffuseError(values, data.width, data.height, errorDiffusionKernels[dither], (r, g, b, p) => {
+			indices[p] = nearest(r, g, b);
+			return finalPalette[indices[p]];
+		}, out.data);
+		return { data: out, palette: finalPalette, indices };
+	}
+
+	// Ordered dithers nudge colors by about the distance between palette colors
+	const spread = dither === "none" ? 0 : 255 / Math.cbrt(finalPalette.length);
+	for (let p = 0; p < indices.length; p++) {
+		const i = p * 4;
+		const offset = dither === "none" ? 0 : (ditherThreshold(dither, p % data.width, Math.floor(p / data.width)) - 0.5) * spread;
+		const index = nearest(data.data[i] + offset, data.data[i + 1] + offset, data.data[i + 2] + offset);
+		indices[p] = index;
+		out.data[i] = finalPalette[index][0];
+		out.data[i + 1] = finalPalette[index][1];
+		out.data[i + 2] = finalPalette[index][2];
+		out.data[i + 3] = data.data[i + 3];
+	}
+	return { data: out, palette: finalPalette, indices };
+}
+
+/**
+ * Gets the ordered dither threshold of a pixel.
+ * @param {"none" | "bayer" | "blueNoise"} method
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} 0-1 which is added before flooring. 0.5 is plain rounding.
+ */
+function ditherThreshold(method, x, y) {
+	if (method === "bayer") return getBayerThresholds()[(y % 8) * 8 + (x % 8)];
+	if (method === "blueNoise") return getBlueNoiseThresholds()[(y % ditherPatternSize) * ditherPatternSize + (x % ditherPatternSize)];
+	return 0.5;
+}
+
+/**
+ * Writes an sRGB 0-255 color which hasn't been rounded yet to a frame, with ordered dithering if needed.
+ * @param {PixelData} data
+ * @param {number} i
+ * @param {[number, number, number]} color
+ * @param {DitherMethod | undefined} dither
+ * @returns {void}
+ */
+function writeDitheredFrame(data, i, color, dither) {
+	const threshold = dither === "bayer" || dither === "blueNoise" ? ditherThreshold(dither, (i / 4) % data.width, Math.floor(i / 4 / data.width)) : 0.5;
+	data.data[i] = clamp(0, 255, Math.floor(color[0] + threshold));
+	data.data[i + 1] = clamp(0, 255, Math.floor(color[1] + threshold));
+	data.data[i + 2] = clamp(0, 255, Math.floor(color[2] + threshold));
+}
+
+/**
+ * Rounds RGBA 0-255 values which haven't been rounded yet into 8 bit image data with dithering.
+ * @param {Float32Array} values Consumed by error diffusion.
+ * @param {PixelData} out
+ * @param {DitherMethod | undefined} dither
+ * @returns {void}
+ */
+function ditherToImageData(values, out, dither) {
+	if (dither === "floydSteinberg" || dither === "atkinson") {
+		diffuseError(values, out.width, out.height, errorDiffusionKernels[dither], (r, g, b) => [clamp(0, 255, Math.round(r)), clamp(0, 255, Math.round(g)), clamp(0, 255, Math.round(b))], out.data);
+		return;
+	}
+	for (let i = 0; i < values.length; i += 4) {
+		writeDitheredFrame(out, i, [values[i], values[i + 1], values[i + 2]], dither);
+		out.data[i + 3] = clamp(0, 255, Math.round(values[i + 3]));
+	}
+}
+
+/**
+ * Quantizes every pixel from left to right, top to bottom, spreading the difference between the value and the quantized color to the pixels not done yet.
+ * @param {Float32Array} values RGBA 0-255 values. The error is added to these.
+ * @param {number} width
+ * @param {number} height
+ * @param {ErrorDiffusionKernel} kernel
+ * @param {(r: number, g: number, b: number, p: number) => [number, number, number]} quantizeColor Gets the quantized color of pixel p.
+ * @param {Uint8ClampedArray} out
+ * @returns {void}
+ */
+function diffuseError(values, width, height, kernel, quantizeColor, out) {
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const p = y * width + x;
+			const i = p * 4;
+			const color = quantizeColor(clamp(0, 255, values[i]), clamp(0, 255, values[i + 1]), clamp(0, 255, values[i + 2]), p);
+			for (let c = 0; c < 3; c++) {
+				out[i + c] = color[c];
+				const error = values[i + c] - color[c];
+				if (error === 0) continue;
+				for (const [dx, dy, weight] of kernel.taps) {
+					const tx = x + dx;
+					const ty = y + dy;
+					if (tx < 0 || tx >= width || ty >= height) continue;
+					values[(ty * width + tx) * 4 + c] += error * weight / kernel.divisor;
+				}
+			}
+			out[i + 3] = clamp(0, 255, Math.round(values[i + 3]));
+		}
+	}
+}
+
+/**
+ * @param {unknown} dither
+ * @returns {void}
+ */
+function validateDitherMethod(dither) {
+	if (dither !== undefined && dither !== "none" && dither !== "bayer" && dither !== "blueNoise" && !(typeof dither === "string" && dither in errorDiffusionKernels)) {
+		throw new Error(`Unknown dither method ${dither}. Expected one of none, bayer, blueNoise, floydSteinberg or atkinson`);
+	}
+}
+
+/**
+ * @returns {Float32Array} Thresholds of the 8x8 Bayer matrix.
+ */
+function getBayerThresholds() {
+	if (!bayerThresholds) {
+		bayerThresholds = new Float32Array(64);
+		for (let y = 0; y < 8; y++) {
+			for (let x = 0; x < 8; x++) {
+				// Interleaves the bits of x ^ y and y in reverse order
+				const xy = x ^ y;
+				let value = 0;
+				for (let bit = 0; bit < 3; bit++) value |= (((xy >> bit) & 1) << (5 - bit * 2)) | (((y >> bit) & 1) << (4 - bit * 2));
+				bayerThresholds[y * 8 + x] = (value + 0.5) / 64;
+			}
+		}
+	}
+	return bayerThresholds;
+}
+
+/**
+ * Generates a tileable blue noise pattern with the void and cluster method the first time it's needed.
+ * @returns {Float32Array} Thresholds of the 64x64 pattern.
+ */
+function getBlueNoiseThresholds() {
+	if (blueNoiseThresholds) return blueNoiseThresholds;
+
+	const size = ditherPatternSize;
+	const count = size * size;
+	// Gaussian weights by wrapped distance so that the pattern tiles
+	const sigma = 1.9;
+	const falloff = new Float64Array(count);
+	for (let dy = 0; dy < size; dy++) {
+		for (let dx = 0; dx < size; dx++) {
+			const wx = Math.min(dx, size - dx);
+			const wy = Math.min(dy, size - dy);
+			falloff[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+		}
+	}
+
+	/**
+	 * @param {Float64Array} energy
+	 * @param {number} p
+	 * @param {number} sign
+	 */
+	const splat = (energy, p, sign) => {
+		const px = p % size;
+		const py = Math.floor(p / size);
+		for (let y = 0; y < size; y++) {
+			const row = ((y - py + size) % size) * size;
+			for (let x = 0; x < size; x++) energy[y * size + x] += sign * falloff[row + ((x - px + size) % size)];
+		}
+	};
+	/**
+	 * @param {Uint8Array} pattern
+	 * @param {Float64Array} energy
+	 * @param {number} value 1 finds the tightest cluster of set pixels, 0 finds the largest void between them.
+	 * @returns {number}
+	 */
+	const find = (pattern, energy, value) => {
+		let best = -1;
+		let bestEnergy = value ? -Infinity : Infinity;
+		for (let p = 0; p < count; p++) {
+			if (pattern[p] !== value) continue;
+			if (value ? energy[p] > bestEnergy : energy[p] < bestEnergy) {
+				best = p;
+				bestEnergy = energy[p];
+			}
+		}
+		return best;
+	};
+
+	// A random starting pattern from a fixed seed so the noise is the same every run
+	const initial = new Uint8Array(count);
+	const initialEnergy = new Float64Array(count);
+	let seed = 0x9e3779b9;
+	const initialCount = Math.floor(count / 10);
+	for (let placed = 0; placed < initialCount;) {
+		seed = (Math.imul(seed ^ (seed >>> 15), 0x2c1b3c6d) + 0x297a2d39) >>> 0;
+		const p = seed % count;
+		if (initial[p]) continue;
+		initial[p] = 1;
+		splat(initialEnergy, p, 1);
+		placed++;
+	}
+	// Spread the starting pattern out by moving the tightest cluster into the largest void until that doesn't change anything
+	for (let iteration = 0; iteration < count; iteration++) {
+		const cluster = find(initial, initialEnergy, 1);
+		initial[cluster] = 0;
+		splat(initialEnergy, cluster, -1);
+		const voidPoint = find(initial, initialEnergy, 0);
+		initial[voidPoint] = 1;
+		splat(initialEnergy, voidPoint, 1);
+		if (voidPoint === cluster) break;
+	}
+
+	const ranks = new Uint32Array(count);
+	// Remove the starting points from the tightest clusters first, ranking them from the middle down
+	let pattern = initial.slice();
+	let energy = initialEnergy.slice();
+	for (let rank = initialCount - 1; rank >= 0; rank--) {
+		const cluster = find(pattern, energy, 1);
+		pattern[cluster] = 0;
+		splat(energy, cluster, -1);
+		ranks[cluster] = rank;
+	}
+	// Then fill the largest voids, ranking them from the middle up
+	pattern = initial;
+	energy = initialEnergy;
+	for (let rank = initialCount; rank < count; rank++) {
+		const voidPoint = find(pattern, energy, 0);
+		pattern[voidPoint] = 1;
+		splat(energy, voidPoint, 1);
+		ranks[voidPoint] = rank;
+	}
+
+	blueNoiseThresholds = new Float32Array(count);
+	for (let p = 0; p < count; p++) blueNoiseThresholds[p] = (ranks[p] + 0.5) / count;
+	return blueNoiseThresholds;
+}
+
+/**
+ * Picks a palette for an image in OKLab.
+ * @param {PixelData} data
+ * @param {number} colors
+ * @param {"medianCut" | "kmeans"} method
+ * @returns {Array<[number, number, number]>}
+ */
+function createPalette(data, colors, method) {
+	// Every unique color and how many pixels use it. Fully transparent pixels are left out unless there's nothing else
+	/** @type {Map<number, number>} */
+	const counts = new Map();
+	for (const includeTransparent of [false, true]) {
+		for (let i = 0; i < data.data.length; i += 4) {
+			if (!includeTransparent && data.data[i + 3] === 0) continue;
+			const key = (data.data[i] << 16) | (data.data[i + 1] << 8) | data.data[i + 2];
+			counts.set(key, (counts.get(key) ?? 0) + 1);
+		}
+		if (counts.size) break;
+	}
+	/** @type {Array<{ lab: [number, number, number], count: number }>} */
+	const unique = [];
+	counts.forEach((count, key) => unique.push({ lab: rgbToOklab(key >> 16, (key >> 8) & 255, key & 255), count }));
+
+	// Median cut: keep splitting the box with the most spread out pixels at the median of its widest axis
+	/** @type {Array<typeof unique>} */
+	const boxes = [unique];
+	while (boxes.length < colors) {
+		let bestBox = -1;
+		let bestScore = 0;
+		let bestAxis = 0;
+		boxes.forEach((box, index) => {
+			if (box.length < 2) return;
+			let total = 0;
+			for (const color of box) total += color.count;
+			for (let axis = 0; axis < 3; axis++) {
+				let min = Infinity;
+				let max = -Infinity;
+				for (const color of box) {
+					if (color.lab[axis] < min) min = color.lab[axis];
+					if (color.lab[axis] > max) max = color.lab[axis];
+				}
+				const score = (max - min) * total;
+				if (score > bestScore) {
+					bestBox = index;
+					bestScore = score;
+					bestAxis = axis;
+				}
+			}
+		});
+		if (bestBox === -1) break;
+
+		const box = boxes[bestBox].slice().sort((a, b) => a.lab[bestAxis] - b.lab[bestAxis]);
+		let total = 0;
+		for (const color of box) total += color.count;
+		let split = 1;
+		for (let running = box[0].count; split < box.length - 1 && running < total / 2; split++) running += box[split].count;
+		boxes.splice(bestBox, 1, box.slice(0, split), box.slice(split));
+	}
+
+	let centroids = boxes.map(box => {
+		let l = 0;
+		let a = 0;
+		let b = 0;
+		let total = 0;
+		for (const color of box) {
+			l += color.lab[0] * color.count;
+			a += color.lab[1] * color.count;
+			b += color.lab[2] * color.count;
+			total += color.count;
+		}
+		return /** @type {[number, number, number]} */ ([l / total, a / total, b / total]);
+	});
+
+	if (method === "kmeans") {
+		for (let iteration = 0; iteration < 16; iteration++) {
+			const sums = centroids.map(() => [0, 0, 0, 0]);
+			for (const color of unique) {
+				let best = Infinity;
+				let bestIndex = 0;
+				for (let c = 0; c < centroids.length; c++) {
+					const distance = (centroids[c][0] - color.lab[0]) ** 2 + (centroids[c][1] - color.lab[1]) ** 2 + (centroids[c][2] - color.lab[2]) ** 2;
+					if (distance < best) {
+						best = distance;
+						bestIndex = c;
+					}
+				}
+				const sum = sums[bestIndex];
+				sum[0] += color.lab[0] * color.count;
+				sum[1] += color.lab[1] * color.count;
+				sum[2] += color.lab[2] * color.count;
+				sum[3] += color.count;
+			}
+			let moved = 0;
+			centroids = centroids.map((centroid, c) => {
+				const sum = sums[c];
+				// Empty clusters keep their color
+				if (sum[3] === 0) return centroid;
+				/** @type {[number, number, number]} */
+				const next = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+				moved = Math.max(moved, Math.hypot(next[0] - centroid[0], next[1] - centroid[1], next[2] - centroid[2]));
+				return next;
+			});
+			if (moved < 1e-5) break;
+		}
+	}
+
+	return centroids.map(([l, a, b]) => {
+		const rgb = oklabToRgb(l, a, b);
+		return /** @type {[number, number, number]} */ ([Math.round(clamp(0, 255, rgb[0])), Math.round(clamp(0, 255, rgb[1])), Math.round(clamp(0, 255, rgb[2]))]);
+	});
+}
+
+
+// Statistics, levels and curves
+
+
+/**
+ * @typedef {Object} ChannelStats
+ * @property {Float64Array} histogram 256 buckets of how many pixels have each value. When alpha weighted, pixels count as their alpha / 255.
+ * @property {number} min The lowest value used. 0 when there are no pixels.
+ * @property {number} max The highest value used. 0 when there are no pixels.
+ * @property {number} mean
+ * @property {number} median
+ * @property {number} standardDeviation
+ */
+
+/**
+ * @typedef {Object} ImageStats
+ * @property {ChannelStats} R
+ * @property {ChannelStats} G
+ * @property {ChannelStats} B
+ * @property {ChannelStats} A Never alpha weighted.
+ * @property {ChannelStats} luma Rec. 709 luma of the sRGB values rounded to 0-255.
+ * @property {number} averageLuminance The mean linear luminance in the range of 0-1.
+ * @property {number} logAverageLuminance The log-average linear luminance which auto exposure is based on.
+ * @property {number} pixels The total weight of the pixels which were counted. The pixel count unless alpha weighted or limited to a soft region.
+ */
+
+/**
+ * @typedef {Object} AnalyzeOptions
+ * @property {boolean} [alphaWeighted] Counts pixels by their alpha so that transparent pixels don't affect the color stats. Default of false
+ * @property {Region} [region] Only counts pixels in a rectangle or mask. Default of the whole image
+ */
+
+/**
+ * @typedef {Object} LevelsChannel
+ * @property {number} [inputBlack] int 0-255 of the value which becomes outputBlack. Default of 0
+ * @property {number} [inputWhite] int 0-255 of the value which becomes outputWhite. Default of 255
+ * @property {number} [gamma] float above 0 where higher values brighten the midtones. Default of 1.0
+ * @property {number} [outputBlack] int 0-255. Default of 0
+ * @property {number} [outputWhite] int 0-255. Default of 255
+ */
+
+/**
+ * Levels applied to the R, G and B channels. The R, G and B properties are applied to only that channel before the shared levels.
+ * @typedef {LevelsChannel & { R?: LevelsChannel, G?: LevelsChannel, B?: LevelsChannel }} LevelsOptions
+ */
+
+/**
+ * @typedef {Object} AutoLevelsOptions
+ * @property {number} [clip] float 0-0.5 of the fraction of pixels allowed to be clipped at each end, so that a few outliers don't stop the stretch. Default of 0.001
+ * @property {boolean} [perChannel] Stretches every channel on its own which also removes color casts (auto levels).
+ * Otherwise the channels are stretched together which keeps the colors (auto contrast). Default of false
+ * @property {boolean} [alphaWeighted] Default of false
+ */
+
+/** @typedef {[number, number]} CurvePoint An [input, output] pair in the range of 0-255. */
+
+/**
+ * Control points of the curves which go through a monotone cubic spline, so the curve never overshoots between points.
+ * Values before the first or after the last point keep the value of that point. Channels without points are unchanged.
+ * @typedef {Object} CurvesOptions
+ * @property {Array<CurvePoint>} [RGB] Applied to the R, G and B channels after their own curves.
+ * @property {Array<CurvePoint>} [R]
+ * @property {Array<CurvePoint>} [G]
+ * @property {Array<CurvePoint>} [B]
+ * @property {Array<CurvePoint>} [A]
+ */
+
+/** @typedef {[Uint8Array, Uint8Array, Uint8Array]} LevelsTables Lookup tables for the R, G and B channels. See createLevelsTables. */
+
+/** @typedef {Array<Uint8Array | undefined>} CurvesTables Lookup tables for the R, G, B and A channels, undefined where the channel is unchanged. See createCurvesTables. */
+
+/**
+ * Gets histograms and stats of every channel of an image.
+ * @param {PixelData} data Image data.
+ * @param {AnalyzeOptions} [options]
+ * @returns {ImageStats}
+ *
+ * @example
+ * const stats = analyze(imageData, { alphaWeighted: true });
+ * console.log(stats.R.mean, stats.luma.median, stats.averageLuminance);
+ */
+function analyze(data, options = {}) {
+	const histograms = [new Float64Array(256), new Float64Array(256), new Float64Array(256), new Float64Array(256), new Float64Array(256)];
+	const weights = options.region ? createRegionWeights(options.region, data.width, data.height) : undefined;
+	let pixels = 0;
+	let alphaPixels = 0;
+	let luminanceSum = 0;
+	let logLuminanceSum = 0;
+	for (let i = 0; i < data.data.length; i += 4) {
+		const regionWeight = weights ? weights[i / 4] : 1;
+		if (regionWeight === 0) continue;
+		const weight = options.alphaWeighted ? regionWeight * data.data[i + 3] / 255 : regionWeight;
+		const r = data.data[i];
+		const g = data.data[i + 1];
+		const b = data.data[i + 2];
+		histograms[3][data.data[i + 3]] += regionWeight;
+		alphaPixels += regionWeight;
+		if (weight === 0) continue;
+		histograms[0][r] += weight;
+		histograms[1][g] += weight;
+		histograms[2][b] += weight;
+		histograms[4][Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b)] += weight;
+		const luminance = 0.2126 * sRGBToLinear(r / 255) + 0.7152 * sRGBToLinear(g / 255) + 0.0722 * sRGBToLinear(b / 255);
+		luminanceSum += luminance * weight;
+		logLuminanceSum += Math.log(1e-4 + luminance) * weight;
+		pixels += weight;
+	}
+
+	return {
+		R: histogramStats(histograms[0]),
+		G: histogramStats(histograms[1]),
+		B: histogramStats(histograms[2]),
+		A: histogramStats(histograms[3]),
+		luma: histogramStats(histograms[4]),
+		averageLuminance: pixels ? luminanceSum / pixels : 0,
+		logAverageLuminance: pixels ? Math.exp(logLuminanceSum / pixels) : 0,
+		pixels: options.alphaWeighted ? pixels : alphaPixels
+	};
+}
+
+/**
+ * @param {Float64Array} histogram
+ * @returns {ChannelStats}
+ */
+function histogramStats(histogram) {
+	let total = 0;
+	let sum = 0;
+	let min = -1;
+	let max = 0;
+	for (let value = 0; value < 256; value++) {
+		if (histogram[value] === 0) continue;
+		if (min === -1) min = value;
+		max = value;
+		total += histogram[value];
+		sum += histogram[value] * value;
+	}
+	if (total === 0) return { histogram, min: 0, max: 0, mean: 0, median: 0, standardDeviation: 0 };
+
+	const mean = sum / total;
+	let variance = 0;
+	for (let value = min; value <= max; value++) variance += histogram[value] * (value - mean) ** 2;
+	return { histogram, min, max, mean, median: histogramPercentile(histogram, 0.5, total), standardDeviation: Math.sqrt(variance / total) };
+}
+
+/**
+ * @param {Float64Array} histogram
+ * @param {number} fraction 0-1
+ * @param {number} total The sum of the histogram.
+ * @returns {number} The lowest value which at least that fraction of the pixels are at or below.
+ */
+function histogramPercentile(histogram, fraction, total) {
+	let running = 0;
+	for (let value = 0; value < 256; value++) {
+		running += histogram[value];
+		if (running >= total * fraction && running > 0) return value;
+	}
+	return 255;
+}
+
+/**
+ * Stretches the tones of an image so that the darkest pixels become black and the brightest become white.
+ * @param {PixelData} data Image data.
+ * @param {AutoLevelsOptions} [options]
+ * @param {Region} [region] Limits both the measuring and the stretch to a rectangle or mask. Default of the whole image
+ * @returns {LevelsOptions} The levels which were applied so that they can be reused on other images.
+ *
+ * @example
+ * // Auto contrast
+ * autoLevels(imageData);
+ *
+ * @example
+ * // Auto levels which also removes a color cast, ignoring the 1% darkest and brightest pixels
+ * const applied = autoLevels(imageData, { perChannel: true, clip: 0.01 });
+ */
+function autoLevels(data, options = {}, region) {
+	const { clip = 0.001, perChannel = false } = options;
+	if (typeof clip !== "number" || !(clip >= 0 && clip < 0.5)) throw new Error(`clip must be a number from 0 up to 0.5. Got ${clip}`);
+	const stats = analyze(data, { alphaWeighted: options.alphaWeighted, region });
+
+	/**
+	 * @param {Float64Array} histogram
+	 * @returns {LevelsChannel}
+	 */
+	const stretch = histogram => {
+		let total = 0;
+		for (let value = 0; value < 256; value++) total += histogram[value];
+		if (total === 0) return {};
+		const inputBlack = histogramPercentile(histogram, clip, total);
+		let inputWhite = 255;
+		// The same search from the top
+		for (let value = 255, running = 0; value >= 0; value--) {
+			running += histogram[value];
+			if (running >= total * clip && running > 0) {
+				inputWhite = value;
+				break;
+			}
+		}
+		return inputWhite > inputBlack ? { inputBlack, inputWhite } : {};
+	};
+
+	/** @type {LevelsOptions} */
+	let levelsOptions;
+	if (perChannel) levelsOptions = { R: stretch(stats.R.histogram), G: stretch(stats.G.histogram), B: stretch(stats.B.histogram) };
+	else {
+		const combined = new Float64Array(256);
+		for (let value = 0; value < 256; value++) combined[value] = stats.R.histogram[value] + stats.G.histogram[value] + stats.B.histogram[value];
+		levelsOptions = stretch(combined);
+	}
+
+	levels(data, levelsOptions, region);
+	return levelsOptions;
+}
+
+/**
+ * Remaps the tones of an image with black points, white points and gamma like the levels dialog of image editors.
+ * @param {PixelData} data Image data.
+ * @param {LevelsOptions} options
+ * @param {Region} [region] Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Brightens the midtones and crushes the blacks a little
+ * levels(imageData, { inputBlack: 10, gamma: 1.4 });
+ *
+ * @example
+ * // Removes a blue cast by lowering the blue white point
+ * levels(imageData, { B: { outputWhite: 220 } });
+ */
+function levels(data, options, region) {
+	if (region) return applyInRegion(data, region, crop => levels(crop, options));
+	const tables = createLevelsTables(options);
+	for (let i = 0; i < data.data.length; i += 4) levelsFrame(data, tables, i);
+}
+
+/**
+ * Function that actually applies levels to a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {LevelsTables} tables The lookup tables from createLevelsTables. Build them once before the loop.
+ * @param {number} i Index of data to start adjusting at. Applies at i, i+1 and i+2. Doesn't touch Alpha (i+3).
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * const tables = createLevelsTables({ gamma: 0.8 });
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	levelsFrame(imageData, tables, i);
+ * }
+ */
+function levelsFrame(data, tables, i) {
+	data.data[i] = tables[0][data.data[i]];
+	data.data[i + 1] = tables[1][data.data[i + 1]];
+	data.data[i + 2] = tables[2][data.data[i + 2]];
+}
+
+/**
+ * Adjusts the tones of an image with curves through control points like the curves dialog of image editors.
+ * @param {PixelData} data Image data.
+ * @param {CurvesOptions} options
+ * @param {Region} [region] Limits the adjustment to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // A gentle S curve for more contrast
+ * curves(imageData, { RGB: [[0, 0], [64, 52], [192, 204], [255, 255]] });
+ *
+ * @example
+ * // Lifts the blacks of only the Red channel
+ * curves(imageData, { R: [[0, 30], [255, 255]] });
+ */
+function curves(data, options, region) {
+	if (region) return applyInRegion(data, region, crop => curves(crop, options));
+	const tables = createCurvesTables(options);
+	for (let i = 0; i < data.data.length; i += 4) curvesFrame(data, tables, i);
+}
+
+/**
+ * Function that actually applies curves to a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {CurvesTables} tables The lookup tables from createCurvesTables. Build them once before the loop.
+ * @param {number} i Index of data to start adjusting at. Applies at i, i+1 and i+2, and at Alpha (i+3) if there's an A curve.
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * const tables = createCurvesTables({ RGB: [[0, 0], [128, 160], [255, 255]] });
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	curvesFrame(imageData, tables, i);
+ * }
+ */
+function curvesFrame(data, tables, i) {
+	for (let c = 0; c < 4; c++) {
+		const table = tables[c];
+		if (table) data.data[i + c] = table[data.data[i + c]];
+	}
+}
+
+/**
+ * Builds the lookup tables levelsFrame uses. Throws for invalid options.
+ * @param {LevelsOptions} options
+ * @returns {LevelsTables}
+ *
+ * @example
+ * const tables = createLevelsTables({ inputBlack: 10, gamma: 1.4 });
+ */
+function createLevelsTables(options) {
+	if (!options || typeof options !== "object") throw new Error("Levels options must be an object");
+
+	const shared = createLevelsTable(options, "levels");
+	return /** @type {LevelsTables} */ (/** @type {Array<"R" | "G" | "B">} */ (["R", "G", "B"]).map(channel => {
+		const own = options[channel];
+		if (!own) return shared;
+		const ownTable = createLevelsTable(own, `levels.${channel}`);
+		return ownTable.map(value => shared[value]);
+	}));
+}
+
+/**
+ * Copies levels options so that changing them after they were added to a pipeline doesn't change the pipeline.
+ * @param {LevelsOptions} options
+ * @returns {LevelsOptions}
+ */
+function copyLevelsOptions(options) {
+	/** @type {LevelsOptions} */
+	const copy = { ...options };
+	for (const channel of /** @type {Array<"R" | "G" | "B">} */ (["R", "G", "B"])) {
+		const own = options[channel];
+		if (own) copy[channel] = { ...own };
+	}
+	return copy;
+}
+
+/**
+ * @param {LevelsChannel} levelsChannel
+ * @param {string} name For error messages.
+ * @returns {Uint8Array}
+ */
+function createLevelsTable(levelsChannel, name) {
+	const { inputBlack = 0, inputWhite = 255, gamma = 1, outputBlack = 0, outputWhite = 255 } = levelsChannel;
+	for (const [key, value] of Object.entries({ inputBlack, inputWhite, outputBlack, outputWhite })) {
+		if (typeof value !== "number" || !(value >= 0 && value <= 255)) throw new Error(`${name}.${key} must be a number from 0 to 255. Got ${value}`);
+	}
+	if (inputWhite <= inputBlack) throw new Error(`${name}.inputWhite must be above inputBlack. Got ${inputBlack} and ${inputWhite}`);
+	if (typeof gamma !== "number" || !(gamma > 0) || !Number.isFinite(gamma)) throw new Error(`${name}.gamma must be a number above 0. Got ${gamma}`);
+
+	const table = new Uint8Array(256);
+	for (let value = 0; value < 256; value++) {
+		const t = Math.pow(clamp(0, 1, (value - inputBlack) / (inputWhite - inputBlack)), 1 / gamma);
+		table[value] = Math.round(lerp(outputBlack, outputWhite, t));
+	}
+	return table;
+}
+
+/**
+ * Builds the lookup tables curvesFrame uses. Throws for invalid options.
+ * @param {CurvesOptions} options
+ * @returns {CurvesTables}
+ *
+ * @example
+ * const tables = createCurvesTables({ RGB: [[0, 0], [64, 52], [192, 204], [255, 255]] });
+ */
+function createCurvesTables(options) {
+	if (!options || typeof options !== "object") throw new Error("Curves options must be an object");
+	for (const key of Object.keys(options)) {
+		if (key !== "RGB" && !isChannel(key)) throw new Error(`${key} is not a curve. Expected one of RGB, R, G, B or A`);
+	}
+
+	const shared = options.RGB ? createCurveTable(options.RGB, "RGB") : undefined;
+	return /** @type {Array<Channel>} */ (["R", "G", "B", "A"]).map(channel => {
+		const points = options[channel];
+		const own = points ? createCurveTable(points, channel) : undefined;
+		if (channel === "A" || !shared) return own;
+		return own ? own.map(value => shared[value]) : shared;
+	});
+}
+
+/**
+ * Copies curves options so that changing them after they were added to a pipeline doesn't change the pipeline.
+ * @param {CurvesOptions} options
+ * @returns {CurvesOptions}
+ */
+function copyCurvesOptions(options) {
+	/** @type {CurvesOptions} */
+	const copy = {};
+	for (const key of /** @type {Array<keyof CurvesOptions>} */ (Object.keys(options))) {
+		const points = options[key];
+		if (points) copy[key] = points.map(point => /** @type {CurvePoint} */ ([point[0], point[1]]));
+	}
+	return copy;
+}
+
+/**
+ * Samples a monotone cubic (Fritsch-Carlson) spline through the points into a lookup table.
+ * @param {Array<CurvePoint>} points
+ * @param {string} name For error messages.
+ * @returns {Uint8Array}
+ */
+function createCurveTable(points, name) {
+	if (!Array.isArray(points) || points.length < 2) throw new Error(`The ${name} curve needs at least 2 points`);
+	for (const point of points) {
+		if (!Array.isArray(point) || point.length !== 2 || point.some(value => typeof value !== "number" || !(value >= 0 && value <= 255))) throw new Error(`Points of the ${name} curve must be [input, output] in the range of 0-255. Got ${JSON.stringify(point)}`);
+	}
+	const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+	const count = sorted.length;
+	const secants = [];
+	for (let k = 0; k < count - 1; k++) {
+		const dx = sorted[k + 1][0] - sorted[k][0];
+		if (dx === 0) throw new Error(`The ${name} curve has more than one point at ${sorted[k][0]}`);
+		secants.push((sorted[k + 1][1] - sorted[k][1]) / dx);
+	}
+
+	// Tangents are the average of the secants around a point, or flat at peaks and valleys
+	const tangents = [secants[0]];
+	for (let k = 1; k < count - 1; k++) tangents.push(secants[k - 1] * secants[k] <= 0 ? 0 : (secants[k - 1] + secants[k]) / 2);
+	tangents.push(secants[count - 2]);
+	// Then limited so that the curve can't overshoot
+	for (let k = 0; k < count - 1; k++) {
+		if (secants[k] === 0) {
+			tangents[k] = 0;
+			tangents[k + 1] = 0;
+			continue;
+		}
+		const a = tangents[k] / secants[k];
+		const b = tangents[k + 1] / secants[k];
+		const length = a * a + b * b;
+		if (length > 9) {
+			const scale = 3 / Math.sqrt(length);
+			tangents[k] = scale * a * secants[k];
+			tangents[k + 1] = scale * b * secants[k];
+		}
+	}
+
+	const table = new Uint8Array(256);
+	let k = 0;
+	for (let value = 0; value < 256; value++) {
+		let result;
+		if (value <= sorted[0][0]) result = sorted[0][1];
+		else if (value >= sorted[count - 1][0]) result = sorted[count - 1][1];
+		else {
+			while (value > sorted[k + 1][0]) k++;
+			const dx = sorted[k + 1][0] - sorted[k][0];
+			const t = (value - sorted[k][0]) / dx;
+			const t2 = t * t;
+			const t3 = t2 * t;
+			// Cubic Hermite basis
+			result = (2 * t3 - 3 * t2 + 1) * sorted[k][1]
+				+ (t3 - 2 * t2 + t) * dx * tangents[k]
+				+ (-2 * t3 + 3 * t2) * sorted[k + 1][1]
+				+ (t3 - t2) * dx * tangents[k + 1];
+		}
+		table[value] = clamp(0, 255, Math.round(result));
+	}
+	return table;
+}
+
+
+// Gradients
+
+
+/** @typedef {"srgb" | "linear" | "oklab"} GradientInterpolation */
+
+/**
+ * @typedef {Object} GradientStop
+ * @property {number} position float 0-1 of where the color is along the gradient. Two stops at the same position make a hard edge.
+ * @property {[number, number, number] | [number, number, number, number]} color RGB or RGBA 0-255. Alpha defaults to 255.
+ */
+
+/**
+ * A gradient made by createGradient. It's plain data, so it can be saved as JSON or sent to worker threads.
+ * @typedef {Object} Gradient
+ * @property {Array<{ position: number, color: [number, number, number, number] }>} stops The stops sorted by position.
+ * @property {GradientInterpolation} interpolation
+ */
+
+/**
+ * @typedef {Object} GradientOptions
+ * @property {GradientInterpolation} [interpolation] The color space colors are blended in between stops. linear is physically correct and oklab keeps the lightness even between very different hues.
+ * Alpha is always blended linearly. Default of "srgb"
+ */
+
+/** @typedef {Channel | "luminance"} GradientMapSource */
+
+/**
+ * @typedef {Object} RenderGradientOptions
+ * @property {"linear" | "radial" | "angular" | "diamond"} [type] Default of "linear"
+ * @property {number} [angle] Degrees clockwise of the direction of linear gradients and where angular gradients start. 0 goes from left to right. Default of 0
+ * @property {number} [centerX] float 0-1 of the center of radial, angular and diamond gradients across the width. Default of 0.5
+ * @property {number} [centerY] float 0-1 of the center of radial, angular and diamond gradients across the height. Default of 0.5
+ * @property {number} [radius] float of the distance from the center where radial and diamond gradients end, where 1 is the width or height of the image. Default of 0.5
+ * @property {"clamp" | "repeat" | "mirror"} [repeat] What happens past the end of the gradient. Default of "clamp"
+ * @property {boolean} [tileable] Makes the result repeat seamlessly. Linear gradients go there and back again and snap to the nearest multiple of 45 degrees,
+ * radial and diamond gradients measure the distance around the edges, and angular gradients go around the center and the points half a tile away. Default of false
+ * @property {DitherMethod} [dither] Default of "none"
+ */
+
+/** @typedef {{ positions: Array<number>, colors: Array<[number, number, number, number]>, interpolation: GradientInterpolation }} GradientStops */
+
+/**
+ * Makes a gradient from color stops which can be used with gradientMap and renderGradient.
+ * @param {Array<GradientStop>} stops At least one stop.
+ * @param {GradientOptions} [options]
+ * @returns {Gradient}
+ *
+ * @example
+ * // A fire ramp for a greyscale VFX mask
+ * const fire = createGradient([
+ * 	{ position: 0, color: [0, 0, 0, 0] },
+ * 	{ position: 0.4, color: [200, 30, 0] },
+ * 	{ position: 0.8, color: [255, 200, 40] },
+ * 	{ position: 1, color: [255, 255, 220] }
+ * ], { interpolation: "oklab" });
+ */
+function createGradient(stops, options = {}) {
+	const { interpolation = "srgb" } = options;
+	if (interpolation !== "srgb" && interpolation !== "linear" && interpolation !== "oklab") throw new Error(`Unknown gradient interpolation ${interpolation}. Expected srgb, linear or oklab`);
+	if (!Array.isArray(stops) || stops.length === 0) throw new Error("A gradient needs at least one stop");
+
+	const sorted = stops.map((stop, index) => {
+		if (!stop || typeof stop.position !== "number" || !(stop.position >= 0 && stop.position <= 1)) throw new Error(`Gradient stop ${index} needs a position from 0 to 1. Got ${stop && stop.position}`);
+		const color = stop.color;
+		if (!Array.isArray(color) || (color.length !== 3 && color.length !== 4) || color.some(component => typeof component !== "number" || !(component >= 0 && component <= 255))) {
+			throw new Error(`Gradient stop ${index} needs a color of [r, g, b] or [r, g, b, a] in the range of 0-255. Got ${JSON.stringify(color)}`);
+		}
+		return { position: stop.position, color: /** @type {[number, number, number, number]} */ ([color[0], color[1], color[2], color[3] ?? 255]), index };
+	})
+		// Stops at the same position keep their order so hard edges go the right way
+		.sort((a, b) => a.position - b.position || a.index - b.index)
+		.map(({ position, color }) => ({ position, color }));
+
+	return { stops: sorted, interpolation };
+}
+
+/**
+ * Gets the color of a gradient at a position.
+ * @param {Gradient} gradient
+ * @param {number} t float 0-1. Clamped.
+ * @returns {[number, number, number, number]} RGBA 0-255 which isn't rounded.
+ *
+ * @example
+ * const [r, g, b, a] = sampleGradient(fire, 0.5);
+ */
+function sampleGradient(gradient, t) {
+	return sampleGradientStops(getGradientStops(gradient), t);
+}
+
+/**
+ * sampleGradient with the stops already converted, so that renderGradient and createGradientTable only convert them once.
+ * @param {GradientStops} stops
+ * @param {number} t float 0-1. Clamped.
+ * @returns {[number, number, number, number]} RGBA 0-255 which isn't rounded.
+ */
+function sampleGradientStops(stops, t) {
+	const { positions, colors, interpolation } = stops;
+	t = clamp(0, 1, t);
+	const last = positions.length - 1;
+	if (t <= positions[0]) return gradientColorToRgb(interpolation, colors[0]);
+	if (t >= positions[last]) return gradientColorToRgb(interpolation, colors[last]);
+
+	let next = 1;
+	while (positions[next] < t) next++;
+	const from = colors[next - 1];
+	const to = colors[next];
+	const f = (t - positions[next - 1]) / (positions[next] - positions[next - 1]);
+	return gradientColorToRgb(interpolation, [lerp(from[0], to[0], f), lerp(from[1], to[1], f), lerp(from[2], to[2], f), lerp(from[3], to[3], f)]);
+}
+
+/**
+ * Remaps an image through a gradient, so that black becomes the start of the gradient and white becomes the end.
+ * @param {PixelData} data Image data.
+ * @param {Gradient} gradient
+ * @param {GradientMapSource} [source] What's remapped. luminance is the Rec. 709 luma of the RGB channels. Default of "luminance"
+ * @param {Region} [region] Limits the remap to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly. The alpha of the gradient is multiplied into the Alpha channel.
+ *
+ * @example
+ * // Turns an alpha mask which was unpacked into a greyscale image into a fire texture
+ * gradientMap(maskData, fire, "R");
+ */
+function gradientMap(data, gradient, source = "luminance", region) {
+	if (source !== "luminance" && !isChannel(source)) throw new Error(`Unknown gradient map source ${source}. Expected luminance or one of R, G, B or A`);
+	if (region) return applyInRegion(data, region, crop => gradientMap(crop, gradient, source));
+	const table = createGradientTable(gradient);
+	for (let i = 0; i < data.data.length; i += 4) gradientMapFrame(data, table, source, i);
+}
+
+/**
+ * Function that actually remaps a frame through a gradient.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {Uint8ClampedArray} table The lookup table from createGradientTable. Build it once before the loop.
+ * @param {GradientMapSource} source
+ * @param {number} i Index of data to start remapping at. Applies at i, i+1, i+2 and i+3.
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * const table = createGradientTable(fire);
+ * for (let i = 0; i < imageData.data.length; i += 4) {
+ * 	gradientMapFrame(imageData, table, "R", i);
+ * }
+ */
+function gradientMapFrame(data, table, source, i) {
+	const value = source === "luminance"
+		? Math.round(0.2126 * data.data[i] + 0.7152 * data.data[i + 1] + 0.0722 * data.data[i + 2])
+		: data.data[i + channelIndexes[source]];
+	const t = value * 4;
+	data.data[i] = table[t];
+	data.data[i + 1] = table[t + 1];
+	data.data[i + 2] = table[t + 2];
+	data.data[i + 3] = Math.round(data.data[i + 3] * table[t + 3] / 255);
+}
+
+/**
+ * Draws a gradient into a new context.
+ * @param {Gradient} gradient
+ * @param {number} width
+ * @param {number} height
+ * @param {RenderGradientOptions} [options]
+ * @returns {ImageContext}
+ *
+ * @example
+ * // A 45 degree linear gradient
+ * const ctx = renderGradient(fire, 512, 512, { angle: 45 });
+ *
+ * @example
+ * // A soft radial glow which tiles
+ * const glow = renderGradient(createGradient([{ position: 0, color: [255, 255, 255] }, { position: 1, color: [0, 0, 0] }]), 256, 256, { type: "radial", tileable: true, dither: "blueNoise" });
+ */
+function renderGradient(gradient, width, height, options = {}) {
+	const { type = "linear", angle = 0, centerX = 0.5, centerY = 0.5, radius = 0.5, repeat = "clamp", tileable = false, dither = "none" } = options;
+	if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) throw new Error(`The gradient size must be whole numbers above 0. Got ${width}x${height}`);
+	if (type !== "linear" && type !== "radial" && type !== "angular" && type !== "diamond") throw new Error(`Unknown gradient type ${type}. Expected linear, radial, angular or diamond`);
+	if (repeat !== "clamp" && repeat !== "repeat" && repeat !== "mirror") throw new Error(`Unknown gradient repeat ${repeat}. Expected clamp, repeat or mirror`);
+	validateNumber("angle", angle);
+	validateNumber("centerX", centerX);
+	validateNumber("centerY", centerY);
+	validateNumber("radius", radius);
+	if (radius <= 0) throw new Error(`radius must be above 0. Got ${radius}`);
+	validateDitherMethod(dither);
+	const stops = getGradientStops(gradient);
+
+	const radians = angle * Math.PI / 180;
+	let directionX = Math.cos(radians);
+	let directionY = Math.sin(radians);
+	if (tileable) {
+		directionX = Math.round(directionX);
+		directionY = Math.round(directionY);
+	}
+	// Scales linear gradients so that they go from corner to corner
+	const extent = Math.abs(directionX) + Math.abs(directionY);
+
+	const values = new Float32Array(width * height * 4);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const u = (x + 0.5) / width;
+			const v = (y + 0.5) / height;
+			let dx = u - centerX;
+			let dy = v - centerY;
+			if (tileable) {
+				dx -= Math.round(dx);
+				dy -= Math.round(dy);
+			}
+
+			let t;
+			if (type === "linear") {
+				if (tileable) {
+					// Whole periods across the image, there and back again
+					const phase = u * directionX + v * directionY;
+					t = 1 - Math.abs(2 * (phase - Math.floor(phase)) - 1);
+				} else t = ((u - 0.5) * directionX + (v - 0.5) * directionY) / extent + 0.5;
+			} else if (type === "radial") t = Math.hypot(dx, dy) / radius;
+			else if (type === "diamond") t = (Math.abs(dx) + Math.abs(dy)) / radius;
+			else {
+				const around = tileable ? Math.atan2(Math.sin(2 * Math.PI * dy), Math.sin(2 * Math.PI * dx)) : Math.atan2(dy, dx);
+				t = (around - radians) / (2 * Math.PI);
+				t -= Math.floor(t);
+			}
+
+			if (repeat === "repeat" && t > 1) t -= Math.floor(t);
+			else if (repeat === "mirror" && t > 1) t = 1 - Math.abs((t % 2) - 1);
+
+			const color = sampleGradientStops(stops, t);
+			values.set(color, (y * width + x) * 4);
+		}
+	}
+
+	const ctx = getBackend().createContext(width, height);
+	const data = getBackend().createImageData(width, height);
+	ditherToImageData(values, data, dither);
+	ctx.putImageData(data, 0, 0);
+	return ctx;
+}
+
+/**
+ * Validates a gradient and copies it, so that changing it after it was added to a pipeline doesn't change the pipeline.
+ * @param {Gradient} gradient
+ * @returns {Gradient}
+ */
+function copyGradient(gradient) {
+	if (!gradient || !Array.isArray(gradient.stops) || gradient.stops.length === 0) throw new Error("Gradients must be made with createGradient");
+	return createGradient(gradient.stops, { interpolation: gradient.interpolation });
+}
+
+/**
+ * Validates a gradient and converts its stops to the color space they're blended in.
+ * @param {Gradient} gradient
+ * @returns {GradientStops}
+ */
+function getGradientStops(gradient) {
+	const checked = copyGradient(gradient);
+	return {
+		positions: checked.stops.map(stop => stop.position),
+		colors: checked.stops.map(({ color }) => {
+			/** @type {[number, number, number]} */
+			let converted = [color[0], color[1], color[2]];
+			if (checked.interpolation === "linear") converted = [sRGBToLinear(color[0] / 255), sRGBToLinear(color[1] / 255), sRGBToLinear(color[2] / 255)];
+			else if (checked.interpolation === "oklab") converted = rgbToOklab(color[0], color[1], color[2]);
+			return /** @type {[number, number, number, number]} */ ([converted[0], converted[1], converted[2], color[3]]);
+		}),
+		interpolation: checked.interpolation
+	};
+}
+
+/**
+ * @param {GradientInterpolation} interpolation
+ * @param {[number, number, number, number]} color A color in the color space of the interpolation.
+ * @returns {[number, number, number, number]} RGBA 0-255.
+ */
+function gradientColorToRgb(interpolation, color) {
+	if (interpolation === "srgb") return [color[0], color[1], color[2], color[3]];
+	const rgb = interpolation === "linear"
+		? [linearToSRGB(clamp(0, 1, color[0])) * 255, linearToSRGB(clamp(0, 1, color[1])) * 255, linearToSRGB(clamp(0, 1, color[2])) * 255]
+		: oklabToRgb(color[0], color[1], color[2]);
+	return [clamp(0, 255, rgb[0]), clamp(0, 255, rgb[1]), clamp(0, 255, rgb[2]), color[3]];
+}
+
+/**
+ * Samples a gradient into the lookup table gradientMapFrame uses. Throws for invalid gradients.
+ * @param {Gradient} gradient
+ * @returns {Uint8ClampedArray} The gradient sampled at 256 positions as RGBA.
+ *
+ * @example
+ * const table = createGradientTable(fire);
+ */
+function createGradientTable(gradient) {
+	const stops = getGradientStops(gradient);
+	const table = new Uint8ClampedArray(256 * 4);
+	for (let value = 0; value < 256; value++) table.set(sampleGradientStops(stops, value / 255).map(Math.round), value * 4);
+	return table;
+}
+
+
+// Noise
+
+
+/**
+ * @typedef {Object} NoiseOptions
+ * @property {"perlin" | "simplex" | "value" | "worley"} [type] worley is the distance to the closest of randomly placed points (cellular noise). Default of "perlin"
+ * @property {number} [seed] int. The same seed gives the same noise on every machine. Default of 0
+ * @property {number} [scale] How many noise cells there are across the width and height of the image. Default of 4
+ * @property {number} [octaves] int 1-16 of how many layers of finer noise are added together. Default of 1
+ * @property {number} [lacunarity] How much finer every octave is than the one before it. Default of 2
+ * @property {number} [gain] How much every octave is multiplied by compared to the one before it. Default of 0.5
+ * @property {"fbm" | "ridged" | "turbulence"} [fractal] How octaves are combined. fbm is the plain sum, turbulence sums the absolute values which makes billowy shapes
+ * and ridged inverts them into sharp ridges. Default of "fbm"
+ * @property {number} [warp] How far the noise is pushed around by another noise (domain warping) where 1 is the size of the image. Default of 0
+ * @property {boolean} [tileable] Makes the noise repeat seamlessly. scale and lacunarity must be whole numbers, and scale must be even for simplex noise. Default of false
+ * @property {Array<Channel>} [channels] The channels the noise is written to. Default of ["R", "G", "B"]
+ */
+
+/** @typedef {(x: number, y: number) => number} NoiseSampler */
+
+// 8 unit gradients so that Perlin and simplex noise don't need trigonometry, which can differ between machines
+/** @type {Array<[number, number]>} */
+const noiseGradients = [[1, 0], [-1, 0], [0, 1], [0, -1], [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2], [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]];
+
+/**
+ * Writes seeded noise into channels of an image. Only arithmetic which gives exactly the same result everywhere is used, so the same options always give the same bytes.
+ * @param {PixelData} data Image data.
+ * @param {NoiseOptions} [options]
+ * @param {Region} [region] Limits the noise to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Puts tileable cloudy noise into the Green channel and cells into the Blue channel of a mask map
+ * noise(maskData, { type: "simplex", octaves: 5, tileable: true, channels: ["G"] });
+ * noise(maskData, { type: "worley", scale: 8, seed: 2, tileable: true, channels: ["B"] });
+ */
+function noise(data, options = {}, region) {
+	if (region) return applyInRegion(data, region, (crop, bounds) => writeNoise(crop, options, bounds.x, bounds.y, data.width, data.height));
+	writeNoise(data, options, 0, 0, data.width, data.height);
+}
+
+/**
+ * Renders seeded noise into a new context. Channels which the noise isn't written to are black with an opaque Alpha channel.
+ * @param {number} width
+ * @param {number} height
+ * @param {NoiseOptions} [options]
+ * @returns {ImageContext}
+ *
+ * @example
+ * // Ridged noise for cracks which can be packed straight into a mask map
+ * const cracks = renderNoise(512, 512, { fractal: "ridged", octaves: 6, warp: 0.1, seed: 1337, tileable: true, channels: ["R"] });
+ * const packed = pack([{ data: cracks, channels: { R: "R" } }, { data: roughnessContext, channels: { G: "R" } }], 512);
+ */
+function renderNoise(width, height, options = {}) {
+	if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) throw new Error(`The noise size must be whole numbers above 0. Got ${width}x${height}`);
+	const ctx = getBackend().createContext(width, height);
+	const data = getBackend().createImageData(width, height);
+	for (let i = 3; i < data.data.length; i += 4) data.data[i] = 255;
+	noise(data, options);
+	ctx.putImageData(data, 0, 0);
+	return ctx;
+}
+
+/**
+ * @param {PixelData} data The image, or the crop of a region.
+ * @param {NoiseOptions} options
+ * @param {number} offsetX Where the crop is in the image.
+ * @param {number} offsetY
+ * @param {number} width The width of the whole image which the noise is scaled to.
+ * @param {number} height The height of the whole image which the noise is scaled to.
+ * @returns {void}
+ */
+function writeNoise(data, options, offsetX, offsetY, width, height) {
+	const sampler = createNoiseSampler(options);
+	const channelOffsets = (options.channels ?? ["R", "G", "B"]).map(channel => {
+		if (!isChannel(channel)) throw new Error(`${channel} is not a channel. Expected one of R, G, B or A`);
+		return channelIndexes[channel];
+	});
+	for (let y = 0; y < data.height; y++) {
+		for (let x = 0; x < data.width; x++) {
+			const value = Math.round(clamp(0, 1, sampler((offsetX + x + 0.5) / width, (offsetY + y + 0.5) / height)) * 255);
+			const i = (y * data.width + x) * 4;
+			for (const offset of channelOffsets) data.data[i + offset] = value;
+		}
+	}
+}
+
+/**
+ * Validates noise options and makes a function which samples the noise at positions where 0-1 is the whole image.
+ * @param {NoiseOptions} options
+ * @returns {NoiseSampler} Noise from 0 to 1.
+ */
+function createNoiseSampler(options) {
+	const { type = "perlin", seed = 0, scale = 4, octaves = 1, lacunarity = 2, gain = 0.5, fractal = "fbm", warp = 0, tileable = false } = options;
+	if (type !== "perlin" && type !== "simplex" && type !== "value" && type !== "worley") throw new Error(`Unknown noise type ${type}. Expected perlin, simplex, value or worley`);
+	if (fractal !== "fbm" && fractal !== "ridged" && fractal !== "turbulence") throw new Error(`Unknown noise fractal ${fractal}. Expected fbm, ridged or turbulence`);
+	if (!Number.isInteger(seed)) throw new Error(`seed must be a whole number. Got ${seed}`);
+	if (!Number.isInteger(octaves) || octaves < 1 || octaves > 16) throw new Error(`octaves must be a whole number from 1 to 16. Got ${octaves}`);
+	validateNumber("scale", scale);
+	validateNumber("lacunarity", lacunarity);
+	validateNumber("gain", gain);
+	validateNumber("warp", warp);
+	if (scale <= 0) throw new Error(`scale must be above 0. Got ${scale}`);
+	if (lacunarity < 1) throw new Error(`lacunarity must be at least 1. Got ${lacunarity}`);
+	if (warp < 0) throw new Error(`warp must be 0 or above. Got ${warp}`);
+	if (tileable) {
+		if (!Number.isInteger(scale) || !Number.isInteger(lacunarity)) throw new Error(`scale and lacunarity must be whole numbers for tileable noise. Got ${scale} and ${lacunarity}`);
+		if (type === "simplex" && scale % 2 !== 0) throw new Error(`scale must be even for tileable simplex noise as its cells are offset every other row. Got ${scale}`);
+	}
+
+	const basis = type === "perlin" ? perlinNoise : type === "simplex" ? simplexNoise : type === "value" ? valueNoise : worleyNoise;
+	/**
+	 * @param {number} octaveSeed
+	 * @param {number} x
+	 * @param {number} y
+	 * @returns {number} 0-1
+	 */
+	const fractalNoise = (octaveSeed, x, y) => {
+		let frequency = scale;
+		let amplitude = 1;
+		let sum = 0;
+		let total = 0;
+		for (let octave = 0; octave < octaves; octave++) {
+			const period = tileable ? frequency : 0;
+			const value = basis(hashNoise(octaveSeed, octave, 0), x * frequency, y * frequency, period, period);
+			if (fractal === "fbm") sum += value * amplitude;
+			else if (fractal === "turbulence") sum += Math.abs(value) * amplitude;
+			else sum += (1 - Math.abs(value)) * (1 - Math.abs(value)) * amplitude;
+			total += amplitude;
+			frequency *= lacunarity;
+			amplitude *= gain;
+		}
+		const normalized = total === 0 ? 0 : sum / total;
+		return fractal === "fbm" ? normalized * 0.5 + 0.5 : normalized;
+	};
+
+	if (warp === 0) return (x, y) => fractalNoise(seed, x, y);
+	// The offsets are noise of their own which also tiles, so warped noise still tiles
+	return (x, y) => fractalNoise(seed, x + (fractalNoise(seed + 1, x, y) * 2 - 1) * warp, y + (fractalNoise(seed + 2, x, y) * 2 - 1) * warp);
+}
+
+/**
+ * Hashes lattice coordinates into a random 32 bit number.
+ * @param {number} seed
+ * @param {number} x int
+ * @param {number} y int
+ * @returns {number}
+ */
+function hashNoise(seed, x, y) {
+	let hash = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1);
+	hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+	hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+	return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Wraps lattice coordinates for tileable noise.
+ * @param {number} value
+ * @param {number} period 0 for no wrapping.
+ * @returns {number}
+ */
+function wrapNoise(value, period) {
+	return period ? ((value % period) + period) % period : value;
+}
+
+/**
+ * @param {number} t 0-1
+ * @returns {number}
+ */
+function noiseFade(t) {
+	return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} y
+ * @param {number} periodX
+ * @param {number} periodY
+ * @returns {number} -1 to 1
+ */
+function perlinNoise(seed, x, y, periodX, periodY) {
+	const x0 = Math.floor(x);
+	const y0 = Math.floor(y);
+	const fx = x - x0;
+	const fy = y - y0;
+	/**
+	 * @param {number} cx
+	 * @param {number} cy
+	 * @returns {number}
+	 */
+	const corner = (cx, cy) => {
+		const gradient = noiseGradients[hashNoise(seed, wrapNoise(x0 + cx, periodX), wrapNoise(y0 + cy, periodY)) & 7];
+		return gradient[0] * (fx - cx) + gradient[1] * (fy - cy);
+	};
+	const u = noiseFade(fx);
+	const top = lerp(corner(0, 0), corner(1, 0), u);
+	const bottom = lerp(corner(0, 1), corner(1, 1), u);
+	// Unit gradients reach at most sqrt(1/2)
+	return clamp(-1, 1, lerp(top, bottom, noiseFade(fy)) * Math.SQRT2);
+}
+
+/**
+ * Simplex noise on a lattice of triangles which are 1 wide and 1 tall, offset by half a cell every row, so that it can be wrapped like a square grid.
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} y
+ * @param {number} periodX
+ * @param {number} periodY Must be even.
+ * @returns {number} -1 to 1
+ */
+function simplexNoise(seed, x, y, periodX, periodY) {
+	// Skew into the lattice where the triangles are half of a square
+	const u = x + y * 0.5;
+	const i0 = Math.floor(u);
+	const j0 = Math.floor(y);
+	const firstX = u - i0 > y - j0 ? 1 : 0;
+	/** @type {Array<[number, number]>} */
+	const corners = [[i0, j0], [i0 + firstX, j0 + 1 - firstX], [i0 + 1, j0 + 1]];
+	let sum = 0;
+	for (const [i, j] of corners) {
+		const cornerX = i - j * 0.5;
+		const dx = x - cornerX;
+		const dy = y - j;
+		let weight = 0.8 - dx * dx - dy * dy;
+		if (weight <= 0) continue;
+		const wrappedY = wrapNoise(j, periodY);
+		const wrappedI = Math.round(wrapNoise(cornerX, periodX) + wrappedY * 0.5);
+		const gradient = noiseGradients[hashNoise(seed, wrappedI, wrappedY) & 7];
+		weight *= weight;
+		sum += weight * weight * (gradient[0] * dx + gradient[1] * dy);
+	}
+	return clamp(-1, 1, sum * 10.9);
+}
+
+/**
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} y
+ * @param {number} periodX
+ * @param {number} periodY
+ * @returns {number} -1 to 1
+ */
+function valueNoise(seed, x, y, periodX, periodY) {
+	const x0 = Math.floor(x);
+	const y0 = Math.floor(y);
+	/**
+	 * @param {number} cx
+	 * @param {number} cy
+	 * @returns {number}
+	 */
+	const corner = (cx, cy) => hashNoise(seed, wrapNoise(x0 + cx, periodX), wrapNoise(y0 + cy, periodY)) / 0x7fffffff - 1;
+	const u = noiseFade(x - x0);
+	return lerp(lerp(corner(0, 0), corner(1, 0), u), lerp(corner(0, 1), corner(1, 1), u), noiseFade(y - y0));
+}
+
+/**
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} y
+ * @param {number} periodX
+ * @param {number} periodY
+ * @returns {number} -1 to 1 from the distance to the closest point, where a point is -1.
+ */
+function worleyNoise(seed, x, y, periodX, periodY) {
+	const x0 = Math.floor(x);
+	const y0 = Math.floor(y);
+	let closest = Infinity;
+	for (let cy = y0 - 1; cy <= y0 + 1; cy++) {
+		for (let cx = x0 - 1; cx <= x0 + 1; cx++) {
+			// One point in every cell
+			const hash = hashNoise(seed, wrapNoise(cx, periodX), wrapNoise(cy, periodY));
+			const pointX = cx + (hash & 0xffff) / 0x10000;
+			const pointY = cy + (hash >>> 16) / 0x10000;
+			const distance = (pointX - x) * (pointX - x) + (pointY - y) * (pointY - y);
+			if (distance < closest) closest = distance;
+		}
+	}
+	return Math.min(1, Math.sqrt(closest)) * 2 - 1;
+}
+
+
+// Animation
+
+
+/**
+ * How a value moves from one keyframe to the next. An Array is a CSS style cubic bezier of [x1, y1, x2, y2].
+ * @typedef {"linear" | "step" | "easeIn" | "easeOut" | "easeInOut" | [number, number, number, number]} Easing
+ */
+
+/**
+ * @typedef {Object} Keyframe
+ * @property {number} frame Which frame the value is reached at. Can be outside of the rendered frames, such as one past the last frame for loops which shouldn't repeat their first frame.
+ * @property {number} value
+ * @property {Easing} [easing] How the value moves to the next keyframe. Default of "linear"
+ */
+
+/**
+ * A constant or keyframes. Values before the first keyframe and after the last stay at that keyframe's value.
+ * @typedef {number | Array<Keyframe>} Track
+ */
+
+/**
+ * @typedef {Object} FlipbookOptions
+ * @property {number} [columns] int of how many frames there are in each row. Default of the square root of the amount of frames rounded up
+ * @property {number} [padding] int pixels of space between frames. Default of 0
+ */
+
+/**
+ * @typedef {Object} GIFOptions
+ * @property {number} [delay] int milliseconds between frames. GIFs store this in hundredths of a second, so it's rounded to that. Default of 100
+ * @property {number} [loop] int of how many times the animation plays, where 0 is forever. Default of 0
+ * @property {number} [colors] int 2-256 of how many colors every frame has. Default of 256
+ * @property {"medianCut" | "kmeans"} [method] How the palettes are picked. Default of "medianCut"
+ * @property {DitherMethod} [dither] Default of "none"
+ * @property {number} [alphaThreshold] int 0-255. Pixels with less alpha than this are transparent, as GIFs can't be partially transparent. Default of 128
+ */
+
+/**
+ * Renders an animation by running your effects on a duplicate of the image for every frame with the values of keyframed tracks at that frame.
+ * @template {Record<string, Track>} T
+ * @param {ImageContext} ctx The context containing the image every frame starts from.
+ * @param {number} frameCount int of how many frames are rendered.
+ * @param {T} tracks Named values which are passed to render at every frame.
+ * @param {(frame: ImageContext, values: Record<keyof T, number>, index: number) => void} render Applies effects to the frame, written to directly.
+ * @returns {Array<ImageContext>} The frames.
+ *
+ * @example
+ * // A scrolling texture which loops seamlessly, as the offset after the last frame is the whole width
+ * const frames = renderTimeline(context, 32, {
+ * 	x: [{ frame: 0, value: 0 }, { frame: 32, value: 1 }]
+ * }, (frame, { x }) => offset(frame, x, 0, { filter: "bilinear" }));
+ *
+ * @example
+ * // A button which pulses brighter and back
+ * const frames = renderTimeline(context, 20, {
+ * 	intensity: [{ frame: 0, value: 1, easing: "easeInOut" }, { frame: 10, value: 3, easing: "easeInOut" }, { frame: 20, value: 1 }]
+ * }, (frame, { intensity }) => {
+ * 	const data = frame.getImageData(0, 0, frame.canvas.width, frame.canvas.height);
+ * 	tint(data, 255, 255, 255, intensity, { tonemapper: "agx" });
+ * 	frame.putImageData(data, 0, 0);
+ * });
+ */
+function renderTimeline(ctx, frameCount, tracks, render) {
+	if (!Number.isInteger(frameCount) || frameCount < 1) throw new Error(`frameCount must be a whole number above 0. Got ${frameCount}`);
+	if (typeof render !== "function") throw new Error(`render must be a function. Got ${typeof render}`);
+	const names = Object.keys(tracks);
+	for (const name of names) validateTrack(tracks[name], name);
+
+	/** @type {Array<ImageContext>} */
+	const frames = [];
+	for (let index = 0; index < frameCount; index++) {
+		/** @type {Record<string, number>} */
+		const values = {};
+		for (const name of names) values[name] = sampleTrack(tracks[name], index);
+		const frame = duplicate(ctx);
+		render(frame, /** @type {Record<keyof T, number>} */ (values), index);
+		frames.push(frame);
+	}
+	return frames;
+}
+
+/**
+ * Gets the value of a track at a frame.
+ * @param {Track} track
+ * @param {number} frame Can be a fraction of a frame.
+ * @returns {number}
+ *
+ * @example
+ * // 0.5
+ * sampleTrack([{ frame: 0, value: 0 }, { frame: 10, value: 1 }], 5);
+ */
+function sampleTrack(track, frame) {
+	if (typeof track === "number") return track;
+	validateTrack(track, "track");
+	const keyframes = track.slice().sort((a, b) => a.frame - b.frame);
+	if (frame <= keyframes[0].frame) return keyframes[0].value;
+	const last = keyframes[keyframes.length - 1];
+	if (frame >= last.frame) return last.value;
+
+	let next = 1;
+	while (keyframes[next].frame < frame) next++;
+	const from = keyframes[next - 1];
+	const to = keyframes[next];
+	return lerp(from.value, to.value, ease(from.easing, (frame - from.frame) / (to.frame - from.frame)));
+}
+
+/**
+ * Lays frames out in a grid for flipbook shaders, left to right and then top to bottom.
+ * @param {Array<ImageContext>} frames Frames which are all the same size.
+ * @param {FlipbookOptions} [options]
+ * @returns {ImageContext} The sprite sheet. Unused cells are transparent.
+ *
+ * @example
+ * const sheet = createFlipbook(frames, { columns: 8 });
+ * fs.writeFileSync("./scroll_flipbook.png", sheet.canvas.toBuffer("image/png"));
+ */
+function createFlipbook(frames, options = {}) {
+	if (!Array.isArray(frames) || frames.length === 0) throw new Error("A flipbook needs at least one frame");
+	const { columns = Math.ceil(Math.sqrt(frames.length)), padding = 0 } = options;
+	if (!Number.isInteger(columns) || columns < 1) throw new Error(`columns must be a whole number above 0. Got ${columns}`);
+	if (!Number.isInteger(padding) || padding < 0) throw new Error(`padding must be a whole number of at least 0. Got ${padding}`);
+	const frameWidth = frames[0].canvas.width;
+	const frameHeight = frames[0].canvas.height;
+	for (const frame of frames) {
+		if (frame.canvas.width !== frameWidth || frame.canvas.height !== frameHeight) throw new Error(`Flipbook frames must all be the same size. Expected ${frameWidth}x${frameHeight} but got ${frame.canvas.width}x${frame.canvas.height}`);
+	}
+
+	const rows = Math.ceil(frames.length / columns);
+	const grid = layoutGrid(columns, rows, columns * (frameWidth + padding) - padding, rows * (frameHeight + padding) - padding, padding);
+	const sheet = getBackend().createContext(grid.width, grid.height);
+	frames.forEach((frame, index) => {
+		const cell = grid.cell(index);
+		sheet.putImageData(frame.getImageData(0, 0, frameWidth, frameHeight), cell.x, cell.y);
+	});
+	return sheet;
+}
+
+/**
+ * Encodes frames into an animated GIF. Every frame gets its own palette from quantize.
+ * @param {Array<ImageContext>} frames Frames which are all the same size.
+ * @param {GIFOptions} [options]
+ * @returns {Uint8Array} The contents of the file.
+ *
+ * @example
+ * fs.writeFileSync("./scroll.gif", encodeGIF(frames, { delay: 50, dither: "floydSteinberg" }));
+ */
+function encodeGIF(frames, options = {}) {
+	if (!Array.isArray(frames) || frames.length === 0) throw new Error("A GIF needs at least one frame");
+	const { delay = 100, loop = 0, colors = 256, method = "medianCut", dither = "none", alphaThreshold = 128 } = options;
+	if (!Number.isInteger(loop) || loop < 0 || loop > 0xFFFF) throw new Error(`loop must be a whole number from 0 to 65535. Got ${loop}`);
+	validateNumber("delay", delay);
+	if (!Number.isInteger(colors) || colors < 2 || colors > 256) throw new Error(`colors must be a whole number from 2 to 256. Got ${colors}`);
+	if (method !== "medianCut" && method !== "kmeans") throw new Error(`Unknown quantize method ${method}. Expected medianCut or kmeans`);
+	const width = frames[0].canvas.width;
+	const height = frames[0].canvas.height;
+	if (width > 0xFFFF || height > 0xFFFF) throw new Error(`GIFs can be at most 65535x65535. Got ${width}x${height}`);
+	const delayCentiseconds = clamp(0, 0xFFFF, Math.round(delay / 10));
+
+	/** @type {Array<number>} */
+	const bytes = [];
+	/** @param {number} value */
+	const writeShort = value => bytes.push(value & 0xFF, value >> 8);
+	/** @param {string} text */
+	const writeText = text => {
+		for (let c = 0; c < text.length; c++) bytes.push(text.charCodeAt(c));
+	};
+
+	writeText("GIF89a");
+	// Logical screen without a global color table, as every frame has its own
+	writeShort(width);
+	writeShort(height);
+	bytes.push(0, 0, 0);
+	if (frames.length > 1) {
+		// Looping is the NETSCAPE2.0 application extension
+		bytes.push(0x21, 0xFF, 11);
+		writeText("NETSCAPE2.0");
+		bytes.push(3, 1);
+		writeShort(loop);
+		bytes.push(0);
+	}
+
+	for (const frame of frames) {
+		if (frame.canvas.width !== width || frame.canvas.height !== height) throw new Error(`GIF frames must all be the same size. Expected ${width}x${height} but got ${frame.canvas.width}x${frame.canvas.height}`);
+		const data = frame.getImageData(0, 0, width, height);
+		// Only the visible pixels pick the palette so that invisible colors don't use up entries
+		const visible = new Uint8ClampedArray(data.data.length);
+		let visibleLength = 0;
+		for (let i = 0; i < data.data.length; i += 4) {
+			if (data.data[i + 3] < alphaThreshold) continue;
+			visible.set(data.data.subarray(i, i + 4), visibleLength);
+			visibleLength += 4;
+		}
+		const transparent = visibleLength !== data.data.length;
+
+		// One palette entry is kept for transparency
+		/** @type {Array<[number, number, number]>} */
+		let visiblePalette = [[0, 0, 0]];
+		if (visibleLength) visiblePalette = createPalette({ data: visible.subarray(0, visibleLength), width: visibleLength / 4, height: 1 }, transparent ? colors - 1 : colors, method);
+		const { palette, indices } = quantize(data, { palette: visiblePalette, dither });
+		const transparentIndex = palette.length;
+		if (transparent) {
+			for (let p = 0; p < indices.length; p++) {
+				if (data.data[p * 4 + 3] < alphaThreshold) indices[p] = transparentIndex;
+			}
+		}
+		let tableBits = 1;
+		while ((1 << tableBits) < palette.length + (transparent ? 1 : 0)) tableBits++;
+
+		// Graphic control extension. Frames with transparency are cleared afterwards so they don't pile up
+		bytes.push(0x21, 0xF9, 4, ((transparent ? 2 : 1) << 2) | (transparent ? 1 : 0));
+		writeShort(delayCentiseconds);
+		bytes.push(transparent ? transparentIndex : 0, 0);
+
+		// Image descriptor with a local color table
+		bytes.push(0x2C);
+		writeShort(0);
+		writeShort(0);
+		writeShort(width);
+		writeShort(height);
+		bytes.push(0x80 | (tableBits - 1));
+		for (let c = 0; c < 1 << tableBits; c++) {
+			const color = palette[c] ?? [0, 0, 0];
+			bytes.push(color[0], color[1], color[2]);
+		}
+
+		const minCodeSize = Math.max(2, tableBits);
+		bytes.push(minCodeSize);
+		const compressed = lzwEncode(indices, minCodeSize);
+		for (let start = 0; start < compressed.length; start += 255) {
+			const block = compressed.subarray(start, start + 255);
+			bytes.push(block.length);
+			for (let b = 0; b < block.length; b++) bytes.push(block[b]);
+		}
+		bytes.push(0);
+	}
+
+	bytes.push(0x3B);
+	return Uint8Array.from(bytes);
+}
+
+/**
+ * Compresses palette indices with the variable length LZW which GIFs use.
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Uint8Array}
+ */
+function lzwEncode(indices, minCodeSize) {
+	const clearCode = 1 << minCodeSize;
+	const endCode = clearCode + 1;
+	/** @type {Array<number>} */
+	const out = [];
+	let buffer = 0;
+	let bufferBits = 0;
+	let codeSize = minCodeSize + 1;
+	let nextCode = endCode + 1;
+	/** @type {Map<number, number>} */
+	let table = new Map();
+
+	/** @param {number} code */
+	const writeCode = code => {
+		buffer |= code << bufferBits;
+		bufferBits += codeSize;
+		while (bufferBits >= 8) {
+			out.push(buffer & 0xFF);
+			buffer >>>= 8;
+			bufferBits -= 8;
+		}
+	};
+
+	writeCode(clearCode);
+	if (indices.length === 0) {
+		writeCode(endCode);
+		if (bufferBits > 0) out.push(buffer & 0xFF);
+		return Uint8Array.from(out);
+	}
+
+	let prefix = indices[0];
+	for (let p = 1; p < indices.length; p++) {
+		const index = indices[p];
+		const key = (prefix << 8) | index;
+		const existing = table.get(key);
+		if (existing !== undefined) {
+			prefix = existing;
+			continue;
+		}
+
+		writeCode(prefix);
+		if (nextCode === 4096) {
+			// The table is full, so start over
+			writeCode(clearCode);
+			table = new Map();
+			codeSize = minCodeSize + 1;
+			nextCode = endCode + 1;
+		} else {
+			if (nextCode >= 1 << codeSize) codeSize++;
+			table.set(key, nextCode++);
+		}
+		prefix = index;
+	}
+
+	writeCode(prefix);
+	writeCode(endCode);
+	if (bufferBits > 0) out.push(buffer & 0xFF);
+	return Uint8Array.from(out);
+}
+
+/**
+ * @param {Easing | undefined} easing
+ * @param {number} t 0-1
+ * @returns {number}
+ */
+function ease(easing = "linear", t) {
+	if (Array.isArray(easing)) {
+		const [x1, y1, x2, y2] = easing;
+		/**
+		 * @param {number} a
+		 * @param {number} b
+		 * @param {number} s
+		 * @returns {number}
+		 */
+		const bezier = (a, b, s) => 3 * (1 - s) * (1 - s) * s * a + 3 * (1 - s) * s * s * b + s * s * s;
+		// x always goes up as x1 and x2 are 0-1, so the s which gives t can be found by bisection
+		let low = 0;
+		let high = 1;
+		for (let iteration = 0; iteration < 24; iteration++) {
+			const middle = (low + high) / 2;
+			if (bezier(x1, x2, middle) < t) low = middle;
+			else high = middle;
+		}
+		return bezier(y1, y2, (low + high) / 2);
+	}
+	switch (easing) {
+		case "linear": return t;
+		case "step": return t < 1 ? 0 : 1;
+		case "easeIn": return t * t * t;
+		case "easeOut": return 1 - (1 - t) * (1 - t) * (1 - t);
+		case "easeInOut": return t < 0.5 ? 4 * t * t * t : 1 - 4 * (1 - t) * (1 - t) * (1 - t);
+		default: throw new Error(`Unknown easing ${easing}. Expected linear, step, easeIn, easeOut, easeInOut or a cubic bezier`);
+	}
+}
+
+/**
+ * @param {Track} track
+ * @param {string} name For error messages.
+ * @returns {void}
+ */
+function validateTrack(track, name) {
+	if (typeof track === "number") return validateNumber(name, track);
+	if (!Array.isArray(track) || track.length === 0) throw new Error(`${name} must be a number or an Array of at least one keyframe`);
+	for (const keyframe of track) {
+		if (!keyframe || typeof keyframe !== "object") throw new Error(`Keyframes of ${name} must be objects`);
+		validateNumber(`${name} keyframe frame`, keyframe.frame);
+		validateNumber(`${name} keyframe value`, keyframe.value);
+		const { easing } = keyframe;
+		if (Array.isArray(easing)) {
+			if (easing.length !== 4 || easing.some(value => typeof value !== "number" || !Number.isFinite(value))) throw new Error(`Cubic bezier easings of ${name} must be [x1, y1, x2, y2]. Got ${JSON.stringify(easing)}`);
+			if (easing[0] < 0 || easing[0] > 1 || easing[2] < 0 || easing[2] > 1) throw new Error(`x1 and x2 of cubic bezier easings of ${name} must be 0-1. Got ${JSON.stringify(easing)}`);
+		} else ease(easing, 0);
+	}
+	const frames = track.map(keyframe => keyframe.frame);
+	if (new Set(frames).size !== frames.length) throw new Error(`${name} has more than one keyframe at the same frame`);
+}
+
+
+// Backends
+
+
+/**
+ * The pixels of an image. ImageData from node-canvas or browsers works, as does any object of the same shape such as a decoded PNG from pngjs or a raw buffer from sharp.
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} PixelData
+ */
+
+/**
+ * The part of a 2D context every function works on. node-canvas and browser contexts already are one.
+ * @typedef {Object} ImageContext
+ * @property {{ width: number, height: number }} canvas Setting the size clears the image like with a canvas.
+ * @property {(x: number, y: number, width: number, height: number) => PixelData} getImageData
+ * @property {(data: PixelData, x: number, y: number) => void} putImageData
+ */
+
+/** @typedef {any} BackendImage An image a backend can turn into a context. What's accepted depends on the backend. */
+
+/**
+ * Creates the contexts and pixel data the library makes. Set with setBackend.
+ * @typedef {Object} Backend
+ * @property {string} name
+ * @property {(width: number, height: number) => ImageContext} createContext Creates a transparent context.
+ * @property {(width: number, height: number) => PixelData} createImageData Creates transparent pixel data.
+ * @property {(image: BackendImage) => ImageContext} imageToContext Draws a loaded image into a new context.
+ */
+
+/**
+ * The parts of the canvas module which the node-canvas backend uses.
+ * @typedef {Object} NodeCanvasModule
+ * @property {(width: number, height: number) => { getContext(type: "2d"): ImageContext & { drawImage(image: any, x: number, y: number): void } }} createCanvas
+ * @property {(width: number, height: number) => PixelData} createImageData
+ */
+
+/** @type {Backend | undefined} */
+let currentBackend = undefined;
+
+/**
+ * Changes what creates contexts and pixel data for every function. Only contexts and pixel data from the same backend should be mixed.
+ * @param {Backend} backend
+ * @returns {void}
+ *
+ * @example
+ * // Works on plain pixel buffers without any canvas
+ * setBackend(createBufferBackend());
+ *
+ * @example
+ * // In a browser or a web worker
+ * setBackend(createOffscreenCanvasBackend());
+ */
+function setBackend(backend) {
+	if (!backend || typeof backend.createContext !== "function" || typeof backend.createImageData !== "function" || typeof backend.imageToContext !== "function") {
+		throw new Error("Backends must have createContext, createImageData and imageToContext functions");
+	}
+	currentBackend = backend;
+}
+
+/**
+ * Gets the backend in use. If none was set, the first time it's needed it's node-canvas if it's installed, then OffscreenCanvas if it's available and otherwise the buffer backend.
+ * @returns {Backend}
+ */
+function getBackend() {
+	if (!currentBackend) currentBackend = detectBackend();
+	return currentBackend;
+}
+
+/**
+ * @returns {Backend}
+ */
+function detectBackend() {
+	if (typeof require === "function") {
+		try {
+			return createNodeCanvasBackend(require("canvas"));
+		} catch (e) {
+			// Only fall back when canvas isn't installed so that broken installs still show their error
+			const error = /** @type {NodeJS.ErrnoException} */ (e);
+			if (error.code !== "MODULE_NOT_FOUND" || !error.message.includes("'canvas'")) throw error;
+		}
+	}
+	if (typeof OffscreenCanvas !== "undefined") return createOffscreenCanvasBackend();
+	return createBufferBackend();
+}
+
+/**
+ * Makes a backend which uses node-canvas.
+ * @param {NodeCanvasModule} [canvas] The canvas module. Default of require("canvas")
+ * @returns {Backend}
+ *
+ * @example
+ * setBackend(createNodeCanvasBackend(require("canvas")));
+ */
+function createNodeCanvasBackend(canvas = require("canvas")) {
+	return {
+		name: "node-canvas",
+		createContext: (width, height) => canvas.createCanvas(width, height).getContext("2d"),
+		createImageData: (width, height) => canvas.createImageData(width, height),
+		imageToContext: image => {
+			const ctx = canvas.createCanvas(image.width, image.height).getContext("2d");
+			ctx.drawImage(image, 0, 0);
+			return ctx;
+		}
+	};
+}
+
+/**
+ * Makes a backend which uses OffscreenCanvas, for browsers, web workers and Deno.
+ * @returns {Backend}
+ */
+function createOffscreenCanvasBackend() {
+	if (typeof OffscreenCanvas === "undefined") throw new Error("OffscreenCanvas isn't available here");
+	/**
+	 * @param {number} width
+	 * @param {number} height
+	 * @returns {OffscreenCanvasRenderingContext2D}
+	 */
+	const create = (width, height) => {
+		const ctx = new OffscreenCanvas(width, height).getContext("2d");
+		if (!ctx) throw new Error("Couldn't get a 2D context from OffscreenCanvas");
+		return ctx;
+	};
+	return {
+		name: "offscreen-canvas",
+		createContext: (width, height) => create(width, height),
+		createImageData: (width, height) => new ImageData(width, height),
+		imageToContext: image => {
+			const ctx = create(image.width, image.height);
+			ctx.drawImage(image, 0, 0);
+			return ctx;
+		}
+	};
+}
+
+/**
+ * Makes a backend which keeps images as plain pixel buffers in JS, so it works anywhere. Contexts only have canvas, getImageData and putImageData.
+ * imageToContext takes pixel data and copies it.
+ * @returns {Backend}
+ *
+ * @example
+ * // Processes a PNG decoded by pngjs
+ * setBackend(createBufferBackend());
+ * const png = PNG.sync.read(fs.readFileSync("./albedo.png"));
+ * const ctx = image2Context({ width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) });
+ */
+function createBufferBackend() {
+	/**
+	 * @param {number} width
+	 * @param {number} height
+	 * @returns {PixelData}
+	 */
+	const createImageData = (width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height });
+
+	return {
+		name: "buffer",
+		createContext: (width, height) => {
+			let pixels = createImageData(width, height);
+			/**
+			 * @param {number} newWidth
+			 * @param {number} newHeight
+			 */
+			const setSize = (newWidth, newHeight) => {
+				pixels = createImageData(Math.max(0, Math.floor(newWidth)), Math.max(0, Math.floor(newHeight)));
+			};
+			return {
+				canvas: {
+					get width() {
+						return pixels.width;
+					},
+					set width(value) {
+						setSize(value, pixels.height);
+					},
+					get height() {
+						return pixels.height;
+					},
+					set height(value) {
+						setSize(pixels.width, value);
+					}
+				},
+				getImageData(x, y, w, h) {
+					const out = createImageData(w, h);
+					copyPixels(pixels, out, x, y, 0, 0, w, h);
+					return out;
+				},
+				putImageData(data, x, y) {
+					copyPixels(data, pixels, 0, 0, x, y, data.width, data.height);
+				}
+			};
+		},
+		createImageData,
+		imageToContext: image => {
+			if (!image || !(image.data instanceof Uint8ClampedArray || image.data instanceof Uint8Array) || image.data.length !== image.width * image.height * 4) {
+				throw new Error("The buffer backend can only turn RGBA pixel data into contexts");
+			}
+			const ctx = createBufferBackend().createContext(image.width, image.height);
+			ctx.putImageData({ data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length), width: image.width, height: image.height }, 0, 0);
+			return ctx;
+		}
+	};
+}
+
+/**
+ * Copies a rectangle of pixels between pixel data, skipping the parts outside of either.
+ * @param {PixelData} from
+ * @param {PixelData} to
+ * @param {number} fromX
+ * @param {number} fromY
+ * @param {number} toX
+ * @param {number} toY
+ * @param {number} width
+ * @param {number} height
+ * @returns {void}
+ */
+function copyPixels(from, to, fromX, fromY, toX, toY, width, height) {
+	for (let y = 0; y < height; y++) {
+		const sy = fromY + y;
+		const dy = toY + y;
+		if (sy < 0 || dy < 0 || sy >= from.height || dy >= to.height) continue;
+		// Clip the row to both images so that it can be copied at once
+		const start = Math.max(0, -fromX, -toX);
+		const end = Math.min(width, from.width - fromX, to.width - toX);
+		if (end <= start) continue;
+		const source = (sy * from.width + fromX + start) * 4;
+		to.data.set(from.data.subarray(source, source + (end - start) * 4), (dy * to.width + toX + start) * 4);
+	}
+}
+
+
+// Transforms
+
+
+/**
+ * @typedef {Object} RotateOptions
+ * @property {ResampleFilter} [filter] How pixels are sampled for angles which aren't a multiple of 90. Multiples of 90 always move whole pixels. Default of "bilinear"
+ * @property {boolean} [linear] Filters in linear space. Default of false
+ * @property {boolean} [expand] Grows the image so that none of it is cut off. Otherwise the size stays the same and the corners are cut off. Default of true
+ * @property {[number, number, number] | [number, number, number, number]} [background] RGB or RGBA 0-255 of the uncovered corners. Alpha defaults to 255. Default of transparent
+ */
+
+/** @typedef {number | { top?: number, right?: number, bottom?: number, left?: number }} Padding */
+
+/**
+ * @typedef {Object} PadOptions
+ * @property {"color" | AddressMode} [mode] color fills the new pixels with the color. clamp extends the edge pixels, repeat wraps the image around and mirror reflects it. Default of "color"
+ * @property {[number, number, number] | [number, number, number, number]} [color] RGB or RGBA 0-255 of the new pixels when mode is color. Alpha defaults to 255. Default of transparent
+ */
+
+/**
+ * Rotates the image clockwise. Multiples of 90 degrees move the pixels exactly and swap the width and height for 90 and 270.
+ * Other angles are resampled around the center of the image.
+ * @param {ImageContext} ctx The context containing the image data that will be rotated.
+ * @param {number} degrees Degrees clockwise. Can be negative to rotate counter clockwise.
+ * @param {RotateOptions} [options]
+ * @returns {void} The ctx param is resized to fit the rotated image and it's written directly to it.
+ *
+ * @example
+ * // Turns a portrait image into a landscape one
+ * rotate(context, 90);
+ *
+ * @example
+ * // Straightens a scan by 2.5 degrees without changing its size, filling the corners with white
+ * rotate(context, -2.5, { filter: "lanczos3", expand: false, background: [255, 255, 255] });
+ */
+function rotate(ctx, degrees, options = {}) {
+	validateNumber("degrees", degrees);
+	const { filter = "bilinear", linear = false, expand = true, background = [0, 0, 0, 0] } = options;
+	const width = ctx.canvas.width;
+	const height = ctx.canvas.height;
+	const turned = ((degrees % 360) + 360) % 360;
+
+	if (turned % 90 === 0) {
+		if (turned === 0) return;
+		if (turned === 180) return remapPixels(ctx, width, height, (x, y) => (height - 1 - y) * width + (width - 1 - x));
+		if (expand || width === height) {
+			if (turned === 90) return remapPixels(ctx, height, width, (x, y) => (height - 1 - x) * width + y);
+			return remapPixels(ctx, height, width, (x, y) => x * width + (width - 1 - y));
+		}
+	}
+
+	if (!(filter in resampleKernels)) throw new Error(`Unknown filter ${filter}. Expected one of ${Object.keys(resampleKernels).join(", ")}`);
+	const radians = turned * Math.PI / 180;
+	const cos = Math.cos(radians);
+	const sin = Math.sin(radians);
+	// The tiny amount keeps floating point error from adding a row or column of background at 90 degree angles
+	const newWidth = expand ? Math.max(1, Math.ceil(Math.abs(width * cos) + Math.abs(height * sin) - 1e-6)) : width;
+	const newHeight = expand ? Math.max(1, Math.ceil(Math.abs(width * sin) + Math.abs(height * cos) - 1e-6)) : height;
+
+	const data = ctx.getImageData(0, 0, width, height);
+	const toFloat = linear ? getSRGBToLinearTable() : undefined;
+	/** @param {number} value */
+	const decode = value => (toFloat ? toFloat[value] : value / 255);
+	// Premultiplied floats where alpha is 0-1, like resampleMapped
+	const source = new Float32Array(width * height * 4);
+	for (let i = 0; i < data.data.length; i += 4) {
+		const a = data.data[i + 3] / 255;
+		source[i] = decode(data.data[i]) * a;
+		source[i + 1] = decode(data.data[i + 1]) * a;
+		source[i + 2] = decode(data.data[i + 2]) * a;
+		source[i + 3] = a;
+	}
+	const backgroundA = (background[3] ?? 255) / 255;
+	const backgroundColor = [decode(background[0]) * backgroundA, decode(background[1]) * backgroundA, decode(background[2]) * backgroundA, backgroundA];
+
+	const kernel = resampleKernels[filter];
+	const nearest = filter === "nearest";
+	const out = getBackend().createImageData(newWidth, newHeight);
+	for (let y = 0; y < newHeight; y++) {
+		for (let x = 0; x < newWidth; x++) {
+			// Which point of the source image the center of this pixel came from, in pixel coordinates
+			const dx = x + 0.5 - newWidth / 2;
+			const dy = y + 0.5 - newHeight / 2;
+			const sx = cos * dx + sin * dy + width / 2 - 0.5;
+			const sy = -sin * dx + cos * dy + height / 2 - 0.5;
+
+			const color = [0, 0, 0, 0];
+			let total = 0;
+			const startX = nearest ? Math.round(sx) : Math.floor(sx - kernel.support) + 1;
+			const endX = nearest ? startX : Math.ceil(sx + kernel.support) - 1;
+			const startY = nearest ? Math.round(sy) : Math.floor(sy - kernel.support) + 1;
+			const endY = nearest ? startY : Math.ceil(sy + kernel.support) - 1;
+			for (let ty = startY; ty <= endY; ty++) {
+				const wy = nearest ? 1 : kernel.weight(ty - sy);
+				if (wy === 0) continue;
+				for (let tx = startX; tx <= endX; tx++) {
+					const w = wy * (nearest ? 1 : kernel.weight(tx - sx));
+					if (w === 0) continue;
+					// Taps outside of the image are the background so that the edges are antialiased against it
+					const inside = tx >= 0 && ty >= 0 && tx < width && ty < height;
+					const s = (ty * width + tx) * 4;
+					for (let c = 0; c < 4; c++) color[c] += (inside ? source[s + c] : backgroundColor[c]) * w;
+					total += w;
+				}
+			}
+
+			const o = (y * newWidth + x) * 4;
+			const a = clamp(0, 1, total ? color[3] / total : 0);
+			out.data[o + 3] = Math.round(a * 255);
+			if (a === 0) continue;
+			for (let c = 0; c < 3; c++) {
+				const value = clamp(0, 1, color[c] / total / a);
+				out.data[o + c] = Math.round((linear ? linearToSRGB(value) : value) * 255);
+			}
+		}
+	}
+
+	ctx.canvas.width = newWidth;
+	ctx.canvas.height = newHeight;
+	ctx.putImageData(out, 0, 0);
+}
+
+/**
+ * Swaps the x and y axes of the image, flipping it over the diagonal from the top left to the bottom right.
+ * @param {ImageContext} ctx The context containing the image data that will be transposed.
+ * @returns {void} The ctx param is resized to the swapped width and height and it's written directly to it.
+ *
+ * @example
+ * transpose(context);
+ */
+function transpose(ctx) {
+	const width = ctx.canvas.width;
+	remapPixels(ctx, ctx.canvas.height, width, (x, y) => x * width + y);
+}
+
+/**
+ * Cuts the image down to a rectangle of it.
+ * @param {ImageContext} ctx The context containing the image data that will be cropped.
+ * @param {number} x The left of the rectangle in pixels.
+ * @param {number} y The top of the rectangle in pixels.
+ * @param {number} width The width of the rectangle in pixels.
+ * @param {number} height The height of the rectangle in pixels.
+ * @returns {void} The ctx param is resized to the rectangle and it's written directly to it.
+ *
+ * @example
+ * // Keeps the top right 256x256 of an image
+ * crop(context, context.canvas.width - 256, 0, 256, 256);
+ */
+function crop(ctx, x, y, width, height) {
+	if (![x, y, width, height].every(Number.isInteger) || width < 1 || height < 1) throw new Error(`Can't crop to ${width}x${height} at ${x}, ${y}. Expected whole numbers and a size of at least 1`);
+	if (x < 0 || y < 0 || x + width > ctx.canvas.width || y + height > ctx.canvas.height) {
+		throw new Error(`Can't crop ${width}x${height} at ${x}, ${y} out of a ${ctx.canvas.width}x${ctx.canvas.height} image. Use pad to make an image bigger`);
+	}
+	const data = ctx.getImageData(x, y, width, height);
+	ctx.canvas.width = width;
+	ctx.canvas.height = height;
+	ctx.putImageData(data, 0, 0);
+}
+
+/**
+ * Adds pixels around the edges of the image, either of a color or extended from the image.
+ * @param {ImageContext} ctx The context containing the image data that will be padded.
+ * @param {Padding} padding Pixels added to every side, or to each side separately.
+ * @param {PadOptions} [options]
+ * @returns {void} The ctx param is resized to fit the padding and it's written directly to it.
+ *
+ * @example
+ * // Adds a 16 pixel transparent border
+ * pad(context, 16);
+ *
+ * @example
+ * // Extends the edges of a texture by 8 pixels so that filtering doesn't bleed in other colors
+ * pad(context, 8, { mode: "clamp" });
+ *
+ * @example
+ * // Makes room for a caption below the image
+ * pad(context, { bottom: 64 }, { color: [255, 255, 255] });
+ */
+function pad(ctx, padding, options = {}) {
+	const { mode = "color", color = [0, 0, 0, 0] } = options;
+	const { top = 0, right = 0, bottom = 0, left = 0 } = typeof padding === "number" ? { top: padding, right: padding, bottom: padding, left: padding } : padding;
+	if (![top, right, bottom, left].every(side => Number.isInteger(side) && side >= 0)) throw new Error("Padding must be whole numbers of at least 0. Use crop to make an image smaller");
+	if (!["color", "clamp", "repeat", "mirror"].includes(mode)) throw new Error(`Unknown pad mode ${mode}. Expected one of color, clamp, repeat or mirror`);
+
+	const width = ctx.canvas.width;
+	const height = ctx.canvas.height;
+	remapPixels(ctx, width + left + right, height + top + bottom, (x, y) => {
+		const sx = x - left;
+		const sy = y - top;
+		const inside = sx >= 0 && sy >= 0 && sx < width && sy < height;
+		if (inside) return sy * width + sx;
+		if (mode === "color") return -1;
+		return addressCoord(sy, height, mode) * width + addressCoord(sx, width, mode);
+	}, color);
+}
+
+/**
+ * Moves whole pixels to a new image and writes it back to the context. Shared by flip, rotate, transpose and pad.
+ * @param {ImageContext} ctx
+ * @param {number} width The new width.
+ * @param {number} height The new height.
+ * @param {(x: number, y: number) => number} sourcePixel Gets the index of the pixel in the old image which goes at x, y. -1 uses the fill color.
+ * @param {[number, number, number] | [number, number, number, number]} [fillColor] RGB or RGBA 0-255. Alpha defaults to 255. Default of transparent
+ * @returns {void}
+ */
+function remapPixels(ctx, width, height, sourcePixel, fillColor = [0, 0, 0, 0]) {
+	const data = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+	const out = getBackend().createImageData(width, height);
+	const fillA = fillColor[3] ?? 255;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const o = (y * width + x) * 4;
+			const s = sourcePixel(x, y) * 4;
+			if (s < 0) {
+				out.data[o] = fillColor[0];
+				out.data[o + 1] = fillColor[1];
+				out.data[o + 2] = fillColor[2];
+				out.data[o + 3] = fillA;
+				continue;
+			}
+			out.data[o] = data.data[s];
+			out.data[o + 1] = data.data[s + 1];
+			out.data[o + 2] = data.data[s + 2];
+			out.data[o + 3] = data.data[s + 3];
+		}
+	}
+
+	if (ctx.canvas.width !== width || ctx.canvas.height !== height) {
+		ctx.canvas.width = width;
+		ctx.canvas.height = height;
+	}
+	ctx.putImageData(out, 0, 0);
+}
+
+
+// Materials
+
+
+/** @typedef {"metallic" | "roughness" | "smoothness" | "occlusion" | "detailMask"} MaterialMapName */
+
+/** @typedef {"hdrpMask" | "urpMetallic" | "unrealORM" | "gltfMetallicRoughness"} MaterialPreset */
+
+/**
+ * Greyscale maps by name. Contexts are read from their R channel. A number 0-255 is used as the value of the whole map.
+ * @typedef {Partial<Record<MaterialMapName, ImageContext | number>>} MaterialMaps
+ */
+
+/**
+ * Which map goes into each channel of the packed texture for each preset. Channels without a map are 0, or 255 for Alpha.
+ * - hdrpMask: Unity HDRP mask map (MODS). Metallic, occlusion, detail mask and smoothness.
+ * - urpMetallic: Unity URP and built-in metallic map. Metallic in RGB and smoothness in Alpha.
+ * - unrealORM: Unreal occlusion, roughness and metallic.
+ * - gltfMetallicRoughness: glTF metallicRoughnessTexture. Roughness in G and metallic in B. Occlusion goes in R which lets the same texture be the occlusionTexture.
+ * @type {Record<MaterialPreset, Partial<Record<Channel, MaterialMapName>>>}
+ */
+const materialPresets = {
+	hdrpMask: { R: "metallic", G: "occlusion", B: "detailMask", A: "smoothness" },
+	urpMetallic: { R: "metallic", G: "metallic", B: "metallic", A: "smoothness" },
+	unrealORM: { R: "occlusion", G: "roughness", B: "metallic" },
+	gltfMetallicRoughness: { R: "occlusion", G: "roughness", B: "metallic" }
+};
+
+/**
+ * What maps which weren't given are filled with. Non metals with no occlusion, a full detail mask and a middle roughness.
+ * @type {Record<MaterialMapName, number>}
+ */
+const materialMapDefaults = { metallic: 0, roughness: 128, smoothness: 127, occlusion: 255, detailMask: 255 };
+
+// The reflectance of non metals, which is what metallic/roughness materials assume
+const dielectricSpecular = 0.04;
+
+/**
+ * Packs greyscale material maps into the texture an engine expects. Built on pack.
+ *
+ * Roughness and smoothness are inverted from each other when the preset wants the one that wasn't given. Any other missing maps are filled with defaults:
+ * 0 metallic, 255 occlusion, 255 detail mask and a roughness of 128.
+ * @param {MaterialMaps} maps
+ * @param {MaterialPreset} preset
+ * @param {number} sizeX The width of the packed texture.
+ * @param {number} [sizeY] The height of the packed texture.
+ * @param {ResampleOptions} [resampleOptions] How maps are resized if they aren't the same size as the packed texture.
+ * @returns {ImageContext}
+ *
+ * @example
+ * // Makes an HDRP mask map from Unreal style maps. The roughness is inverted into smoothness and the detail mask is white
+ * const maskMap = packMaterial({ metallic: metallicContext, occlusion: aoContext, roughness: roughnessContext }, "hdrpMask", 2048);
+ *
+ * @example
+ * // A glTF texture for a fully metallic material
+ * const metallicRoughness = packMaterial({ roughness: roughnessContext, metallic: 255 }, "gltfMetallicRoughness", 1024);
+ */
+function packMaterial(maps, preset, sizeX, sizeY = sizeX, resampleOptions) {
+	const layout = getMaterialPreset(preset);
+	/** @type {Map<ImageContext, ChannelExpressions>} */
+	const sources = new Map();
+	/** @type {ChannelExpressions} */
+	const constants = {};
+
+	for (const channel of /** @type {Array<Channel>} */ (["R", "G", "B", "A"])) {
+		const name = layout[channel];
+		if (!name) {
+			constants[channel] = channel === "A" ? "1" : "0";
+			continue;
+		}
+
+		let source = maps[name];
+		let inverted = false;
+		if (source === undefined && (name === "roughness" || name === "smoothness")) {
+			source = maps[name === "roughness" ? "smoothness" : "roughness"];
+			inverted = source !== undefined;
+		}
+		if (source === undefined) source = materialMapDefaults[name];
+
+		if (typeof source === "number") {
+			if (!Number.isFinite(source) || source < 0 || source > 255) throw new Error(`The ${name} map must be a context or a number 0-255`);
+			constants[channel] = String((inverted ? 255 - source : source) / 255);
+			continue;
+		}
+		const channels = sources.get(source) || {};
+		channels[channel] = inverted ? "1 - R" : "R";
+		sources.set(source, channels);
+	}
+
+	/** @type {Array<{ data: ImageContext, channels: ChannelExpressions }>} */
+	const images = [];
+	sources.forEach((channels, data) => images.push({ data, channels }));
+	// Constants are expressions on a blank image, so they don't need their own pass
+	if (Object.keys(constants).length) images.push({ data: getBackend().createContext(sizeX, sizeY), channels: constants });
+	return pack(images, sizeX, sizeY, resampleOptions);
+}
+
+/**
+ * Separates a texture packed with a preset back into greyscale maps. Both roughness and smoothness are returned, one inverted from the other.
+ * @param {ImageContext} ctx The packed texture.
+ * @param {MaterialPreset} preset
+ * @returns {Partial<Record<MaterialMapName, ImageContext>>} Opaque greyscale contexts of the maps in the preset.
+ *
+ * @example
+ * // Gets the maps out of an HDRP mask map and packs them for Unreal
+ * const maps = unpackMaterial(maskMapContext, "hdrpMask");
+ * const orm = packMaterial(maps, "unrealORM", maskMapContext.canvas.width);
+ */
+function unpackMaterial(ctx, preset) {
+	const layout = getMaterialPreset(preset);
+	const width = ctx.canvas.width;
+	const height = ctx.canvas.height;
+	const data = ctx.getImageData(0, 0, width, height);
+
+	/** @type {Partial<Record<MaterialMapName, { channel: number, inverted: boolean }>>} */
+	const reads = {};
+	for (const channel of /** @type {Array<Channel>} */ (["R", "G", "B", "A"])) {
+		const name = layout[channel];
+		// The first channel wins when a map is in more than one, like metallic in urpMetallic
+		if (name && !reads[name]) reads[name] = { channel: channelIndexes[channel], inverted: false };
+	}
+	if (reads.roughness && !reads.smoothness) reads.smoothness = { channel: reads.roughness.channel, inverted: true };
+	if (reads.smoothness && !reads.roughness) reads.roughness = { channel: reads.smoothness.channel, inverted: true };
+
+	/** @type {Partial<Record<MaterialMapName, ImageContext>>} */
+	const maps = {};
+	for (const name of /** @type {Array<MaterialMapName>} */ (Object.keys(reads))) {
+		const read = /** @type {{ channel: number, inverted: boolean }} */ (reads[name]);
+		const map = getBackend().createImageData(width, height);
+		for (let i = 0; i < data.data.length; i += 4) {
+			const value = read.inverted ? 255 - data.data[i + read.channel] : data.data[i + read.channel];
+			map.data[i] = value;
+			map.data[i + 1] = value;
+			map.data[i + 2] = value;
+			map.data[i + 3] = 255;
+		}
+		const mapContext = getBackend().createContext(width, height);
+		mapContext.putImageData(map, 0, 0);
+		maps[name] = mapContext;
+	}
+	return maps;
+}
+
+/**
+ * Converts between roughness and smoothness (also called glossiness) by inverting a channel. Both are perceptual, so the conversion is the same in both directions.
+ * @param {PixelData} data Image data.
+ * @param {Channel} [channel] The channel holding the roughness or smoothness. Default of "A" which is where Unity keeps smoothness
+ * @param {Region} [region] Limits the conversion to a rectangle or mask. Default of the whole image
+ * @returns {void} The image data is written to directly.
+ *
+ * @example
+ * // Turns the smoothness in the Alpha of a Unity metallic map into roughness
+ * invertSmoothness(imageData);
+ *
+ * @example
+ * // Turns an Unreal ORM roughness into smoothness
+ * invertSmoothness(imageData, "G");
+ */
+function invertSmoothness(data, channel = "A", region) {
+	if (!isChannel(channel)) throw new Error(`Unknown channel ${channel}. Expected one of R, G, B or A`);
+	if (region) return applyInRegion(data, region, crop => invertSmoothness(crop, channel));
+	for (let i = 0; i < data.data.length; i += 4) invertSmoothnessFrame(data, channel, i);
+}
+
+/**
+ * Function that actually inverts the roughness or smoothness of a frame.
+ *
+ * This function is just for optimization when you are running your own passes on the image data and applying your own processing on top of this effect.
+ * @param {PixelData} data Image data.
+ * @param {Channel} channel The channel holding the roughness or smoothness.
+ * @param {number} i Index of data to start inverting at. Applies at i plus the index of the channel.
+ * @returns {void} The image data is written to directly.
+ */
+function invertSmoothnessFrame(data, channel, i) {
+	const index = i + channelIndexes[channel];
+	data.data[index] = 255 - data.data[index];
+}
+
+/**
+ * Converts a specular/glossiness material to metallic/roughness. Done in linear space with the same approach as the glTF specular/glossiness converters,
+ * which solves for how metallic each pixel is from how bright its diffuse and specular are. Partly metallic pixels can only be approximated.
+ * @param {ImageContext} diffuse The diffuse color. Its Alpha is kept in the base color.
+ * @param {ImageContext | number} specular The specular color, or a greyscale specular 0-255 for the whole material.
+ * @param {ImageContext | number} [glossiness] Greyscale glossiness read from R, or a glossiness 0-255 for the whole material. Default of the Alpha of the specular map, or 255 for a number specular
+ * @param {ResampleOptions} [resampleOptions] How maps are resized if they aren't the same size as the diffuse.
+ * @returns {{ baseColor: ImageContext, metallic: ImageContext, roughness: ImageContext }} New contexts the size of the diffuse. metallic and roughness are opaque greyscale.
+ *
+ * @example
+ * const { baseColor, metallic, roughness } = specGlossToMetalRough(diffuseContext, specularContext);
+ * const orm = packMaterial({ metallic, roughness, occlusion: aoContext }, "unrealORM", baseColor.canvas.width);
+ */
+function specGlossToMetalRough(diffuse, specular, glossiness, resampleOptions) {
+	const width = diffuse.canvas.width;
+	const height = diffuse.canvas.height;
+	const diffuseData = diffuse.getImageData(0, 0, width, height);
+	const specularData = getMaterialMapData(specular, width, height, "specular", resampleOptions);
+	const glossinessData = glossiness === undefined ? undefined : getMaterialMapData(glossiness, width, height, "glossiness", resampleOptions);
+	const toLinear = getSRGBToLinearTable();
+
+	const baseColor = getBackend().createImageData(width, height);
+	const metallic = getBackend().createImageData(width, height);
+	const roughness = getBackend().createImageData(width, height);
+	for (let i = 0; i < diffuseData.data.length; i += 4) {
+		const diffuseColor = [toLinear[diffuseData.data[i]], toLinear[diffuseData.data[i + 1]], toLinear[diffuseData.data[i + 2]]];
+		const specularColor = [toLinear[specularData.data[i]], toLinear[specularData.data[i + 1]], toLinear[specularData.data[i + 2]]];
+		const oneMinusSpecularStrength = 1 - Math.max(specularColor[0], specularColor[1], specularColor[2]);
+		const metalness = solveMetallic(perceivedBrightness(diffuseColor), perceivedBrightness(specularColor), oneMinusSpecularStrength);
+
+		// Metals get their color from the specular and non metals from the diffuse, blended by how metallic the pixel is
+		const blend = metalness * metalness;
+		for (let c = 0; c < 3; c++) {
+			const fromDiffuse = diffuseColor[c] * oneMinusSpecularStrength / (1 - dielectricSpecular) / Math.max(1 - metalness, 1e-4);
+			const fromSpecular = (specularColor[c] - dielectricSpecular * (1 - metalness)) / Math.max(metalness, 1e-4);
+			baseColor.data[i + c] = Math.round(linearToSRGB(clamp(0, 1, lerp(fromDiffuse, fromSpecular, blend))) * 255);
+		}
+		baseColor.data[i + 3] = diffuseData.data[i + 3];
+
+		const gloss = glossinessData ? glossinessData.data[i] : (typeof specular === "number" ? 255 : specularData.data[i + 3]);
+		writeGreyscale(metallic, i, Math.round(metalness * 255));
+		writeGreyscale(roughness, i, 255 - gloss);
+	}
+
+	return { baseColor: pixelDataToContext(baseColor), metallic: pixelDataToContext(metallic), roughness: pixelDataToContext(roughness) };
+}
+
+/**
+ * Converts a metallic/roughness material to specular/glossiness using the glTF definitions, where non metals reflect 4% and metals are tinted by their base color.
+ * Metals have no diffuse, so the diffuse is the base color darkened by how metallic it is. specGlossToMetalRough converts fully metallic and non metallic pixels back exactly.
+ * @param {ImageContext} baseColor The base color. Its Alpha is kept in the diffuse.
+ * @param {ImageContext | number} metallic Greyscale metallic read from R, or a metallic 0-255 for the whole material.
+ * @param {ImageContext | number} roughness Greyscale roughness read from R, or a roughness 0-255 for the whole material.
+ * @param {ResampleOptions} [resampleOptions] How maps are resized if they aren't the same size as the base color.
+ * @returns {{ diffuse: ImageContext, specular: ImageContext, glossiness: ImageContext }} New contexts the size of the base color. specular has the glossiness in its Alpha like Unity's specular setup.
+ *
+ * @example
+ * const { diffuse, specular } = metalRoughToSpecGloss(baseColorContext, metallicContext, roughnessContext);
+ */
+function metalRoughToSpecGloss(baseColor, metallic, roughness, resampleOptions) {
+	const width = baseColor.canvas.width;
+	const height = baseColor.canvas.height;
+	const baseData = baseColor.getImageData(0, 0, width, height);
+	const metallicData = getMaterialMapData(metallic, width, height, "metallic", resampleOptions);
+	const roughnessData = getMaterialMapData(roughness, width, height, "roughness", resampleOptions);
+	const toLinear = getSRGBToLinearTable();
+
+	const diffuse = getBackend().createImageData(width, height);
+	const specular = getBackend().createImageData(width, height);
+	const glossiness = getBackend().createImageData(width, height);
+	for (let i = 0; i < baseData.data.length; i += 4) {
+		const metalness = metallicData.data[i] / 255;
+		for (let c = 0; c < 3; c++) {
+			const base = toLinear[baseData.data[i + c]];
+			diffuse.data[i + c] = Math.round(linearToSRGB(base * (1 - metalness)) * 255);
+			specular.data[i + c] = Math.round(linearToSRGB(lerp(dielectricSpecular, base, metalness)) * 255);
+		}
+		const gloss = 255 - roughnessData.data[i];
+		diffuse.data[i + 3] = baseData.data[i + 3];
+		specular.data[i + 3] = gloss;
+		writeGreyscale(glossiness, i, gloss);
+	}
+
+	return { diffuse: pixelDataToContext(diffuse), specular: pixelDataToContext(specular), glossiness: pixelDataToContext(glossiness) };
+}
+
+/**
+ * @param {MaterialPreset} preset
+ * @returns {Partial<Record<Channel, MaterialMapName>>}
+ */
+function getMaterialPreset(preset) {
+	if (!Object.prototype.hasOwnProperty.call(materialPresets, preset)) throw new Error(`Unknown material preset ${preset}. Expected one of ${Object.keys(materialPresets).join(", ")}`);
+	return materialPresets[preset];
+}
+
+/**
+ * Gets the pixels of a material map at a size. Numbers become a greyscale image of that value.
+ * @param {ImageContext | number} map
+ * @param {number} width
+ * @param {number} height
+ * @param {string} name Used in errors.
+ * @param {ResampleOptions} [resampleOptions]
+ * @returns {PixelData}
+ */
+function getMaterialMapData(map, width, height, name, resampleOptions) {
+	if (typeof map !== "number") return getImageDataAtSize(map, width, height, resampleOptions);
+	if (!Number.isFinite(map) || map < 0 || map > 255) throw new Error(`The ${name} map must be a context or a number 0-255`);
+	const data = getBackend().createImageData(width, height);
+	data.data.fill(Math.round(map));
+	return data;
+}
+
+/**
+ * Solves how metallic a pixel is from the brightness of its diffuse and specular colors.
+ * @param {number} diffuse Perceived brightness of the linear diffuse color.
+ * @param {number} specular Perceived brightness of the linear specular color.
+ * @param {number} oneMinusSpecularStrength
+ * @returns {number} 0-1
+ */
+function solveMetallic(diffuse, specular, oneMinusSpecularStrength) {
+	if (specular < dielectricSpecular) return 0;
+	const a = dielectricSpecular;
+	const b = diffuse * oneMinusSpecularStrength / (1 - dielectricSpecular) + specular - 2 * dielectricSpecular;
+	const c = dielectricSpecular - specular;
+	const discriminant = Math.max(0, b * b - 4 * a * c);
+	return clamp(0, 1, (-b + Math.sqrt(discriminant)) / (2 * a));
+}
+
+/**
+ * @param {Array<number>} color Linear RGB.
+ * @returns {number}
+ */
+function perceivedBrightness(color) {
+	return Math.sqrt(0.299 * color[0] * color[0] + 0.587 * color[1] * color[1] + 0.114 * color[2] * color[2]);
+}
+
+/**
+ * @param {PixelData} data
+ * @param {number} i
+ * @param {number} value
+ * @returns {void}
+ */
+function writeGreyscale(data, i, value) {
+	data.data[i] = value;
+	data.data[i + 1] = value;
+	data.data[i + 2] = value;
+	data.data[i + 3] = 255;
+}
+
+/**
+ * @param {PixelData} data
+ * @returns {ImageContext}
+ */
+function pixelDataToContext(data) {
+	const ctx = getBackend().createContext(data.width, data.height);
+	ctx.putImageData(data, 0, 0);
+	return ctx;
+}
+
+
+// Comparison
+
+
+/**
+ * @typedef {Object} ChannelError
+ * @property {number} maxError The largest absolute difference 0-255.
+ * @property {number} meanError The mean absolute difference 0-255.
+ * @property {number} rmse Root mean square error 0-255.
+ * @property {number} psnr Peak signal to noise ratio in decibels. Infinity when the images are the same.
+ * @property {number} ssim Structural similarity in the range of -1 to 1 where 1 is the same. Done with an 11x11 Gaussian window with a sigma of 1.5.
+ */
+
+/**
+ * @typedef {Object} CompareOptions
+ * @property {number} [tolerance] int 0-255 of how much a channel can differ before its pixel counts as different. Default of 0
+ * @property {number} [maxDifferentPixels] float 0-1 of the fraction of pixels which can be different for the comparison to still pass. Default of 0
+ * @property {Array<Channel>} [channels] Which channels are compared. Default of all channels
+ * @property {"heatmap" | "channels" | "none"} [diff] The kind of diff image. heatmap colors different pixels from blue to red to yellow by their largest channel difference.
+ * channels shows the R, G and B differences in their own channels and Alpha differences as white. Both are scaled so the largest difference is at full brightness
+ * and pixels which aren't different are a dimmed greyscale of the first image. Default of "heatmap"
+ */
+
+/**
+ * @typedef {Object} CompareResult
+ * @property {boolean} pass Whether no more than maxDifferentPixels of the pixels are different.
+ * @property {number} differentPixels How many pixels have a channel which differs by more than the tolerance.
+ * @property {number} maxError Of the compared channels.
+ * @property {number} meanError Of the compared channels.
+ * @property {number} rmse Of the compared channels.
+ * @property {number} psnr Of the compared channels.
+ * @property {number} ssim The mean of the compared channels.
+ * @property {Partial<Record<Channel, ChannelError>>} channels The errors of each compared channel.
+ * @property {ImageContext | undefined} diff undefined when the diff option is none.
+ */
+
+// Based on the dynamic range of 8 bit channels, as in the SSIM paper
+const ssimC1 = (0.01 * 255) ** 2;
+const ssimC2 = (0.03 * 255) ** 2;
+
+/** @type {Gradient | undefined} */
+let heatmapGradient = undefined;
+
+/**
+ * Compares two images of the same size, such as a golden image and the output of a change to your texture pipeline.
+ * @param {ImageContext} a The context of the expected image. The diff is drawn over this one.
+ * @param {ImageContext} b The context of the image to check.
+ * @param {CompareOptions} [options]
+ * @returns {CompareResult}
+ *
+ * @example
+ * // Fails if any channel of any pixel is off by more than 2
+ * const result = compare(goldenContext, outputContext, { tolerance: 2 });
+ * if (!result.pass) fs.writeFileSync("./diff.png", result.diff.canvas.toBuffer("image/png"));
+ *
+ * @example
+ * // Only checks the color and allows 0.1% of the pixels to be different
+ * const { pass, psnr, ssim } = compare(goldenContext, outputContext, { channels: ["R", "G", "B"], tolerance: 1, maxDifferentPixels: 0.001, diff: "none" });
+ */
+function compare(a, b, options = {}) {
+	const {
+		tolerance = 0,
+		maxDifferentPixels = 0,
+		channels = /** @type {Array<Channel>} */ (["R", "G", "B", "A"]),
+		diff = "heatmap"
+	} = options;
+	validateNumber("tolerance", tolerance);
+	validateNumber("maxDifferentPixels", maxDifferentPixels);
+	if (channels.length === 0) throw new Error("At least one channel has to be compared");
+	for (const channel of channels) {
+		if (!isChannel(channel)) throw new Error(`${channel} is not a channel. Expected one of R, G, B or A`);
+	}
+	if (diff !== "heatmap" && diff !== "channels" && diff !== "none") throw new Error(`Unknown diff ${diff}. Expected one of heatmap, channels or none`);
+
+	const width = a.canvas.width;
+	const height = a.canvas.height;
+	if (b.canvas.width !== width || b.canvas.height !== height) throw new Error(`Can't compare a ${width}x${height} image with a ${b.canvas.width}x${b.canvas.height} image`);
+	const aData = a.getImageData(0, 0, width, height);
+	const bData = b.getImageData(0, 0, width, height);
+	const pixels = width * height;
+	const indexes = channels.map(channel => channelIndexes[channel]);
+
+	const maxErrors = [0, 0, 0, 0];
+	const errorSums = [0, 0, 0, 0];
+	const squaredSums = [0, 0, 0, 0];
+	// The largest difference of each pixel, or -1 when it isn't different. Kept for the diff image
+	const pixelErrors = new Int16Array(pixels);
+	let differentPixels = 0;
+	let largestError = 0;
+	for (let p = 0; p < pixels; p++) {
+		const i = p * 4;
+		let pixelError = 0;
+		for (const c of indexes) {
+			const error = Math.abs(aData.data[i + c] - bData.data[i + c]);
+			if (error > maxErrors[c]) maxErrors[c] = error;
+			errorSums[c] += error;
+			squaredSums[c] += error * error;
+			if (error > pixelError) pixelError = error;
+		}
+		if (pixelError > tolerance) {
+			differentPixels++;
+			pixelErrors[p] = pixelError;
+			if (pixelError > largestError) largestError = pixelError;
+		} else pixelErrors[p] = -1;
+	}
+
+	const ssims = compareSSIM(aData, bData);
+	/** @type {Partial<Record<Channel, ChannelError>>} */
+	const channelErrors = {};
+	let squaredTotal = 0;
+	for (const channel of channels) {
+		const c = channelIndexes[channel];
+		const rmse = Math.sqrt(squaredSums[c] / pixels);
+		squaredTotal += squaredSums[c];
+		channelErrors[channel] = { maxError: maxErrors[c], meanError: errorSums[c] / pixels, rmse, psnr: errorToPSNR(rmse), ssim: ssims[c] };
+	}
+	const rmse = Math.sqrt(squaredTotal / (pixels * channels.length));
+
+	return {
+		pass: differentPixels <= maxDifferentPixels * pixels,
+		differentPixels,
+		maxError: Math.max(...indexes.map(c => maxErrors[c])),
+		meanError: indexes.reduce((sum, c) => sum + errorSums[c], 0) / (pixels * channels.length),
+		rmse,
+		psnr: errorToPSNR(rmse),
+		ssim: indexes.reduce((sum, c) => sum + ssims[c], 0) / channels.length,
+		channels: channelErrors,
+		diff: diff === "none" ? undefined : createDiffImage(aData, bData, indexes, pixelErrors, largestError, diff)
+	};
+}
+
+/**
+ * @param {number} rmse
+ * @returns {number}
+ */
+function errorToPSNR(rmse) {
+	return rmse === 0 ? Infinity : 20 * Math.log10(255 / rmse);
+}
+
+/**
+ * Gets the mean SSIM of every channel, with the local means, variances and covariance blurred by a Gaussian window.
+ * @param {PixelData} a
+ * @param {PixelData} b
+ * @returns {[number, number, number, number]}
+ */
+function compareSSIM(a, b) {
+	const length = a.data.length;
+	const aValues = Float32Array.from(a.data);
+	const bValues = Float32Array.from(b.data);
+	const aSquared = new Float32Array(length);
+	const bSquared = new Float32Array(length);
+	const ab = new Float32Array(length);
+	for (let i = 0; i < length; i++) {
+		aSquared[i] = aValues[i] * aValues[i];
+		bSquared[i] = bValues[i] * bValues[i];
+		ab[i] = aValues[i] * bValues[i];
+	}
+
+	const kernel = gaussianKernel(5, 1.5);
+	const sum = kernelSum(kernel);
+	/** @param {Float32Array} values */
+	const blur = values => convolveFloat(values, a.width, a.height, kernel, "clamp").map(value => value / sum);
+	const meanA = blur(aValues);
+	const meanB = blur(bValues);
+	const meanASquared = blur(aSquared);
+	const meanBSquared = blur(bSquared);
+	const meanAB = blur(ab);
+
+	/** @type {[number, number, number, number]} */
+	const ssims = [0, 0, 0, 0];
+	for (let i = 0; i < length; i++) {
+		const muA = meanA[i];
+		const muB = meanB[i];
+		const varianceA = meanASquared[i] - muA * muA;
+		const varianceB = meanBSquared[i] - muB * muB;
+		const covariance = meanAB[i] - muA * muB;
+		ssims[i % 4] += ((2 * muA * muB + ssimC1) * (2 * covariance + ssimC2)) / ((muA * muA + muB * muB + ssimC1) * (varianceA + varianceB + ssimC2));
+	}
+	const pixels = length / 4;
+	return [ssims[0] / pixels, ssims[1] / pixels, ssims[2] / pixels, ssims[3] / pixels];
+}
+
+/**
+ * @param {PixelData} a
+ * @param {PixelData} b
+ * @param {Array<number>} indexes The channel indexes which were compared.
+ * @param {Int16Array} pixelErrors
+ * @param {number} largestError
+ * @param {"heatmap" | "channels"} mode
+ * @returns {ImageContext}
+ */
+function createDiffImage(a, b, indexes, pixelErrors, largestError, mode) {
+	if (!heatmapGradient) {
+		heatmapGradient = createGradient([
+			{ position: 0, color: [0, 0, 255] },
+			{ position: 0.5, color: [255, 0, 0] },
+			{ position: 1, color: [255, 255, 0] }
+		]);
+	}
+	const heat = createGradientTable(heatmapGradient);
+	const scale = largestError ? 255 / largestError : 0;
+
+	const out = getBackend().createImageData(a.width, a.height);
+	for (let p = 0; p < pixelErrors.length; p++) {
+		const i = p * 4;
+		out.data[i + 3] = 255;
+		if (pixelErrors[p] === -1) {
+			// Dim enough that the different pixels stand out
+			const luma = Math.round((0.2126 * a.data[i] + 0.7152 * a.data[i + 1] + 0.0722 * a.data[i + 2]) * (a.data[i + 3] / 255) * 0.25);
+			out.data[i] = luma;
+			out.data[i + 1] = luma;
+			out.data[i + 2] = luma;
+			continue;
+		}
+
+		if (mode === "heatmap") {
+			const h = Math.round(pixelErrors[p] * scale) * 4;
+			out.data[i] = heat[h];
+			out.data[i + 1] = heat[h + 1];
+			out.data[i + 2] = heat[h + 2];
+			continue;
+		}
+
+		const alphaError = indexes.includes(3) ? Math.abs(a.data[i + 3] - b.data[i + 3]) : 0;
+		for (let c = 0; c < 3; c++) {
+			const error = indexes.includes(c) ? Math.abs(a.data[i + c] - b.data[i + c]) : 0;
+			out.data[i + c] = Math.round(Math.max(error, alphaError) * scale);
+		}
+	}
+
+	const ctx = getBackend().createContext(a.width, a.height);
+	ctx.putImageData(out, 0, 0);
+	return ctx;
+}
+
+
+module.exports = {
+	normalDefaultRGB,
+	channelIndexes,
+	isChannel,
+	swizzle,
+	swizzleFrame,
+	bumpScale,
+	bumpScaleFrame,
+	tint,
+	tintFrame,
+	tile,
+	offset,
+	resize,
+	flip,
+	duplicate,
+	mask,
+	pack,
+	unpack,
+	image2Context,
+	tint2Mult,
+	lerp,
+	clamp,
+	fill,
+	linearToSRGB,
+	sRGBToLinear,
+	hdrToSdr,
+	createPipeline,
+	swizzleAsync,
+	bumpScaleAsync,
+	tintAsync,
+	terminateWorkers,
+	createHDRImageData,
+	imageDataToHDR,
+	swizzleHDR,
+	tintHDR,
+	tintHDRFrame,
+	linearToSRGBHDR,
+	sRGBToLinearHDR,
+	tonemapHDR,
+	decodeHDR,
+	encodeHDR,
+	tonemappers,
+	registerTonemapper,
+	computeAutoExposure,
+	decodeCube,
+	encodeCube,
+	applyLUT,
+	applyLUTFrame,
+	bakeLUT,
+	normalizeNormals,
+	normalizeNormalsFrame,
+	flipNormalGreen,
+	flipNormalGreenFrame,
+	heightToNormal,
+	blendNormals,
+	blendNormalsFrame,
+	resample,
+	convolutionKernels,
+	gaussianKernel,
+	boxKernel,
+	convolve,
+	gaussianBlur,
+	boxBlur,
+	unsharpMask,
+	sobel,
+	laplacian,
+	emboss,
+	blend,
+	makeSeamless,
+	packAtlas,
+	atlasToJSON,
+	generateMipmaps,
+	compileChannelExpressions,
+	packExpressions,
+	swizzleExpressions,
+	swizzleExpressionsFrame,
+	createRegionWeights,
+	rgbToHsv,
+	hsvToRgb,
+	rgbToHsl,
+	hslToRgb,
+	rgbToLab,
+	labToRgb,
+	rgbToLch,
+	lchToRgb,
+	rgbToOklab,
+	oklabToRgb,
+	rgbToOklch,
+	oklchToRgb,
+	hueShift,
+	hueShiftFrame,
+	adjustSaturation,
+	adjustSaturationFrame,
+	adjustLightness,
+	adjustLightnessFrame,
+	vibrance,
+	vibranceFrame,
+	colorize,
+	colorizeFrame,
+	quantize,
+	analyze,
+	autoLevels,
+	levels,
+	levelsFrame,
+	createLevelsTables,
+	curves,
+	curvesFrame,
+	createCurvesTables,
+	createGradient,
+	sampleGradient,
+	gradientMap,
+	gradientMapFrame,
+	createGradientTable,
+	renderGradient,
+	noise,
+	renderNoise,
+	renderTimeline,
+	sampleTrack,
+	createFlipbook,
+	encodeGIF,
+	setBackend,
+	getBackend,
+	createNodeCanvasBackend,
+	createOffscreenCanvasBackend,
+	createBufferBackend,
+	rotate,
+	transpose,
+	crop,
+	pad,
+	packMaterial,
+	unpackMaterial,
+	invertSmoothness,
+	invertSmoothnessFrame,
+	specGlossToMetalRough,
+	metalRoughToSpecGloss,
+	compare
+}
+
+Object.defineProperty(module.exports, workerEntryKey, { value: runPipelineSteps });
@@ -0,0 +1,138 @@
+// @ts-check
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const shaderExt = require("../index.js");
+const cli = require("../cli.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/** @type {Array<string>} */
+const temporaryDirs = [];
+after(() => temporaryDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Creates empty files in a new temporary directory which is removed after the tests.
+ * @param {Array<string>} files Paths relative to the directory.
+ * @returns {string} The directory.
+ */
+function createTree(files) {
+	const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "canvasshaderext-")));
+	temporaryDirs.push(dir);
+	for (const file of files) {
+		fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+		fs.writeFileSync(path.join(dir, file), "");
+	}
+	return dir;
+}
+
+/**
+ * Runs the command line, returning what it logged.
+ * @param {import("node:test").TestContext} t
+ * @param {Array<string>} argv
+ * @returns {Promise<{ code: number, lines: Array<string> }>}
+ */
+async function runCLI(t, argv) {
+	/** @type {Array<string>} */
+	const lines = [];
+	t.mock.method(console, "log", (/** @type {string} */ line) => lines.push(line));
+	const code = await cli.main(argv);
+	t.mock.restoreAll();
+	return { code, lines };
+}
+
+test("formatTemplate fills in the parts of the input path", () => {
+	const input = path.join("/textures", "rock.albedo.png");
+	assert.strictEqual(cli.formatTemplate("{dir}/{name}_orange.{ext}", input), `${path.dirname(input)}/rock.albedo_orange.png`);
+	assert.strictEqual(cli.formatTemplate("out/{name}_{channel}.png", input, "G"), "out/rock.albedo_G.png");
+	assert.throws(() => cli.formatTemplate("{name}_{channel}.png", input), /Unknown template variable \{channel\}/);
+	assert.throws(() => cli.formatTemplate("{size}.png", input, "R"), /Unknown template variable \{size\}. Expected \{dir\}, \{name\}, \{ext\} or \{channel\}/);
+});
+
+test("expandGlob matches *, **, ? and alternatives relative to a directory", () => {
+	const dir = createTree(["a.png", "b.png", "c.jpg", "ab.png", "a-png", "nested/d.png", "nested/deeper/e.png"]);
+	/** @param {string} pattern */
+	const expand = pattern => cli.expandGlob(pattern, dir).map(file => path.relative(dir, file).split(path.sep).join("/"));
+
+	assert.deepStrictEqual(expand("*.png"), ["a.png", "ab.png", "b.png"]);
+	assert.deepStrictEqual(expand("?.png"), ["a.png", "b.png"]);
+	assert.deepStrictEqual(expand("**/*.png"), ["a.png", "ab.png", "b.png", "nested/d.png", "nested/deeper/e.png"]);
+	assert.deepStrictEqual(expand("nested/**/*.png"), ["nested/d.png", "nested/deeper/e.png"]);
+	assert.deepStrictEqual(expand("*.{jpg,png}"), ["a.png", "ab.png", "b.png", "c.jpg"]);
+	// Patterns without wildcards only match a file that exists
+	assert.deepStrictEqual(expand("c.jpg"), ["c.jpg"]);
+	assert.deepStrictEqual(expand("missing.png"), []);
+	// Dots are matched literally
+	assert.deepStrictEqual(expand("a.*"), ["a.png"]);
+});
+
+test("validateRecipe throws for mistakes before anything is processed", () => {
+	/**
+	 * @param {Array<Record<string, any>>} steps
+	 * @param {string} [output]
+	 */
+	const validate = (steps, output = "out/{name}.png") => cli.validateRecipe({ input: "*.png", output, steps: /** @type {any} */ (steps) });
+
+	validate([{ op: "swizzle", map: { R: "B" } }, { op: "expressions", map: { G: "1 - G" } }, { op: "bumpScale", scale: 2 }, { op: "unpack" }], "out/{name}_{channel}.png");
+	assert.throws(() => cli.validateRecipe(/** @type {any} */ ({ output: "x.png", steps: [{ op: "unpack" }] })), /needs an input glob/);
+	assert.throws(() => cli.validateRecipe(/** @type {any} */ ({ input: "*.png", steps: [{ op: "unpack" }] })), /needs an output naming template/);
+	assert.throws(() => validate([]), /at least one step/);
+	assert.throws(() => validate([{ op: "blur" }]), /Step 0 \(blur\) isn't an operation/);
+	assert.throws(() => validate([{ op: "tint", color: [255, 128] }]), /needs a color of \[r, g, b\]/);
+	assert.throws(() => validate([{ op: "swizzle", map: { G: "1 - G" } }]), /can only copy channels, but has G=1 - G. Use expressions/);
+	assert.throws(() => validate([{ op: "swizzle", map: { toString: "R" } }]), /can only copy channels/);
+	assert.throws(() => validate([{ op: "expressions", map: { G: "1 - " } }]), /Invalid channel expression for G/);
+	assert.throws(() => validate([{ op: "pack", images: [], channels: { R: "src1.R" } }]), /There is no src1/);
+	assert.throws(() => validate([{ op: "unpack" }, { op: "flip", direction: "vertical" }]), /Step 0 \(unpack\) has to be the last step/);
+	assert.throws(() => validate([{ op: "unpack" }]), /needs \{channel\}/);
+	assert.throws(() => validate([{ op: "mask", mask: "m.png", channel: "constructor" }]), /needs a channel of R, G, B or A/);
+	assert.throws(() => validate([{ op: "flip", direction: "diagonal" }]), /needs a direction of horizontal or vertical/);
+});
+
+test("command line paths are relative to the current directory", () => {
+	const step = cli.stepFromArgs("mask", { mask: path.join("masks", "m.png"), channel: "R" });
+	assert.strictEqual(step.mask, path.resolve("masks", "m.png"));
+});
+
+test("swizzle copies the key channel into the value channel while expressions write the key channel", async () => {
+	const ctx = shaderExt.getBackend().createContext(1, 1);
+	ctx.putImageData({ data: new Uint8ClampedArray([10, 20, 30, 255]), width: 1, height: 1 }, 0, 0);
+	await cli.applyStep(/** @type {any} */ (ctx), cli.stepFromArgs("swizzle", { map: ["R=B"] }), "a.png");
+	assert.deepStrictEqual(Array.from(ctx.getImageData(0, 0, 1, 1).data), [10, 20, 10, 255]);
+	await cli.applyStep(/** @type {any} */ (ctx), cli.stepFromArgs("expressions", { map: ["R=G", "G=1 - G"] }), "a.png");
+	assert.deepStrictEqual(Array.from(ctx.getImageData(0, 0, 1, 1).data), [20, 235, 10, 255]);
+});
+
+test("--dry-run lists the outputs of a recipe relative to the recipe file", async t => {
+	const dir = createTree(["textures/normals/rock.png", "textures/normals/sand.png", "textures/normals/notes.txt"]);
+	const recipe = path.join(dir, "recipe.json");
+	fs.writeFileSync(recipe, JSON.stringify({
+		input: "textures/normals/*.png",
+		output: "out/{name}_{channel}.{ext}",
+		steps: [{ op: "expressions", map: { G: "1 - G" } }, { op: "unpack" }]
+	}));
+
+	const { code, lines } = await runCLI(t, ["run", recipe, "--dry-run"]);
+	assert.strictEqual(code, 0);
+	const normals = path.join(dir, "textures", "normals");
+	assert.deepStrictEqual(lines, ["rock", "sand"].map(name => `${path.join(normals, `${name}.png`)} -> ${["R", "G", "B", "A"].map(channel => path.join(dir, "out", `${name}_${channel}.png`)).join(", ")}`));
+	// Nothing is written
+	assert.ok(!fs.existsSync(path.join(dir, "out")));
+});
+
+test("--dry-run lists the outputs of a command", async t => {
+	const dir = createTree(["albedo.png"]);
+	const input = path.join(dir, "albedo.png");
+
+	const { code, lines } = await runCLI(t, ["tint", input, "--color", "255,128,0", "-o", "{dir}/{name}_orange.{ext}", "--dry-run"]);
+	assert.strictEqual(code, 0);
+	assert.deepStrictEqual(lines, [`${input} -> ${path.join(dir, "albedo_orange.png")}`]);
+
+	const relative = await runCLI(t, ["flip", input, "--direction", "vertical", "-o", "out/{name}.png", "--dry-run"]);
+	assert.deepStrictEqual(relative.lines, [`${input} -> ${path.resolve("out", "albedo.png")}`]);
+	await assert.rejects(cli.main(["tint", input, "--dry-run", "-o", "x.png"]), /tint needs a --color/);
+});
@@ -0,0 +1,111 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/**
+ * Deterministic noise so that SSIM has some structure to compare.
+ * @param {number} width
+ * @param {number} height
+ * @param {(data: Uint8ClampedArray) => void} [change] Changes the pixels before they're put into the context.
+ * @returns {import("../index.js").ImageContext}
+ */
+function createNoise(width, height, change) {
+	const data = new Uint8ClampedArray(width * height * 4);
+	let seed = 777;
+	for (let i = 0; i < data.length; i++) {
+		seed = (seed * 1103515245 + 12345) >>> 0;
+		// Kept away from 0 and 255 so that changes aren't clamped
+		data[i] = i % 4 === 3 ? 255 : 20 + (seed >>> 24) % 200;
+	}
+	change?.(data);
+	const ctx = shaderExt.getBackend().createContext(width, height);
+	ctx.putImageData({ data, width, height }, 0, 0);
+	return ctx;
+}
+
+test("identical images pass with no error", () => {
+	const result = shaderExt.compare(createNoise(16, 16), createNoise(16, 16));
+	assert.strictEqual(result.pass, true);
+	assert.strictEqual(result.differentPixels, 0);
+	assert.strictEqual(result.maxError, 0);
+	assert.strictEqual(result.meanError, 0);
+	assert.strictEqual(result.rmse, 0);
+	assert.strictEqual(result.psnr, Infinity);
+	assert.ok(Math.abs(result.ssim - 1) < 1e-6, `SSIM of ${result.ssim}`);
+	for (const channel of /** @type {const} */ (["R", "G", "B", "A"])) {
+		assert.strictEqual(result.channels[channel]?.psnr, Infinity);
+		assert.ok(Math.abs(/** @type {number} */ (result.channels[channel]?.ssim) - 1) < 1e-6);
+	}
+	assert.deepStrictEqual([result.diff?.canvas.width, result.diff?.canvas.height], [16, 16]);
+});
+
+test("a single perturbed pixel fails and is measured exactly", () => {
+	const expected = createNoise(16, 16);
+	// Pixel 3, 2 is 4 brighter in Red
+	const perturbed = createNoise(16, 16, data => { data[(2 * 16 + 3) * 4] += 4; });
+
+	const result = shaderExt.compare(expected, perturbed);
+	assert.strictEqual(result.pass, false);
+	assert.strictEqual(result.differentPixels, 1);
+	assert.strictEqual(result.maxError, 4);
+	assert.strictEqual(result.meanError, 4 / (256 * 4));
+	// One squared error of 16 over 256 pixels of 4 channels
+	assert.strictEqual(result.rmse, 0.125);
+	assert.ok(Math.abs(result.psnr - 20 * Math.log10(255 / 0.125)) < 1e-9);
+	assert.ok(Math.abs(/** @type {number} */ (result.channels.R?.psnr) - 20 * Math.log10(255 / 0.25)) < 1e-9);
+	assert.strictEqual(result.channels.G?.psnr, Infinity);
+	assert.ok(/** @type {number} */ (result.channels.R?.ssim) < 1 && /** @type {number} */ (result.channels.R?.ssim) > 0.99);
+	assert.ok(Math.abs(/** @type {number} */ (result.channels.G?.ssim) - 1) < 1e-6);
+
+	// The heatmap marks the different pixel and dims the rest to grey
+	const diff = /** @type {import("../index.js").ImageContext} */ (result.diff).getImageData(0, 0, 16, 16).data;
+	const marked = Array.from(diff.subarray((2 * 16 + 3) * 4, (2 * 16 + 3) * 4 + 4));
+	assert.deepStrictEqual(marked, [255, 255, 0, 255]);
+	const dimmed = Array.from(diff.subarray(0, 4));
+	assert.ok(dimmed[0] === dimmed[1] && dimmed[1] === dimmed[2] && dimmed[0] < 64, `Dimmed pixel of ${dimmed}`);
+});
+
+test("pass allows differences within the tolerance, the different pixel budget and the compared channels", () => {
+	const expected = createNoise(16, 16);
+	const perturbed = createNoise(16, 16, data => { data[(2 * 16 + 3) * 4] += 4; });
+
+	assert.strictEqual(shaderExt.compare(expected, perturbed, { tolerance: 3, diff: "none" }).pass, false);
+	assert.strictEqual(shaderExt.compare(expected, perturbed, { tolerance: 4, diff: "none" }).pass, true);
+	assert.strictEqual(shaderExt.compare(expected, perturbed, { maxDifferentPixels: 1 / 256, diff: "none" }).pass, true);
+	assert.strictEqual(shaderExt.compare(expected, perturbed, { maxDifferentPixels: 0.5 / 256, diff: "none" }).pass, false);
+
+	const withoutRed = shaderExt.compare(expected, perturbed, { channels: ["G", "B", "A"], diff: "none" });
+	assert.strictEqual(withoutRed.pass, true);
+	assert.strictEqual(withoutRed.psnr, Infinity);
+	assert.strictEqual(withoutRed.channels.R, undefined);
+	assert.strictEqual(withoutRed.diff, undefined);
+});
+
+test("PSNR and SSIM get worse as the perturbation grows", () => {
+	const expected = createNoise(24, 24);
+	/** @param {number} amount */
+	const offset = amount => createNoise(24, 24, data => {
+		for (let i = 0; i < data.length; i += 4) data[i + 1] += i % 8 === 0 ? amount : -amount;
+	});
+
+	const slight = shaderExt.compare(expected, offset(2), { channels: ["G"], diff: "none" });
+	const heavy = shaderExt.compare(expected, offset(15), { channels: ["G"], diff: "none" });
+	// Every Green value is off by the amount, so the RMSE is exactly the amount
+	assert.strictEqual(slight.rmse, 2);
+	assert.ok(Math.abs(slight.psnr - 20 * Math.log10(255 / 2)) < 1e-9);
+	assert.ok(heavy.psnr < slight.psnr);
+	assert.ok(heavy.ssim < slight.ssim && slight.ssim < 1, `SSIM of ${heavy.ssim} and ${slight.ssim}`);
+	assert.strictEqual(slight.differentPixels, 24 * 24);
+});
+
+test("compare throws for images of different sizes and unknown options", () => {
+	assert.throws(() => shaderExt.compare(createNoise(4, 4), createNoise(4, 5)), /Can't compare a 4x4 image with a 4x5 image/);
+	assert.throws(() => shaderExt.compare(createNoise(4, 4), createNoise(4, 4), { channels: [] }), /At least one channel/);
+	assert.throws(() => shaderExt.compare(createNoise(4, 4), createNoise(4, 4), { channels: [/** @type {any} */ ("toString")] }), /toString is not a channel/);
+	assert.throws(() => shaderExt.compare(createNoise(4, 4), createNoise(4, 4), { diff: /** @type {any} */ ("sideBySide") }), /Unknown diff sideBySide/);
+});
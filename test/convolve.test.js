@@ -0,0 +1,59 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/**
+ * A flat grey strip on the left with fully transparent pixels on the right, like the edge of a cutout.
+ * @returns {import("../index.js").PixelData}
+ */
+function createCutout() {
+	const width = 12;
+	const height = 3;
+	const data = new Uint8ClampedArray(width * height * 4);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < 6; x++) data.set([200, 200, 200, 255], (y * width + x) * 4);
+	}
+	return { data, width, height };
+}
+
+/**
+ * @param {import("../index.js").PixelData} data
+ * @returns {Array<Array<number>>} The opaque pixels of the cutout.
+ */
+function opaquePixels(data) {
+	const pixels = [];
+	for (let i = 0; i < data.data.length; i += 4) {
+		if (data.data[i + 3] === 255) pixels.push(Array.from(data.data.subarray(i, i + 4)));
+	}
+	return pixels;
+}
+
+test("blurring only RGB doesn't darken the edge of a cutout", () => {
+	const cutout = createCutout();
+	for (const blurred of [shaderExt.gaussianBlur(cutout, 2, { channels: ["R", "G", "B"] }), shaderExt.boxBlur(cutout, 2, { channels: ["R", "G", "B"] })]) {
+		const opaque = opaquePixels(blurred);
+		assert.strictEqual(opaque.length, 18);
+		for (const pixel of opaque) assert.deepStrictEqual(pixel, [200, 200, 200, 255]);
+		// Alpha isn't blurred
+		assert.deepStrictEqual(Array.from(blurred.data.filter((_, i) => i % 4 === 3)), Array.from(cutout.data.filter((_, i) => i % 4 === 3)));
+	}
+});
+
+test("blurring RGBA keeps the color of a cutout while feathering its alpha", () => {
+	const blurred = shaderExt.gaussianBlur(createCutout(), 2);
+	// The last opaque column and the first transparent column are now partly transparent but keep the grey
+	assert.ok(blurred.data[5 * 4 + 3] < 255 && blurred.data[6 * 4 + 3] > 0);
+	assert.deepStrictEqual(Array.from(blurred.data.subarray(5 * 4, 5 * 4 + 3)), [200, 200, 200]);
+	assert.deepStrictEqual(Array.from(blurred.data.subarray(6 * 4, 6 * 4 + 3)), [200, 200, 200]);
+});
+
+test("unsharpMask doesn't leave a halo at the edge of a cutout", () => {
+	const cutout = createCutout();
+	const sharpened = shaderExt.unsharpMask(cutout, { amount: 2, radius: 2 });
+	for (const pixel of opaquePixels(sharpened)) assert.deepStrictEqual(pixel, [200, 200, 200, 255]);
+});
@@ -0,0 +1,64 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+test("decodeCube reads a 3D LUT with a title, comments and a domain", () => {
+	const lut = shaderExt.decodeCube([
+		"# Made by hand",
+		"TITLE \"Swap red and blue\"",
+		"LUT_3D_SIZE 2",
+		"DOMAIN_MIN 0 0 0",
+		"DOMAIN_MAX 1 2 1",
+		"",
+		// R changes the fastest, then G, then B
+		"0 0 0",
+		"0 0 1",
+		"0 1 0",
+		"0 1 1",
+		"1 0 0",
+		"1 0 1",
+		"1 1 0",
+		"1.0e0 1 1"
+	].join("\r\n"));
+
+	assert.strictEqual(lut.title, "Swap red and blue");
+	assert.strictEqual(lut.type, "3D");
+	assert.strictEqual(lut.size, 2);
+	assert.deepStrictEqual(lut.domainMin, [0, 0, 0]);
+	assert.deepStrictEqual(lut.domainMax, [1, 2, 1]);
+	assert.deepStrictEqual(Array.from(lut.data), [0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 1, 1, 1, 0, 0, 1, 0, 1, 1, 1, 0, 1, 1, 1]);
+});
+
+test("decodeCube reads 1D LUTs with Resolve's input range", () => {
+	const lut = shaderExt.decodeCube("LUT_1D_SIZE 3\nLUT_1D_INPUT_RANGE 0 4\n0 0 0\n0.25 0.5 0.75\n1 1 1\n");
+
+	assert.strictEqual(lut.type, "1D");
+	assert.strictEqual(lut.title, "");
+	assert.deepStrictEqual(lut.domainMin, [0, 0, 0]);
+	assert.deepStrictEqual(lut.domainMax, [4, 4, 4]);
+	assert.deepStrictEqual(Array.from(lut.data), [0, 0, 0, 0.25, 0.5, 0.75, 1, 1, 1]);
+});
+
+test("decodeCube rejects files with the wrong amount of entries", () => {
+	assert.throws(() => shaderExt.decodeCube("LUT_3D_SIZE 2\n0 0 0\n"), /has 1 entries but its size of 2 needs 8/);
+	assert.throws(() => shaderExt.decodeCube("0 0 0\n"), /missing LUT_1D_SIZE or LUT_3D_SIZE/);
+});
+
+test("encodeCube and decodeCube round trip", () => {
+	const lut = shaderExt.bakeLUT({ size: 9, exposure: 1.5, tonemapper: "agx", title: "Grade" });
+	const text = shaderExt.encodeCube(lut);
+	const decoded = shaderExt.decodeCube(text);
+
+	assert.strictEqual(decoded.title, "Grade");
+	assert.strictEqual(decoded.type, lut.type);
+	assert.strictEqual(decoded.size, 9);
+	assert.deepStrictEqual(decoded.domainMin, lut.domainMin);
+	assert.deepStrictEqual(decoded.domainMax, lut.domainMax);
+	assert.strictEqual(decoded.data.length, lut.data.length);
+	// Values are written with 6 decimal places and read back as 32 bit floats
+	for (let i = 0; i < lut.data.length; i++) assert.ok(Math.abs(decoded.data[i] - lut.data[i]) <= 1e-6, `Entry ${i}`);
+	assert.strictEqual(shaderExt.encodeCube(decoded), text);
+});
@@ -0,0 +1,48 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+/**
+ * @param {Array<number>} pixel
+ * @param {import("../index.js").ChannelExpressions} expressions
+ * @returns {Array<number>}
+ */
+function runExpressions(pixel, expressions) {
+	const data = { data: new Uint8ClampedArray(pixel), width: 1, height: 1 };
+	shaderExt.swizzleExpressions(data, expressions);
+	return Array.from(data.data);
+}
+
+test("channel expressions read channels and call functions", () => {
+	assert.deepStrictEqual(runExpressions([255, 51, 0, 255], { R: "1 - R", G: "G * 2", B: "max(R, G) * 0.5", A: "clamp(-1, 0, 1)" }), [0, 102, 128, 0]);
+	// Every expression reads the pixel from before the swizzle
+	assert.deepStrictEqual(runExpressions([10, 20, 30, 40], { R: "G", G: "R" }), [20, 10, 30, 40]);
+});
+
+test("channel expressions reject unknown identifiers", () => {
+	for (const [expression, message] of [
+		["toString", /Unknown channel toString/],
+		["R + toString", /column 5: Unknown channel toString/],
+		["__proto__", /Unknown channel __proto__/],
+		["constructor(1)", /Unknown function constructor/],
+		["hasOwnProperty(R)", /Unknown function hasOwnProperty/],
+		["src0.toString", /Unknown channel toString/],
+		["X", /Unknown channel X/],
+		["sqrt", /sqrt is a function and needs to be called like sqrt\(\.\.\.\)/],
+		["sqrt(1, 2)", /sqrt takes 1 arguments but was given 2/]
+	]) {
+		assert.throws(() => shaderExt.compileChannelExpressions({ R: /** @type {string} */ (expression) }), error => {
+			assert.ok(error instanceof Error && !(error instanceof SyntaxError), `${expression} should fail to parse, not to compile`);
+			assert.match(error.message, /** @type {RegExp} */ (message));
+			return true;
+		});
+	}
+});
+
+test("channel expressions can only write to channels", () => {
+	assert.throws(() => shaderExt.compileChannelExpressions(/** @type {any} */ ({ toString: "R" })), /Can't write a channel expression to toString/);
+	assert.throws(() => shaderExt.swizzleExpressions({ data: new Uint8ClampedArray(4), width: 1, height: 1 }, /** @type {any} */ ({ constructor: "1" })), /Can't write a channel expression to constructor/);
+});
@@ -0,0 +1,186 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/**
+ * A minimal GIF decoder which reads back what encodeGIF writes.
+ * @param {Uint8Array} buffer
+ */
+function decodeGIF(buffer) {
+	/**
+	 * @param {number} start
+	 * @param {number} end
+	 */
+	const readText = (start, end) => String.fromCharCode(...buffer.subarray(start, end));
+	/** @param {number} offset */
+	const readUInt16 = offset => buffer[offset] | (buffer[offset + 1] << 8);
+
+	assert.ok(buffer instanceof Uint8Array && !Buffer.isBuffer(buffer), "encodeGIF should return a plain Uint8Array");
+	assert.strictEqual(readText(0, 6), "GIF89a");
+	const width = readUInt16(6);
+	const height = readUInt16(8);
+	let position = 13;
+	/** @type {number | undefined} */
+	let loop = undefined;
+	/** @type {{ delay: number, transparentIndex: number | undefined } | undefined} */
+	let control = undefined;
+	/** @type {Array<{ palette: Array<[number, number, number]>, indices: Array<number>, delay: number, transparentIndex: number | undefined }>} */
+	const frames = [];
+
+	/** @returns {Array<number>} The data of the sub-blocks starting at position. */
+	const readSubBlocks = () => {
+		const data = [];
+		while (buffer[position] !== 0) {
+			const length = buffer[position++];
+			for (let i = 0; i < length; i++) data.push(buffer[position++]);
+		}
+		position++;
+		return data;
+	};
+
+	while (true) {
+		const block = buffer[position++];
+		if (block === 0x3B) break;
+		if (block === 0x21) {
+			const label = buffer[position++];
+			if (label === 0xF9) {
+				const packed = buffer[position + 1];
+				control = { delay: readUInt16(position + 2), transparentIndex: packed & 1 ? buffer[position + 4] : undefined };
+				position += 6;
+			} else if (label === 0xFF) {
+				const id = readText(position + 1, position + 1 + buffer[position]);
+				position += 1 + buffer[position];
+				const data = readSubBlocks();
+				if (id === "NETSCAPE2.0") loop = data[1] | (data[2] << 8);
+			} else readSubBlocks();
+			continue;
+		}
+		assert.strictEqual(block, 0x2C, `Unexpected block ${block}`);
+		const packed = buffer[position + 8];
+		position += 9;
+		assert.ok(packed & 0x80, "Every frame should have a local color table");
+		/** @type {Array<[number, number, number]>} */
+		const palette = [];
+		for (let c = 0; c < 1 << ((packed & 7) + 1); c++, position += 3) palette.push([buffer[position], buffer[position + 1], buffer[position + 2]]);
+		const minCodeSize = buffer[position++];
+		const indices = lzwDecode(readSubBlocks(), minCodeSize);
+		assert.ok(control, "Every frame should have a graphic control extension");
+		frames.push({ palette, indices, ...control });
+	}
+
+	return { width, height, loop, frames };
+}
+
+/**
+ * @param {Array<number>} data
+ * @param {number} minCodeSize
+ * @returns {Array<number>}
+ */
+function lzwDecode(data, minCodeSize) {
+	const clear = 1 << minCodeSize;
+	const end = clear + 1;
+	/** @type {Array<Array<number>>} */
+	let table = [];
+	let codeSize = 0;
+	/** @type {Array<number> | undefined} */
+	let previous = undefined;
+	const reset = () => {
+		table = [];
+		for (let i = 0; i < clear + 2; i++) table.push([i]);
+		codeSize = minCodeSize + 1;
+		previous = undefined;
+	};
+	reset();
+
+	const out = [];
+	let bit = 0;
+	while (bit + codeSize <= data.length * 8) {
+		let code = 0;
+		for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+		if (code === clear) {
+			reset();
+			continue;
+		}
+		if (code === end) return out;
+
+		/** @type {Array<number>} */
+		let entry;
+		if (code < table.length) entry = table[code];
+		else if (code === table.length && previous) entry = previous.concat(previous[0]);
+		else throw new Error(`Invalid code ${code} with a table of ${table.length}`);
+		out.push(...entry);
+		if (previous && table.length < 4096) table.push(previous.concat(entry[0]));
+		if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+		previous = entry;
+	}
+	throw new Error("The image data ended without an end code");
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {(x: number, y: number) => [number, number, number, number]} color
+ */
+function createImage(width, height, color) {
+	const ctx = shaderExt.getBackend().createContext(width, height);
+	const data = ctx.getImageData(0, 0, width, height);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) data.data.set(color(x, y), (y * width + x) * 4);
+	}
+	ctx.putImageData(data, 0, 0);
+	return ctx;
+}
+
+test("encodeGIF round trips frames with few enough colors exactly", () => {
+	const colors = [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255], [255, 255, 255, 255]];
+	const frames = [0, 1, 2].map(frame => createImage(13, 7, (x, y) => /** @type {[number, number, number, number]} */ (colors[(x + y + frame) % 4])));
+	const gif = shaderExt.encodeGIF(frames, { delay: 50, loop: 3 });
+	const decoded = decodeGIF(gif);
+
+	assert.strictEqual(decoded.width, 13);
+	assert.strictEqual(decoded.height, 7);
+	assert.strictEqual(decoded.loop, 3);
+	assert.strictEqual(decoded.frames.length, 3);
+	decoded.frames.forEach((frame, index) => {
+		assert.strictEqual(frame.delay, 5);
+		assert.strictEqual(frame.transparentIndex, undefined);
+		const source = frames[index].getImageData(0, 0, 13, 7).data;
+		assert.strictEqual(frame.indices.length, 13 * 7);
+		frame.indices.forEach((paletteIndex, p) => assert.deepStrictEqual(frame.palette[paletteIndex], Array.from(source.subarray(p * 4, p * 4 + 3))));
+	});
+});
+
+test("encodeGIF round trips past the 4096 code LZW table reset", () => {
+	let seed = 1;
+	const noise = createImage(300, 300, () => {
+		seed = (seed * 1103515245 + 12345) >>> 0;
+		return [(seed >>> 8) & 255, (seed >>> 16) & 255, (seed >>> 24) & 255, 255];
+	});
+	const quantized = shaderExt.quantize(noise.getImageData(0, 0, 300, 300), { colors: 256 });
+	const frame = decodeGIF(shaderExt.encodeGIF([noise])).frames[0];
+
+	assert.strictEqual(frame.indices.length, 300 * 300);
+	for (let p = 0; p < frame.indices.length; p++) {
+		assert.deepStrictEqual(frame.palette[frame.indices[p]], Array.from(quantized.data.data.subarray(p * 4, p * 4 + 3)));
+	}
+});
+
+test("encodeGIF keeps transparency within the color count", () => {
+	// The left half is transparent magenta which shouldn't take any palette entries
+	const image = createImage(32, 16, (x, y) => (x < 16 ? [255, 0, 255, 0] : [x * 8, y * 16, 64, 255]));
+	const frame = decodeGIF(shaderExt.encodeGIF([image], { colors: 16 })).frames[0];
+
+	assert.strictEqual(frame.palette.length, 16);
+	assert.ok(frame.transparentIndex !== undefined && frame.transparentIndex < 16);
+	frame.indices.forEach((paletteIndex, p) => {
+		if (p % 32 < 16) assert.strictEqual(paletteIndex, frame.transparentIndex);
+		else assert.notStrictEqual(paletteIndex, frame.transparentIndex);
+	});
+	const visibleColors = new Set(frame.indices.filter(paletteIndex => paletteIndex !== frame.transparentIndex));
+	assert.strictEqual(visibleColors.size, 15);
+});
@@ -0,0 +1,77 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+/**
+ * @param {string} header
+ * @param {Array<number>} pixels
+ */
+function createFile(header, pixels) {
+	return Uint8Array.from([...header].map(character => character.charCodeAt(0)).concat(pixels));
+}
+
+test("decodeHDR reads flat pixels and old style runs", () => {
+	const file = createFile("#?RADIANCE\n# A comment\nFORMAT=32-bit_rle_rgbe\nEXPOSURE=1\n\n-Y 2 +X 3\n", [
+		128, 64, 32, 129, 0, 0, 0, 0, 255, 255, 255, 136,
+		// 1, 1, 1 repeats the pixel before it
+		10, 20, 30, 128, 1, 1, 1, 2
+	]);
+	const hdr = shaderExt.decodeHDR(file);
+
+	assert.strictEqual(hdr.width, 3);
+	assert.strictEqual(hdr.height, 2);
+	// (mantissa + 0.5) * 2^(exponent - 136)
+	assert.deepStrictEqual(Array.from(hdr.data.subarray(0, 12)), [128.5 / 128, 64.5 / 128, 32.5 / 128, 1, 0, 0, 0, 1, 255.5, 255.5, 255.5, 1]);
+	const second = [10.5 / 256, 20.5 / 256, 30.5 / 256, 1];
+	assert.deepStrictEqual(Array.from(hdr.data.subarray(12)), [...second, ...second, ...second].map(value => Math.fround(value)));
+});
+
+test("decodeHDR reads run length encoded scanlines and bottom up images", () => {
+	const scanline = [
+		2, 2, 0, 8,
+		// R is a run of 8, G is 8 literal values, B is a run of 4 and then 4 literals, E is a run of 8
+		128 + 8, 100,
+		8, 0, 10, 20, 30, 40, 50, 60, 70,
+		128 + 4, 5, 4, 1, 2, 3, 4,
+		128 + 8, 128
+	];
+	const hdr = shaderExt.decodeHDR(createFile("#?RGBE\n\n+Y 2 +X 8\n", [...scanline, ...scanline.map((value, index) => (index === 5 ? 200 : value))]));
+
+	assert.strictEqual(hdr.width, 8);
+	assert.strictEqual(hdr.height, 2);
+	const pixel = (/** @type {number} */ x, /** @type {number} */ y) => Array.from(hdr.data.subarray((y * 8 + x) * 4, (y * 8 + x) * 4 + 4));
+	// +Y is stored from the bottom row up
+	assert.deepStrictEqual(pixel(0, 1), [100.5 / 256, 0.5 / 256, 5.5 / 256, 1].map(value => Math.fround(value)));
+	assert.deepStrictEqual(pixel(7, 1), [100.5 / 256, 70.5 / 256, 4.5 / 256, 1].map(value => Math.fround(value)));
+	assert.deepStrictEqual(pixel(3, 0), [200.5 / 256, 30.5 / 256, 5.5 / 256, 1].map(value => Math.fround(value)));
+});
+
+test("encodeHDR and decodeHDR round trip within RGBE precision", () => {
+	// 5 wide is written flat and 40 wide is run length encoded
+	for (const width of [5, 40]) {
+		const hdr = shaderExt.createHDRImageData(width, 3);
+		let seed = width;
+		for (let i = 0; i < hdr.data.length; i += 4) {
+			seed = (seed * 1103515245 + 12345) >>> 0;
+			// Runs of the same color alongside noise over a wide range of brightness
+			const value = (i / 4) % 10 < 5 ? 2.5 : (seed / 0xFFFFFFFF) * Math.pow(2, (i % 24) - 12);
+			hdr.data.set([value, value / 2, value / 4, 1], i);
+		}
+
+		const encoded = shaderExt.encodeHDR(hdr);
+		assert.ok(!Buffer.isBuffer(encoded), "encodeHDR should return a plain Uint8Array");
+		const decoded = shaderExt.decodeHDR(encoded);
+		assert.strictEqual(decoded.width, width);
+		assert.strictEqual(decoded.height, 3);
+		for (let i = 0; i < hdr.data.length; i += 4) {
+			const max = Math.max(hdr.data[i], hdr.data[i + 1], hdr.data[i + 2]);
+			for (let c = 0; c < 3; c++) assert.ok(Math.abs(decoded.data[i + c] - hdr.data[i + c]) <= max / 128, `Pixel ${i / 4} channel ${c} of the ${width} wide image`);
+			assert.strictEqual(decoded.data[i + 3], 1);
+		}
+		// Decoded values land in the middle of their RGBE step, so encoding them again doesn't change anything
+		assert.deepStrictEqual(shaderExt.encodeHDR(decoded), encoded);
+	}
+});
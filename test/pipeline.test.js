@@ -0,0 +1,145 @@
+// @ts-check
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+after(() => shaderExt.terminateWorkers());
+
+/**
+ * Deterministic noise so that every channel has a spread of values.
+ * @param {number} width
+ * @param {number} height
+ * @returns {import("../index.js").PixelData}
+ */
+function createNoise(width, height) {
+	const data = new Uint8ClampedArray(width * height * 4);
+	let seed = 12345;
+	for (let i = 0; i < data.length; i++) {
+		seed = (seed * 1103515245 + 12345) >>> 0;
+		data[i] = seed >>> 24;
+	}
+	return { data, width, height };
+}
+
+/**
+ * @param {import("../index.js").PixelData} data
+ * @returns {import("../index.js").PixelData}
+ */
+function copy(data) {
+	return { data: data.data.slice(), width: data.width, height: data.height };
+}
+
+test("runAsync is byte identical to run", async () => {
+	const pipeline = shaderExt.createPipeline()
+		.swizzle({ R: "B" })
+		.swizzleExpressions({ G: "1 - G * A" })
+		.bumpScale(1.5, true)
+		.tint(255, 128, 64, 3, { tonemapper: "reinhard", exposure: 1.2, dither: "bayer" })
+		.hueShift(30)
+		.levels({ inputBlack: 10, inputWhite: 240, gamma: 1.3 })
+		.curves({ RGB: [[0, 0], [128, 100], [255, 255]] });
+	// An odd size so the bands aren't all the same height
+	const original = createNoise(37, 151);
+
+	const sync = copy(original);
+	pipeline.run(sync);
+	for (const threads of [1, 2, 3, 7]) {
+		const async = copy(original);
+		await pipeline.runAsync(async, { threads });
+		assert.deepStrictEqual(async.data, sync.data, `${threads} threads`);
+	}
+});
+
+test("async shortcuts are byte identical to their sync versions", async () => {
+	const original = createNoise(16, 90);
+
+	const tinted = copy(original);
+	shaderExt.tint(tinted, 255, 200, 100, 2, { dither: "blueNoise" });
+	const tintedAsync = copy(original);
+	await shaderExt.tintAsync(tintedAsync, 255, 200, 100, 2, { dither: "blueNoise", threads: 3 });
+	assert.deepStrictEqual(tintedAsync.data, tinted.data);
+
+	// threads on its own doesn't turn on the HDR transformation
+	const halved = copy(original);
+	shaderExt.tint(halved, 128, 128, 128);
+	const halvedAsync = copy(original);
+	await shaderExt.tintAsync(halvedAsync, 128, 128, 128, 1, { threads: 2 });
+	assert.deepStrictEqual(halvedAsync.data, halved.data);
+
+	const bumped = copy(original);
+	shaderExt.bumpScale(bumped, 2);
+	const bumpedAsync = copy(original);
+	await shaderExt.bumpScaleAsync(bumpedAsync, 2, { threads: 3 });
+	assert.deepStrictEqual(bumpedAsync.data, bumped.data);
+
+	const renormalized = copy(original);
+	shaderExt.bumpScale(renormalized, 2, true);
+	const renormalizedAsync = copy(original);
+	await shaderExt.bumpScaleAsync(renormalizedAsync, 2, { threads: 3, renormalize: true });
+	assert.deepStrictEqual(renormalizedAsync.data, renormalized.data);
+});
+
+test("levels and curves read their options every time they run", () => {
+	const original = createNoise(8, 8);
+	/** @type {import("../index.js").LevelsOptions} */
+	const levels = { gamma: 1.5, R: { inputWhite: 200 } };
+	/** @type {import("../index.js").CurvesOptions} */
+	const curves = { RGB: [[0, 0], [128, 100], [255, 255]] };
+	const pipeline = shaderExt.createPipeline().levels(levels).curves(curves);
+
+	const expected = copy(original);
+	shaderExt.levels(expected, { gamma: 1.5, R: { inputWhite: 200 } });
+	shaderExt.curves(expected, { RGB: [[0, 0], [128, 100], [255, 255]] });
+
+	// Changing the options once they're added doesn't change the pipeline
+	levels.gamma = 0.5;
+	/** @type {import("../index.js").LevelsChannel} */ (levels.R).inputWhite = 100;
+	/** @type {Array<import("../index.js").CurvePoint>} */ (curves.RGB)[1][1] = 200;
+	const piped = copy(original);
+	pipeline.run(piped);
+	assert.deepStrictEqual(piped.data, expected.data);
+
+	// Changing the options between calls does change the result
+	const changed = copy(original);
+	shaderExt.levels(changed, levels);
+	shaderExt.curves(changed, curves);
+	const fresh = copy(original);
+	shaderExt.levels(fresh, { gamma: 0.5, R: { inputWhite: 100 } });
+	shaderExt.curves(fresh, { RGB: [[0, 0], [128, 200], [255, 255]] });
+	assert.deepStrictEqual(changed.data, fresh.data);
+	assert.notDeepStrictEqual(changed.data, expected.data);
+});
+
+test("gradient maps read their gradient every time they run", () => {
+	const original = createNoise(8, 8);
+	const gradient = shaderExt.createGradient([{ position: 0, color: [0, 0, 255] }, { position: 1, color: [255, 128, 0] }], { interpolation: "oklab" });
+	const pipeline = shaderExt.createPipeline().gradientMap(gradient, "G");
+
+	const expected = copy(original);
+	shaderExt.gradientMap(expected, shaderExt.createGradient([{ position: 0, color: [0, 0, 255] }, { position: 1, color: [255, 128, 0] }], { interpolation: "oklab" }), "G");
+
+	// Changing the gradient once it's added doesn't change the pipeline
+	gradient.stops[1].color[1] = 255;
+	gradient.interpolation = "srgb";
+	const piped = copy(original);
+	pipeline.run(piped);
+	assert.deepStrictEqual(piped.data, expected.data);
+
+	// Changing the gradient between calls does change the result
+	const changed = copy(original);
+	shaderExt.gradientMap(changed, gradient, "G");
+	const fresh = copy(original);
+	shaderExt.gradientMap(fresh, shaderExt.createGradient([{ position: 0, color: [0, 0, 255] }, { position: 1, color: [255, 255, 0] }], { interpolation: "srgb" }), "G");
+	assert.deepStrictEqual(changed.data, fresh.data);
+	assert.notDeepStrictEqual(changed.data, expected.data);
+	assert.deepStrictEqual(shaderExt.sampleGradient(gradient, 1), [255, 255, 0, 255]);
+});
+
+test("runAsync rejects custom frame passes", async () => {
+	const pipeline = shaderExt.createPipeline().frame(() => {});
+	await assert.rejects(pipeline.runAsync(createNoise(2, 2)), /custom frame passes/);
+});
@@ -0,0 +1,138 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/** @type {Array<import("../index.js").DitherMethod>} */
+const ditherMethods = ["none", "bayer", "blueNoise", "floydSteinberg", "atkinson"];
+
+/**
+ * A gradient from black to red across and from black to green down, with a see-through column.
+ * @param {number} width
+ * @param {number} height
+ * @returns {import("../index.js").PixelData}
+ */
+function createGradient(width, height) {
+	const data = new Uint8ClampedArray(width * height * 4);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) data.set([x * 255 / (width - 1), y * 255 / (height - 1), 128, x === 1 ? 100 : 255], (y * width + x) * 4);
+	}
+	return { data, width, height };
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} value The value of the R, G and B channels.
+ * @returns {import("../index.js").PixelData}
+ */
+function createFlat(width, height, value) {
+	const data = new Uint8ClampedArray(width * height * 4);
+	for (let i = 0; i < data.length; i += 4) data.set([value, value, value, 255], i);
+	return { data, width, height };
+}
+
+test("quantize picks a palette with as many colors as asked for", () => {
+	for (const method of /** @type {const} */ (["medianCut", "kmeans"])) {
+		for (const colors of [2, 5, 16]) {
+			const { palette } = shaderExt.quantize(createGradient(32, 32), { colors, method });
+			assert.strictEqual(palette.length, colors, `${colors} colors with ${method}`);
+			for (const color of palette) assert.ok(color.every(component => Number.isInteger(component) && component >= 0 && component <= 255));
+		}
+	}
+
+	// Never more colors than the image has
+	const data = new Uint8ClampedArray(16 * 4);
+	for (let p = 0; p < 16; p++) data.set([[255, 0, 0], [0, 255, 0], [0, 0, 255]][p % 3].concat(255), p * 4);
+	const { palette } = shaderExt.quantize({ data, width: 4, height: 4 }, { colors: 8 });
+	assert.deepStrictEqual(palette.map(color => color.join()).sort(), ["0,0,255", "0,255,0", "255,0,0"]);
+});
+
+test("indices point at the palette color of every pixel and alpha is kept", () => {
+	const original = createGradient(20, 12);
+	for (const dither of ditherMethods) {
+		const { data, palette, indices } = shaderExt.quantize(original, { colors: 6, dither });
+		assert.strictEqual(indices.length, 20 * 12);
+		for (let p = 0; p < indices.length; p++) {
+			assert.ok(indices[p] < palette.length);
+			assert.deepStrictEqual(Array.from(data.data.subarray(p * 4, p * 4 + 4)), [...palette[indices[p]], original.data[p * 4 + 3]], `Pixel ${p} with ${dither}`);
+		}
+	}
+});
+
+test("quantize uses the palette it's given", () => {
+	const palette = /** @type {Array<[number, number, number]>} */ ([[0, 0, 0], [255, 255, 255], [250.4, 10.6, 0]]);
+	const result = shaderExt.quantize(createGradient(8, 8), { palette });
+	assert.deepStrictEqual(result.palette, [[0, 0, 0], [255, 255, 255], [250, 11, 0]]);
+	// The top right is closest to red and the top left is closest to black
+	assert.strictEqual(result.indices[7], 2);
+	assert.strictEqual(result.indices[0], 0);
+
+	assert.throws(() => shaderExt.quantize(createGradient(2, 2), { palette: [] }), /1 to 256 colors/);
+	assert.throws(() => shaderExt.quantize(createGradient(2, 2), { palette: [/** @type {any} */ ([0, 0])] }), /Palette colors must be \[r, g, b\]/);
+	assert.throws(() => shaderExt.quantize(createGradient(2, 2), { colors: 1 }), /colors must be a whole number from 2 to 256/);
+	assert.throws(() => shaderExt.quantize(createGradient(2, 2), { dither: /** @type {any} */ ("random") }), /random/);
+});
+
+test("dithering is deterministic and mixes the palette", () => {
+	const grey = createFlat(128, 128, 188);
+	const blackAndWhite = /** @type {Array<[number, number, number]>} */ ([[0, 0, 0], [255, 255, 255]]);
+	for (const dither of ditherMethods) {
+		const first = shaderExt.quantize(grey, { palette: blackAndWhite, dither });
+		const second = shaderExt.quantize(grey, { palette: blackAndWhite, dither });
+		assert.deepStrictEqual(first.indices, second.indices, dither);
+
+		const white = first.indices.reduce((sum, index) => sum + index, 0) / first.indices.length;
+		// 188 is closer to white, so without dithering it's all white
+		if (dither === "none") assert.strictEqual(white, 1);
+		// Floyd-Steinberg spreads all of the error, so the mix matches the grey
+		else if (dither === "floydSteinberg") assert.ok(Math.abs(white - 188 / 255) < 0.01, `${white} of the pixels are white`);
+		else assert.ok(white > 0.5 && white < 1, `${white} of the pixels are white with ${dither}`);
+	}
+});
+
+test("ordered dithers only depend on the position of the pixel", () => {
+	const grey = createFlat(128, 128, 160);
+	const blackAndWhite = /** @type {Array<[number, number, number]>} */ ([[0, 0, 0], [255, 255, 255]]);
+	for (const dither of /** @type {const} */ (["bayer", "blueNoise"])) {
+		const { indices } = shaderExt.quantize(grey, { palette: blackAndWhite, dither });
+		// The pattern repeats every 64 pixels both ways
+		for (let y = 0; y < 64; y++) {
+			for (let x = 0; x < 64; x++) {
+				const index = indices[y * 128 + x];
+				assert.strictEqual(indices[y * 128 + x + 64], index);
+				assert.strictEqual(indices[(y + 64) * 128 + x], index);
+			}
+		}
+
+		// So the bottom half on its own is dithered the same as the bottom half of the whole image
+		const bottom = shaderExt.quantize(createFlat(128, 64, 160), { palette: blackAndWhite, dither });
+		assert.deepStrictEqual(bottom.indices, indices.subarray(64 * 128));
+	}
+});
+
+test("dithering the 8 bit result of tonemapHDR only rounds each value up or down", () => {
+	const hdr = shaderExt.createHDRImageData(64, 64);
+	for (let i = 0; i < hdr.data.length; i += 4) hdr.data.set([0.214, 0.214, 0.214, 1], i);
+	// What the Reinhard tone mapper turns 0.214 into, before it's rounded
+	const linear = 0.214 / 1.214;
+	const value = (1.055 * Math.pow(linear, 1 / 2.4) - 0.055) * 255;
+
+	const rounded = shaderExt.tonemapHDR(hdr, { tonemapper: "reinhard" });
+	assert.ok(rounded.data.every((component, i) => component === (i % 4 === 3 ? 255 : Math.round(value))));
+
+	for (const dither of /** @type {const} */ (["bayer", "blueNoise", "floydSteinberg", "atkinson"])) {
+		const dithered = shaderExt.tonemapHDR(hdr, { tonemapper: "reinhard", dither });
+		assert.deepStrictEqual(dithered.data, shaderExt.tonemapHDR(hdr, { tonemapper: "reinhard", dither }).data, `${dither} is deterministic`);
+		const reds = dithered.data.filter((_, i) => i % 4 === 0);
+		assert.deepStrictEqual(new Set(reds), new Set([Math.floor(value), Math.ceil(value)]), dither);
+		// The average of the dithered values is close to the value before rounding
+		const mean = reds.reduce((sum, red) => sum + red, 0) / reds.length;
+		assert.ok(Math.abs(mean - value) < 0.05, `Mean of ${mean} for ${value} with ${dither}`);
+		assert.ok(dithered.data.filter((_, i) => i % 4 === 3).every(alpha => alpha === 255));
+	}
+});
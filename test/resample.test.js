@@ -0,0 +1,51 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/**
+ * An HDRP style mask map: metallic in R, AO in G, detail mask in B and smoothness in A, with a smoothness of 0 everywhere.
+ * @param {number} width
+ * @param {number} height
+ * @returns {import("../index.js").PixelData}
+ */
+function createMaskMap(width, height) {
+	const data = new Uint8ClampedArray(width * height * 4);
+	for (let i = 0; i < data.length; i += 4) data.set([255, 200, 100, 0], i);
+	return { data, width, height };
+}
+
+test("resample keeps the RGB of transparent pixels when premultiply is off", () => {
+	const mask = createMaskMap(4, 4);
+	assert.deepStrictEqual(Array.from(shaderExt.resample(mask, 2, 2, { premultiply: false }).data.subarray(0, 4)), [255, 200, 100, 0]);
+	// Premultiplied is still the default, where fully transparent pixels have no color
+	assert.deepStrictEqual(Array.from(shaderExt.resample(mask, 2, 2).data.subarray(0, 4)), [0, 0, 0, 0]);
+});
+
+test("linear and normal mipmaps aren't premultiplied by alpha", () => {
+	const ctx = shaderExt.getBackend().createContext(4, 4);
+	ctx.putImageData(createMaskMap(4, 4), 0, 0);
+	for (const colorSpace of /** @type {const} */ (["linear", "normal"])) {
+		const mips = shaderExt.generateMipmaps(ctx, { colorSpace });
+		assert.strictEqual(mips.length, 3);
+		const mip = mips[1].getImageData(0, 0, 2, 2).data;
+		if (colorSpace === "linear") assert.deepStrictEqual(Array.from(mip.subarray(0, 4)), [255, 200, 100, 0]);
+		// Normals are renormalized, but not wiped
+		else assert.ok(mip[0] > 0 && mip[1] > 0 && mip[2] > 0);
+	}
+});
+
+test("pack doesn't premultiply the images it resizes unless asked to", () => {
+	const ctx = shaderExt.getBackend().createContext(4, 4);
+	ctx.putImageData(createMaskMap(4, 4), 0, 0);
+	const packed = shaderExt.pack([{ data: ctx, channels: { R: "R", G: "G", A: "A" } }], 2, 2);
+	assert.deepStrictEqual(Array.from(packed.getImageData(0, 0, 1, 1).data), [255, 200, 0, 0]);
+	const premultiplied = shaderExt.pack([{ data: ctx, channels: { R: "R", G: "G", A: "A" } }], 2, 2, { premultiply: true });
+	assert.deepStrictEqual(Array.from(premultiplied.getImageData(0, 0, 1, 1).data), [0, 0, 0, 0]);
+	const expressions = shaderExt.packExpressions([ctx], { R: "src0.R", G: "src0.G", A: "1" }, 2, 2);
+	assert.deepStrictEqual(Array.from(expressions.getImageData(0, 0, 1, 1).data), [255, 200, 0, 255]);
+});
@@ -0,0 +1,44 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+test("hdrToSdr gives the same result for grading values and options", () => {
+	const defaults = shaderExt.hdrToSdr(200, 100, 50, 2);
+	assert.deepStrictEqual(shaderExt.hdrToSdr(200, 100, 50, 2, {}), defaults);
+	assert.deepStrictEqual(shaderExt.hdrToSdr(200, 100, 50, 2, null), defaults);
+	assert.deepStrictEqual(shaderExt.hdrToSdr(200, 100, 50, 2, undefined), defaults);
+	assert.deepStrictEqual(shaderExt.hdrToSdr(200, 100, 50, 2, { tonemapper: "aces" }), defaults);
+	assert.deepStrictEqual(shaderExt.hdrToSdr(200, 100, 50, 2, 1.5, 1.1, 0.8), shaderExt.hdrToSdr(200, 100, 50, 2, { exposure: 1.5, contrast: 1.1, saturation: 0.8 }));
+});
+
+test("tone mappers are only looked up by their own names", () => {
+	assert.throws(() => shaderExt.hdrToSdr(100, 100, 100, 2, { tonemapper: "toString" }), /Unknown tone mapper toString/);
+	assert.throws(() => shaderExt.hdrToSdr(100, 100, 100, 2, { tonemapper: "constructor" }), /Unknown tone mapper constructor/);
+	const data = { data: new Uint8ClampedArray([100, 100, 100, 255]), width: 1, height: 1 };
+	assert.throws(() => shaderExt.tint(data, 255, 255, 255, 2, { tonemapper: "hasOwnProperty" }), /Unknown tone mapper hasOwnProperty/);
+});
+
+test("tonemapHDR and applyLUT only grade inside of a region", () => {
+	const hdr = shaderExt.createHDRImageData(4, 1);
+	for (let i = 0; i < hdr.data.length; i += 4) hdr.data.set([0.5, 0.25, 2, 1], i);
+	const options = { tonemapper: /** @type {const} */ ("hable"), exposure: 3 };
+	const graded = Array.from(shaderExt.tonemapHDR(hdr, options).data.subarray(0, 4));
+	const plain = [188, 137, 255, 255];
+
+	const left = shaderExt.tonemapHDR(hdr, options, { width: 2 });
+	assert.notDeepStrictEqual(graded, plain);
+	assert.deepStrictEqual(Array.from(left.data), [...graded, ...graded, ...plain, ...plain]);
+	assert.deepStrictEqual(Array.from(shaderExt.tonemapHDR(hdr, options, { x: 2, invert: true }).data), Array.from(left.data));
+
+	const lut = shaderExt.bakeLUT({ intensity: 2, tonemapper: "agx", size: 17 });
+	const sdr = { data: new Uint8ClampedArray([200, 100, 50, 255, 200, 100, 50, 255, 200, 100, 50, 255]), width: 3, height: 1 };
+	const whole = { data: sdr.data.slice(), width: 3, height: 1 };
+	shaderExt.applyLUT(whole, lut);
+	shaderExt.applyLUT(sdr, lut, "trilinear", { x: 1, width: 1 });
+	assert.deepStrictEqual(Array.from(sdr.data), [200, 100, 50, 255, ...whole.data.subarray(4, 8), 200, 100, 50, 255]);
+});
@@ -0,0 +1,127 @@
+// @ts-check
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const shaderExt = require("../index.js");
+
+shaderExt.setBackend(shaderExt.createBufferBackend());
+
+/**
+ * A 3x2 image where the Red channel of every pixel is its number, counting from 1 at the top left:
+ * 1 2 3
+ * 4 5 6
+ * @returns {import("../index.js").ImageContext}
+ */
+function createNumbered() {
+	const ctx = shaderExt.getBackend().createContext(3, 2);
+	const data = new Uint8ClampedArray(3 * 2 * 4);
+	for (let p = 0; p < 6; p++) data.set([p + 1, 10 * (p + 1), 0, 255], p * 4);
+	ctx.putImageData({ data, width: 3, height: 2 }, 0, 0);
+	return ctx;
+}
+
+/**
+ * @param {import("../index.js").ImageContext} ctx
+ * @returns {Array<Array<number>>} The number of every pixel by row. Also checks that the rest of the pixel moved with it.
+ */
+function numbers(ctx) {
+	const { width, height } = ctx.canvas;
+	const data = ctx.getImageData(0, 0, width, height).data;
+	const rows = [];
+	for (let y = 0; y < height; y++) {
+		const row = [];
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 4;
+			assert.deepStrictEqual(Array.from(data.subarray(i + 1, i + 4)), [10 * data[i], 0, 255], `Pixel ${x}, ${y}`);
+			row.push(data[i]);
+		}
+		rows.push(row);
+	}
+	return rows;
+}
+
+test("rotate moves whole pixels for multiples of 90 degrees", () => {
+	for (const [degrees, expected] of /** @type {Array<[number, Array<Array<number>>]>} */ ([
+		[90, [[4, 1], [5, 2], [6, 3]]],
+		[180, [[6, 5, 4], [3, 2, 1]]],
+		[270, [[3, 6], [2, 5], [1, 4]]],
+		[-90, [[3, 6], [2, 5], [1, 4]]],
+		[450, [[4, 1], [5, 2], [6, 3]]],
+		[360, [[1, 2, 3], [4, 5, 6]]]
+	])) {
+		const ctx = createNumbered();
+		shaderExt.rotate(ctx, degrees);
+		assert.deepStrictEqual(numbers(ctx), expected, `${degrees} degrees`);
+	}
+});
+
+test("transpose flips over the diagonal from the top left", () => {
+	const ctx = createNumbered();
+	shaderExt.transpose(ctx);
+	assert.deepStrictEqual([ctx.canvas.width, ctx.canvas.height], [2, 3]);
+	assert.deepStrictEqual(numbers(ctx), [[1, 4], [2, 5], [3, 6]]);
+});
+
+test("pad extends the image with each mode", () => {
+	for (const [mode, expected] of /** @type {Array<["clamp" | "repeat" | "mirror", Array<Array<number>>]>} */ ([
+		["clamp", [
+			[1, 1, 1, 2, 3, 3, 3],
+			[1, 1, 1, 2, 3, 3, 3],
+			[1, 1, 1, 2, 3, 3, 3],
+			[4, 4, 4, 5, 6, 6, 6],
+			[4, 4, 4, 5, 6, 6, 6],
+			[4, 4, 4, 5, 6, 6, 6]
+		]],
+		["repeat", [
+			[2, 3, 1, 2, 3, 1, 2],
+			[5, 6, 4, 5, 6, 4, 5],
+			[2, 3, 1, 2, 3, 1, 2],
+			[5, 6, 4, 5, 6, 4, 5],
+			[2, 3, 1, 2, 3, 1, 2],
+			[5, 6, 4, 5, 6, 4, 5]
+		]],
+		// The edge pixels are repeated once before going back the other way
+		["mirror", [
+			[5, 4, 4, 5, 6, 6, 5],
+			[2, 1, 1, 2, 3, 3, 2],
+			[2, 1, 1, 2, 3, 3, 2],
+			[5, 4, 4, 5, 6, 6, 5],
+			[5, 4, 4, 5, 6, 6, 5],
+			[2, 1, 1, 2, 3, 3, 2]
+		]]
+	])) {
+		const ctx = createNumbered();
+		shaderExt.pad(ctx, 2, { mode });
+		assert.deepStrictEqual(numbers(ctx), expected, mode);
+	}
+});
+
+test("pad fills the new pixels with a color on each side separately", () => {
+	const ctx = createNumbered();
+	shaderExt.pad(ctx, { top: 1, left: 2 }, { color: [200, 0, 0] });
+	assert.deepStrictEqual([ctx.canvas.width, ctx.canvas.height], [5, 3]);
+	const data = ctx.getImageData(0, 0, 5, 3).data;
+	/** @type {Array<Array<number | string>>} */
+	const rows = [];
+	for (let y = 0; y < 3; y++) {
+		const row = [];
+		for (let x = 0; x < 5; x++) {
+			const pixel = Array.from(data.subarray((y * 5 + x) * 4, (y * 5 + x) * 4 + 4));
+			row.push(pixel.join() === "200,0,0,255" ? "fill" : pixel[0]);
+		}
+		rows.push(row);
+	}
+	assert.deepStrictEqual(rows, [
+		["fill", "fill", "fill", "fill", "fill"],
+		["fill", "fill", 1, 2, 3],
+		["fill", "fill", 4, 5, 6]
+	]);
+
+	// Transparent by default
+	const transparent = createNumbered();
+	shaderExt.pad(transparent, { right: 1 });
+	assert.deepStrictEqual(Array.from(transparent.getImageData(3, 1, 1, 1).data), [0, 0, 0, 0]);
+	assert.deepStrictEqual(Array.from(transparent.getImageData(2, 1, 1, 1).data), [6, 60, 0, 255]);
+	assert.throws(() => shaderExt.pad(createNumbered(), -1), /whole numbers of at least 0/);
+});
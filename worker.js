@@ -0,0 +1,24 @@
+// @ts-check
+
+const { parentPort } = require("worker_threads");
+
+/** @type {(data: import("./index.js").PixelData, steps: Array<import("./index.js").PipelineStep>, startRow: number, rows: number) => void} */
+const runPipelineSteps = require("./index.js")[Symbol.for("canvasshaderext.runPipelineSteps")];
+
+if (!parentPort) throw new Error("worker.js is meant to be spawned by the async functions in index.js");
+const port = parentPort;
+
+port.on("message", (/** @type {import("./index.js").WorkerJob} */ job) => {
+	try {
+		// Every worker sees the whole image but only processes its own rows
+		const data = {
+			data: new Uint8ClampedArray(job.buffer),
+			width: job.width,
+			height: job.height
+		};
+		runPipelineSteps(data, job.steps, job.startRow, job.rows);
+		port.postMessage({ id: job.id });
+	} catch (e) {
+		port.postMessage({ id: job.id, error: e instanceof Error ? e.message : String(e) });
+	}
+});